@@ -0,0 +1,259 @@
+// access-control.js
+//
+// Role-based access for Telegram commands and Express routes. Roles are
+// ordered: viewer < trader < admin. Telegram users are allow-listed by user
+// ID; HTTP clients authenticate with an API key and, when the key has a
+// secret, an HMAC signature. Every denied attempt goes to the audit log.
+
+const crypto = require("crypto");
+
+const ROLES = ["viewer", "trader", "admin"];
+
+// Commands not listed here need the admin role
+const COMMAND_ROLES = {
+  start: "viewer",
+  help: "viewer",
+  yosiet: "viewer",
+  balance: "viewer",
+  positions: "viewer",
+  orders: "viewer",
+  history: "viewer",
+  pnl: "viewer",
+  accounts: "viewer",
+  raw: "viewer",
+  ta: "viewer",
+  strategies: "viewer",
+  limits: "viewer",
+  subscribe: "viewer",
+  unsubscribe: "viewer",
+  alert: "viewer",
+  market: "trader",
+  limit: "trader",
+  close: "trader",
+  cancel: "trader",
+  trailingstop: "trader",
+  sl: "trader",
+  tp: "trader",
+  bracket: "trader",
+  risk: "trader",
+  algo: "trader",
+  leverage: "trader",
+  margin: "trader",
+  addmargin: "trader",
+  strategy: "trader",
+  closeall: "admin",
+  cancelall: "admin",
+  killswitch: "admin",
+  posmode: "admin",
+};
+
+// Subcommands that need more than their command: viewers may list alerts,
+// changing them needs trader like POST/DELETE /alerts
+const SUBCOMMAND_ROLES = {
+  alert: { add: "trader", remove: "trader" },
+};
+
+// First match wins; requests matching no rule need viewer for GET and
+// admin for anything else.
+const ROUTE_ROLES = [
+  { method: "POST", path: /^\/risk\/kill-switch$/, role: "admin" },
+  { method: "PUT", path: /^\/strategies\/[^/]+\/params$/, role: "admin" },
+  { method: "POST", path: /^\/(positions\/close-all|orders\/cancel-all|position-mode)$/, role: "admin" },
+  { method: "GET", path: /^\/config$/, role: "admin" },
+  { method: "GET", path: /.*/, role: "viewer" },
+  { method: "POST", path: /^\/(trade|backtest|strategies|orders|positions|brackets|sizing|settings|algos)\b/, role: "trader" },
+  { method: "POST", path: /^\/alerts$/, role: "trader" },
+  { method: "DELETE", path: /^\/(orders|alerts)\//, role: "trader" },
+];
+
+const SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+
+function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+}
+
+function parseRoleList(value, errorLabel) {
+  return String(value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [id, role, ...secret] = entry.split(":");
+      if (!ROLES.includes(role)) {
+        throw new Error(`Invalid role "${role}" for ${errorLabel} ${id}`);
+      }
+      return { id, role, secret: secret.join(":") || null };
+    });
+}
+
+// TELEGRAM_USERS="12345:admin,67890:trader"
+function loadTelegramUsers(value = process.env.TELEGRAM_USERS) {
+  return new Map(parseRoleList(value, "Telegram user").map(({ id, role }) => [id, role]));
+}
+
+// API_KEYS="key:role[:secret],..." - keys with a secret must sign requests
+function loadApiClients(value = process.env.API_KEYS) {
+  return new Map(
+    parseRoleList(value, "API key").map(({ id, role, secret }) => [id, { role, secret }])
+  );
+}
+
+function maskKey(key) {
+  if (!key) return null;
+  return key.length <= 6 ? "***" : `${key.slice(0, 3)}***${key.slice(-2)}`;
+}
+
+// Stable id of an API key for owning resources: masked keys can collide,
+// this hash does not and still keeps the key out of stored data
+function keyId(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex").slice(0, 16);
+}
+
+// Command name from "/market@MyBot BTC-USDT BUY 1"
+function commandName(text) {
+  const match = /^\/([A-Za-z0-9_]+)(@\S+)?/.exec(String(text || ""));
+  return match ? match[1].toLowerCase() : null;
+}
+
+function routeRole(method, path, rules = ROUTE_ROLES) {
+  const rule = rules.find((r) => r.method === method && r.path.test(path));
+  return rule ? rule.role : "admin";
+}
+
+function signPayload(secret, timestamp, method, path, body = "") {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}${method.toUpperCase()}${path}${body}`)
+    .digest("hex");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Telegraf middleware: only allow-listed users may run commands their role allows
+function createTelegramGuard({ users, audit, commandRoles = COMMAND_ROLES, subcommandRoles = SUBCOMMAND_ROLES }) {
+  return async (ctx, next) => {
+    const text = ctx.message && ctx.message.text;
+    const command = commandName(text);
+    const userId = ctx.from ? String(ctx.from.id) : null;
+    const role = users.get(userId);
+
+    if (!command) {
+      // Not a command (e.g. a button press); only known users get through
+      if (role) {
+        ctx.state.user = { id: userId, role };
+        return next();
+      }
+      if (ctx.callbackQuery) {
+        audit.warn("access_denied", {
+          channel: "telegram",
+          userId,
+          username: ctx.from && ctx.from.username,
+          action: "callback",
+          reason: "unknown user",
+        });
+      }
+      return undefined;
+    }
+
+    const subcommand = String(text).split(" ").filter(Boolean)[1];
+    const subcommandRole = subcommand && (subcommandRoles[command] || {})[subcommand.toLowerCase()];
+    const required = subcommandRole || commandRoles[command] || "admin";
+    const label = subcommandRole ? `/${command} ${subcommand.toLowerCase()}` : `/${command}`;
+    if (!role || !hasRole(role, required)) {
+      audit.warn("access_denied", {
+        channel: "telegram",
+        userId,
+        username: ctx.from && ctx.from.username,
+        chatId: ctx.chat && ctx.chat.id,
+        command,
+        ...(subcommandRole && { subcommand: subcommand.toLowerCase() }),
+        role: role || null,
+        required,
+        reason: role ? "insufficient role" : "unknown user",
+      });
+      return ctx.reply(
+        role
+          ? `Not allowed: ${label} needs the ${required} role (you are ${role})`
+          : "Not authorized to use this bot"
+      );
+    }
+
+    ctx.state.user = { id: userId, role };
+    return next();
+  };
+}
+
+// Express middleware authenticating X-API-Key (+ X-Timestamp/X-Signature)
+function createApiGuard({ clients, audit, rules = ROUTE_ROLES, publicPaths = [], now = () => Date.now() }) {
+  return (req, res, next) => {
+    if (publicPaths.some((path) => (path instanceof RegExp ? path.test(req.path) : path === req.path))) {
+      return next();
+    }
+
+    const key = req.get("X-API-Key");
+    const client = key ? clients.get(key) : null;
+    const required = routeRole(req.method, req.path, rules);
+
+    const deny = (statusCode, reason) => {
+      audit.warn("access_denied", {
+        channel: "http",
+        apiKey: maskKey(key),
+        ip: req.ip,
+        method: req.method,
+        path: req.originalUrl,
+        role: client ? client.role : null,
+        required,
+        reason,
+      });
+      const error = new Error(statusCode === 401 ? "Unauthorized" : `Forbidden: ${reason}`);
+      error.statusCode = statusCode;
+      return next(error);
+    };
+
+    if (!client) {
+      return deny(401, key ? "unknown API key" : "missing API key");
+    }
+
+    if (client.secret) {
+      const timestamp = req.get("X-Timestamp");
+      const signature = req.get("X-Signature");
+      if (!timestamp || !signature) {
+        return deny(401, "missing signature");
+      }
+      if (Math.abs(now() - Number(timestamp)) > SIGNATURE_MAX_AGE_MS) {
+        return deny(401, "stale timestamp");
+      }
+      const body = req.rawBody ? req.rawBody.toString("utf8") : "";
+      const expected = signPayload(client.secret, timestamp, req.method, req.originalUrl, body);
+      if (!safeEqual(expected, signature)) {
+        return deny(401, "invalid signature");
+      }
+    }
+
+    if (!hasRole(client.role, required)) {
+      return deny(403, `${req.method} ${req.path} needs the ${required} role`);
+    }
+
+    req.auth = { apiKey: maskKey(key), clientId: keyId(key), role: client.role };
+    return next();
+  };
+}
+
+module.exports = {
+  ROLES,
+  COMMAND_ROLES,
+  SUBCOMMAND_ROLES,
+  ROUTE_ROLES,
+  hasRole,
+  loadTelegramUsers,
+  loadApiClients,
+  commandName,
+  routeRole,
+  signPayload,
+  createTelegramGuard,
+  createApiGuard,
+};
@@ -0,0 +1,151 @@
+// access-control.test.js
+
+const express = require("express");
+const request = require("supertest");
+const {
+  loadTelegramUsers,
+  loadApiClients,
+  createTelegramGuard,
+  createApiGuard,
+  signPayload,
+  routeRole,
+} = require("./access-control");
+
+function createAudit() {
+  const entries = [];
+  return { entries, warn: (message, meta) => entries.push({ message, ...meta }) };
+}
+
+describe("Access control", () => {
+  describe("Telegram guard", () => {
+    const users = loadTelegramUsers("1:viewer,2:trader,3:admin");
+
+    async function run(userId, text) {
+      const audit = createAudit();
+      const replies = [];
+      let handled = false;
+      const ctx = {
+        from: { id: userId },
+        chat: { id: userId },
+        message: { text },
+        state: {},
+        reply: (message) => replies.push(message),
+      };
+      await createTelegramGuard({ users, audit })(ctx, async () => {
+        handled = true;
+      });
+      return { handled, replies, audit: audit.entries, ctx };
+    }
+
+    it("should let roles run the commands they are allowed", async () => {
+      expect((await run(1, "/balance")).handled).toBe(true);
+      expect((await run(2, "/market BTC-USDT BUY 1")).handled).toBe(true);
+      const admin = await run(3, "/closeall@MarceloBot");
+      expect(admin.handled).toBe(true);
+      expect(admin.ctx.state.user).toEqual({ id: "3", role: "admin" });
+    });
+
+    it("should deny and audit insufficient roles and unknown users", async () => {
+      const viewer = await run(1, "/market BTC-USDT BUY 1");
+      expect(viewer.handled).toBe(false);
+      expect(viewer.replies[0]).toContain("needs the trader role");
+      expect(viewer.audit[0]).toMatchObject({ command: "market", reason: "insufficient role" });
+
+      const trader = await run(2, "/cancelall");
+      expect(trader.audit[0]).toMatchObject({ command: "cancelall", required: "admin" });
+
+      const stranger = await run(99, "/balance");
+      expect(stranger.handled).toBe(false);
+      expect(stranger.audit[0]).toMatchObject({ userId: "99", reason: "unknown user" });
+    });
+
+    it("should require admin for commands without an explicit role", async () => {
+      expect((await run(2, "/somethingnew")).handled).toBe(false);
+      expect((await run(3, "/somethingnew")).handled).toBe(true);
+    });
+  });
+
+  describe("HTTP guard", () => {
+    let audit;
+    let app;
+
+    beforeEach(() => {
+      audit = createAudit();
+      app = express();
+      app.use(express.json({ verify: (req, res, buf) => (req.rawBody = buf) }));
+      app.use(
+        createApiGuard({
+          clients: loadApiClients("view-key:viewer,trade-key:trader:s3cret"),
+          audit,
+        })
+      );
+      app.get("/balance", (req, res) => res.json({ role: req.auth.role }));
+      app.post("/trade/:symbol", (req, res) => res.json({ ok: true }));
+      app.post("/risk/kill-switch", (req, res) => res.json({ ok: true }));
+      app.use((err, req, res, next) => res.status(err.statusCode).json({ message: err.message }));
+    });
+
+    it("should reject missing and unknown API keys", async () => {
+      expect((await request(app).get("/balance")).status).toBe(401);
+      expect((await request(app).get("/balance").set("X-API-Key", "nope")).status).toBe(401);
+      expect(audit.entries.map((entry) => entry.reason)).toEqual(["missing API key", "unknown API key"]);
+    });
+
+    it("should enforce roles per route", async () => {
+      const res = await request(app).get("/balance").set("X-API-Key", "view-key");
+      expect(res.body).toEqual({ role: "viewer" });
+
+      const denied = await request(app).post("/trade/BTC-USDT").set("X-API-Key", "view-key");
+      expect(denied.status).toBe(403);
+      expect(audit.entries[0]).toMatchObject({ channel: "http", apiKey: "vie***ey", required: "trader" });
+    });
+
+    it("should verify HMAC signatures for keys with a secret", async () => {
+      const body = JSON.stringify({ dryRun: true });
+      const timestamp = String(Date.now());
+      const signature = signPayload("s3cret", timestamp, "POST", "/trade/BTC-USDT", body);
+
+      const unsigned = await request(app).post("/trade/BTC-USDT").set("X-API-Key", "trade-key");
+      expect(unsigned.status).toBe(401);
+
+      const signed = await request(app)
+        .post("/trade/BTC-USDT")
+        .set("X-API-Key", "trade-key")
+        .set("X-Timestamp", timestamp)
+        .set("X-Signature", signature)
+        .set("Content-Type", "application/json")
+        .send(body);
+      expect(signed.status).toBe(200);
+
+      const forged = await request(app)
+        .post("/trade/BTC-USDT")
+        .set("X-API-Key", "trade-key")
+        .set("X-Timestamp", timestamp)
+        .set("X-Signature", signature.slice(0, -1) + (signature.endsWith("0") ? "1" : "0"))
+        .set("Content-Type", "application/json")
+        .send(body);
+      expect(forged.status).toBe(401);
+
+      const admin = await request(app)
+        .post("/risk/kill-switch")
+        .set("X-API-Key", "trade-key")
+        .set("X-Timestamp", timestamp)
+        .set("X-Signature", signPayload("s3cret", timestamp, "POST", "/risk/kill-switch", ""));
+      expect(admin.status).toBe(403);
+    });
+  });
+
+  test("route roles mirror the bot command roles", () => {
+    expect(routeRole("GET", "/orders")).toBe("viewer");
+    expect(routeRole("POST", "/orders")).toBe("trader");
+    expect(routeRole("DELETE", "/orders/BTC-USDT/123")).toBe("trader");
+    expect(routeRole("POST", "/orders/BTC-USDT/stop-loss")).toBe("trader");
+    expect(routeRole("POST", "/positions/BTC-USDT/close")).toBe("trader");
+    expect(routeRole("POST", "/positions/close-all")).toBe("admin");
+    expect(routeRole("POST", "/orders/cancel-all")).toBe("admin");
+    expect(routeRole("PATCH", "/orders")).toBe("admin");
+    expect(routeRole("POST", "/alerts")).toBe("trader");
+    expect(routeRole("DELETE", "/alerts/ab12cd34")).toBe("trader");
+    expect(routeRole("GET", "/config")).toBe("admin");
+  });
+});
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+// accounts-cli.js
+//
+// Usage:
+//   BINGX_ACCOUNTS_PASSPHRASE=... node accounts-cli.js encrypt accounts.json accounts.enc
+//   BINGX_ACCOUNTS_PASSPHRASE=... node accounts-cli.js list accounts.enc
+//
+// accounts.json holds [{ "id": "hedge", "apiKey": "...", "secretKey": "..." }];
+// an entry may add "exchange": "binance" (the default is "bingx").
+// Point BINGX_ACCOUNTS_FILE at the encrypted file and delete the plain one.
+
+const fs = require("fs");
+const { encryptAccounts, decryptAccounts } = require("./accounts");
+
+function main() {
+  const [action, input, output] = process.argv.slice(2);
+  const passphrase = process.env.BINGX_ACCOUNTS_PASSPHRASE;
+  if (!passphrase || !input || !["encrypt", "list"].includes(action)) {
+    console.error("Usage: BINGX_ACCOUNTS_PASSPHRASE=... node accounts-cli.js encrypt|list <file> [output]");
+    process.exit(1);
+  }
+
+  if (action === "encrypt") {
+    const accounts = JSON.parse(fs.readFileSync(input, "utf8"));
+    const target = output || `${input}.enc`;
+    fs.writeFileSync(target, encryptAccounts(accounts, passphrase), { mode: 0o600 });
+    console.log(`Encrypted ${accounts.length} account(s) to ${target}`);
+    return;
+  }
+
+  // Names and exchanges only, secrets never leave the file
+  for (const account of decryptAccounts(fs.readFileSync(input, "utf8"), passphrase)) {
+    console.log(`${account.id} (${account.exchange || "bingx"})`);
+  }
+}
+
+main();
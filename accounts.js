@@ -0,0 +1,244 @@
+// accounts.js
+//
+// Named exchange accounts. Credentials come from BINGX_ACCOUNTS
+// ("name:apiKey:secretKey,...") and from an encrypted JSON file
+// (BINGX_ACCOUNTS_FILE, decrypted with BINGX_ACCOUNTS_PASSPHRASE, whose
+// entries may name their exchange); the BINGX_API_KEY/BINGX_SECRET_KEY pair
+// is the "main" account and BINANCE_API_KEY/BINANCE_SECRET_KEY the "binance"
+// account. Accounts trade on BingX unless they say otherwise. The account a
+// request runs against is carried in AsyncLocalStorage, like the trade journal
+// source, so the order functions need no account argument.
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const { EXCHANGE_NAMES } = require("./exchange-adapter");
+
+const ACCOUNT_ID = /^[A-Za-z0-9_-]+$/;
+// Reserved for views across every account
+const ALL_ACCOUNTS = "all";
+
+function accountError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+// AES-256-GCM; the output is JSON with base64 salt, iv, tag and data
+function encryptAccounts(accounts, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(accounts), "utf8"), cipher.final()]);
+  return JSON.stringify({
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  });
+}
+
+function decryptAccounts(text, passphrase) {
+  const { salt, iv, tag, data } = JSON.parse(text);
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    deriveKey(passphrase, Buffer.from(salt, "base64")),
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  try {
+    return JSON.parse(
+      Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]).toString("utf8")
+    );
+  } catch (error) {
+    throw new Error("Cannot decrypt the accounts file: wrong passphrase or corrupted file");
+  }
+}
+
+function parseAccountList(value) {
+  return String(value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [id, apiKey, ...secret] = entry.split(":");
+      return { id, exchange: "bingx", apiKey, secretKey: secret.join(":") };
+    });
+}
+
+// [{ id, exchange, apiKey, secretKey }], "main" first; without any
+// credentials a single "main" account is returned so paper trading still works
+function loadAccounts({ env = process.env, readFile = (file) => fs.readFileSync(file, "utf8") } = {}) {
+  const accounts = [];
+  if (env.BINGX_API_KEY) {
+    accounts.push({ id: "main", exchange: "bingx", apiKey: env.BINGX_API_KEY, secretKey: env.BINGX_SECRET_KEY });
+  }
+  if (env.BINANCE_API_KEY) {
+    accounts.push({
+      id: "binance",
+      exchange: "binance",
+      apiKey: env.BINANCE_API_KEY,
+      secretKey: env.BINANCE_SECRET_KEY,
+    });
+  }
+  accounts.push(...parseAccountList(env.BINGX_ACCOUNTS));
+  if (env.BINGX_ACCOUNTS_FILE) {
+    if (!env.BINGX_ACCOUNTS_PASSPHRASE) {
+      throw new Error("BINGX_ACCOUNTS_FILE needs BINGX_ACCOUNTS_PASSPHRASE");
+    }
+    const stored = decryptAccounts(readFile(env.BINGX_ACCOUNTS_FILE), env.BINGX_ACCOUNTS_PASSPHRASE);
+    accounts.push(...stored.map((account) => ({ exchange: "bingx", ...account })));
+  }
+
+  const seen = new Set();
+  for (const account of accounts) {
+    if (!ACCOUNT_ID.test(account.id || "") || account.id === ALL_ACCOUNTS) {
+      throw new Error(`Invalid account name "${account.id}"`);
+    }
+    if (seen.has(account.id)) throw new Error(`Account "${account.id}" is configured twice`);
+    if (!EXCHANGE_NAMES.includes(account.exchange)) {
+      throw new Error(
+        `Account "${account.id}" has an unknown exchange "${account.exchange}". Exchanges: ${EXCHANGE_NAMES.join(", ")}`
+      );
+    }
+    if (!account.apiKey || !account.secretKey) {
+      throw new Error(`Account "${account.id}" needs an API key and a secret key`);
+    }
+    seen.add(account.id);
+  }
+  return accounts.length > 0 ? accounts : [{ id: "main", exchange: "bingx", apiKey: undefined, secretKey: undefined }];
+}
+
+const BALANCE_FIELDS = ["equity", "balance", "availableMargin", "unrealizedProfit"];
+
+// Balances from forEachAccount results, with totals over the accounts that
+// answered
+function summarizeBalances(results) {
+  const totals = Object.fromEntries(BALANCE_FIELDS.map((field) => [field, 0]));
+  const rows = results.map(({ account, result, error }) => {
+    if (error || !result || result.code !== 0) {
+      return { account, error: error || (result && result.msg) || "No balance" };
+    }
+    const balance = (result.data && result.data.balance) || {};
+    const row = { account, asset: balance.asset || "USDT" };
+    for (const field of BALANCE_FIELDS) {
+      row[field] = parseFloat(balance[field]) || 0;
+      totals[field] += row[field];
+    }
+    return row;
+  });
+  for (const field of BALANCE_FIELDS) {
+    totals[field] = Math.round(totals[field] * 1e4) / 1e4;
+  }
+  return { accounts: rows, totals };
+}
+
+// "/market @hedge BTC-USDT BUY 0.01" -> { account: "hedge", text: "/market BTC-USDT BUY 0.01" }.
+// For the commands in bareCommands a plain first argument is a selector too
+// ("/balance main").
+function parseAccountSelector(text, bareCommands = []) {
+  const match = /^(\/[A-Za-z0-9_]+(?:@\S+)?)\s+(\S+)(.*)$/s.exec(String(text || ""));
+  if (!match) return null;
+  const [, command, first, rest] = match;
+  const name = command.slice(1).split("@")[0].toLowerCase();
+  if (first.startsWith("@")) {
+    return { account: first.slice(1), text: `${command}${rest}` };
+  }
+  if (bareCommands.includes(name)) {
+    return { account: first, text: `${command}${rest}` };
+  }
+  return null;
+}
+
+// createClient(account) returns the object requests are sent through for
+// that account (an exchange client or a paper exchange)
+function createAccountRegistry({ accounts, defaultId, createClient }) {
+  const context = new AsyncLocalStorage();
+  const entries = new Map(
+    accounts.map((account) => [
+      account.id,
+      { id: account.id, exchange: account.exchange || "bingx", client: createClient(account) },
+    ])
+  );
+  const fallbackId = defaultId || accounts[0].id;
+  if (!entries.has(fallbackId)) throw new Error(`Unknown default account "${fallbackId}"`);
+
+  function ids() {
+    return [...entries.keys()];
+  }
+
+  function has(id) {
+    return entries.has(id);
+  }
+
+  function get(id) {
+    const entry = entries.get(id);
+    if (!entry) {
+      throw accountError(404, `Unknown account: ${id}. Accounts: ${ids().join(", ")}`);
+    }
+    return entry;
+  }
+
+  function runWithAccount(id, fn) {
+    get(id);
+    return context.run(id, fn);
+  }
+
+  function currentId() {
+    return context.getStore() || fallbackId;
+  }
+
+  function isDefault(id = currentId()) {
+    return id === fallbackId;
+  }
+
+  function client(id = currentId()) {
+    return get(id).client;
+  }
+
+  function exchange(id = currentId()) {
+    return get(id).exchange;
+  }
+
+  // Runs fn in every account; one failing account does not hide the others
+  async function forEachAccount(fn) {
+    return Promise.all(
+      ids().map((id) =>
+        runWithAccount(id, async () => {
+          try {
+            return { account: id, result: await fn(id) };
+          } catch (error) {
+            return { account: id, error: error.message };
+          }
+        })
+      )
+    );
+  }
+
+  return {
+    defaultId: fallbackId,
+    ids,
+    has,
+    get,
+    runWithAccount,
+    currentId,
+    isDefault,
+    client,
+    exchange,
+    forEachAccount,
+  };
+}
+
+module.exports = {
+  ALL_ACCOUNTS,
+  encryptAccounts,
+  decryptAccounts,
+  loadAccounts,
+  summarizeBalances,
+  parseAccountSelector,
+  createAccountRegistry,
+};
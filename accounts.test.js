@@ -0,0 +1,142 @@
+// accounts.test.js
+
+const {
+  encryptAccounts,
+  decryptAccounts,
+  loadAccounts,
+  summarizeBalances,
+  parseAccountSelector,
+  createAccountRegistry,
+} = require("./accounts");
+
+describe("Accounts", () => {
+  test("loads main from BINGX_API_KEY plus BINGX_ACCOUNTS", () => {
+    const accounts = loadAccounts({
+      env: {
+        BINGX_API_KEY: "k1",
+        BINGX_SECRET_KEY: "s1",
+        BINGX_ACCOUNTS: "hedge:k2:s2, alt:k3:s:3",
+      },
+    });
+    expect(accounts).toEqual([
+      { id: "main", exchange: "bingx", apiKey: "k1", secretKey: "s1" },
+      { id: "hedge", exchange: "bingx", apiKey: "k2", secretKey: "s2" },
+      { id: "alt", exchange: "bingx", apiKey: "k3", secretKey: "s:3" },
+    ]);
+  });
+
+  test("adds the binance account and reads the exchange of file entries", () => {
+    const file = encryptAccounts([{ id: "vault", exchange: "binance", apiKey: "k", secretKey: "s" }], "pass");
+    const accounts = loadAccounts({
+      env: {
+        BINGX_API_KEY: "k1",
+        BINGX_SECRET_KEY: "s1",
+        BINANCE_API_KEY: "k2",
+        BINANCE_SECRET_KEY: "s2",
+        BINGX_ACCOUNTS_FILE: "accounts.enc",
+        BINGX_ACCOUNTS_PASSPHRASE: "pass",
+      },
+      readFile: () => file,
+    });
+    expect(accounts.map(({ id, exchange }) => [id, exchange])).toEqual([
+      ["main", "bingx"],
+      ["binance", "binance"],
+      ["vault", "binance"],
+    ]);
+
+    const kraken = encryptAccounts([{ id: "k", exchange: "kraken", apiKey: "k", secretKey: "s" }], "pass");
+    expect(() =>
+      loadAccounts({
+        env: { BINGX_ACCOUNTS_FILE: "accounts.enc", BINGX_ACCOUNTS_PASSPHRASE: "pass" },
+        readFile: () => kraken,
+      })
+    ).toThrow(/unknown exchange "kraken"/);
+    expect(() => loadAccounts({ env: { BINANCE_API_KEY: "k" } })).toThrow(/secret key/);
+  });
+
+  test("falls back to a credential-less main account", () => {
+    expect(loadAccounts({ env: {} })).toEqual([
+      { id: "main", exchange: "bingx", apiKey: undefined, secretKey: undefined },
+    ]);
+  });
+
+  test("rejects duplicates, reserved names and missing secrets", () => {
+    expect(() => loadAccounts({ env: { BINGX_ACCOUNTS: "a:k:s,a:k:s" } })).toThrow(/twice/);
+    expect(() => loadAccounts({ env: { BINGX_ACCOUNTS: "all:k:s" } })).toThrow(/Invalid account/);
+    expect(() => loadAccounts({ env: { BINGX_ACCOUNTS: "a:k" } })).toThrow(/secret key/);
+  });
+
+  test("reads the encrypted accounts file", () => {
+    const file = encryptAccounts([{ id: "vault", apiKey: "k", secretKey: "s" }], "pass");
+    expect(file).not.toContain("vault");
+
+    const accounts = loadAccounts({
+      env: { BINGX_ACCOUNTS_FILE: "accounts.enc", BINGX_ACCOUNTS_PASSPHRASE: "pass" },
+      readFile: () => file,
+    });
+    expect(accounts).toEqual([{ id: "vault", exchange: "bingx", apiKey: "k", secretKey: "s" }]);
+    expect(() => decryptAccounts(file, "wrong")).toThrow(/wrong passphrase/);
+    expect(() =>
+      loadAccounts({ env: { BINGX_ACCOUNTS_FILE: "accounts.enc" }, readFile: () => file })
+    ).toThrow(/PASSPHRASE/);
+  });
+
+  test("parses @account selectors and bare names for view commands", () => {
+    expect(parseAccountSelector("/market @hedge BTC-USDT BUY 0.01")).toEqual({
+      account: "hedge",
+      text: "/market BTC-USDT BUY 0.01",
+    });
+    expect(parseAccountSelector("/balance@MyBot main", ["balance"])).toEqual({
+      account: "main",
+      text: "/balance@MyBot",
+    });
+    expect(parseAccountSelector("/market BTC-USDT BUY 0.01", ["balance"])).toBeNull();
+    expect(parseAccountSelector("/balance")).toBeNull();
+  });
+
+  test("summarizes balances and keeps failed accounts apart", () => {
+    const summary = summarizeBalances([
+      { account: "main", result: { code: 0, data: { balance: { equity: "100.5", balance: "100", unrealizedProfit: "0.5" } } } },
+      { account: "hedge", result: { code: 0, data: { balance: { equity: "50", balance: "52", unrealizedProfit: "-2" } } } },
+      { account: "alt", error: "BingX rejected the API credentials" },
+    ]);
+    expect(summary.totals).toEqual({ equity: 150.5, balance: 152, availableMargin: 0, unrealizedProfit: -1.5 });
+    expect(summary.accounts[2]).toEqual({ account: "alt", error: "BingX rejected the API credentials" });
+  });
+});
+
+describe("Account registry", () => {
+  function createRegistry() {
+    return createAccountRegistry({
+      accounts: [{ id: "main" }, { id: "hedge" }],
+      createClient: (account) => ({
+        request: async () => ({ code: 0, data: { account: account.id } }),
+      }),
+    });
+  }
+
+  test("requests use the account of the async context", async () => {
+    const registry = createRegistry();
+    expect(registry.currentId()).toBe("main");
+
+    const inHedge = await registry.runWithAccount("hedge", async () => {
+      await new Promise((resolve) => setImmediate(resolve));
+      return registry.client().request();
+    });
+    expect(inHedge.data.account).toBe("hedge");
+    expect((await registry.client().request()).data.account).toBe("main");
+    expect(() => registry.runWithAccount("nope", () => null)).toThrow(/Unknown account: nope/);
+  });
+
+  test("forEachAccount collects results and errors per account", async () => {
+    const registry = createRegistry();
+    const results = await registry.forEachAccount(async (id) => {
+      if (id === "hedge") throw new Error("down");
+      return registry.currentId();
+    });
+    expect(results).toEqual([
+      { account: "main", result: "main" },
+      { account: "hedge", error: "down" },
+    ]);
+  });
+});
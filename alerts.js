@@ -0,0 +1,292 @@
+// alerts.js
+//
+// User-defined alerts checked on a timer: price above/below a level, percent
+// change over a window, funding rate, unrealized PnL of a position and
+// technical indicators (see indicators.js). A one-shot alert fires once and
+// is done; a repeating alert fires, waits for its condition to clear (and
+// for its cooldown) and then fires again on the next crossing. Alerts are
+// persisted with the chat that created them, which is where they fire, and
+// with the account, so PnL alerts read the right positions.
+
+const crypto = require("crypto");
+const { INDICATOR_NAMES } = require("./indicators");
+
+const METRICS = ["price", "change", "funding", "pnl", "indicator"];
+const OPERATORS = ["above", "below"];
+const MAX_ALERTS_PER_CHAT = 50;
+const MAX_CHANGE_WINDOW_MINUTES = 1440;
+
+const UNITS = { change: "%", funding: "%", pnl: " USDT" };
+
+function alertError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Checks a condition and fills in its defaults:
+// { metric, symbol, op, value, windowMinutes?, positionSide?, indicator?, interval? }
+function normalizeCondition(condition) {
+  const metric = String(condition.metric || "").toLowerCase();
+  if (!METRICS.includes(metric)) {
+    throw alertError(400, `Alert metric must be one of ${METRICS.join(", ")}`);
+  }
+  if (!condition.symbol) throw alertError(400, "symbol is required");
+  const op = String(condition.op || "").toLowerCase();
+  if (!OPERATORS.includes(op)) throw alertError(400, "op must be above or below");
+  const value = parseFloat(condition.value);
+  if (isNaN(value)) throw alertError(400, "value must be a number");
+
+  const normalized = { metric, symbol: condition.symbol, op, value };
+  if (metric === "change") {
+    const windowMinutes = parseFloat(condition.windowMinutes ?? 60);
+    if (!(windowMinutes >= 1 && windowMinutes <= MAX_CHANGE_WINDOW_MINUTES)) {
+      throw alertError(400, `windowMinutes must be from 1 to ${MAX_CHANGE_WINDOW_MINUTES}`);
+    }
+    normalized.windowMinutes = windowMinutes;
+  }
+  if (metric === "pnl" && condition.positionSide) {
+    const positionSide = String(condition.positionSide).toUpperCase();
+    if (!["LONG", "SHORT"].includes(positionSide)) {
+      throw alertError(400, "positionSide must be LONG or SHORT");
+    }
+    normalized.positionSide = positionSide;
+  }
+  if (metric === "indicator") {
+    const indicator = String(condition.indicator || "").toLowerCase();
+    if (!INDICATOR_NAMES.includes(indicator.split(".")[0])) {
+      throw alertError(400, `indicator must be one of ${INDICATOR_NAMES.join(", ")} (e.g. rsi, macd.histogram)`);
+    }
+    normalized.indicator = indicator;
+    normalized.interval = condition.interval || "1h";
+  }
+  return normalized;
+}
+
+// "BTC-USDT price above 70000", "ETH-USDT change below -5% in 60m",
+// "BTC-USDT rsi (1h) above 70"
+function describeCondition(condition) {
+  const { metric, symbol, op, value } = condition;
+  const name =
+    metric === "indicator"
+      ? `${condition.indicator} (${condition.interval})`
+      : metric === "pnl" && condition.positionSide
+        ? `${condition.positionSide} PnL`
+        : metric === "pnl"
+          ? "PnL"
+          : metric;
+  const window = metric === "change" ? ` in ${condition.windowMinutes}m` : "";
+  return `${symbol} ${name} ${op} ${value}${UNITS[metric] || ""}${window}`;
+}
+
+// /alert add arguments:
+//   <symbol> price|funding <above|below> <value> [repeat]
+//   <symbol> change <above|below> <percent> [minutes] [repeat]
+//   <symbol> pnl <above|below> <usdt> [LONG|SHORT] [repeat]
+//   <symbol> <indicator> <above|below> <value> [interval] [repeat]
+function parseAlertCommand(args) {
+  const words = [...args];
+  const repeat = words.length > 0 && words[words.length - 1].toLowerCase() === "repeat";
+  if (repeat) words.pop();
+  const [symbol, metricWord = "", op, value, extra] = words;
+  const lowered = metricWord.toLowerCase();
+  const metric = METRICS.includes(lowered) ? lowered : "indicator";
+  const condition = { metric, symbol, op, value };
+  if (metric === "change" && extra) condition.windowMinutes = extra;
+  if (metric === "pnl" && extra) condition.positionSide = extra;
+  if (metric === "indicator") {
+    condition.indicator = lowered;
+    if (extra) condition.interval = extra;
+  }
+  return { condition: normalizeCondition(condition), repeat };
+}
+
+function createAlertEngine({
+  store,
+  send,
+  getPrice,
+  // (symbol, windowMinutes) -> percent change over the window
+  getPriceChange,
+  // (symbol) -> current funding rate in percent
+  getFundingRate,
+  // (symbol, positionSide?) -> unrealized PnL in USDT, null without a position
+  getPositionPnl,
+  // (symbol, indicator, interval) -> number
+  getIndicator,
+  runWithAccount = (account, fn) => fn(),
+  currentAccount = () => null,
+  cooldownMs = 5 * 60 * 1000,
+  now = () => Date.now(),
+  logger = console,
+}) {
+  let pollTimer = null;
+  let checking = false;
+
+  function save(alert) {
+    store.update((all) => {
+      all[alert.id] = alert;
+    });
+    return alert;
+  }
+
+  function list({ chatId, status, createdBy } = {}) {
+    return Object.values(store.read()).filter(
+      (alert) =>
+        (chatId === undefined || alert.chatId === String(chatId)) &&
+        (createdBy === undefined || alert.createdBy === createdBy) &&
+        (!status || alert.status === status)
+    );
+  }
+
+  function get(id) {
+    const alert = store.read()[id];
+    if (!alert) throw alertError(404, `Unknown alert: ${id}`);
+    return alert;
+  }
+
+  function add({ chatId, createdBy = null, condition, repeat = false }) {
+    if (chatId === undefined || chatId === null || chatId === "") {
+      throw alertError(400, "chatId is required: alerts fire to a Telegram chat");
+    }
+    if (list({ chatId, status: "active" }).length >= MAX_ALERTS_PER_CHAT) {
+      throw alertError(409, `A chat can have at most ${MAX_ALERTS_PER_CHAT} active alerts`);
+    }
+    return save({
+      id: crypto.randomBytes(4).toString("hex"),
+      chatId: String(chatId),
+      createdBy,
+      account: currentAccount(),
+      condition: normalizeCondition(condition),
+      repeat: Boolean(repeat),
+      status: "active",
+      // A repeating alert only fires again once its condition has cleared
+      armed: true,
+      triggerCount: 0,
+      lastValue: null,
+      lastTriggeredAt: null,
+      createdAt: now(),
+    });
+  }
+
+  // chatId limits removal to the alerts of that chat (bot users), createdBy
+  // to the alerts of one API key; unscoped callers may remove any alert
+  function remove(id, { chatId, createdBy } = {}) {
+    const alert = get(id);
+    if (
+      (chatId !== undefined && alert.chatId !== String(chatId)) ||
+      (createdBy !== undefined && alert.createdBy !== createdBy)
+    ) {
+      throw alertError(404, `Unknown alert: ${id}`);
+    }
+    store.update((all) => {
+      delete all[id];
+    });
+    return alert;
+  }
+
+  function evaluate(condition) {
+    const { metric, symbol } = condition;
+    switch (metric) {
+      case "price":
+        return getPrice(symbol);
+      case "change":
+        return getPriceChange(symbol, condition.windowMinutes);
+      case "funding":
+        return getFundingRate(symbol);
+      case "pnl":
+        return getPositionPnl(symbol, condition.positionSide);
+      default:
+        return getIndicator(symbol, condition.indicator, condition.interval);
+    }
+  }
+
+  function conditionMet(condition, value) {
+    return condition.op === "above" ? value >= condition.value : value <= condition.value;
+  }
+
+  // Alerts on the same metric share one lookup per check
+  function metricKey(alert) {
+    const { condition } = alert;
+    return JSON.stringify([alert.account, { ...condition, op: undefined, value: undefined }]);
+  }
+
+  async function fire(alert, value) {
+    const text = `🔔 Alert ${alert.id}: ${describeCondition(alert.condition)} (now ${Math.round(value * 1e8) / 1e8}${UNITS[alert.condition.metric] || ""})${alert.repeat ? "" : "\nThis alert is now done."}`;
+    try {
+      await send(alert.chatId, text);
+    } catch (error) {
+      logger.error(`Alert ${alert.id}: sending to chat ${alert.chatId} failed`, { error: error.message });
+    }
+  }
+
+  async function check() {
+    if (checking) return [];
+    checking = true;
+    const fired = [];
+    try {
+      const values = new Map();
+      for (const alert of list({ status: "active" })) {
+        const key = metricKey(alert);
+        try {
+          if (!values.has(key)) {
+            values.set(key, await runWithAccount(alert.account, () => evaluate(alert.condition)));
+          }
+        } catch (error) {
+          values.set(key, null);
+          logger.error(`Alert ${alert.id}: ${describeCondition(alert.condition)} check failed`, {
+            error: error.message,
+          });
+        }
+        const raw = values.get(key);
+        const value = raw === null || raw === undefined ? NaN : parseFloat(raw);
+        if (isNaN(value)) continue;
+
+        // Removed while the metrics were being fetched
+        if (!store.read()[alert.id]) continue;
+        const updated = { ...alert, lastValue: value, checkedAt: now() };
+        const met = conditionMet(alert.condition, value);
+        const coolingDown = alert.lastTriggeredAt && now() - alert.lastTriggeredAt < cooldownMs;
+        if (met && alert.armed && !coolingDown) {
+          updated.triggerCount = alert.triggerCount + 1;
+          updated.lastTriggeredAt = now();
+          updated.armed = false;
+          if (!alert.repeat) updated.status = "triggered";
+          await fire(updated, value);
+          fired.push(updated);
+        } else if (!met && !alert.armed) {
+          updated.armed = true;
+        }
+        // Removed while its message was being sent: stays removed
+        store.update((all) => {
+          if (all[alert.id]) all[alert.id] = updated;
+        });
+      }
+    } finally {
+      checking = false;
+    }
+    return fired;
+  }
+
+  function start(intervalMs = 10000) {
+    stop();
+    pollTimer = setInterval(() => {
+      check().catch((error) => logger.error("Alert check failed", { error: error.message }));
+    }, intervalMs);
+    pollTimer.unref();
+  }
+
+  function stop() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  return { add, remove, list, get, check, start, stop };
+}
+
+module.exports = {
+  METRICS,
+  normalizeCondition,
+  describeCondition,
+  parseAlertCommand,
+  createAlertEngine,
+};
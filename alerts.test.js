@@ -0,0 +1,207 @@
+// alerts.test.js
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { describeCondition, parseAlertCommand, createAlertEngine } = require("./alerts");
+const { createJsonStore } = require("./json-store");
+
+describe("Alerts", () => {
+  let dir;
+  let clock;
+  let prices;
+  let sent;
+  let engine;
+  let logger;
+
+  function create(options = {}) {
+    return createAlertEngine({
+      store: createJsonStore(path.join(dir, "alerts.json")),
+      send: async (chatId, text) => sent.push([chatId, text]),
+      getPrice: async (symbol) => prices[symbol],
+      getPriceChange: async () => -6.5,
+      getFundingRate: async () => 0.01,
+      getPositionPnl: async (symbol, positionSide) => (positionSide === "SHORT" ? null : -120),
+      getIndicator: async (symbol, name) => ({ rsi: 75, "macd.histogram": -3 })[name],
+      cooldownMs: 60000,
+      now: () => clock,
+      logger,
+      ...options,
+    });
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "alerts-"));
+    clock = Date.UTC(2024, 0, 1);
+    prices = { "BTC-USDT": 69000 };
+    sent = [];
+    logger = { error: jest.fn(), warn: jest.fn(), info: jest.fn() };
+    engine = create();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("parses /alert add arguments for every metric", () => {
+    expect(parseAlertCommand(["BTC-USDT", "price", "above", "70000"])).toEqual({
+      condition: { metric: "price", symbol: "BTC-USDT", op: "above", value: 70000 },
+      repeat: false,
+    });
+    expect(parseAlertCommand(["ETH-USDT", "change", "below", "-5", "30", "repeat"])).toEqual({
+      condition: { metric: "change", symbol: "ETH-USDT", op: "below", value: -5, windowMinutes: 30 },
+      repeat: true,
+    });
+    expect(parseAlertCommand(["BTC-USDT", "pnl", "below", "-100", "long"]).condition.positionSide).toBe("LONG");
+    expect(parseAlertCommand(["BTC-USDT", "MACD.histogram", "below", "0", "4h"]).condition).toEqual({
+      metric: "indicator",
+      symbol: "BTC-USDT",
+      op: "below",
+      value: 0,
+      indicator: "macd.histogram",
+      interval: "4h",
+    });
+    expect(() => parseAlertCommand(["BTC-USDT", "volume", "above", "1"])).toThrow(/indicator must be one of/);
+    expect(() => parseAlertCommand(["BTC-USDT", "price", "over", "1"])).toThrow(/above or below/);
+    expect(() => parseAlertCommand(["BTC-USDT", "change", "above", "1", "5000"])).toThrow(/windowMinutes/);
+  });
+
+  test("describes conditions with their units", () => {
+    expect(describeCondition({ metric: "funding", symbol: "BTC-USDT", op: "above", value: 0.05 })).toBe(
+      "BTC-USDT funding above 0.05%"
+    );
+    expect(
+      describeCondition({ metric: "pnl", symbol: "BTC-USDT", op: "below", value: -100, positionSide: "LONG" })
+    ).toBe("BTC-USDT LONG PnL below -100 USDT");
+    expect(
+      describeCondition({ metric: "indicator", symbol: "BTC-USDT", op: "above", value: 70, indicator: "rsi", interval: "1h" })
+    ).toBe("BTC-USDT rsi (1h) above 70");
+  });
+
+  test("a one-shot alert fires once to its chat and survives a restart", async () => {
+    const alert = engine.add({
+      chatId: 42,
+      condition: { metric: "price", symbol: "BTC-USDT", op: "above", value: 70000 },
+    });
+    expect(await engine.check()).toEqual([]);
+    expect(engine.get(alert.id)).toMatchObject({ status: "active", lastValue: 69000 });
+
+    engine = create();
+    prices["BTC-USDT"] = 70100;
+    const [fired] = await engine.check();
+    expect(fired).toMatchObject({ id: alert.id, status: "triggered", triggerCount: 1 });
+    expect(sent).toEqual([
+      ["42", `🔔 Alert ${alert.id}: BTC-USDT price above 70000 (now 70100)\nThis alert is now done.`],
+    ]);
+
+    await engine.check();
+    expect(sent).toHaveLength(1);
+    expect(engine.list({ chatId: 42, status: "triggered" })).toHaveLength(1);
+  });
+
+  test("a repeating alert re-arms when its condition clears and respects the cooldown", async () => {
+    const alert = engine.add({
+      chatId: 7,
+      condition: { metric: "price", symbol: "BTC-USDT", op: "below", value: 68000 },
+      repeat: true,
+    });
+    prices["BTC-USDT"] = 67900;
+    await engine.check();
+    await engine.check();
+    expect(sent).toHaveLength(1);
+
+    // Cleared and crossed again within the cooldown: no message yet
+    prices["BTC-USDT"] = 68500;
+    await engine.check();
+    expect(engine.get(alert.id).armed).toBe(true);
+    prices["BTC-USDT"] = 67500;
+    clock += 30000;
+    await engine.check();
+    expect(sent).toHaveLength(1);
+
+    clock += 30000;
+    await engine.check();
+    expect(sent).toHaveLength(2);
+    expect(engine.get(alert.id)).toMatchObject({ status: "active", triggerCount: 2 });
+  });
+
+  test("checks change, funding, PnL and indicator conditions", async () => {
+    const add = (condition) => engine.add({ chatId: 1, condition: { symbol: "BTC-USDT", ...condition } });
+    add({ metric: "change", op: "below", value: -5, windowMinutes: 15 });
+    add({ metric: "funding", op: "above", value: 0.05 });
+    add({ metric: "pnl", op: "below", value: -100 });
+    add({ metric: "pnl", op: "below", value: -100, positionSide: "SHORT" });
+    add({ metric: "indicator", op: "above", value: 70, indicator: "rsi" });
+
+    const fired = await engine.check();
+    expect(fired.map((alert) => alert.condition.metric)).toEqual(["change", "pnl", "indicator"]);
+    expect(sent[0][1]).toContain("BTC-USDT change below -5% in 15m (now -6.5%)");
+    // No SHORT position: nothing to compare
+    expect(engine.list().find((alert) => alert.condition.positionSide === "SHORT").lastValue).toBeNull();
+  });
+
+  test("PnL alerts are checked in the account they were created on", async () => {
+    const accounts = [];
+    let current = "sub";
+    engine = create({
+      currentAccount: () => current,
+      runWithAccount: (account, fn) => {
+        accounts.push(account);
+        return fn();
+      },
+    });
+    engine.add({ chatId: 1, condition: { metric: "pnl", symbol: "BTC-USDT", op: "below", value: -100 } });
+    current = "main";
+    await engine.check();
+    expect(accounts).toEqual(["sub"]);
+  });
+
+  test("one lookup per metric and failures do not stop other alerts", async () => {
+    const getPrice = jest.fn(async (symbol) => {
+      if (symbol === "ETH-USDT") throw new Error("timeout");
+      return 71000;
+    });
+    engine = create({ getPrice });
+    engine.add({ chatId: 1, condition: { metric: "price", symbol: "ETH-USDT", op: "above", value: 1 } });
+    engine.add({ chatId: 1, condition: { metric: "price", symbol: "BTC-USDT", op: "above", value: 70000 } });
+    engine.add({ chatId: 2, condition: { metric: "price", symbol: "BTC-USDT", op: "below", value: 60000 } });
+
+    const fired = await engine.check();
+    expect(fired).toHaveLength(1);
+    expect(getPrice).toHaveBeenCalledTimes(2);
+  });
+
+  test("listing and removal can be limited to the API key that created the alert", () => {
+    const condition = { metric: "price", symbol: "BTC-USDT", op: "above", value: 1 };
+    const alert = engine.add({ chatId: 1, createdBy: "api:tra***ey", condition });
+    expect(engine.list({ createdBy: "api:vie***ey" })).toEqual([]);
+    expect(() => engine.remove(alert.id, { createdBy: "api:vie***ey" })).toThrow(/Unknown alert/);
+    expect(engine.list({ createdBy: "api:tra***ey" })).toHaveLength(1);
+    expect(engine.remove(alert.id, { createdBy: "api:tra***ey" }).id).toBe(alert.id);
+  });
+
+  test("an alert removed while its message is being sent stays removed", async () => {
+    engine = create({
+      send: async (chatId, text) => {
+        sent.push([chatId, text]);
+        engine.remove(alert.id);
+      },
+    });
+    const condition = { metric: "price", symbol: "BTC-USDT", op: "above", value: 1 };
+    const alert = engine.add({ chatId: 1, condition, repeat: true });
+    expect(await engine.check()).toHaveLength(1);
+    expect(sent).toHaveLength(1);
+    expect(engine.list()).toEqual([]);
+  });
+
+  test("removal is limited to the chat that owns the alert", () => {
+    const alert = engine.add({ chatId: 1, condition: { metric: "price", symbol: "BTC-USDT", op: "above", value: 1 } });
+    expect(() => engine.remove(alert.id, { chatId: 2 })).toThrow(/Unknown alert/);
+    expect(engine.remove(alert.id, { chatId: 1 }).id).toBe(alert.id);
+    expect(engine.list()).toEqual([]);
+    expect(() => engine.add({ condition: { metric: "price", symbol: "BTC-USDT", op: "above", value: 1 } })).toThrow(
+      /chatId is required/
+    );
+  });
+});
@@ -0,0 +1,2562 @@
+// app.js
+//
+// The trading server: Express routes, Telegram bot commands and the
+// background jobs behind them, built by createApp({ exchangeClient, bot,
+// config }). config holds the settings, from loadConfig (see config.js) or a
+// map of raw settings loaded with it, by default process.env; bot is a
+// Telegraf instance (one is created from TELEGRAM_BOT_TOKEN when omitted);
+// exchangeClient, when given, answers every exchange request instead of the
+// BingX, Binance or paper clients built from config. Creating the app has no side
+// effects beyond reading config and the data files: start() launches the
+// bot, the streams, the timers and the HTTP server, stop() ends them.
+
+const express = require('express');
+const crypto = require('crypto');
+const { Telegraf } = require("telegraf");
+const path = require("path");
+const { createPaperExchange } = require("./paper-exchange");
+const { loadKlinesFile } = require("./klines");
+const { simpleMomentum, getStrategy } = require("./strategies");
+const { runBacktest } = require("./backtester");
+const { createStrategyScheduler } = require("./strategy-scheduler");
+const { createIndicatorService } = require("./indicators");
+const { RiskError, orderIntent, createRiskManager, loadRiskLimitsFromEnv } = require("./risk-manager");
+const { createMarketCache } = require("./market-cache");
+const { createMarketStream, createUserDataStream } = require("./bingx-stream");
+const { BingxError, createBingxClient, errorFromResponse } = require("./bingx-client");
+const { BinanceError, createBinanceClient } = require("./binance-client");
+const { exchangeLabel, createExchangeAdapter } = require("./exchange-adapter");
+const { normalizeSymbol, normalizeCommandSymbols } = require("./symbols");
+const {
+  ALL_ACCOUNTS,
+  loadAccounts,
+  summarizeBalances,
+  parseAccountSelector,
+  createAccountRegistry,
+} = require("./accounts");
+const { loadCopyTradingConfig, createCopyTrader } = require("./copy-trading");
+const { createPositionSizer, formatSizingPlan } = require("./position-sizing");
+const { formatAlgo, createAlgoEngine } = require("./execution-algos");
+const { parseAlertCommand, createAlertEngine } = require("./alerts");
+const { dataPath, createJsonStore, createJsonLinesLog } = require("./json-store");
+const { NOTIFICATION_EVENTS, createNotifier } = require("./notifier");
+const { loadConfirmCommands, createConfirmationManager } = require("./confirmations");
+const { ValidationError, SCHEMAS, validateRequest } = require("./validation");
+const { buildOpenApiDocument } = require("./openapi");
+const { loadConfig, isLoadedConfig, reloadConfig, watchConfigFile, redactConfig } = require("./config");
+const { createRequestContext, createLogger } = require("./logging");
+const { CONTENT_TYPE, createMetricsRegistry, registerProcessMetrics } = require("./metrics");
+const { createReadinessCheck } = require("./health");
+const { createSignalHandler } = require("./webhook-signals");
+const { createBracketManager } = require("./bracket-orders");
+const { createTradeJournal, toCsv } = require("./trade-journal");
+const { PERIODS, createPnlReporter, formatPnlReport } = require("./pnl-analytics");
+const {
+  balanceTemplate,
+  positionsTemplate,
+  positionSettingsTemplate,
+  ordersTemplate,
+  orderResultTemplate,
+  bulkResultTemplate,
+  bracketTemplate,
+  algoTemplate,
+  algosTemplate,
+  alertTemplate,
+  alertsTemplate,
+  riskOrderTemplate,
+  balanceSummaryTemplate,
+  acrossAccountsTemplate,
+  riskLimitsTemplate,
+  strategiesTemplate,
+  strategyParamsTemplate,
+  createReplyRenderer,
+} = require("./reply-format");
+const {
+  COMMAND_ROLES,
+  loadTelegramUsers,
+  loadApiClients,
+  commandName,
+  createTelegramGuard,
+  createApiGuard,
+  hasRole,
+} = require("./access-control");
+
+function createApp({ exchangeClient = null, bot: telegramBot = null, config: settings = process.env } = {}) {
+  // Risk limits and strategy parameters change on reload, see reloadSettings
+  let config = isLoadedConfig(settings) ? settings : loadConfig({ env: settings, argv: [] });
+
+  // JSON logs with secrets redacted, tagged with the HTTP request or bot
+  // update they belong to (see logging.js)
+  const requestContext = createRequestContext();
+  const logger = createLogger({
+    level: config.LOG_LEVEL,
+    service: "trading-server",
+    context: requestContext,
+    files: [{ filename: config.ERROR_LOG_FILE, level: "error" }, { filename: config.LOG_FILE }],
+    console: config.LOG_CONSOLE,
+  });
+
+  // Audit trail of denied Telegram commands and HTTP requests
+  const auditLogger = createLogger({
+    level: config.LOG_LEVEL,
+    service: "audit",
+    context: requestContext,
+    files: [{ filename: config.AUDIT_LOG_FILE }],
+  });
+
+  // Prometheus metrics for GET /metrics
+  const metrics = createMetricsRegistry();
+  registerProcessMetrics(metrics);
+  const httpRequestDuration = metrics.histogram({
+    name: "http_request_duration_seconds",
+    help: "HTTP request latency by route and status",
+    labelNames: ["method", "route", "status"],
+  });
+  const exchangeRequestDuration = metrics.histogram({
+    name: "exchange_request_duration_seconds",
+    help: "Exchange API latency by endpoint",
+    labelNames: ["exchange", "method", "endpoint"],
+  });
+  const exchangeErrors = metrics.counter({
+    name: "exchange_errors_total",
+    help: "Failed exchange requests by exchange error code",
+    labelNames: ["exchange", "endpoint", "code"],
+  });
+  const ordersPlaced = metrics.counter({
+    name: "orders_placed_total",
+    help: "Orders accepted by the exchange",
+    labelNames: ["exchange", "account", "source", "type"],
+  });
+  const botCommands = metrics.counter({
+    name: "bot_commands_total",
+    help: "Telegram commands run by allowed users",
+    labelNames: ["command"],
+  });
+
+  const app = express();
+
+  // Stores under DATA_DIR, reporting unreadable files to the logger
+  const jsonStore = (fileName) => createJsonStore(dataPath(fileName, config.DATA_DIR), {}, { logger });
+
+  // BingX API configuration
+  const BINGX_CLIENT_OPTIONS = {
+    baseUrl: config.BINGX_BASE_URL,
+    recvWindow: config.BINGX_RECV_WINDOW_MS,
+    timeoutMs: config.BINGX_TIMEOUT_MS,
+    maxRetries: config.BINGX_MAX_RETRIES,
+    logger,
+  };
+
+  // Binance USDⓈ-M futures, with the same request settings
+  const BINANCE_CLIENT_OPTIONS = { ...BINGX_CLIENT_OPTIONS, baseUrl: config.BINANCE_BASE_URL };
+
+  // Named accounts: BINGX_API_KEY/BINGX_SECRET_KEY ("main"),
+  // BINANCE_API_KEY/BINANCE_SECRET_KEY ("binance"), BINGX_ACCOUNTS and the
+  // encrypted BINGX_ACCOUNTS_FILE
+  const accountConfigs = loadAccounts({ env: config });
+
+  // Rate limited, retrying client for public market data, unless a client
+  // was handed in
+  const marketDataClient = exchangeClient || createBingxClient(BINGX_CLIENT_OPTIONS);
+
+  // Paper trading: every request is answered by a local simulated exchange
+  const PAPER_TRADING = config.PAPER_TRADING;
+
+  // Telegram Bot configuration
+  const bot = telegramBot || new Telegraf(config.TELEGRAM_BOT_TOKEN);
+
+  // Errors answer with the same JSON shape and the request ID
+  const errorMiddleware = (err, req, res, next) => {
+    // Failed BingX HTTP calls surface as 502
+    const statusCode = err.statusCode || (err.response ? 502 : 500);
+    const message = err.message || "Internal Server Error";
+
+    // Server and exchange failures are errors, refused requests warnings
+    logger.log(statusCode >= 500 ? "error" : "warn", message, {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode,
+      ...(statusCode >= 500 && { stack: err.stack }),
+    });
+
+    // Tell clients when BingX rate limited us
+    if (err.retryAfterMs) res.set("Retry-After", String(Math.ceil(err.retryAfterMs / 1000)));
+
+    // Send error response
+    res.status(statusCode).json({
+      status: "error",
+      statusCode,
+      message,
+      requestId: req.id,
+      ...(err.rule && { rule: err.rule }),
+      ...(err.details && { details: err.details }),
+      ...(config.NODE_ENV === "development" && { stack: err.stack }),
+    });
+  };
+
+  // Every HTTP request runs with a request ID (the client's X-Request-Id when
+  // it sends a valid one), echoed back and carried by its log entries,
+  // journal entries and exchange calls
+  app.use((req, res, next) =>
+    requestContext.runWithRequest({ requestId: req.get("X-Request-Id"), channel: "http" }, () => {
+      const startedAt = Date.now();
+      req.id = requestContext.requestId();
+      res.set("X-Request-Id", req.id);
+      res.on("finish", () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+        const durationMs = Date.now() - startedAt;
+        httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, durationMs / 1000);
+        logger.info("http request", {
+          requestId: req.id,
+          method: req.method,
+          path: req.originalUrl,
+          route,
+          status: res.statusCode,
+          durationMs,
+          apiKey: req.auth ? req.auth.apiKey : null,
+        });
+      });
+      next();
+    })
+  );
+
+  // Keep the raw body around for HMAC signature checks
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+
+  // Symbols are accepted as BTC-USDT or BTCUSDT and handled as BTC-USDT
+  app.use((req, res, next) => {
+    if (typeof req.query.symbol === "string") req.query.symbol = normalizeSymbol(req.query.symbol);
+    if (req.body && typeof req.body.symbol === "string") req.body.symbol = normalizeSymbol(req.body.symbol);
+    next();
+  });
+  app.param("symbol", (req, res, next, symbol) => {
+    req.params.symbol = normalizeSymbol(symbol);
+    next();
+  });
+
+  // /accounts/<name>/<route> runs <route> against that account; the name is
+  // checked once the client is authenticated
+  app.use((req, res, next) => {
+    const match = /^\/accounts\/([^/]+)(\/.+)$/.exec(req.url);
+    if (match) {
+      req.accountId = decodeURIComponent(match[1]);
+      req.url = match[2];
+    }
+    next();
+  });
+
+  // TELEGRAM_USERS="userId:role,..." - everyone else is turned away
+  const telegramUsers = loadTelegramUsers(config.TELEGRAM_USERS);
+  if (telegramUsers.size === 0) {
+    logger.warn("No TELEGRAM_USERS configured: the bot will refuse every command");
+  }
+
+  // API_KEYS="key:role[:secret],..." (roles: viewer, trader, admin)
+  const apiClients = loadApiClients(config.API_KEYS);
+  if (apiClients.size === 0) {
+    logger.warn("No API_KEYS configured: every HTTP route will answer 401");
+  }
+  app.use(
+    createApiGuard({
+      clients: apiClients,
+      audit: auditLogger,
+      // Probes and, with METRICS_PUBLIC, scrapers come without a key
+      publicPaths: [
+        "/openapi.json",
+        "/webhook/signal",
+        "/healthz",
+        "/readyz",
+        ...(config.METRICS_PUBLIC ? ["/metrics"] : []),
+      ],
+    })
+  );
+
+  // Orders sent through REST are journaled with the API key that sent them
+  app.use((req, res, next) =>
+    tradeJournal.runWithSource({ type: "rest", id: req.auth ? req.auth.apiKey : null }, next)
+  );
+
+  app.use((req, res, next) => {
+    if (!req.accountId) return next();
+    if (!accounts.has(req.accountId)) {
+      const error = new Error(`Unknown account: ${req.accountId}`);
+      error.statusCode = 404;
+      return next(error);
+    }
+    return accounts.runWithAccount(req.accountId, next);
+  });
+
+  // Unsigned request for public market data endpoints
+  async function fetchPublicMarketData(endpoint, params = {}) {
+    return marketDataClient.request("GET", endpoint, params, { signed: false });
+  }
+
+  // Every order request, response, fill, cancel and close, tagged with its
+  // source (DATA_DIR/trade-journal.jsonl)
+  const tradeJournal = createTradeJournal({
+    log: createJsonLinesLog(dataPath("trade-journal.jsonl", config.DATA_DIR)),
+    currentAccount: () => accounts.currentId(),
+    currentRequestId: () => requestContext.requestId(),
+  });
+
+  // Requests run against the account selected with accounts.runWithAccount,
+  // BINGX_DEFAULT_ACCOUNT (or the first account) otherwise. Each account has
+  // its own BingX or Binance client, or its own simulated exchange in paper
+  // trading; an exchangeClient handed to createApp answers for every account.
+  const paperExchanges = [];
+  const accounts = createAccountRegistry({
+    accounts: accountConfigs,
+    defaultId: config.BINGX_DEFAULT_ACCOUNT,
+    createClient: (account) => {
+      if (exchangeClient) return exchangeClient;
+      if (!PAPER_TRADING) {
+        const createClient = account.exchange === "binance" ? createBinanceClient : createBingxClient;
+        return createClient({
+          ...(account.exchange === "binance" ? BINANCE_CLIENT_OPTIONS : BINGX_CLIENT_OPTIONS),
+          apiKey: account.apiKey,
+          secretKey: account.secretKey,
+        });
+      }
+      const exchange = createPaperExchange({
+        startingBalance: config.PAPER_STARTING_BALANCE,
+        leverage: config.PAPER_LEVERAGE,
+        fetchMarketData: fetchPublicMarketData,
+        onFill: (fill) => accounts.runWithAccount(account.id, () => tradeJournal.recordFill(fill)),
+        logger,
+      });
+      paperExchanges.push(exchange);
+      return { request: exchange.handleRequest };
+    },
+  });
+
+  // Copy trading (COPY_LEADER, COPY_FOLLOWERS): orders, cancels and closes on
+  // the leader are repeated on the followers, which still pass the risk checks
+  const copyTradingConfig = loadCopyTradingConfig(config);
+  const copyTrader = copyTradingConfig
+    ? createCopyTrader({
+        ...copyTradingConfig,
+        store: jsonStore("copy-orders.json"),
+        send: (account, method, endpoint, params, { leaderOrderId }) =>
+          accounts.runWithAccount(account, () =>
+            tradeJournal.runWithSource(
+              { type: "copy", id: copyTradingConfig.leader, leaderOrderId },
+              async () => {
+                // Mirrored stops and reduce-only orders are exits, not entries
+                if (/\/trade\/order$/.test(endpoint)) await checkRisk({ ...params, intent: orderIntent(params) });
+                return makeRequest(method, endpoint, params);
+              }
+            )
+          ),
+        logger,
+      })
+    : null;
+  if (copyTradingConfig) {
+    // Requests are repeated as they were sent, so every account must speak BingX
+    [copyTradingConfig.leader, ...copyTradingConfig.followers.map((f) => f.account)].forEach((id) => {
+      accounts.get(id);
+      if (exchangeName(id) !== "bingx") {
+        throw new Error(`Copy trading needs BingX accounts, "${id}" trades on ${exchangeLabel(exchangeName(id))}`);
+      }
+    });
+  }
+
+  // The exchange an account trades on; paper trading and an injected
+  // exchangeClient speak BingX whatever the account says
+  function exchangeName(id = accounts.currentId()) {
+    return PAPER_TRADING || exchangeClient ? "bingx" : accounts.exchange(id);
+  }
+
+  // Exchange adapter of the current account (see exchange-adapter.js); the
+  // order, position, balance and quote functions below go through it, the
+  // BingX-only features call makeRequest directly and answer 501 elsewhere
+  const adapters = new Map();
+  function exchange(id = accounts.currentId()) {
+    if (!adapters.has(id)) {
+      adapters.set(id, createExchangeAdapter(exchangeName(id), { request: makeRequest }));
+    }
+    return adapters.get(id);
+  }
+
+  // Last prices, order books, positions and orders pushed by the WebSocket streams
+  const marketCache = createMarketCache();
+
+  // Function to make authenticated API requests; calls that change orders or
+  // positions are journaled with their response or error, and the leader's
+  // are handed to copy trading. Every call is measured and logged.
+  async function makeRequest(method, endpoint, params = {}) {
+    const startedAt = Date.now();
+    let response;
+    try {
+      response = await sendRequest(method, endpoint, params);
+    } catch (error) {
+      observeExchangeCall(method, endpoint, params, startedAt, { error });
+      tradeJournal.recordRequest(method, endpoint, params, { error });
+      throw error;
+    }
+    observeExchangeCall(method, endpoint, params, startedAt, { response });
+    const entry = tradeJournal.recordRequest(method, endpoint, params, { response });
+    if (entry && entry.action === "order" && entry.status !== "error") {
+      ordersPlaced.inc({
+        exchange: exchangeName(),
+        account: entry.account,
+        source: entry.source.type,
+        type: entry.type,
+      });
+    }
+    if (copyTrader) {
+      copyTrader
+        .handleRequest(accounts.currentId(), method, endpoint, params, response)
+        .catch((error) => logger.error("Copy trading failed", { error: error.message }));
+    }
+    return response;
+  }
+
+  // Latency and error code metrics and a log entry for an exchange call;
+  // reads are logged at debug level only
+  function observeExchangeCall(method, endpoint, params, startedAt, { response, error }) {
+    const name = exchangeName();
+    const durationMs = Date.now() - startedAt;
+    const failed = Boolean(error) || Boolean(response && response.code !== 0);
+    const code = error ? (error.code ?? error.type ?? "unknown") : response && response.code;
+    exchangeRequestDuration.observe({ exchange: name, method, endpoint }, durationMs / 1000);
+    if (failed) exchangeErrors.inc({ exchange: name, endpoint, code: String(code) });
+    logger.log(failed ? "warn" : method === "GET" ? "debug" : "info", "exchange request", {
+      account: accounts.currentId(),
+      exchange: name,
+      method,
+      endpoint,
+      params,
+      durationMs,
+      ...(failed && { code, error: error ? error.message : response.msg }),
+    });
+  }
+
+  async function sendRequest(method, endpoint, params = {}) {
+    return accounts.client().request(method, endpoint, params);
+  }
+
+  async function getAccountBalance() {
+    return exchange().getBalance();
+  }
+
+  // The user data stream follows the default account only
+  async function getOpenPositions() {
+    const cachedPositions = accounts.isDefault() && marketCache.getPositions();
+    if (cachedPositions) {
+      return { code: 0, msg: "", data: cachedPositions };
+    }
+    return exchange().getPositions();
+  }
+
+  async function getPendingOrders() {
+    const cachedOrders = accounts.isDefault() && marketCache.getOrders();
+    if (cachedOrders) {
+      return { code: 0, msg: "", data: cachedOrders };
+    }
+    return exchange().getOpenOrders();
+  }
+
+  async function closePosition(symbol, positionSide) {
+    await checkRisk({ symbol, positionSide, intent: "close" });
+    return exchange().closePosition(symbol, positionSide);
+  }
+
+  async function cancelOrder(symbol, orderId) {
+    await checkRisk({ symbol, intent: "cancel" });
+    return exchange().cancelOrder(symbol, orderId);
+  }
+
+  async function closeAllPositions(symbol = "") {
+    const positions = await getOpenPositions();
+    const closePromises = positions.data
+      .filter((pos) => symbol === "" || pos.symbol === symbol)
+      .map((pos) => closePosition(pos.symbol, pos.positionSide));
+    return Promise.all(closePromises);
+  }
+
+  async function cancelAllOrders(symbol = "") {
+    const orders = await getPendingOrders();
+    const cancelPromises = orders.data
+      .filter((order) => symbol === "" || order.symbol === symbol)
+      .map((order) => cancelOrder(order.symbol, order.orderId));
+    return Promise.all(cancelPromises);
+  }
+
+  // Exit orders are tied to the position they protect: the closing side, its
+  // positionSide and its quantity. In hedge mode a SELL on the LONG side (or a
+  // BUY on the SHORT side) can only reduce that position, which makes these
+  // orders reduce-only. Without a target the open position on symbol is used.
+  // In one-way mode BingX only takes positionSide BOTH, so the exit says
+  // reduceOnly instead (the other exchange adapters map this themselves).
+  async function protectiveOrder(symbol, params, { positionSide, quantity } = {}) {
+    await checkRisk({ symbol, intent: "protect" });
+    if (!positionSide || !quantity) {
+      const position = await getPosition(symbol);
+      if (!position) {
+        const error = new Error(`No open position on ${symbol} to protect`);
+        error.statusCode = 400;
+        throw error;
+      }
+      positionSide = positionSide || position.side;
+      quantity = quantity || position.quantity;
+    }
+    const oneWay = exchangeName() === "bingx" && !(await cachedHedgeMode());
+    return exchange().placeOrder({
+      symbol,
+      side: positionSide === "LONG" ? "SELL" : "BUY",
+      positionSide: oneWay ? "BOTH" : positionSide,
+      ...(oneWay && { reduceOnly: "true" }),
+      quantity: parseFloat(quantity),
+      workingType: "MARK_PRICE",
+      ...params,
+    });
+  }
+
+  async function setTrailingStop(symbol, activationPrice, callbackRate, target) {
+    return protectiveOrder(
+      symbol,
+      { type: "TRAILING_STOP_MARKET", activationPrice, callbackRate },
+      target
+    );
+  }
+
+  async function setStopLoss(symbol, stopPrice, target) {
+    return protectiveOrder(symbol, { type: "STOP_MARKET", stopPrice }, target);
+  }
+
+  async function setTakeProfit(symbol, stopPrice, target) {
+    return protectiveOrder(symbol, { type: "TAKE_PROFIT_MARKET", stopPrice }, target);
+  }
+
+  // Place a market order
+  async function placeMarketOrder(symbol, side, quantity) {
+    const params = {
+      symbol,
+      side,
+      type: "MARKET",
+      quantity: parseFloat(quantity),
+    };
+    await checkRisk(params);
+    return exchange().placeOrder(params);
+  }
+
+  async function placeLimitOrder(symbol, side, quantity, price) {
+    const params = {
+      symbol,
+      side,
+      type: "LIMIT",
+      quantity: parseFloat(quantity),
+      price,
+    };
+    await checkRisk(params);
+    return exchange().placeOrder(params);
+  }
+
+  // Leverage and the margin mode are set per symbol; the position mode (hedge
+  // or one-way) covers the whole account
+  async function getPositionMode() {
+    return makeRequest("GET", "/openApi/swap/v1/positionSide/dual");
+  }
+
+  // Position mode of each account as last read, so exits do not read it
+  // again every time; re-read after POSITION_MODE_TTL_MS in case it was
+  // changed outside the server
+  const POSITION_MODE_TTL_MS = 5 * 60 * 1000;
+  const positionModes = new Map();
+  async function cachedHedgeMode() {
+    const cached = positionModes.get(accounts.currentId());
+    if (cached && Date.now() - cached.readAt < POSITION_MODE_TTL_MS) return cached.hedgeMode;
+    return isHedgeMode();
+  }
+
+  async function isHedgeMode() {
+    const mode = exchangeResult(await getPositionMode());
+    const hedgeMode = String(mode.data.dualSidePosition) === "true";
+    positionModes.set(accounts.currentId(), { hedgeMode, readAt: Date.now() });
+    return hedgeMode;
+  }
+
+  // { symbol, longLeverage, shortLeverage, maxLongLeverage, maxShortLeverage,
+  // marginType, hedgeMode }
+  async function getPositionSettings(symbol) {
+    const [leverage, margin, hedgeMode] = await Promise.all([
+      makeRequest("GET", "/openApi/swap/v2/trade/leverage", { symbol }).then(exchangeResult),
+      makeRequest("GET", "/openApi/swap/v2/trade/marginType", { symbol }).then(exchangeResult),
+      isHedgeMode(),
+    ]);
+    return {
+      symbol,
+      longLeverage: parseInt(leverage.data.longLeverage, 10),
+      shortLeverage: parseInt(leverage.data.shortLeverage, 10),
+      maxLongLeverage: parseInt(leverage.data.maxLongLeverage, 10) || null,
+      maxShortLeverage: parseInt(leverage.data.maxShortLeverage, 10) || null,
+      marginType: margin.data.marginType,
+      hedgeMode,
+    };
+  }
+
+  // Without a side both sides change: LONG and SHORT in hedge mode, BOTH in
+  // one-way mode
+  async function setLeverage(symbol, leverage, side) {
+    const sides = side ? [side] : (await isHedgeMode()) ? ["LONG", "SHORT"] : ["BOTH"];
+    const results = [];
+    for (const positionSide of sides) {
+      results.push(
+        exchangeResult(
+          await makeRequest("POST", "/openApi/swap/v2/trade/leverage", {
+            symbol,
+            side: positionSide,
+            leverage: parseInt(leverage, 10),
+          })
+        )
+      );
+    }
+    return results;
+  }
+
+  async function setMarginType(symbol, marginType) {
+    return makeRequest("POST", "/openApi/swap/v2/trade/marginType", { symbol, marginType });
+  }
+
+  async function setPositionMode(hedgeMode) {
+    positionModes.delete(accounts.currentId());
+    return makeRequest("POST", "/openApi/swap/v1/positionSide/dual", {
+      dualSidePosition: String(hedgeMode),
+    });
+  }
+
+  // Isolated positions only; a negative amount takes margin back
+  async function adjustPositionMargin(symbol, positionSide, amount) {
+    const value = parseFloat(amount);
+    return makeRequest("POST", "/openApi/swap/v2/trade/positionMargin", {
+      symbol,
+      positionSide,
+      amount: Math.abs(value),
+      type: value < 0 ? 2 : 1,
+    });
+  }
+
+  // Every order path checks the risk limits (RISK_* settings) before makeRequest
+  const riskManager = createRiskManager({
+    limits: loadRiskLimitsFromEnv(config),
+    getPositions: async () => (await getOpenPositions()).data || [],
+    getEquity: getAccountEquity,
+    getPrice: getLastPrice,
+    currentAccount: () => accounts.currentId(),
+  });
+
+  async function getAccountEquity() {
+    return parseFloat((await getAccountBalance()).data.balance.equity);
+  }
+
+  // Risk check in front of every order path; rejections are journaled too
+  async function checkRisk(order) {
+    try {
+      return await riskManager.checkOrder(order);
+    } catch (error) {
+      if (error instanceof RiskError) {
+        tradeJournal.record({
+          action: "rejected",
+          symbol: order.symbol,
+          side: order.side || null,
+          type: order.type || order.orderType || null,
+          quantity: parseFloat(order.quantity) || null,
+          price: parseFloat(order.price) || null,
+          status: "rejected",
+          error: error.message,
+          rule: error.rule,
+          request: order,
+        });
+      }
+      throw error;
+    }
+  }
+
+  // Last traded price, from the stream cache when it is fresh
+  async function getLastPrice(symbol) {
+    const cached = marketCache.getPrice(symbol);
+    if (cached) return cached.price;
+    const tickerData = await exchange().getPrice(symbol);
+    return parseFloat(tickerData.data.price);
+  }
+
+  // Bot reply for a failed command, naming the risk rule for rejected orders
+  function formatError(error) {
+    if (error instanceof RiskError) {
+      return `Order rejected by risk rule "${error.rule}": ${error.message}`;
+    }
+    if (error instanceof BingxError || error instanceof BinanceError) {
+      return `Exchange error${error.code ? ` ${error.code}` : ""}: ${error.message}`;
+    }
+    return `Error: ${error.message}`;
+  }
+
+  // Fetch klines normalized to { time, open, high, low, close, volume }, oldest first
+  async function fetchKlines(symbol, interval, limit, startTime, endTime) {
+    const klineData = exchangeResult(await exchange().getKlines({ symbol, interval, limit, startTime, endTime }));
+    return klineData.data;
+  }
+
+  const indicatorService = createIndicatorService({ fetchCandles: fetchKlines });
+
+  // Simple trading strategy based on price movement (see strategies.js), with
+  // the parameters set through STRATEGY_PARAMS or PUT /strategies/:name/params
+  async function simpleTradingStrategy(symbol) {
+    const strategy = simpleMomentum;
+    const params = strategyScheduler.getParams(strategy.name);
+    try {
+      // Get latest price
+      const tickerData = await exchange().getPrice(symbol);
+      const currentPrice = parseFloat(tickerData.data.price);
+
+      // Get historical data and indicators, updated incrementally per call
+      const { candles, indicators } = await indicatorService.get(symbol, params.interval);
+
+      const decision = strategy.decide(
+        { symbol, price: currentPrice, candles, indicators },
+        null,
+        params
+      );
+      if (!decision) {
+        logger.info(`No significant price movement for ${symbol}. No action taken.`);
+        return null;
+      }
+
+      logger.info(
+        `Price is going ${decision.action === "BUY" ? "up" : "down"} for ${symbol}. Placing a ${decision.action.toLowerCase()} order.`
+      );
+      return placeMarketOrder(symbol, decision.action, decision.quantity);
+    } catch (error) {
+      logger.error("Error in trading strategy", { symbol, error: error.message });
+      throw error;
+    }
+  }
+
+  // Current position on a symbol as { side, quantity, entryPrice }, or null when flat
+  async function getPosition(symbol) {
+    const positions = await getOpenPositions();
+    const position = (positions.data || []).find(
+      (pos) => pos.symbol === symbol && parseFloat(pos.positionAmt) !== 0
+    );
+    if (!position) return null;
+
+    const amount = parseFloat(position.positionAmt);
+    return {
+      side:
+        position.positionSide === "BOTH" ? (amount > 0 ? "LONG" : "SHORT") : position.positionSide,
+      quantity: Math.abs(amount),
+      entryPrice: parseFloat(position.avgPrice),
+    };
+  }
+
+  const strategyScheduler = createStrategyScheduler({
+    fetchCandles: fetchKlines,
+    getPosition,
+    placeOrder: placeMarketOrder,
+    closePosition,
+    getLastPrice: (symbol) => {
+      const cached = marketCache.getPrice(symbol);
+      return cached ? cached.price : null;
+    },
+    runInContext: (instance, fn) =>
+      tradeJournal.runWithSource({ type: "strategy", id: instance.name, symbol: instance.symbol }, fn),
+    logger,
+  });
+  Object.entries(config.STRATEGY_PARAMS).forEach(([name, params]) => strategyScheduler.setParams(name, params));
+
+  // Parse "key=value" arguments into strategy params, keeping numbers numeric
+  function parseParams(args) {
+    return args.reduce((params, arg) => {
+      const [key, ...rest] = arg.split("=");
+      const value = rest.join("=");
+      if (key && value !== "") {
+        params[key] = isNaN(Number(value)) ? value : Number(value);
+      }
+      return params;
+    }, {});
+  }
+
+  // Resolve a backtest data file inside BACKTEST_DATA_DIR, refusing paths outside it
+  function resolveBacktestFile(file) {
+    const dataDir = path.resolve(config.BACKTEST_DATA_DIR);
+    const filePath = path.resolve(dataDir, file);
+    if (!filePath.startsWith(dataDir + path.sep)) {
+      const error = new Error("Backtest file must be inside the backtest data directory");
+      error.statusCode = 400;
+      throw error;
+    }
+    return filePath;
+  }
+
+  // Express routes
+  app.get('/balance', async (req, res, next) => {
+    try {
+      const balance = await getAccountBalance();
+      res.json(balance);
+    } catch (error) {
+      //res.status(500).json({ error: 'Failed to fetch account balance' });
+      next(error);
+    }
+  });
+
+  // Accounts and the views across all of them
+  app.get("/accounts", (req, res) => {
+    res.json({
+      default: accounts.defaultId,
+      accounts: accounts.ids(),
+      exchanges: Object.fromEntries(accounts.ids().map((id) => [id, exchangeName(id)])),
+      copyTrading: copyTrader ? copyTrader.config() : null,
+    });
+  });
+
+  app.get("/accounts/balances", async (req, res, next) => {
+    try {
+      res.json(summarizeBalances(await accounts.forEachAccount(() => getAccountBalance())));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/accounts/positions", async (req, res, next) => {
+    try {
+      const results = await accounts.forEachAccount(async () => exchangeResult(await getOpenPositions()));
+      res.json({
+        positions: results
+          .filter((entry) => entry.result)
+          .flatMap(({ account, result }) => (result.data || []).map((position) => ({ account, ...position }))),
+        errors: results.filter((entry) => entry.error),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/trade/:symbol', async (req, res, next) => {
+    const { symbol } = req.params;
+    try {
+      const result = await simpleTradingStrategy(symbol);
+      res.json(result);
+    } catch (error) {
+      //res.status(500).json({ error: 'Failed to execute trade' });
+      next(error);
+    }
+  });
+
+  app.get('/positions', async (req, res, next) => {
+    try {
+      res.json(await getOpenPositions());
+    } catch (error) {
+      //res.status(500).json({ error: 'Failed to fetch positions' });
+      next(error);
+    }
+  });
+
+  app.get('/price/:symbol', async (req, res, next) => {
+    const { symbol } = req.params;
+    try {
+      const cachedPrice = marketCache.getPrice(symbol);
+      const price = cachedPrice
+        ? {
+            code: 0,
+            msg: "",
+            data: { symbol, price: String(cachedPrice.price), time: cachedPrice.time },
+          }
+        : await exchange().getPrice(symbol);
+      res.json(price);
+    } catch (error) {
+      //res.status(500).json({ error: 'Failed to fetch price' });
+      next(error);
+    }
+  });
+
+
+  // Replay historical klines through a strategy. Candles come from a local
+  // CSV/JSON file in BACKTEST_DATA_DIR or are downloaded from BingX.
+  app.post("/backtest", async (req, res, next) => {
+    const {
+      strategy: strategyName = simpleMomentum.name,
+      symbol,
+      interval = "1m",
+      limit = 1000,
+      startTime,
+      endTime,
+      file,
+      params,
+      initialBalance,
+      feeRate,
+      slippage,
+      sizing,
+    } = req.body || {};
+
+    try {
+      const strategy = getStrategy(strategyName);
+      if (!strategy) {
+        const error = new Error(`Unknown strategy: ${strategyName}`);
+        error.statusCode = 400;
+        throw error;
+      }
+      if (!file && !symbol) {
+        const error = new Error("Either symbol or file is required");
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const candles = file
+        ? loadKlinesFile(resolveBacktestFile(file))
+        : await fetchKlines(symbol, interval, limit, startTime, endTime);
+
+      const report = runBacktest({
+        strategy,
+        candles,
+        symbol: symbol || "",
+        interval,
+        params,
+        initialBalance,
+        feeRate,
+        slippage,
+        sizing,
+      });
+      res.json(report);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Latest indicator values, e.g. /indicators/BTC-USDT?interval=1h&names=rsi,macd
+  app.get("/indicators/:symbol", async (req, res, next) => {
+    const { symbol } = req.params;
+    const { interval = "1m", names } = req.query;
+    try {
+      const { candles, ...result } = await indicatorService.get(symbol, interval, names);
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/risk", (req, res) => {
+    res.json(riskManager.getStatus());
+  });
+
+  app.post("/risk/kill-switch", (req, res) => {
+    const { enabled } = req.body || {};
+    res.json(riskManager.setKillSwitch(enabled === true || enabled === "true"));
+  });
+
+  app.get("/strategies", (req, res) => {
+    res.json(strategyScheduler.list());
+  });
+
+  app.post("/strategies/:name/start", (req, res, next) => {
+    const { symbol, params } = req.body || {};
+    try {
+      res.json(strategyScheduler.start(req.params.name, symbol, params));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/strategies/:name/stop", (req, res, next) => {
+    const { symbol } = req.body || {};
+    try {
+      res.json(strategyScheduler.stop(req.params.name, symbol));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.put("/strategies/:name/params", (req, res, next) => {
+    const { symbol, params } = req.body || {};
+    try {
+      res.json(strategyScheduler.setParams(req.params.name, params || {}, symbol));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // BingX rejects requests with HTTP 200 and a non-zero code
+  function exchangeResult(result) {
+    const error = errorFromResponse(result);
+    if (error) throw error;
+    return result;
+  }
+
+  // REST equivalents of the bot commands, validated against SCHEMAS
+  app.get("/orders", async (req, res, next) => {
+    try {
+      res.json(await getPendingOrders());
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/orders", validateRequest({ body: SCHEMAS.OrderRequest }), async (req, res, next) => {
+    const { symbol, side, type = "MARKET", quantity, price } = req.body;
+    try {
+      if (type === "LIMIT" && price === undefined) {
+        throw new ValidationError(["body.price is required for LIMIT orders"]);
+      }
+      const result =
+        type === "LIMIT"
+          ? await placeLimitOrder(symbol, side, quantity, price)
+          : await placeMarketOrder(symbol, side, quantity);
+      res.json(exchangeResult(result));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post(
+    "/orders/cancel-all",
+    validateRequest({ body: SCHEMAS.SymbolFilterRequest }),
+    async (req, res, next) => {
+      try {
+        res.json(await cancelAllOrders(req.body.symbol));
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  app.delete(
+    "/orders/:symbol/:orderId",
+    validateRequest({ params: SCHEMAS.SymbolParams }),
+    async (req, res, next) => {
+      const { symbol, orderId } = req.params;
+      try {
+        res.json(exchangeResult(await cancelOrder(symbol, orderId)));
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  app.post(
+    "/orders/:symbol/stop-loss",
+    validateRequest({ params: SCHEMAS.SymbolParams, body: SCHEMAS.StopPriceRequest }),
+    async (req, res, next) => {
+      try {
+        res.json(exchangeResult(await setStopLoss(req.params.symbol, req.body.stopPrice)));
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  app.post(
+    "/orders/:symbol/take-profit",
+    validateRequest({ params: SCHEMAS.SymbolParams, body: SCHEMAS.StopPriceRequest }),
+    async (req, res, next) => {
+      try {
+        res.json(exchangeResult(await setTakeProfit(req.params.symbol, req.body.stopPrice)));
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  app.post(
+    "/orders/:symbol/trailing-stop",
+    validateRequest({ params: SCHEMAS.SymbolParams, body: SCHEMAS.TrailingStopRequest }),
+    async (req, res, next) => {
+      const { activationPrice, callbackRate } = req.body;
+      try {
+        res.json(
+          exchangeResult(await setTrailingStop(req.params.symbol, activationPrice, callbackRate))
+        );
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  app.post(
+    "/positions/close-all",
+    validateRequest({ body: SCHEMAS.SymbolFilterRequest }),
+    async (req, res, next) => {
+      try {
+        res.json(await closeAllPositions(req.body.symbol));
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  app.post(
+    "/positions/:symbol/close",
+    validateRequest({ params: SCHEMAS.SymbolParams, body: SCHEMAS.ClosePositionRequest }),
+    async (req, res, next) => {
+      try {
+        res.json(exchangeResult(await closePosition(req.params.symbol, req.body.positionSide)));
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  app.post(
+    "/positions/:symbol/margin",
+    validateRequest({ params: SCHEMAS.SymbolParams, body: SCHEMAS.PositionMarginRequest }),
+    async (req, res, next) => {
+      const { positionSide, amount } = req.body;
+      try {
+        if (amount === 0) throw new ValidationError(["body.amount must not be 0"]);
+        res.json(exchangeResult(await adjustPositionMargin(req.params.symbol, positionSide, amount)));
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  // Leverage, margin mode and position mode
+  app.get("/settings/:symbol", validateRequest({ params: SCHEMAS.SymbolParams }), async (req, res, next) => {
+    try {
+      res.json(await getPositionSettings(req.params.symbol));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post(
+    "/settings/:symbol/leverage",
+    validateRequest({ params: SCHEMAS.SymbolParams, body: SCHEMAS.LeverageRequest }),
+    async (req, res, next) => {
+      try {
+        res.json(await setLeverage(req.params.symbol, req.body.leverage, req.body.side));
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  app.post(
+    "/settings/:symbol/margin-type",
+    validateRequest({ params: SCHEMAS.SymbolParams, body: SCHEMAS.MarginTypeRequest }),
+    async (req, res, next) => {
+      try {
+        res.json(exchangeResult(await setMarginType(req.params.symbol, req.body.marginType)));
+      } catch (error) {
+        next(error);
+      }
+    }
+  );
+
+  app.get("/position-mode", async (req, res, next) => {
+    try {
+      res.json(exchangeResult(await getPositionMode()));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/position-mode", validateRequest({ body: SCHEMAS.PositionModeRequest }), async (req, res, next) => {
+    try {
+      res.json(exchangeResult(await setPositionMode(req.body.hedgeMode)));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Alerts from external charting tools, authenticated by WEBHOOK_SECRET
+  // instead of an API key. Seen signal IDs live in DATA_DIR/webhook-seen.json,
+  // every alert and its outcome in DATA_DIR/webhook-signals.jsonl.
+  const exchangeCall = (fn) => async (...args) => exchangeResult(await fn(...args));
+  // Entry sizes from a risk percentage and a stop, rounded to the contract
+  // rules from BingX
+  const positionSizer = createPositionSizer({
+    fetchContracts: async () =>
+      exchangeResult(await makeRequest("GET", "/openApi/swap/v2/quote/contracts")).data || [],
+    getEquity: getAccountEquity,
+    getPrice: getLastPrice,
+  });
+
+  const signalHandler = createSignalHandler({
+    secret: config.WEBHOOK_SECRET,
+    store: jsonStore("webhook-seen.json"),
+    journal: createJsonLinesLog(dataPath("webhook-signals.jsonl", config.DATA_DIR)),
+    trading: {
+      getPrice: getLastPrice,
+      getEquity: getAccountEquity,
+      getContractRules: (symbol) => positionSizer.getContractRules(symbol),
+      getPosition,
+      placeMarketOrder: exchangeCall(placeMarketOrder),
+      closePosition: exchangeCall(closePosition),
+      closeAllPositions,
+      cancelAllOrders,
+      setStopLoss: exchangeCall(setStopLoss),
+      setTakeProfit: exchangeCall(setTakeProfit),
+      setTrailingStop: exchangeCall(setTrailingStop),
+    },
+  });
+
+  app.post("/webhook/signal", async (req, res, next) => {
+    try {
+      const signalId = req.body && req.body.id !== undefined ? String(req.body.id) : null;
+      const result = await tradeJournal.runWithSource({ type: "webhook", id: signalId }, () =>
+        signalHandler.handle(req.body, {
+          providedSecret: req.get("X-Webhook-Secret"),
+          source: req.ip,
+        })
+      );
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Entry + stop loss + take profit with OCO exits (DATA_DIR/brackets.json)
+  // Market entry for a sizing plan with its stop loss attached; a failed stop
+  // is reported next to the entry instead of undoing it
+  async function placeRiskSizedOrder(plan) {
+    const entry = exchangeResult(await placeMarketOrder(plan.symbol, plan.side, plan.quantity));
+    const order = (entry.data && entry.data.order) || {};
+    const target = {
+      positionSide: plan.side === "BUY" ? "LONG" : "SHORT",
+      quantity: parseFloat(order.executedQty) || plan.quantity,
+    };
+    try {
+      const stopLoss = exchangeResult(await setStopLoss(plan.symbol, plan.stopPrice, target));
+      return { plan, entry, stopLoss };
+    } catch (error) {
+      return { plan, entry, stopLoss: null, error: error.message };
+    }
+  }
+
+  app.post("/sizing", validateRequest({ body: SCHEMAS.RiskOrderRequest }), async (req, res, next) => {
+    try {
+      res.json(await positionSizer.size(req.body));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/orders/risk", validateRequest({ body: SCHEMAS.RiskOrderRequest }), async (req, res, next) => {
+    try {
+      res.json(await placeRiskSizedOrder(await positionSizer.size(req.body)));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  const fetchOrder = exchangeCall((symbol, orderId) => exchange().getOrder(symbol, orderId));
+  const runWithAccount = (account, fn) => (account ? accounts.runWithAccount(account, fn) : fn());
+
+  const brackets = createBracketManager({
+    store: jsonStore("brackets.json"),
+    placeEntry: exchangeCall(placeMarketOrder),
+    setStopLoss: exchangeCall(setStopLoss),
+    setTakeProfit: exchangeCall(setTakeProfit),
+    cancelOrder: exchangeCall(cancelOrder),
+    fetchOrder,
+    currentAccount: () => accounts.currentId(),
+    runWithAccount,
+    logger,
+  });
+
+  app.get("/brackets", (req, res) => {
+    res.json(brackets.list({ status: req.query.status }));
+  });
+
+  app.post("/brackets", validateRequest({ body: SCHEMAS.BracketRequest }), async (req, res, next) => {
+    try {
+      res.json(await brackets.place(req.body));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Scaled, iceberg and TWAP/VWAP executions (DATA_DIR/algos.json). Child
+  // orders go through the usual order functions, so the risk checks apply to
+  // every slice, and are journaled with the algo as their source.
+  const algos = createAlgoEngine({
+    store: jsonStore("algos.json"),
+    placeLimitOrder: exchangeCall(placeLimitOrder),
+    placeMarketOrder: exchangeCall(placeMarketOrder),
+    cancelOrder: exchangeCall(cancelOrder),
+    fetchOrder,
+    getContractRules: (symbol) => positionSizer.getContractRules(symbol),
+    fetchCandles: (symbol, interval, limit) => fetchKlines(symbol, interval, limit),
+    currentAccount: () => accounts.currentId(),
+    runInContext: (algo, fn) =>
+      runWithAccount(algo.account, () =>
+        tradeJournal.runWithSource({ type: "algo", id: algo.id, algo: algo.type }, fn)
+      ),
+    onStatusChange: (algo) => notifier.notify("algos", formatAlgo(algo)),
+    logger,
+  });
+
+  app.get("/algos", (req, res) => {
+    res.json(algos.list({ status: req.query.status, account: req.accountId }));
+  });
+
+  app.get("/algos/:id", (req, res, next) => {
+    try {
+      res.json(algos.get(req.params.id));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/algos", validateRequest({ body: SCHEMAS.AlgoRequest }), async (req, res, next) => {
+    try {
+      res.json(await algos.create(req.body));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  for (const action of ["pause", "resume", "cancel"]) {
+    app.post(`/algos/:id/${action}`, async (req, res, next) => {
+      try {
+        res.json(await algos[action](req.params.id));
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+
+  // Percent change from the open of the first 1m candle of the window to the
+  // last price
+  async function getPriceChange(symbol, windowMinutes) {
+    const candles = await fetchKlines(symbol, "1m", Math.ceil(windowMinutes));
+    if (candles.length === 0) return null;
+    const open = candles[0].open;
+    return ((candles[candles.length - 1].close - open) / open) * 100;
+  }
+
+  // Current funding rate in percent
+  async function getFundingRate(symbol) {
+    const premium = await makeRequest("GET", "/openApi/swap/v2/quote/premiumIndex", { symbol });
+    const data = Array.isArray(premium.data) ? premium.data[0] : premium.data;
+    return data ? parseFloat(data.lastFundingRate) * 100 : null;
+  }
+
+  // Unrealized PnL of the open position(s) on symbol, null when flat
+  async function getPositionPnl(symbol, positionSide) {
+    const positions = ((await getOpenPositions()).data || []).filter(
+      (pos) =>
+        pos.symbol === symbol &&
+        parseFloat(pos.positionAmt) &&
+        (!positionSide || pos.positionSide === positionSide)
+    );
+    if (positions.length === 0) return null;
+    return positions.reduce((total, pos) => total + (parseFloat(pos.unrealizedProfit) || 0), 0);
+  }
+
+  // "rsi" or "macd.histogram" on the latest candle of interval
+  async function getIndicatorValue(symbol, name, interval) {
+    const [base, field] = name.split(".");
+    const { indicators } = await indicatorService.get(symbol, interval, [base]);
+    const value = field ? (indicators[base] || {})[field] : indicators[base];
+    if (value !== null && typeof value === "object") {
+      throw new Error(`${base} has several values, use one of ${Object.keys(value).map((key) => `${base}.${key}`).join(", ")}`);
+    }
+    return value;
+  }
+
+  // Price, change, funding, PnL and indicator alerts (DATA_DIR/alerts.json),
+  // checked every ALERT_POLL_MS. Alerts fire to the chat that created them;
+  // PnL alerts read the positions of the account they were created on.
+  const alerts = createAlertEngine({
+    store: jsonStore("alerts.json"),
+    send: (chatId, text) => bot.telegram.sendMessage(chatId, text),
+    getPrice: getLastPrice,
+    getPriceChange,
+    getFundingRate,
+    getPositionPnl,
+    getIndicator: getIndicatorValue,
+    runWithAccount,
+    currentAccount: () => accounts.currentId(),
+    cooldownMs: config.ALERT_COOLDOWN_MS,
+    logger,
+  });
+
+  // Below admin, an API key only sees and removes the alerts it created
+  const alertOwner = (req) => (req.auth ? `api:${req.auth.clientId}` : null);
+  const alertScope = (req) =>
+    req.auth && !hasRole(req.auth.role, "admin") ? { createdBy: alertOwner(req) } : {};
+
+  app.get("/alerts", (req, res) => {
+    res.json(alerts.list({ chatId: req.query.chatId, status: req.query.status, ...alertScope(req) }));
+  });
+
+  app.post("/alerts", validateRequest({ body: SCHEMAS.AlertRequest }), (req, res, next) => {
+    const { chatId, repeat, ...condition } = req.body;
+    try {
+      // The bot only messages the chats of its TELEGRAM_USERS
+      if (!telegramUsers.has(String(chatId))) {
+        const error = new Error(`chatId ${chatId} is not a TELEGRAM_USERS chat`);
+        error.statusCode = 403;
+        throw error;
+      }
+      res.json(alerts.add({ chatId, createdBy: alertOwner(req), condition, repeat }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.delete("/alerts/:id", (req, res, next) => {
+    try {
+      res.json(alerts.remove(req.params.id, alertScope(req)));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Trade journal, newest first: ?symbol=&days=&since=&until=&source=&action=&limit=&format=csv
+  app.get("/journal", (req, res) => {
+    const { format, ...filters } = req.query;
+    const entries = tradeJournal.query({ ...filters, ...(req.accountId && { account: req.accountId }) });
+    if (format === "csv") {
+      res.type("text/csv").attachment("trade-journal.csv").send(toCsv(entries));
+      return;
+    }
+    res.json(entries);
+  });
+
+  // Realized/unrealized PnL, fees, funding and trade stats from the income and
+  // fill history, per symbol, strategy and day
+  const pnlReporter = createPnlReporter({
+    fetchIncome: async (startTime, endTime, limit) =>
+      (await makeRequest("GET", "/openApi/swap/v2/user/income", { startTime, endTime, limit })).data || [],
+    fetchFills: async (startTs, endTs) => {
+      const response = await makeRequest("GET", "/openApi/swap/v2/trade/allFillOrders", {
+        tradingUnit: "COIN",
+        startTs,
+        endTs,
+      });
+      return (response.data || {}).fill_orders || [];
+    },
+    fetchPositions: async () => (await getOpenPositions()).data || [],
+    fetchBalance: async () => (await getAccountBalance()).data.balance,
+    getOrderSources: (since) =>
+      new Map(
+        tradeJournal
+          .query({ since })
+          .filter((entry) => entry.orderId && (entry.action === "order" || entry.action === "close"))
+          .map((entry) => [
+            entry.orderId,
+            entry.source.type === "strategy" ? entry.source.id : entry.source.type,
+          ])
+      ),
+    getBrackets: () => brackets.list(),
+    logger,
+  });
+
+  // ?period=day|week|month or ?start=&end= (epoch ms)
+  app.get("/reports/pnl", async (req, res, next) => {
+    const { period, start, end } = req.query;
+    try {
+      res.json(await pnlReporter.report({ period, start, end }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Settings in use, secrets redacted
+  app.get("/config", (req, res) => {
+    res.json(redactConfig(config));
+  });
+
+  // Liveness: the process answers
+  app.get("/healthz", (req, res) => {
+    res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+  });
+
+  // Readiness: the exchanges answer, with clocks close to ours (see health.js).
+  // In paper trading only the market data source is a real exchange.
+  const readiness = createReadinessCheck({
+    targets: () =>
+      PAPER_TRADING
+        ? [
+            {
+              name: "market-data",
+              exchange: "bingx",
+              fetchServerTime: async () =>
+                exchangeResult(await fetchPublicMarketData("/openApi/swap/v2/time")).data.serverTime,
+            },
+          ]
+        : accounts.ids().map((id) => ({
+            name: id,
+            exchange: exchangeName(id),
+            fetchServerTime: () =>
+              accounts.runWithAccount(
+                id,
+                async () => exchangeResult(await exchange().getServerTime()).data.serverTime
+              ),
+          })),
+    maxClockSkewMs: config.READY_MAX_CLOCK_SKEW_MS,
+    timeoutMs: config.READY_TIMEOUT_MS,
+  });
+
+  app.get("/readyz", async (req, res, next) => {
+    try {
+      const { ready, checks } = await readiness.check();
+      res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "not ready", checks });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/metrics", (req, res) => {
+    res.set("Content-Type", CONTENT_TYPE).send(metrics.render());
+  });
+
+  app.get("/openapi.json", (req, res) => {
+    res.json(buildOpenApiDocument({ version: require("./package.json").version }));
+  });
+
+  // Unknown routes answer with the same JSON error shape
+  app.use((req, res, next) => {
+    const error = new Error(`Cannot ${req.method} ${req.path}`);
+    error.statusCode = 404;
+    next(error);
+  });
+
+  // Use the middleware
+  app.use(errorMiddleware);
+
+  // Pushes fills, triggered stops, liquidation risk and PnL moves to
+  // subscribed chats (stored in DATA_DIR/subscriptions.json)
+  const notifier = createNotifier({
+    store: jsonStore("subscriptions.json"),
+    send: (chatId, text) => bot.telegram.sendMessage(chatId, text),
+    fetchOpenOrders: async () => (await exchange().getOpenOrders()).data || [],
+    fetchOrder: async (symbol, orderId) => (await exchange().getOrder(symbol, orderId)).data.order,
+    fetchPositions: async () => (await exchange().getPositions()).data || [],
+    liquidationPercent: config.NOTIFY_LIQUIDATION_PERCENT,
+    pnlMoveUsdt: config.NOTIFY_PNL_MOVE_USDT,
+    logger,
+  });
+
+  // Confirm/Cancel buttons before CONFIRM_COMMANDS (default: market, limit,
+  // bracket, risk, algo, closeall, cancelall) execute, valid for
+  // CONFIRM_TIMEOUT_MS
+  const confirmations = createConfirmationManager({
+    commands: loadConfirmCommands(config.CONFIRM_COMMANDS),
+    timeoutMs: config.CONFIRM_TIMEOUT_MS,
+    formatError,
+  });
+
+  async function orderPreview(symbol, side, quantity, price) {
+    const lastPrice = await getLastPrice(symbol).catch(() => null);
+    const estimatePrice = price ? parseFloat(price) : lastPrice;
+    const lines = [
+      "Order preview:",
+      `Symbol: ${symbol}`,
+      `Side: ${side}`,
+      `Quantity: ${quantity}`,
+      `Price: ${price ? `${price} (limit)` : "market"}${lastPrice ? `, last ${lastPrice}` : ""}`,
+      `Estimated notional: ${estimatePrice ? `${(quantity * estimatePrice).toFixed(2)} USDT` : "unknown"}`,
+    ];
+    return lines.join("\n");
+  }
+
+  async function closeAllPreview(symbol = "") {
+    const positions = ((await getOpenPositions()).data || []).filter(
+      (pos) => symbol === "" || pos.symbol === symbol
+    );
+    if (positions.length === 0) {
+      return `No open positions${symbol ? ` for ${symbol}` : ""} to close.`;
+    }
+    const lines = positions.map(
+      (pos) =>
+        `${pos.symbol} ${pos.positionSide} ${pos.positionAmt} @ ${pos.avgPrice} (PnL ${pos.unrealizedProfit})`
+    );
+    return `Positions to close (${positions.length}):\n${lines.join("\n")}`;
+  }
+
+  async function cancelAllPreview(symbol = "") {
+    const orders = ((await getPendingOrders()).data || []).filter(
+      (order) => symbol === "" || order.symbol === symbol
+    );
+    if (orders.length === 0) {
+      return `No pending orders${symbol ? ` for ${symbol}` : ""} to cancel.`;
+    }
+    const lines = orders.map(
+      (order) =>
+        `#${order.orderId} ${order.symbol} ${order.side} ${order.type} ${order.origQty} @ ${order.price || order.stopPrice}`
+    );
+    return `Orders to cancel (${orders.length}):\n${lines.join("\n")}`;
+  }
+
+  // HTML reply templates with paging; chats listed in DATA_DIR/raw-replies.json
+  // get raw JSON instead (/raw)
+  const replies = createReplyRenderer({
+    store: jsonStore("raw-replies.json"),
+  });
+
+  // Alias for the help function
+  const help = (ctx) => {
+    const commands = [
+      { command: "/balance [account|all]", description: "Get account balance" },
+      { command: "/positions [account|all]", description: "Get open positions" },
+      { command: "/orders [account|all]", description: "Get pending orders" },
+      { command: "/accounts", description: "Balances of every account with totals" },
+      { command: "/pnl [day|week|month]", description: "PnL, fees, funding and trade stats" },
+      {
+        command: "/history [symbol] [days]",
+        description: "Trade journal entries (default 7 days) with a CSV export",
+      },
+      {
+        command: "/close <symbol> <LONG|SHORT>",
+        description: "Close a specific position",
+      },
+      {
+        command: "/cancel <symbol> <orderId>",
+        description: "Cancel a specific order",
+      },
+      {
+        command: "/closeall [symbol]",
+        description: "Close all positions (optionally for a specific symbol)",
+      },
+      {
+        command: "/cancelall [symbol]",
+        description: "Cancel all orders (optionally for a specific symbol)",
+      },
+      {
+        command: "/trailingstop <symbol> <activationPrice> <callbackRate>",
+        description: "Set a trailing stop",
+      },
+      {
+        command: "/bracket <symbol> <BUY|SELL> <quantity> <stopLoss> <takeProfit>",
+        description: "Market entry with an attached stop loss and take profit (OCO)",
+      },
+      { command: "/sl <symbol> <stopPrice>", description: "Set a stop loss" },
+      { command: "/tp <symbol> <stopPrice>", description: "Set a take profit" },
+      {
+        command: "/leverage <symbol> [value] [LONG|SHORT]",
+        description: "Show or set the leverage (both sides by default)",
+      },
+      {
+        command: "/margin <symbol> [ISOLATED|CROSSED]",
+        description: "Show or switch the margin mode",
+      },
+      {
+        command: "/addmargin <symbol> <LONG|SHORT|BOTH> <amount>",
+        description: "Add margin to an isolated position (negative amount removes it)",
+      },
+      { command: "/posmode [hedge|oneway]", description: "Show or switch the position mode" },
+      {
+        command: "/risk <symbol> <BUY|SELL> <risk%> <stopPrice>",
+        description: "Market order sized to lose risk% of the equity at the stop, stop attached",
+      },
+      {
+        command: "/algo scaled|iceberg|twap|vwap <symbol> <BUY|SELL> <quantity> ...",
+        description: "Work a large order as a limit ladder, an iceberg or time slices",
+      },
+      { command: "/algo [list|status|pause|resume|cancel] [id]", description: "Follow and control algos" },
+      {
+        command: "/alert add <symbol> <price|change|funding|pnl|indicator> <above|below> <value> [...] [repeat]",
+        description: "Message this chat when a condition is met",
+      },
+      { command: "/alert [list|remove <id>]", description: "Alerts of this chat" },
+      {
+        command: "/market <symbol> <BUY|SELL> <quantity>",
+        description: "Place a market order",
+      },
+      {
+        command: "/limit <symbol> <BUY|SELL> <quantity> <price>",
+        description: "Place a limit order",
+      },
+      {
+        command: "/subscribe [event ...]",
+        description: `Get notifications (${NOTIFICATION_EVENTS.join(", ")}; all by default)`,
+      },
+      {
+        command: "/unsubscribe [event ...]",
+        description: "Stop some or all notifications",
+      },
+      { command: "/limits", description: "Show risk limits and kill switch state" },
+      {
+        command: "/killswitch [on|off]",
+        description: "Block or allow new entries (closes and cancels always work)",
+      },
+      { command: "/ta <symbol> [interval]", description: "Show technical indicators" },
+      { command: "/strategies", description: "List strategies and running instances" },
+      {
+        command: "/strategy start|stop <name> <symbol>",
+        description: "Start or stop a strategy on a symbol",
+      },
+      {
+        command: "/strategy params <name> [key=value ...]",
+        description: "Show or update strategy parameters",
+      },
+      { command: "/raw", description: "Toggle raw JSON replies for debugging" },
+      { command: "/help", description: "Show this help message" },
+    ];
+
+    let helpMessage = "Available Commands:\n\n";
+    commands.forEach((cmd) => {
+      helpMessage += `${cmd.command} - ${cmd.description}\n`;
+    });
+
+    helpMessage +=
+      "\nPut @account after any command to run it on another account (e.g. /market @hedge BTC-USDT BUY 0.01).";
+    helpMessage +=
+      "\nFor more detailed information on each command, use it without parameters.";
+
+    ctx.reply(helpMessage);
+  };
+
+  // Every update runs with a request ID, carried by its log entries, journal
+  // entries and exchange calls like for HTTP requests
+  bot.use((ctx, next) =>
+    requestContext.runWithRequest({ channel: "telegram" }, async () => {
+      const startedAt = Date.now();
+      const command = commandName(ctx.message && ctx.message.text);
+      try {
+        await next();
+      } finally {
+        if (command || ctx.callbackQuery) {
+          logger.info(command ? "bot command" : "bot button", {
+            command,
+            userId: ctx.from ? String(ctx.from.id) : null,
+            durationMs: Date.now() - startedAt,
+          });
+        }
+      }
+    })
+  );
+  bot.use(createTelegramGuard({ users: telegramUsers, audit: auditLogger }));
+
+  // Commands that passed the guard, by name; anything unknown counts as other
+  bot.use((ctx, next) => {
+    const command = commandName(ctx.message && ctx.message.text);
+    if (command) botCommands.inc({ command: COMMAND_ROLES[command] ? command : "other" });
+    return next();
+  });
+
+  // Orders sent from the bot (including confirmed ones) are journaled with the
+  // Telegram user
+  bot.use((ctx, next) =>
+    tradeJournal.runWithSource(
+      { type: "bot", id: ctx.from ? String(ctx.from.id) : null, name: ctx.from && ctx.from.username },
+      next
+    )
+  );
+
+  // Symbols in commands may be written BTCUSDT: "/limit btcusdt BUY 1 50000"
+  // runs as "/limit BTC-USDT BUY 1 50000"
+  bot.use((ctx, next) => {
+    if (ctx.message && typeof ctx.message.text === "string" && ctx.message.text.startsWith("/")) {
+      ctx.message.text = normalizeCommandSymbols(ctx.message.text);
+    }
+    return next();
+  });
+
+  // Account selector: "/market @hedge ..." (or "/balance hedge") runs the
+  // command against that account; "all" asks for the view across accounts
+  const ACCOUNT_VIEW_COMMANDS = ["balance", "positions", "orders"];
+  bot.use((ctx, next) => {
+    const selected = parseAccountSelector(ctx.message && ctx.message.text, ACCOUNT_VIEW_COMMANDS);
+    if (!selected) return next();
+    if (selected.account === ALL_ACCOUNTS && ACCOUNT_VIEW_COMMANDS.includes(commandName(selected.text))) {
+      ctx.message.text = selected.text;
+      ctx.state.allAccounts = true;
+      return next();
+    }
+    if (!accounts.has(selected.account)) {
+      return ctx.reply(`Unknown account: ${selected.account}. Accounts: ${accounts.ids().join(", ")}`);
+    }
+    ctx.message.text = selected.text;
+    ctx.state.account = selected.account;
+    return accounts.runWithAccount(selected.account, next);
+  });
+  confirmations.register(bot);
+  replies.register(bot);
+
+  // Telegram Bot commands
+  // Add this to your existing bot commands
+  bot.command("yosiet", help);
+  bot.command("help", help);
+
+  bot.command("market", async (ctx) => {
+    const [symbol, side, quantity] = ctx.message.text.split(" ").slice(1);
+    if (!symbol || !side || !quantity) {
+      return ctx.reply("Usage: /market <symbol> <BUY|SELL> <quantity>");
+    }
+
+    // Validate inputs
+    if (!["BUY", "SELL"].includes(side.toUpperCase())) {
+      return ctx.reply("Side must be either BUY or SELL");
+    }
+
+    const parsedQuantity = parseFloat(quantity);
+    if (isNaN(parsedQuantity) || parsedQuantity <= 0) {
+      return ctx.reply("Quantity must be a positive number");
+    }
+
+    await confirmations.run(ctx, "market", {
+      preview: () => orderPreview(symbol, side.toUpperCase(), parsedQuantity),
+      execute: async (replyCtx) => {
+        const result = await placeMarketOrder(
+          symbol,
+          side.toUpperCase(),
+          parsedQuantity
+        );
+        await replies.send(replyCtx, orderResultTemplate("Market order placed", result));
+      },
+    });
+  });
+
+  bot.command("limit", async (ctx) => {
+    const [symbol, side, quantity, price] = ctx.message.text.split(" ").slice(1);
+    if (!symbol || !side || !quantity || !price) {
+      return ctx.reply("Usage: /limit <symbol> <BUY|SELL> <quantity> <price>");
+    }
+
+    // Validate inputs
+    if (!["BUY", "SELL"].includes(side.toUpperCase())) {
+      return ctx.reply("Side must be either BUY or SELL");
+    }
+
+    const parsedQuantity = parseFloat(quantity);
+    if (isNaN(parsedQuantity) || parsedQuantity <= 0) {
+      return ctx.reply("Quantity must be a positive number");
+    }
+
+    await confirmations.run(ctx, "limit", {
+      preview: () => orderPreview(symbol, side.toUpperCase(), parsedQuantity, price),
+      execute: async (replyCtx) => {
+        const result = await placeLimitOrder(
+          symbol,
+          side.toUpperCase(),
+          parsedQuantity,
+          price
+        );
+        await replies.send(replyCtx, orderResultTemplate("Limit order placed", result));
+      },
+    });
+  });
+
+  bot.command("bracket", async (ctx) => {
+    const [symbol, side, quantity, stopLoss, takeProfit] = ctx.message.text.split(" ").slice(1);
+    if (!symbol || !side || !quantity || !stopLoss || !takeProfit) {
+      return ctx.reply("Usage: /bracket <symbol> <BUY|SELL> <quantity> <stopLoss> <takeProfit>");
+    }
+    if (!["BUY", "SELL"].includes(side.toUpperCase())) {
+      return ctx.reply("Side must be either BUY or SELL");
+    }
+    const [parsedQuantity, parsedStop, parsedTarget] = [quantity, stopLoss, takeProfit].map(parseFloat);
+    if ([parsedQuantity, parsedStop, parsedTarget].some((value) => isNaN(value) || value <= 0)) {
+      return ctx.reply("Quantity, stop loss and take profit must be positive numbers");
+    }
+
+    await confirmations.run(ctx, "bracket", {
+      preview: async () =>
+        `${await orderPreview(symbol, side.toUpperCase(), parsedQuantity)}\nStop loss: ${parsedStop}\nTake profit: ${parsedTarget}`,
+      execute: async (replyCtx) => {
+        const bracket = await brackets.place({
+          symbol,
+          side: side.toUpperCase(),
+          quantity: parsedQuantity,
+          stopLoss: parsedStop,
+          takeProfit: parsedTarget,
+        });
+        await replies.send(replyCtx, bracketTemplate(bracket));
+      },
+    });
+  });
+
+  const ALGO_USAGE = [
+    "Usage:",
+    "/algo scaled <symbol> <BUY|SELL> <quantity> <priceFrom> <priceTo> [orders] [flat|increasing|decreasing]",
+    "/algo iceberg <symbol> <BUY|SELL> <quantity> <price> <visibleQuantity>",
+    "/algo twap|vwap <symbol> <BUY|SELL> <quantity> <minutes> [slices]",
+    "/algo list | /algo status|pause|resume|cancel <id>",
+  ].join("\n");
+
+  async function algoPreview(spec) {
+    const lastPrice = await getLastPrice(spec.symbol).catch(() => null);
+    const plans = {
+      scaled: `${spec.orders || 5} limit orders from ${spec.priceFrom} to ${spec.priceTo} (${spec.distribution || "flat"})`,
+      iceberg: `Limit ${spec.price}, showing ${spec.visibleQuantity} at a time`,
+      twap: `Market slices over ${spec.durationMinutes} minutes (${spec.slices || "one a minute"})`,
+      vwap: `Volume weighted market slices over ${spec.durationMinutes} minutes (${spec.slices || "one a minute"})`,
+    };
+    return [
+      `${spec.type.toUpperCase()} preview:`,
+      `Symbol: ${spec.symbol}`,
+      `Side: ${spec.side}`,
+      `Quantity: ${spec.quantity}${lastPrice ? ` (last price ${lastPrice})` : ""}`,
+      `Execution: ${plans[spec.type]}`,
+    ].join("\n");
+  }
+
+  // "/algo twap BTC-USDT BUY 1 30" -> the AlgoRequest body of POST /algos
+  function parseAlgoCommand(type, [symbol, side, quantity, ...rest]) {
+    const spec = { type, symbol, side: side && side.toUpperCase(), quantity };
+    if (type === "scaled") {
+      const [priceFrom, priceTo, orders, distribution] = rest;
+      return { ...spec, priceFrom, priceTo, orders: orders && Number(orders), distribution };
+    }
+    if (type === "iceberg") {
+      const [price, visibleQuantity] = rest;
+      return { ...spec, price, visibleQuantity };
+    }
+    const [durationMinutes, slices] = rest;
+    return { ...spec, durationMinutes, slices: slices && Number(slices) };
+  }
+
+  // /algo: start scaled, iceberg, TWAP and VWAP executions, and follow,
+  // pause, resume or cancel them
+  bot.command("algo", async (ctx) => {
+    const [subcommand = "list", ...args] = ctx.message.text.split(" ").slice(1).filter(Boolean);
+    const action = subcommand.toLowerCase();
+    try {
+      if (action === "list") {
+        return await replies.send(ctx, algosTemplate(algos.list({ account: ctx.state.account })));
+      }
+      if (["status", "pause", "resume", "cancel"].includes(action)) {
+        if (!args[0]) return ctx.reply(ALGO_USAGE);
+        const algo = action === "status" ? algos.get(args[0]) : await algos[action](args[0]);
+        const titles = { status: "Algo", pause: "Algo paused", resume: "Algo resumed", cancel: "Algo cancelled" };
+        return await replies.send(ctx, algoTemplate(algo, titles[action]));
+      }
+    } catch (error) {
+      return ctx.reply(formatError(error));
+    }
+
+    if (!["scaled", "iceberg", "twap", "vwap"].includes(action) || args.length < 5) {
+      return ctx.reply(ALGO_USAGE);
+    }
+    const spec = parseAlgoCommand(action, args);
+    if (!["BUY", "SELL"].includes(spec.side)) {
+      return ctx.reply("Side must be either BUY or SELL");
+    }
+    await confirmations.run(ctx, "algo", {
+      preview: () => algoPreview(spec),
+      execute: async (replyCtx) => {
+        const algo = await algos.create(spec);
+        await replies.send(replyCtx, algoTemplate(algo, "Algo started"));
+      },
+    });
+  });
+
+  const ALERT_USAGE = [
+    "Usage:",
+    "/alert add <symbol> price <above|below> <price> [repeat]",
+    "/alert add <symbol> change <above|below> <percent> [minutes] [repeat]",
+    "/alert add <symbol> funding <above|below> <rate%> [repeat]",
+    "/alert add <symbol> pnl <above|below> <usdt> [LONG|SHORT] [repeat]",
+    "/alert add <symbol> <rsi|macd.histogram|...> <above|below> <value> [interval] [repeat]",
+    "/alert list | /alert remove <id>",
+  ].join("\n");
+
+  // /alert: add, list and remove the alerts of the current chat
+  bot.command("alert", async (ctx) => {
+    const [subcommand = "list", ...args] = ctx.message.text.split(" ").slice(1).filter(Boolean);
+    const chatId = ctx.chat.id;
+    try {
+      switch (subcommand.toLowerCase()) {
+        case "list":
+          return await replies.send(ctx, alertsTemplate(alerts.list({ chatId })));
+        case "remove": {
+          if (!args[0]) return ctx.reply(ALERT_USAGE);
+          const alert = alerts.remove(args[0], { chatId });
+          return await replies.send(ctx, alertTemplate(alert, "Alert removed"));
+        }
+        case "add": {
+          if (args.length < 4) return ctx.reply(ALERT_USAGE);
+          const { condition, repeat } = parseAlertCommand(args);
+          const alert = alerts.add({ chatId, createdBy: `telegram:${ctx.from.id}`, condition, repeat });
+          return await replies.send(ctx, alertTemplate(alert, "Alert added"));
+        }
+        default:
+          return ctx.reply(ALERT_USAGE);
+      }
+    } catch (error) {
+      return ctx.reply(formatError(error));
+    }
+  });
+
+  // /risk <symbol> <BUY|SELL> <risk%> <stopPrice>: market entry sized so the
+  // stop loses risk% of the equity, placed with the stop attached
+  bot.command("risk", async (ctx) => {
+    const [symbol, side, riskPercent, stopPrice] = ctx.message.text.split(" ").slice(1);
+    if (!symbol || !side || !riskPercent || !stopPrice) {
+      return ctx.reply("Usage: /risk <symbol> <BUY|SELL> <risk%> <stopPrice>");
+    }
+    if (!["BUY", "SELL"].includes(side.toUpperCase())) {
+      return ctx.reply("Side must be either BUY or SELL");
+    }
+    if (isNaN(parseFloat(riskPercent)) || isNaN(parseFloat(stopPrice))) {
+      return ctx.reply("Risk and stop price must be numbers");
+    }
+
+    // The size shown in the preview is the size placed on confirm
+    let plan = null;
+    const sizeOrder = async () =>
+      plan ||
+      (plan = await positionSizer.size({ symbol, side: side.toUpperCase(), riskPercent, stopPrice }));
+
+    await confirmations.run(ctx, "risk", {
+      preview: async () => formatSizingPlan(await sizeOrder()),
+      execute: async (replyCtx) => {
+        const result = await placeRiskSizedOrder(await sizeOrder());
+        await replies.send(replyCtx, riskOrderTemplate(result));
+      },
+    });
+  });
+
+  bot.command("balance", async (ctx) => {
+    try {
+      if (ctx.state.allAccounts) {
+        const results = await accounts.forEachAccount(() => getAccountBalance());
+        return await replies.send(ctx, balanceSummaryTemplate(summarizeBalances(results)));
+      }
+      const balance = await getAccountBalance();
+      await replies.send(ctx, balanceTemplate(balance));
+    } catch (error) {
+      ctx.reply(formatError(error));
+    }
+  });
+
+  bot.command("positions", async (ctx) => {
+    try {
+      if (ctx.state.allAccounts) {
+        const results = await accounts.forEachAccount(() => getOpenPositions());
+        return await replies.send(ctx, acrossAccountsTemplate("📈 Open positions", results, positionsTemplate));
+      }
+      // The position mode is a nice to have; the positions show without it
+      const [positions, hedgeMode] = await Promise.all([
+        getOpenPositions(),
+        isHedgeMode().catch(() => null),
+      ]);
+      await replies.send(ctx, positionsTemplate(positions, { hedgeMode }));
+    } catch (error) {
+      ctx.reply(formatError(error));
+    }
+  });
+
+  bot.command("orders", async (ctx) => {
+    try {
+      if (ctx.state.allAccounts) {
+        const results = await accounts.forEachAccount(() => getPendingOrders());
+        return await replies.send(ctx, acrossAccountsTemplate("📋 Pending orders", results, ordersTemplate));
+      }
+      const orders = await getPendingOrders();
+      await replies.send(ctx, ordersTemplate(orders));
+    } catch (error) {
+      ctx.reply(formatError(error));
+    }
+  });
+
+  // /accounts: balances of every account with totals
+  bot.command("accounts", async (ctx) => {
+    try {
+      const results = await accounts.forEachAccount(() => getAccountBalance());
+      await replies.send(ctx, balanceSummaryTemplate(summarizeBalances(results)));
+    } catch (error) {
+      ctx.reply(formatError(error));
+    }
+  });
+
+  // /history [symbol] [days]: latest journal entries plus the full CSV
+  bot.command("history", async (ctx) => {
+    const args = ctx.message.text.split(" ").slice(1).filter(Boolean);
+    const symbol = args[0] && isNaN(Number(args[0])) ? args.shift() : undefined;
+    const days = parseFloat(args[0] || "7");
+    if (isNaN(days) || days <= 0) {
+      return ctx.reply("Usage: /history [symbol] [days]");
+    }
+    try {
+      const entries = tradeJournal.query({ symbol, days, account: ctx.state.account });
+      const label = `${symbol || "all symbols"}, last ${days} day(s)`;
+      if (entries.length === 0) {
+        return ctx.reply(`No journal entries for ${label}`);
+      }
+      const lines = entries
+        .slice(0, 20)
+        .map(
+          (entry) =>
+            `${entry.time.slice(0, 19).replace("T", " ")} ${entry.source.type} ${entry.action} ${entry.symbol || ""} ${entry.side || ""} ${entry.quantity ?? ""} @ ${entry.price ?? "-"} ${entry.status}`
+        );
+      await ctx.reply(`History (${label}): ${entries.length} entries\n${lines.join("\n")}`);
+      await ctx.replyWithDocument({
+        source: Buffer.from(toCsv(entries)),
+        filename: `history-${symbol || "all"}-${days}d.csv`,
+      });
+    } catch (error) {
+      ctx.reply(formatError(error));
+    }
+  });
+
+  bot.command("pnl", async (ctx) => {
+    const [period = "day"] = ctx.message.text.split(" ").slice(1);
+    if (!PERIODS[period]) {
+      return ctx.reply(`Usage: /pnl [${Object.keys(PERIODS).join("|")}]`);
+    }
+    try {
+      ctx.reply(formatPnlReport(await pnlReporter.report({ period }), period));
+    } catch (error) {
+      ctx.reply(formatError(error));
+    }
+  });
+
+  bot.command("close", async (ctx) => {
+    const [symbol, positionSide] = ctx.message.text.split(" ").slice(1);
+    if (!symbol || !positionSide) {
+      return ctx.reply("Usage: /close <symbol> <LONG|SHORT>");
+    }
+    try {
+      const result = await closePosition(symbol, positionSide);
+      await replies.send(ctx, orderResultTemplate("Position closed", result));
+    } catch (error) {
+      ctx.reply(formatError(error));
+    }
+  });
+
+  bot.command("cancel", async (ctx) => {
+    const [symbol, orderId] = ctx.message.text.split(" ").slice(1);
+    if (!symbol || !orderId) {
+      return ctx.reply("Usage: /cancel <symbol> <orderId>");
+    }
+    try {
+      const result = await cancelOrder(symbol, orderId);
+      await replies.send(ctx, orderResultTemplate("Order canceled", result));
+    } catch (error) {
+      ctx.reply(formatError(error));
+    }
+  });
+
+  bot.command("closeall", async (ctx) => {
+    const [symbol] = ctx.message.text.split(" ").slice(1);
+    await confirmations.run(ctx, "closeall", {
+      preview: () => closeAllPreview(symbol),
+      execute: async (replyCtx) => {
+        const result = await closeAllPositions(symbol);
+        await replies.send(replyCtx, bulkResultTemplate("Positions closed", result));
+      },
+    });
+  });
+
+  bot.command("cancelall", async (ctx) => {
+    const [symbol] = ctx.message.text.split(" ").slice(1);
+    await confirmations.run(ctx, "cancelall", {
+      preview: () => cancelAllPreview(symbol),
+      execute: async (replyCtx) => {
+        const result = await cancelAllOrders(symbol);
+        await replies.send(replyCtx, bulkResultTemplate("Orders canceled", result));
+      },
+    });
+  });
+
+  bot.command("trailingstop", async (ctx) => {
+    const [symbol, activationPrice, callbackRate] = ctx.message.text
+      .split(" ")
+      .slice(1);
+    if (!symbol || !activationPrice || !callbackRate) {
+      return ctx.reply(
+        "Usage: /trailingstop <symbol> <activationPrice> <callbackRate>"
+      );
+    }
+    try {
+      const result = await setTrailingStop(symbol, activationPrice, callbackRate);
+      await replies.send(ctx, orderResultTemplate("Trailing stop set", result));
+    } catch (error) {
+      ctx.reply(formatError(error));
+    }
+  });
+
+  bot.command("sl", async (ctx) => {
+    const [symbol, stopPrice] = ctx.message.text.split(" ").slice(1);
+    if (!symbol || !stopPrice) {
+      return ctx.reply("Usage: /sl <symbol> <stopPrice>");
+    }
+    try {
+      const result = await setStopLoss(symbol, stopPrice);
+      await replies.send(ctx, orderResultTemplate("Stop loss set", result));
+    } catch (error) {
+      ctx.reply(formatError(error));
+    }
+  });
+
+  bot.command("tp", async (ctx) => {
+    const [symbol, stopPrice] = ctx.message.text.split(" ").slice(1);
+    if (!symbol || !stopPrice) {
+      return ctx.reply("Usage: /tp <symbol> <stopPrice>");
+    }
+    try {
+      const result = await setTakeProfit(symbol, stopPrice);
+      await replies.send(ctx, orderResultTemplate("Take profit set", result));
+    } catch (error) {
+      ctx.reply(formatError(error));
+    }
+  });
+
+  // /leverage <symbol> [value] [LONG|SHORT]: show or set the leverage
+  bot.command("leverage", async (ctx) => {
+    const [symbol, value, side] = ctx.message.text.split(" ").slice(1).filter(Boolean);
+    const leverage = Number(value);
+    if (
+      !symbol ||
+      (value !== undefined && !(Number.isInteger(leverage) && leverage > 0)) ||
+      (side && !["LONG", "SHORT"].includes(side.toUpperCase()))
+    ) {
+      return ctx.reply("Usage: /leverage <symbol> [value] [LONG|SHORT]");
+    }
+    try {
+      if (value !== undefined) {
+        await setLeverage(symbol, leverage, side && side.toUpperCase());
+      }
+      const settings = await getPositionSettings(symbol);
+      await replies.send(ctx, positionSettingsTemplate(settings, value ? "Leverage set" : "Position settings"));
+    } catch (error) {
+      ctx.reply(formatError(error));
+    }
+  });
+
+  // /margin <symbol> [ISOLATED|CROSSED]: show or switch the margin mode
+  bot.command("margin", async (ctx) => {
+    const [symbol, mode] = ctx.message.text.split(" ").slice(1).filter(Boolean);
+    const marginType = mode && mode.toUpperCase();
+    if (!symbol || (marginType && !["ISOLATED", "CROSSED"].includes(marginType))) {
+      return ctx.reply("Usage: /margin <symbol> [ISOLATED|CROSSED]");
+    }
+    try {
+      if (marginType) {
+        exchangeResult(await setMarginType(symbol, marginType));
+      }
+      const settings = await getPositionSettings(symbol);
+      await replies.send(ctx, positionSettingsTemplate(settings, marginType ? "Margin mode set" : "Position settings"));
+    } catch (error) {
+      ctx.reply(formatError(error));
+    }
+  });
+
+  // /posmode [hedge|oneway]: show or switch the account position mode
+  bot.command("posmode", async (ctx) => {
+    const [mode] = ctx.message.text.split(" ").slice(1).filter(Boolean);
+    if (mode && !["hedge", "oneway"].includes(mode.toLowerCase())) {
+      return ctx.reply("Usage: /posmode [hedge|oneway]");
+    }
+    try {
+      if (mode) {
+        exchangeResult(await setPositionMode(mode.toLowerCase() === "hedge"));
+      }
+      const hedgeMode = await isHedgeMode();
+      ctx.reply(`Position mode: ${hedgeMode ? "hedge (LONG and SHORT sides)" : "one-way"}`);
+    } catch (error) {
+      ctx.reply(formatError(error));
+    }
+  });
+
+  // /addmargin <symbol> <LONG|SHORT|BOTH> <amount>: a negative amount removes
+  // margin; BOTH is the position in one-way mode
+  bot.command("addmargin", async (ctx) => {
+    const [symbol, side, amount] = ctx.message.text.split(" ").slice(1).filter(Boolean);
+    const positionSide = side && side.toUpperCase();
+    if (!symbol || !["LONG", "SHORT", "BOTH"].includes(positionSide) || !parseFloat(amount)) {
+      return ctx.reply(
+        "Usage: /addmargin <symbol> <LONG|SHORT|BOTH> <amount> (negative to remove, BOTH in one-way mode)"
+      );
+    }
+    try {
+      exchangeResult(await adjustPositionMargin(symbol, positionSide, amount));
+      // Straight from the exchange: the stream cache may not have the new margin yet
+      const positions = await exchange().getPositions({ symbol });
+      const position = (positions.data || []).filter((pos) => pos.positionSide === positionSide);
+      await replies.send(ctx, {
+        ...positionsTemplate({ ...positions, data: position }),
+        title: `✅ ${parseFloat(amount) < 0 ? "Removed" : "Added"} ${Math.abs(parseFloat(amount))} USDT margin`,
+      });
+    } catch (error) {
+      ctx.reply(formatError(error));
+    }
+  });
+
+  // /raw switches this chat between formatted replies and the raw JSON
+  bot.command("raw", (ctx) => {
+    const enabled = replies.toggleRaw(String(ctx.chat.id));
+    ctx.reply(enabled ? "Raw JSON replies on" : "Formatted replies on");
+  });
+
+  bot.command("subscribe", async (ctx) => {
+    const events = ctx.message.text.split(" ").slice(1).filter(Boolean);
+    try {
+      const subscription = notifier.subscribe(
+        String(ctx.chat.id),
+        events.length > 0 ? events : NOTIFICATION_EVENTS
+      );
+      ctx.reply(`Subscribed to: ${subscription.events.join(", ")}`);
+    } catch (error) {
+      ctx.reply(formatError(error));
+    }
+  });
+
+  bot.command("unsubscribe", async (ctx) => {
+    const events = ctx.message.text.split(" ").slice(1).filter(Boolean);
+    const subscription = notifier.unsubscribe(String(ctx.chat.id), events);
+    ctx.reply(
+      subscription
+        ? `Still subscribed to: ${subscription.events.join(", ")}`
+        : "Unsubscribed from all notifications"
+    );
+  });
+
+  bot.command("limits", async (ctx) => {
+    await replies.send(ctx, riskLimitsTemplate(riskManager.getStatus()));
+  });
+
+  bot.command("killswitch", async (ctx) => {
+    const [state] = ctx.message.text.split(" ").slice(1);
+    if (state && !["on", "off"].includes(state.toLowerCase())) {
+      return ctx.reply("Usage: /killswitch [on|off]");
+    }
+    const status = state
+      ? riskManager.setKillSwitch(state.toLowerCase() === "on")
+      : riskManager.getStatus();
+    ctx.reply(`Kill switch is ${status.killSwitch ? "ON: new entries are blocked" : "OFF"}`);
+  });
+
+  bot.command("ta", async (ctx) => {
+    const [symbol, interval = "1m"] = ctx.message.text.split(" ").slice(1);
+    if (!symbol) {
+      return ctx.reply("Usage: /ta <symbol> [interval]");
+    }
+    try {
+      const { price, indicators } = await indicatorService.get(symbol, interval);
+      const lines = Object.entries(indicators).map(([name, value]) => {
+        const formatted =
+          value && typeof value === "object"
+            ? Object.entries(value)
+                .map(([key, v]) => `${key}=${v}`)
+                .join(" ")
+            : value;
+        return `${name.toUpperCase()}: ${formatted ?? "n/a"}`;
+      });
+      ctx.reply(`${symbol} ${interval} @ ${price}\n${lines.join("\n")}`);
+    } catch (error) {
+      ctx.reply(formatError(error));
+    }
+  });
+
+  bot.command("strategies", async (ctx) => {
+    await replies.send(ctx, strategiesTemplate(strategyScheduler.list()));
+  });
+
+  bot.command("strategy", async (ctx) => {
+    const [action, name, ...args] = ctx.message.text.split(" ").slice(1);
+    const usage =
+      "Usage: /strategy start|stop <name> <symbol>\n       /strategy params <name> [key=value ...]";
+    if (!["start", "stop", "params"].includes(action) || !name) {
+      return ctx.reply(usage);
+    }
+
+    try {
+      if (action === "params") {
+        const params = parseParams(args);
+        const result =
+          Object.keys(params).length > 0
+            ? strategyScheduler.setParams(name, params)
+            : strategyScheduler.list().find((strategy) => strategy.name === name);
+        if (!result) {
+          return ctx.reply(`Unknown strategy: ${name}`);
+        }
+        return await replies.send(ctx, strategyParamsTemplate(name, result.params));
+      }
+
+      const [symbol] = args;
+      if (!symbol) {
+        return ctx.reply(usage);
+      }
+      if (action === "start") {
+        const instance = strategyScheduler.start(name, symbol);
+        return ctx.reply(`Strategy ${name} started on ${symbol} (every ${instance.interval})`);
+      }
+      strategyScheduler.stop(name, symbol);
+      ctx.reply(`Strategy ${name} stopped on ${symbol}`);
+    } catch (error) {
+      ctx.reply(formatError(error));
+    }
+  });
+
+  // WebSocket streams (BINGX_WS_ENABLED=true): public market data for
+  // BINGX_WS_SYMBOLS and, outside paper trading, the private user data stream
+  let marketStream = null;
+  let userStream = null;
+  let server = null;
+  let unwatchConfig = null;
+
+  function startStreams() {
+    const streamUrl = config.BINGX_WS_URL;
+    marketStream = createMarketStream({ url: streamUrl, cache: marketCache, logger });
+    const channels = config.BINGX_WS_CHANNELS.split(",");
+    config.BINGX_WS_SYMBOLS
+      .split(",")
+      .filter(Boolean)
+      .forEach((symbol) => channels.forEach((channel) => marketStream.subscribe(`${symbol}@${channel}`)));
+    marketStream.start();
+
+    if (PAPER_TRADING) {
+      marketCache.events.on("price", ({ symbol, price }) =>
+        paperExchanges.forEach((exchange) => exchange.updatePrice(symbol, price))
+      );
+      return;
+    }
+    // The user data stream is BingX's
+    if (exchangeName(accounts.defaultId) !== "bingx") return;
+    userStream = createUserDataStream({
+      url: streamUrl,
+      cache: marketCache,
+      createListenKey: async () =>
+        (await makeRequest("POST", "/openApi/user/auth/userDataStream")).listenKey,
+      keepAliveListenKey: (listenKey) =>
+        makeRequest("PUT", "/openApi/user/auth/userDataStream", { listenKey }),
+      loadAccountSnapshot: async () => ({
+        positions: (await exchange().getPositions()).data || [],
+        orders: (await exchange().getOpenOrders()).data || [],
+      }),
+      logger,
+    });
+    userStream.start();
+
+    // Order notifications come from the user data stream when it runs,
+    // otherwise from polling
+    marketCache.events.on("order", ({ previous, order }) => {
+      const executed = parseFloat(order.executedQty) || 0;
+      if (executed > (previous ? parseFloat(previous.executedQty) || 0 : 0)) {
+        tradeJournal.recordFill(order);
+      }
+      notifier.handleOrderUpdate(previous, order);
+      brackets.handleOrderUpdate(previous, order);
+    });
+  }
+
+  // Loads the settings again (on SIGHUP or a config file change). Risk limits
+  // and strategy parameters take effect at once; the kill switch only when
+  // RISK_KILL_SWITCH itself changed, so a switch flipped at runtime stays.
+  // Other changes are logged and wait for a restart.
+  function reloadSettings() {
+    let result;
+    try {
+      result = reloadConfig(config);
+    } catch (error) {
+      logger.error(`Configuration not reloaded: ${error.message}`);
+      return null;
+    }
+    const { reloaded, restartRequired } = result;
+    config = result.config;
+
+    if (reloaded.some((name) => name.startsWith("RISK_"))) {
+      const { killSwitch, ...limits } = loadRiskLimitsFromEnv(config);
+      riskManager.updateLimits(reloaded.includes("RISK_KILL_SWITCH") ? { ...limits, killSwitch } : limits);
+    }
+    if (reloaded.includes("STRATEGY_PARAMS")) {
+      Object.entries(config.STRATEGY_PARAMS).forEach(([name, params]) => {
+        try {
+          strategyScheduler.setParams(name, params);
+        } catch (error) {
+          logger.error(`STRATEGY_PARAMS.${name} not applied: ${error.message}`);
+        }
+      });
+    }
+    if (reloaded.includes("LOG_LEVEL")) {
+      logger.level = auditLogger.level = config.LOG_LEVEL;
+    }
+    if (reloaded.length > 0) logger.info(`Configuration reloaded: ${reloaded.join(", ")}`);
+    if (restartRequired.length > 0) {
+      logger.warn(`Configuration changes that need a restart: ${restartRequired.join(", ")}`);
+    }
+    return result;
+  }
+
+  // Starts the HTTP server, the Telegram bot, the exchange streams and the
+  // background jobs. Nothing runs before this, so tests can drive the app and
+  // the bot without timers or network access.
+  function start({ port = config.PORT, launchBot = true } = {}) {
+    if (PAPER_TRADING && !exchangeClient) {
+      paperExchanges.forEach((exchange) =>
+        exchange.startPriceFeed(config.PAPER_PRICE_POLL_MS)
+      );
+      logger.info("Paper trading mode enabled: orders are simulated locally");
+    }
+
+    // Keep the signature timestamps in line with the exchange clocks
+    if (!PAPER_TRADING && !exchangeClient) {
+      accounts.ids().forEach((id) =>
+        accounts
+          .client(id)
+          .startTimeSync(config.BINGX_TIME_SYNC_MS)
+          .then((offset) => {
+            if (offset !== undefined && Math.abs(offset) > config.BINGX_CLOCK_SKEW_WARN_MS) {
+              logger.warn(
+                `Local clock is ${Math.round(offset)}ms off from ${exchangeLabel(exchangeName(id))}, correcting signatures`
+              );
+            }
+          })
+      );
+    }
+
+    if (launchBot) bot.launch();
+    if (config.BINGX_WS_ENABLED) startStreams();
+
+    // Positions are always polled for liquidation and PnL alerts. Bracket
+    // exits are also polled so a fill missed by the stream still cancels
+    // their sibling.
+    brackets.start(config.BRACKET_POLL_MS);
+    // Running algos (including those from before a restart) tick every ALGO_TICK_MS
+    algos.start(config.ALGO_TICK_MS);
+    // Alerts (including those from before a restart) are checked every ALERT_POLL_MS
+    alerts.start(config.ALERT_POLL_MS);
+    notifier.start(config.NOTIFY_POLL_MS, { orders: !userStream });
+
+    // Daily PnL summary for chats subscribed to "summary", at PNL_SUMMARY_HOUR_UTC
+    pnlReporter.startDailySummary((text) => notifier.notify("summary", text), config.PNL_SUMMARY_HOUR_UTC);
+
+    // Start strategies enabled in strategies.js or listed in STRATEGIES
+    // ("name:SYMBOL,SYMBOL;name2:SYMBOL")
+    strategyScheduler.startEnabled(config.STRATEGIES);
+
+    if (config.CONFIG_FILE && config.CONFIG_WATCH) {
+      unwatchConfig = watchConfigFile(config.CONFIG_FILE, reloadSettings, config.CONFIG_WATCH_MS);
+    }
+
+    return new Promise((resolve) => {
+      server = app.listen(port, () => {
+        logger.info(`Marcelo's trading Server running on port ${server.address().port}`);
+        resolve(server);
+      });
+    });
+  }
+
+  // Stops everything start() started; resolves once the HTTP server is closed
+  function stop(reason = "stop") {
+    if (unwatchConfig) unwatchConfig();
+    unwatchConfig = null;
+    strategyScheduler.stopAll();
+    pnlReporter.stopDailySummary();
+    notifier.stop();
+    alerts.stop();
+    algos.stop();
+    brackets.stop();
+    paperExchanges.forEach((exchange) => exchange.stopPriceFeed());
+    if (!PAPER_TRADING && !exchangeClient) accounts.ids().forEach((id) => accounts.client(id).stopTimeSync());
+    if (marketStream) marketStream.stop();
+    if (userStream) userStream.stop();
+    marketStream = userStream = null;
+    try {
+      bot.stop(reason);
+    } catch (error) {
+      // The bot was not launched
+    }
+    return new Promise((resolve) => {
+      if (!server) return resolve();
+      server.close(() => resolve());
+      server = null;
+    });
+  }
+
+  return { app, bot, accounts, logger, metrics, start, stop, reloadSettings };
+}
+
+module.exports = { createApp };
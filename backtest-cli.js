@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+// backtest-cli.js
+//
+// Usage:
+//   node backtest-cli.js --file klines.csv [--strategy simple-momentum]
+//     [--symbol BTC-USDT] [--interval 1m] [--balance 10000] [--fee 0.0005]
+//     [--slippage 0.0005] [--quantity 0.01 | --notional 500 | --percent 10]
+//     [--params '{"quantity":0.02}'] [--json]
+
+const { runBacktest } = require("./backtester");
+const { loadKlinesFile } = require("./klines");
+const { getStrategy, listStrategies } = require("./strategies");
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) continue;
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+function sizingFromArgs(args) {
+  if (args.notional) return { mode: "notional", notional: parseFloat(args.notional) };
+  if (args.percent) return { mode: "percent", percent: parseFloat(args.percent) };
+  if (args.quantity) return { mode: "fixed", quantity: parseFloat(args.quantity) };
+  return undefined;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const strategyName = args.strategy || "simple-momentum";
+  const strategy = getStrategy(strategyName);
+
+  if (!args.file || !strategy) {
+    if (!strategy) console.error(`Unknown strategy: ${strategyName}`);
+    console.error("Usage: node backtest-cli.js --file <klines.csv|klines.json> [options]");
+    console.error(`Strategies: ${listStrategies().map((s) => s.name).join(", ")}`);
+    process.exit(1);
+  }
+
+  const report = runBacktest({
+    strategy,
+    candles: loadKlinesFile(args.file),
+    symbol: args.symbol || "",
+    interval: args.interval,
+    params: args.params ? JSON.parse(args.params) : {},
+    initialBalance: args.balance ? parseFloat(args.balance) : undefined,
+    feeRate: args.fee ? parseFloat(args.fee) : undefined,
+    slippage: args.slippage ? parseFloat(args.slippage) : undefined,
+    sizing: sizingFromArgs(args),
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  console.log(`Backtest: ${report.strategy} ${report.symbol}`);
+  console.log(`Period: ${new Date(report.startTime).toISOString()} - ${new Date(report.endTime).toISOString()}`);
+  console.log(`Initial balance: ${report.initialBalance}`);
+  console.log(`Final equity: ${report.finalEquity}`);
+  console.log(`PnL: ${report.pnl} (${report.returnPercent}%)`);
+  console.log(`Fees: ${report.fees}`);
+  console.log(`Max drawdown: ${report.maxDrawdown} (${report.maxDrawdownPercent}%)`);
+  console.log(`Win rate: ${report.winRate}%`);
+  console.log(`Sharpe ratio: ${report.sharpeRatio}`);
+  console.log(`Trades: ${report.tradeCount}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error("Backtest failed:", error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,209 @@
+// backtester.js
+//
+// Replays historical candles through a strategy (see strategies.js) and
+// reports how it would have performed. Signals produced on a candle's close
+// are filled at the next candle's open, adjusted for slippage, so the
+// strategy never trades on prices it could not have seen.
+
+const { intervalToMs } = require("./klines");
+const { createIndicatorSet } = require("./indicators");
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+const DEFAULT_OPTIONS = {
+  initialBalance: 10000,
+  feeRate: 0.0005,
+  slippage: 0.0005,
+  sizing: { mode: "fixed" },
+  warmup: 1,
+};
+
+function round(value, decimals = 8) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+// Quantity for a new position: "fixed" units (the sizing quantity, else the
+// one the strategy asks for), "notional" in USDT or "percent" of equity.
+function positionSize(decision, sizing, equity, price, params) {
+  if (sizing.mode === "notional") {
+    return sizing.notional / price;
+  }
+  if (sizing.mode === "percent") {
+    return (equity * (sizing.percent / 100)) / price;
+  }
+  return parseFloat(sizing.quantity ?? decision.quantity ?? params.quantity ?? 0);
+}
+
+function barsPerYear(candles, interval) {
+  let barMs = interval ? intervalToMs(interval) : null;
+  if (!barMs && candles.length > 1) {
+    barMs = (candles[candles.length - 1].time - candles[0].time) / (candles.length - 1);
+  }
+  return barMs ? YEAR_MS / barMs : 0;
+}
+
+function sharpeRatio(equityCurve, periodsPerYear) {
+  const returns = [];
+  for (let i = 1; i < equityCurve.length; i++) {
+    const previous = equityCurve[i - 1].equity;
+    if (previous > 0) {
+      returns.push(equityCurve[i].equity / previous - 1);
+    }
+  }
+  if (returns.length < 2) return 0;
+
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance =
+    returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  const deviation = Math.sqrt(variance);
+  if (deviation === 0) return 0;
+  return (mean / deviation) * Math.sqrt(periodsPerYear || returns.length);
+}
+
+function maxDrawdown(equityCurve) {
+  let peak = -Infinity;
+  let worst = { amount: 0, percent: 0 };
+  for (const point of equityCurve) {
+    peak = Math.max(peak, point.equity);
+    const amount = peak - point.equity;
+    if (amount > worst.amount) {
+      worst = { amount, percent: peak > 0 ? (amount / peak) * 100 : 0 };
+    }
+  }
+  return worst;
+}
+
+function runBacktest({ strategy, candles, symbol = "", params = {}, interval, ...rest }) {
+  if (!strategy || typeof strategy.decide !== "function") {
+    throw new Error("A strategy with a decide() function is required");
+  }
+  if (!Array.isArray(candles) || candles.length < 2) {
+    throw new Error("At least two candles are required to run a backtest");
+  }
+
+  // Options left undefined (e.g. by the CLI) fall back to the defaults
+  const overrides = Object.fromEntries(
+    Object.entries(rest).filter(([, value]) => value !== undefined)
+  );
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const sizing = { ...DEFAULT_OPTIONS.sizing, ...options.sizing };
+  const strategyParams = { ...strategy.defaultParams, ...params };
+
+  let cash = options.initialBalance;
+  let position = null;
+  let totalFees = 0;
+  const trades = [];
+  const equityCurve = [];
+
+  const markToMarket = (price) => {
+    if (!position) return cash;
+    const direction = position.side === "LONG" ? 1 : -1;
+    return cash + (price - position.entryPrice) * position.quantity * direction;
+  };
+
+  const execute = (side, quantity, candle) => {
+    const slip = side === "BUY" ? 1 + options.slippage : 1 - options.slippage;
+    const price = candle.open * slip;
+    const fee = price * quantity * options.feeRate;
+    totalFees += fee;
+    cash -= fee;
+    return { price, fee };
+  };
+
+  const closePosition = (candle) => {
+    const side = position.side === "LONG" ? "SELL" : "BUY";
+    const { price, fee } = execute(side, position.quantity, candle);
+    const direction = position.side === "LONG" ? 1 : -1;
+    const gross = (price - position.entryPrice) * position.quantity * direction;
+    cash += gross;
+    trades.push({
+      side: position.side,
+      quantity: round(position.quantity),
+      entryTime: position.entryTime,
+      entryPrice: round(position.entryPrice),
+      exitTime: candle.time,
+      exitPrice: round(price),
+      fees: round(position.entryFee + fee),
+      pnl: round(gross - position.entryFee - fee),
+    });
+    position = null;
+  };
+
+  const openPosition = (side, quantity, candle) => {
+    if (!(quantity > 0)) return;
+    const { price, fee } = execute(side === "LONG" ? "BUY" : "SELL", quantity, candle);
+    position = {
+      side,
+      quantity,
+      entryPrice: price,
+      entryTime: candle.time,
+      entryFee: fee,
+    };
+  };
+
+  const indicatorSet = createIndicatorSet(options.indicators, options.indicatorOptions);
+  const warmup = Math.max(1, options.warmup);
+  for (let i = 0; i < candles.length; i++) {
+    const candle = candles[i];
+    const indicators = indicatorSet.update(candle);
+
+    if (i >= warmup - 1 && i < candles.length - 1) {
+      const marketData = {
+        symbol,
+        price: candle.close,
+        candles: candles.slice(0, i + 1),
+        indicators,
+      };
+      const decision = strategy.decide(marketData, position, strategyParams);
+      const next = candles[i + 1];
+
+      if (decision && decision.action) {
+        const action = decision.action.toUpperCase();
+        const wanted = action === "BUY" ? "LONG" : action === "SELL" ? "SHORT" : null;
+
+        if (position && (action === "CLOSE" || (wanted && wanted !== position.side))) {
+          closePosition(next);
+        }
+        if (wanted && !position) {
+          const quantity = positionSize(decision, sizing, markToMarket(next.open), next.open, strategyParams);
+          openPosition(wanted, quantity, next);
+        }
+      }
+    }
+
+    equityCurve.push({ time: candle.time, equity: round(markToMarket(candle.close), 4) });
+  }
+
+  if (position) {
+    const last = candles[candles.length - 1];
+    closePosition({ ...last, open: last.close });
+    equityCurve[equityCurve.length - 1].equity = round(cash, 4);
+  }
+
+  const wins = trades.filter((trade) => trade.pnl > 0).length;
+  const finalEquity = cash;
+  const drawdown = maxDrawdown(equityCurve);
+
+  return {
+    symbol,
+    strategy: strategy.name,
+    params: strategyParams,
+    startTime: candles[0].time,
+    endTime: candles[candles.length - 1].time,
+    initialBalance: options.initialBalance,
+    finalEquity: round(finalEquity, 4),
+    pnl: round(finalEquity - options.initialBalance, 4),
+    returnPercent: round((finalEquity / options.initialBalance - 1) * 100, 4),
+    fees: round(totalFees, 4),
+    maxDrawdown: round(drawdown.amount, 4),
+    maxDrawdownPercent: round(drawdown.percent, 4),
+    winRate: trades.length ? round((wins / trades.length) * 100, 2) : 0,
+    sharpeRatio: round(sharpeRatio(equityCurve, barsPerYear(candles, interval)), 4),
+    tradeCount: trades.length,
+    trades,
+    equityCurve,
+  };
+}
+
+module.exports = { runBacktest };
@@ -0,0 +1,86 @@
+// backtester.test.js
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { runBacktest } = require("./backtester");
+const { normalizeKlines, loadKlinesFile } = require("./klines");
+const { simpleMomentum } = require("./strategies");
+
+function candlesFromCloses(closes) {
+  return closes.map((close, index) => ({
+    time: index * 60000,
+    open: index === 0 ? close : closes[index - 1],
+    high: close,
+    low: close,
+    close,
+    volume: 1,
+  }));
+}
+
+describe("Backtester", () => {
+  it("should normalize array and object klines oldest first", () => {
+    const candles = normalizeKlines({
+      code: 0,
+      data: [
+        { open: "2", close: "3", high: "3", low: "2", volume: "5", time: 120000 },
+        [60000, "1", "2", "1", "2", "4"],
+      ],
+    });
+    expect(candles.map((c) => c.time)).toEqual([60000, 120000]);
+    expect(candles[0].close).toBe(2);
+  });
+
+  it("should load klines from a CSV file", () => {
+    const file = path.join(os.tmpdir(), `klines-${process.pid}.csv`);
+    fs.writeFileSync(file, "time,open,high,low,close,volume\n0,1,2,1,2,10\n60000,2,3,2,3,10\n");
+    try {
+      expect(loadKlinesFile(file)).toHaveLength(2);
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  it("should fill signals on the next open and report PnL", () => {
+    const report = runBacktest({
+      strategy: simpleMomentum,
+      candles: candlesFromCloses([100, 101, 102, 103, 102, 101]),
+      symbol: "BTC-USDT",
+      interval: "1m",
+      feeRate: 0,
+      slippage: 0,
+      sizing: { mode: "fixed", quantity: 1 },
+    });
+
+    // Long from the open after the first up candle (101) until the first
+    // down candle reverses it at the next open (102), then short until the
+    // position is closed on the final close (101).
+    expect(report.tradeCount).toBe(2);
+    expect(report.trades[0]).toMatchObject({ side: "LONG", entryPrice: 101, exitPrice: 102, pnl: 1 });
+    expect(report.trades[1]).toMatchObject({ side: "SHORT", entryPrice: 102, exitPrice: 101, pnl: 1 });
+    expect(report.pnl).toBe(2);
+    expect(report.winRate).toBe(100);
+    expect(report.equityCurve).toHaveLength(6);
+  });
+
+  it("should charge fees and slippage and track drawdown", () => {
+    const report = runBacktest({
+      strategy: simpleMomentum,
+      candles: candlesFromCloses([100, 101, 100, 99, 100, 101]),
+      feeRate: 0.001,
+      slippage: 0.001,
+      sizing: { mode: "notional", notional: 1000 },
+    });
+
+    expect(report.fees).toBeGreaterThan(0);
+    expect(report.pnl).toBeLessThan(0);
+    expect(report.maxDrawdown).toBeGreaterThan(0);
+    expect(report.finalEquity).toBeCloseTo(report.initialBalance + report.pnl, 4);
+  });
+
+  it("should reject strategies without decide()", () => {
+    expect(() => runBacktest({ strategy: {}, candles: candlesFromCloses([1, 2]) })).toThrow(
+      "decide()"
+    );
+  });
+});
@@ -0,0 +1,211 @@
+// binance-adapter.js
+//
+// Exchange adapter (see exchange-adapter.js) for Binance USDⓈ-M futures.
+// Requests go out in Binance's terms (/fapi endpoints, BTCUSDT symbols) and
+// the answers are translated to the BingX shapes the adapter interface uses:
+// BTC-USDT symbols, positive position amounts with a LONG or SHORT side,
+// balance fields named like BingX's. request is the function requests go
+// through (makeRequest in app.js, over a Binance client).
+//
+// Binance accounts run in one-way mode by default, where orders carry no
+// positionSide: an order on the closing side of the given positionSide is
+// sent reduce-only instead. The position mode is read once per adapter.
+
+const { normalizeKlines } = require("./klines");
+const { normalizeSymbol, compactSymbol } = require("./symbols");
+
+// Binance spells the cancelled status with one L
+const ORDER_STATUSES = { CANCELED: "CANCELLED" };
+
+function ok(data) {
+  return { code: 0, msg: "", data };
+}
+
+function adapterError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function toOrder(order) {
+  return {
+    symbol: normalizeSymbol(order.symbol),
+    orderId: order.orderId,
+    clientOrderId: order.clientOrderId,
+    side: order.side,
+    positionSide: order.positionSide,
+    type: order.type,
+    origQty: order.origQty,
+    price: order.price,
+    executedQty: order.executedQty,
+    avgPrice: order.avgPrice,
+    stopPrice: order.stopPrice,
+    activationPrice: order.activatePrice,
+    priceRate: order.priceRate,
+    reduceOnly: order.reduceOnly,
+    status: ORDER_STATUSES[order.status] || order.status,
+    time: order.time || order.updateTime,
+    updateTime: order.updateTime,
+  };
+}
+
+// positionRisk entries are signed in one-way mode (positionSide BOTH)
+function toPosition(position) {
+  const amount = parseFloat(position.positionAmt);
+  return {
+    symbol: normalizeSymbol(position.symbol),
+    positionSide: position.positionSide === "BOTH" ? (amount > 0 ? "LONG" : "SHORT") : position.positionSide,
+    positionAmt: String(Math.abs(amount)),
+    avgPrice: position.entryPrice,
+    markPrice: position.markPrice,
+    unrealizedProfit: position.unRealizedProfit,
+    liquidationPrice: parseFloat(position.liquidationPrice) || 0,
+    leverage: parseInt(position.leverage, 10),
+    isolated: position.marginType === "isolated",
+    initialMargin: position.isolatedMargin,
+  };
+}
+
+function createBinanceAdapter({ request }) {
+  let hedgeMode = null;
+
+  async function isHedgeMode() {
+    if (hedgeMode === null) {
+      const { data } = await request("GET", "/fapi/v1/positionSide/dual");
+      hedgeMode = String(data.dualSidePosition) === "true";
+    }
+    return hedgeMode;
+  }
+
+  async function getBalance() {
+    const { data } = await request("GET", "/fapi/v2/account");
+    return ok({
+      balance: {
+        asset: "USDT",
+        balance: data.totalWalletBalance,
+        equity: data.totalMarginBalance,
+        unrealizedProfit: data.totalUnrealizedProfit,
+        availableMargin: data.availableBalance,
+        usedMargin: data.totalInitialMargin,
+      },
+    });
+  }
+
+  // Open positions only: Binance also lists every symbol with a zero amount
+  async function rawPositions(symbol) {
+    const { data } = await request("GET", "/fapi/v2/positionRisk", symbol ? { symbol: compactSymbol(symbol) } : {});
+    return data.filter((position) => parseFloat(position.positionAmt) !== 0);
+  }
+
+  async function getPositions({ symbol } = {}) {
+    return ok((await rawPositions(symbol)).map(toPosition));
+  }
+
+  async function getOpenOrders({ symbol } = {}) {
+    const { data } = await request("GET", "/fapi/v1/openOrders", symbol ? { symbol: compactSymbol(symbol) } : {});
+    return ok(data.map(toOrder));
+  }
+
+  async function getOrder(symbol, orderId) {
+    const { data } = await request("GET", "/fapi/v1/order", { symbol: compactSymbol(symbol), orderId });
+    return ok({ order: toOrder(data) });
+  }
+
+  // Takes the BingX order fields (type, quantity, price, stopPrice,
+  // activationPrice, callbackRate, workingType, positionSide, ...)
+  async function placeOrder({
+    symbol,
+    side,
+    positionSide,
+    type = "MARKET",
+    quantity,
+    price,
+    stopPrice,
+    activationPrice,
+    callbackRate,
+    workingType,
+    timeInForce,
+    clientOrderId,
+  }) {
+    const params = {
+      symbol: compactSymbol(symbol),
+      side,
+      type,
+      quantity,
+      price,
+      stopPrice,
+      activationPrice,
+      callbackRate,
+      workingType,
+      timeInForce: type === "LIMIT" ? timeInForce || "GTC" : undefined,
+      newClientOrderId: clientOrderId,
+    };
+    if (await isHedgeMode()) {
+      params.positionSide = positionSide && positionSide !== "BOTH" ? positionSide : side === "BUY" ? "LONG" : "SHORT";
+    } else if ((positionSide === "LONG" && side === "SELL") || (positionSide === "SHORT" && side === "BUY")) {
+      params.reduceOnly = "true";
+    }
+    const { data } = await request("POST", "/fapi/v1/order", params);
+    return ok({ order: toOrder(data) });
+  }
+
+  async function cancelOrder(symbol, orderId) {
+    const { data } = await request("DELETE", "/fapi/v1/order", { symbol: compactSymbol(symbol), orderId });
+    return ok({ order: toOrder(data) });
+  }
+
+  // A reduce-only market order for the whole position on that side;
+  // answers with the order, like BingX's closePosition
+  async function closePosition(symbol, positionSide) {
+    const position = (await rawPositions(symbol)).map(toPosition).find((p) => p.positionSide === positionSide);
+    if (!position) {
+      throw adapterError(404, `No ${positionSide} position on ${normalizeSymbol(symbol)} to close`);
+    }
+    const result = await placeOrder({
+      symbol,
+      side: positionSide === "LONG" ? "SELL" : "BUY",
+      positionSide,
+      type: "MARKET",
+      quantity: position.positionAmt,
+    });
+    return ok(result.data.order);
+  }
+
+  async function getPrice(symbol) {
+    const { data } = await request("GET", "/fapi/v1/ticker/price", { symbol: compactSymbol(symbol) });
+    return ok({ symbol: normalizeSymbol(data.symbol), price: data.price, time: data.time });
+  }
+
+  // Binance klines are [openTime, open, high, low, close, volume, ...]
+  async function getKlines({ symbol, interval, limit, startTime, endTime }) {
+    const { data } = await request("GET", "/fapi/v1/klines", {
+      symbol: compactSymbol(symbol),
+      interval,
+      limit,
+      startTime,
+      endTime,
+    });
+    return ok(normalizeKlines(data));
+  }
+
+  async function getServerTime() {
+    const { data } = await request("GET", "/fapi/v1/time");
+    return ok({ serverTime: data.serverTime });
+  }
+
+  return {
+    name: "binance",
+    getBalance,
+    getPositions,
+    getOpenOrders,
+    getOrder,
+    placeOrder,
+    cancelOrder,
+    closePosition,
+    getPrice,
+    getKlines,
+    getServerTime,
+  };
+}
+
+module.exports = { createBinanceAdapter };
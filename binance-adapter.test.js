@@ -0,0 +1,165 @@
+// binance-adapter.test.js
+
+const { createBinanceAdapter } = require("./binance-adapter");
+
+// Fake request function answering "METHOD /path" from a map of handlers
+function createRequest(routes) {
+  const calls = [];
+  const request = async (method, endpoint, params = {}) => {
+    calls.push({ method, endpoint, params });
+    const handler = routes[`${method} ${endpoint}`];
+    if (!handler) throw new Error(`Unexpected ${method} ${endpoint}`);
+    return { code: 0, msg: "", data: typeof handler === "function" ? handler(params) : handler };
+  };
+  request.calls = calls;
+  return request;
+}
+
+// One-way mode: a short BTC position and a flat ETH entry
+const POSITIONS = [
+  {
+    symbol: "BTCUSDT",
+    positionSide: "BOTH",
+    positionAmt: "-0.020",
+    entryPrice: "50000",
+    markPrice: "49000",
+    unRealizedProfit: "20",
+    liquidationPrice: "60000",
+    leverage: "10",
+    marginType: "cross",
+  },
+  { symbol: "ETHUSDT", positionSide: "BOTH", positionAmt: "0.000", entryPrice: "0", leverage: "10" },
+];
+
+function orderAnswer(params) {
+  return {
+    orderId: 42,
+    symbol: params.symbol,
+    side: params.side,
+    type: params.type,
+    positionSide: params.positionSide || "BOTH",
+    origQty: String(params.quantity),
+    executedQty: "0",
+    status: "NEW",
+  };
+}
+
+describe("Binance adapter", () => {
+  test("translates balance, positions and orders to the BingX shapes", async () => {
+    const request = createRequest({
+      "GET /fapi/v2/account": {
+        totalWalletBalance: "1000",
+        totalMarginBalance: "1020",
+        availableBalance: "900",
+        totalUnrealizedProfit: "20",
+        totalInitialMargin: "100",
+      },
+      "GET /fapi/v2/positionRisk": POSITIONS,
+      "GET /fapi/v1/openOrders": [
+        { orderId: 1, symbol: "BTCUSDT", side: "BUY", type: "LIMIT", status: "NEW", price: "48000" },
+      ],
+      "GET /fapi/v1/order": { orderId: 1, symbol: "BTCUSDT", status: "CANCELED" },
+    });
+    const adapter = createBinanceAdapter({ request });
+
+    expect((await adapter.getBalance()).data.balance).toEqual({
+      asset: "USDT",
+      balance: "1000",
+      equity: "1020",
+      unrealizedProfit: "20",
+      availableMargin: "900",
+      usedMargin: "100",
+    });
+    const positions = (await adapter.getPositions()).data;
+    expect(positions).toEqual([
+      expect.objectContaining({
+        symbol: "BTC-USDT",
+        positionSide: "SHORT",
+        positionAmt: "0.02",
+        avgPrice: "50000",
+        isolated: false,
+      }),
+    ]);
+    expect((await adapter.getOpenOrders({ symbol: "BTC-USDT" })).data).toEqual([
+      expect.objectContaining({ symbol: "BTC-USDT", orderId: 1, price: "48000" }),
+    ]);
+    expect(request.calls[2].params).toEqual({ symbol: "BTCUSDT" });
+    expect((await adapter.getOrder("BTC-USDT", 1)).data.order.status).toBe("CANCELLED");
+  });
+
+  test("sends closing orders reduce-only in one-way mode", async () => {
+    const request = createRequest({
+      "GET /fapi/v1/positionSide/dual": { dualSidePosition: false },
+      "GET /fapi/v2/positionRisk": POSITIONS,
+      "POST /fapi/v1/order": orderAnswer,
+    });
+    const adapter = createBinanceAdapter({ request });
+
+    const placed = await adapter.placeOrder({
+      symbol: "BTC-USDT",
+      side: "BUY",
+      type: "LIMIT",
+      quantity: 0.01,
+      price: 48000,
+    });
+    expect(placed.data.order).toMatchObject({ symbol: "BTC-USDT", orderId: 42, status: "NEW" });
+    const closed = await adapter.closePosition("BTC-USDT", "SHORT");
+    expect(closed.data).toMatchObject({ orderId: 42, side: "BUY" });
+
+    const orders = request.calls.filter((call) => call.endpoint === "/fapi/v1/order");
+    expect(orders[0].params).toMatchObject({ symbol: "BTCUSDT", type: "LIMIT", timeInForce: "GTC" });
+    expect(orders[0].params).not.toHaveProperty("reduceOnly");
+    expect(orders[1].params).toMatchObject({
+      symbol: "BTCUSDT",
+      side: "BUY",
+      type: "MARKET",
+      quantity: "0.02",
+      reduceOnly: "true",
+    });
+    expect(request.calls.filter((call) => call.endpoint === "/fapi/v1/positionSide/dual")).toHaveLength(1);
+
+    await expect(adapter.closePosition("ETH-USDT", "LONG")).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test("names the position side in hedge mode", async () => {
+    const request = createRequest({
+      "GET /fapi/v1/positionSide/dual": { dualSidePosition: true },
+      "POST /fapi/v1/order": orderAnswer,
+      "DELETE /fapi/v1/order": (params) => ({ orderId: params.orderId, symbol: params.symbol, status: "CANCELED" }),
+    });
+    const adapter = createBinanceAdapter({ request });
+
+    await adapter.placeOrder({
+      symbol: "BTCUSDT",
+      side: "SELL",
+      positionSide: "LONG",
+      type: "STOP_MARKET",
+      stopPrice: 45000,
+      quantity: 1,
+    });
+    await adapter.placeOrder({ symbol: "BTC-USDT", side: "SELL", type: "MARKET", quantity: 1 });
+    const [stop, entry] = request.calls.filter((call) => call.method === "POST").map((call) => call.params);
+    expect(stop).toMatchObject({ positionSide: "LONG", stopPrice: 45000 });
+    expect(stop).not.toHaveProperty("reduceOnly");
+    expect(entry.positionSide).toBe("SHORT");
+
+    const cancelled = await adapter.cancelOrder("BTC-USDT", 7);
+    expect(cancelled.data.order).toMatchObject({ orderId: 7, symbol: "BTC-USDT", status: "CANCELLED" });
+  });
+
+  test("reads prices and klines", async () => {
+    const request = createRequest({
+      "GET /fapi/v1/ticker/price": { symbol: "BTCUSDT", price: "50000.1", time: 1 },
+      "GET /fapi/v1/klines": [
+        [120000, "2", "3", "1", "2.5", "10", 179999],
+        [60000, "1", "2", "0.5", "2", "5", 119999],
+      ],
+    });
+    const adapter = createBinanceAdapter({ request });
+
+    expect((await adapter.getPrice("BTC-USDT")).data).toEqual({ symbol: "BTC-USDT", price: "50000.1", time: 1 });
+    const klines = await adapter.getKlines({ symbol: "BTC-USDT", interval: "1m", limit: 2 });
+    expect(klines.data.map((candle) => candle.time)).toEqual([60000, 120000]);
+    expect(klines.data[1]).toEqual({ time: 120000, open: 2, high: 3, low: 1, close: 2.5, volume: 10 });
+  });
+});
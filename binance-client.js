@@ -0,0 +1,213 @@
+// binance-client.js
+//
+// HTTP client for the Binance USDⓈ-M futures REST API (/fapi), the
+// counterpart of bingx-client.js. Signed requests carry the API key in
+// X-MBX-APIKEY and an HMAC-SHA256 signature of the query string. Requests
+// share the rate limiter of the BingX client, with Binance's limits, and are
+// retried on the same terms. Successful calls resolve with the { code: 0,
+// msg, data } envelope the rest of the server expects from BingX; Binance
+// answers errors with an HTTP error status and its own negative codes, which
+// are thrown as BinanceError.
+
+const crypto = require("crypto");
+const axios = require("axios");
+const { createRateLimiter } = require("./bingx-client");
+
+const DEFAULT_BASE_URL = "https://fapi.binance.com";
+const TIME_ENDPOINT = "/fapi/v1/time";
+
+// Request weight per minute per IP, orders per 10 seconds per account
+const RATE_LIMITS = {
+  request: { limit: 2400, windowMs: 60000 },
+  order: { limit: 300, windowMs: 10000 },
+};
+
+const PUBLIC_ENDPOINTS = /^\/fapi\/v1\/(ping|time|exchangeInfo|depth|trades|klines|ticker\/.+|premiumIndex|fundingRate)$/;
+
+const ERROR_CODES = {
+  "-1001": "unavailable",
+  "-1003": "rateLimit",
+  "-1015": "rateLimit",
+  "-1021": "timestamp",
+  "-1022": "auth",
+  "-2014": "auth",
+  "-2015": "auth",
+  "-1100": "invalid",
+  "-1102": "invalid",
+  "-1111": "invalid",
+  "-1121": "invalid",
+  "-2011": "notFound",
+  "-2013": "notFound",
+  "-2019": "insufficientMargin",
+};
+
+const STATUS_CODES = {
+  auth: 502,
+  rateLimit: 429,
+  timestamp: 502,
+  unavailable: 503,
+  invalid: 400,
+  notFound: 404,
+  insufficientMargin: 422,
+  unsupported: 501,
+  exchange: 422,
+};
+
+// Connection errors raised before the request reached the exchange
+const NOT_SENT_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+class BinanceError extends Error {
+  constructor(
+    message,
+    { type = "exchange", code = null, msg = message, retryAfterMs = null, statusCode = STATUS_CODES[type] || 502 } = {}
+  ) {
+    super(message);
+    this.name = "BinanceError";
+    this.type = type;
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = { code, msg };
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function fromHttpError(error) {
+  if (!error.response) {
+    const failure = new BinanceError(`Binance request failed: ${error.message}`, {
+      type: "network",
+      code: error.code || null,
+      statusCode: error.code === "ECONNABORTED" || error.code === "ETIMEDOUT" ? 504 : 502,
+    });
+    failure.sent = !NOT_SENT_CODES.includes(error.code);
+    return failure;
+  }
+  const { status, data, headers = {} } = error.response;
+  const retryAfter = parseFloat(headers["retry-after"]);
+  const retryAfterMs = isNaN(retryAfter) ? null : retryAfter * 1000;
+  const code = data && data.code !== undefined ? data.code : status;
+  const msg = (data && data.msg) || `HTTP ${status}`;
+  let type = ERROR_CODES[code] || "exchange";
+  if (status === 429 || status === 418) type = "rateLimit";
+  else if (status >= 500) type = "unavailable";
+  return new BinanceError(`Binance error ${code}: ${msg}`, { type, code, msg, retryAfterMs });
+}
+
+function backoffDelay(attempt, random) {
+  return random() * Math.min(8000, 500 * 2 ** attempt);
+}
+
+function createBinanceClient({
+  apiKey,
+  secretKey,
+  baseUrl = DEFAULT_BASE_URL,
+  http = axios,
+  recvWindow = 5000,
+  timeoutMs = 10000,
+  maxRetries = 3,
+  limits = RATE_LIMITS,
+  now = () => Date.now(),
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  random = Math.random,
+  logger = console,
+}) {
+  const limiter = createRateLimiter({ limits, now, sleep });
+  let timeOffsetMs = 0;
+  let syncTimer = null;
+
+  async function send(method, endpoint, params, signed) {
+    const entries = Object.entries(params).filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    );
+    const headers = {};
+    if (signed) {
+      if (!apiKey || !secretKey) {
+        throw new BinanceError("Binance API credentials are not configured", { type: "auth", statusCode: 503 });
+      }
+      entries.push(["timestamp", Math.round(now() + timeOffsetMs)], ["recvWindow", recvWindow]);
+      headers["X-MBX-APIKEY"] = apiKey;
+    }
+    let query = new URLSearchParams(entries.map(([key, value]) => [key, String(value)])).toString();
+    if (signed) {
+      query += `&signature=${crypto.createHmac("sha256", secretKey).update(query).digest("hex")}`;
+    }
+    try {
+      const response = await http({
+        method,
+        url: `${baseUrl}${endpoint}${query ? `?${query}` : ""}`,
+        headers,
+        timeout: timeoutMs,
+      });
+      return response.data;
+    } catch (error) {
+      throw fromHttpError(error);
+    }
+  }
+
+  function shouldRetry(error, idempotent) {
+    if (error.type === "rateLimit") return true;
+    if (error.type === "network") return idempotent || !error.sent;
+    return error.type === "unavailable" && idempotent;
+  }
+
+  // Resolves with { code: 0, msg: "", data } and rejects with a BinanceError.
+  // Only /fapi endpoints exist here: the BingX-only features (position
+  // margin, income history, user data stream, ...) answer 501.
+  async function request(method, endpoint, params = {}, { signed = !PUBLIC_ENDPOINTS.test(endpoint) } = {}) {
+    if (!endpoint.startsWith("/fapi/")) {
+      throw new BinanceError(`Not available on Binance: ${method} ${endpoint}`, { type: "unsupported" });
+    }
+    const bucket = method !== "GET" && /\/order$/.test(endpoint) ? "order" : "request";
+    let resynced = false;
+
+    for (let attempt = 0; ; attempt++) {
+      await limiter.acquire(bucket, 1);
+      try {
+        return { code: 0, msg: "", data: await send(method, endpoint, params, signed) };
+      } catch (error) {
+        // A rejected timestamp means the request was not executed: resync once
+        if (error.type === "timestamp" && signed && !resynced) {
+          resynced = true;
+          attempt--;
+          await syncTime();
+          continue;
+        }
+        const delay = error.retryAfterMs || backoffDelay(attempt, random);
+        if (error.type === "rateLimit") limiter.pause(bucket, delay);
+        if (attempt >= maxRetries || !shouldRetry(error, method === "GET")) throw error;
+        logger.warn(`Binance ${method} ${endpoint} failed, retrying in ${Math.round(delay)}ms`, {
+          error: error.message,
+        });
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Offset between the server clock and ours, measured at the midpoint of
+  // the round trip
+  async function syncTime() {
+    const sentAt = now();
+    const body = await request("GET", TIME_ENDPOINT);
+    const receivedAt = now();
+    const serverTime = Number(body.data && body.data.serverTime);
+    if (!serverTime) throw new BinanceError("Binance returned no server time");
+    timeOffsetMs = serverTime - (sentAt + receivedAt) / 2;
+    return timeOffsetMs;
+  }
+
+  function startTimeSync(intervalMs = 60000) {
+    stopTimeSync();
+    const run = () => syncTime().catch((error) => logger.error("Binance time sync failed", { error: error.message }));
+    syncTimer = setInterval(run, intervalMs);
+    syncTimer.unref();
+    return run();
+  }
+
+  function stopTimeSync() {
+    clearInterval(syncTimer);
+    syncTimer = null;
+  }
+
+  return { request, syncTime, startTimeSync, stopTimeSync };
+}
+
+module.exports = { RATE_LIMITS, BinanceError, createBinanceClient };
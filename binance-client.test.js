@@ -0,0 +1,127 @@
+// binance-client.test.js
+
+const crypto = require("crypto");
+const { BinanceError, createBinanceClient } = require("./binance-client");
+
+function httpError(status, data, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data, headers };
+  return error;
+}
+
+// Fake axios answering from a queue of responses (objects) or errors
+function createHttp(answers) {
+  const calls = [];
+  const http = async (config) => {
+    const url = new URL(config.url);
+    calls.push({
+      ...config,
+      path: url.pathname,
+      search: url.search.slice(1),
+      query: Object.fromEntries(url.searchParams),
+    });
+    const answer = answers.shift();
+    if (answer instanceof Error) throw answer;
+    return { data: answer };
+  };
+  http.calls = calls;
+  return http;
+}
+
+describe("Binance client", () => {
+  let clock;
+  let sleeps;
+  let logger;
+
+  function createClient(answers, options = {}) {
+    const http = createHttp(answers);
+    const client = createBinanceClient({
+      apiKey: "key",
+      secretKey: "secret",
+      baseUrl: "https://binance.test",
+      http,
+      now: () => clock,
+      sleep: async (ms) => {
+        sleeps.push(ms);
+        clock += ms;
+      },
+      random: () => 1,
+      logger,
+      ...options,
+    });
+    return { client, http };
+  }
+
+  beforeEach(() => {
+    clock = 1_000_000;
+    sleeps = [];
+    logger = { error: jest.fn(), warn: jest.fn(), info: jest.fn() };
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("signs the query and wraps the answer in the BingX envelope", async () => {
+    const { client, http } = createClient([{ orderId: 7, status: "NEW" }]);
+    const result = await client.request("POST", "/fapi/v1/order", {
+      symbol: "BTCUSDT",
+      side: "BUY",
+      type: "MARKET",
+      quantity: 0.01,
+      price: undefined,
+    });
+
+    expect(result).toEqual({ code: 0, msg: "", data: { orderId: 7, status: "NEW" } });
+    const [call] = http.calls;
+    expect(call.method).toBe("POST");
+    expect(call.headers["X-MBX-APIKEY"]).toBe("key");
+    expect(call.query).toMatchObject({ symbol: "BTCUSDT", timestamp: "1000000", recvWindow: "5000" });
+    expect(call.query).not.toHaveProperty("price");
+    const unsigned = call.search.replace(/&signature=.*$/, "");
+    expect(call.query.signature).toBe(crypto.createHmac("sha256", "secret").update(unsigned).digest("hex"));
+  });
+
+  test("sends public market data unsigned", async () => {
+    const { client, http } = createClient([{ symbol: "BTCUSDT", price: "50000" }]);
+    await client.request("GET", "/fapi/v1/ticker/price", { symbol: "BTCUSDT" });
+    expect(http.calls[0].query).toEqual({ symbol: "BTCUSDT" });
+    expect(http.calls[0].headers).toEqual({});
+  });
+
+  test("maps Binance error codes and refuses BingX paths", async () => {
+    const { client } = createClient([httpError(400, { code: -2019, msg: "Margin is insufficient." })]);
+    const error = await client.request("POST", "/fapi/v1/order", { symbol: "BTCUSDT" }).catch((e) => e);
+    expect(error).toBeInstanceOf(BinanceError);
+    expect(error).toMatchObject({ type: "insufficientMargin", code: -2019, statusCode: 422 });
+
+    await expect(client.request("GET", "/openApi/swap/v2/user/income")).rejects.toMatchObject({
+      type: "unsupported",
+      statusCode: 501,
+    });
+    const { client: anonymous } = createClient([], { apiKey: undefined });
+    await expect(anonymous.request("GET", "/fapi/v2/account")).rejects.toMatchObject({
+      type: "auth",
+      statusCode: 503,
+    });
+  });
+
+  test("resyncs the clock once when the timestamp is rejected", async () => {
+    const { client, http } = createClient([
+      httpError(400, { code: -1021, msg: "Timestamp for this request is outside of the recvWindow." }),
+      { serverTime: 1_003_000 },
+      { totalWalletBalance: "100" },
+    ]);
+    const result = await client.request("GET", "/fapi/v2/account");
+    expect(result.data.totalWalletBalance).toBe("100");
+    expect(http.calls.map((call) => call.path)).toEqual(["/fapi/v2/account", "/fapi/v1/time", "/fapi/v2/account"]);
+    expect(http.calls[2].query.timestamp).toBe("1003000");
+  });
+
+  test("retries rate limited requests after Retry-After", async () => {
+    const { client } = createClient([
+      httpError(429, { code: -1003, msg: "Too many requests." }, { "retry-after": "2" }),
+      [],
+    ]);
+    await expect(client.request("GET", "/fapi/v1/openOrders")).resolves.toEqual({ code: 0, msg: "", data: [] });
+    expect(sleeps).toContain(2000);
+  });
+});
@@ -0,0 +1,79 @@
+// bingx-adapter.js
+//
+// Exchange adapter (see exchange-adapter.js) for the BingX perpetual swap
+// API. The adapter shapes are BingX's own, so responses pass through and
+// only the open orders are unwrapped from data.orders. request is the
+// function requests go through (makeRequest in app.js); it answers for a
+// BingX client, a paper exchange or the BingX mock server alike.
+
+const { normalizeKlines } = require("./klines");
+const { normalizeSymbol } = require("./symbols");
+
+function createBingxAdapter({ request }) {
+  // BingX writes symbols as BTC-USDT; an empty symbol means all of them
+  function withSymbol({ symbol, ...params }) {
+    return symbol ? { symbol: normalizeSymbol(symbol), ...params } : params;
+  }
+
+  function getBalance() {
+    return request("GET", "/openApi/swap/v2/user/balance");
+  }
+
+  function getPositions({ symbol } = {}) {
+    return request("GET", "/openApi/swap/v2/user/positions", withSymbol({ symbol }));
+  }
+
+  async function getOpenOrders({ symbol } = {}) {
+    const response = await request("GET", "/openApi/swap/v2/trade/openOrders", withSymbol({ symbol }));
+    if (response.code !== 0) return response;
+    return { ...response, data: (response.data && response.data.orders) || [] };
+  }
+
+  function getOrder(symbol, orderId) {
+    return request("GET", "/openApi/swap/v2/trade/order", withSymbol({ symbol, orderId }));
+  }
+
+  function placeOrder(order) {
+    return request("POST", "/openApi/swap/v2/trade/order", withSymbol(order));
+  }
+
+  function cancelOrder(symbol, orderId) {
+    return request("POST", "/openApi/swap/v2/trade/cancelOrder", withSymbol({ symbol, orderId }));
+  }
+
+  function closePosition(symbol, positionSide) {
+    return request("POST", "/openApi/swap/v2/trade/closePosition", withSymbol({ symbol, positionSide }));
+  }
+
+  function getPrice(symbol) {
+    return request("GET", "/openApi/swap/v2/quote/price", withSymbol({ symbol }));
+  }
+
+  function getServerTime() {
+    return request("GET", "/openApi/swap/v2/time");
+  }
+
+  async function getKlines({ symbol, interval, limit, startTime, endTime }) {
+    const params = { symbol, interval, limit, startTime, endTime };
+    Object.keys(params).forEach((key) => params[key] === undefined && delete params[key]);
+    const response = await request("GET", "/openApi/swap/v2/quote/klines", withSymbol(params));
+    if (response.code !== 0) return response;
+    return { ...response, data: normalizeKlines(response) };
+  }
+
+  return {
+    name: "bingx",
+    getBalance,
+    getPositions,
+    getOpenOrders,
+    getOrder,
+    placeOrder,
+    cancelOrder,
+    closePosition,
+    getPrice,
+    getKlines,
+    getServerTime,
+  };
+}
+
+module.exports = { createBingxAdapter };
@@ -0,0 +1,365 @@
+// bingx-client.js
+//
+// HTTP client for the BingX REST API. Requests go through a queue per rate
+// limit bucket that waits while the weight used in the current window would
+// exceed the limit. Failed calls are retried with jittered exponential backoff
+// when that is safe: always for rate limits and connections that never
+// reached the exchange, otherwise only for idempotent calls. Signatures use
+// the local clock corrected by a server time offset that is kept in sync, and
+// BingX error codes are mapped to the typed errors below.
+
+const crypto = require("crypto");
+const axios = require("axios");
+
+const DEFAULT_BASE_URL = "https://open-api.bingx.com";
+const TIME_ENDPOINT = "/openApi/swap/v2/time";
+
+// BingX limits market data per IP, account calls per UID and order placement
+// separately; weights follow the heavier history endpoints
+const RATE_LIMITS = {
+  market: { limit: 100, windowMs: 10000 },
+  account: { limit: 1000, windowMs: 10000 },
+  order: { limit: 10, windowMs: 1000 },
+};
+
+const ENDPOINT_RULES = [
+  { path: /\/quote\/|\/time$/, bucket: "market", weight: 1 },
+  { method: "POST", path: /\/trade\/batchOrders$/, bucket: "order", weight: 5 },
+  { method: "POST", path: /\/trade\/order$/, bucket: "order", weight: 1 },
+  { path: /\/trade\/(allOrders|allFillOrders)$|\/user\/income$/, bucket: "account", weight: 5 },
+  { path: /./, bucket: "account", weight: 1 },
+];
+
+// POST endpoints that can be repeated without side effects
+const IDEMPOTENT_POSTS = [/\/trade\/cancelOrder$/, /\/trade\/leverage$/, /\/trade\/marginType$/];
+
+// Connection errors raised before the request reached the exchange
+const NOT_SENT_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+const ERROR_CODES = {
+  100001: "auth",
+  100412: "auth",
+  100413: "auth",
+  100419: "auth",
+  100410: "rateLimit",
+  100421: "timestamp",
+  80012: "unavailable",
+  100500: "unavailable",
+  100503: "unavailable",
+  80014: "invalid",
+  100400: "invalid",
+  80016: "notFound",
+  101204: "insufficientMargin",
+};
+
+class BingxError extends Error {
+  constructor(message, { type = "exchange", code = null, msg = message, statusCode = 422 } = {}) {
+    super(message);
+    this.name = "BingxError";
+    this.type = type;
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = { code, msg };
+  }
+}
+
+class BingxAuthError extends BingxError {
+  constructor(msg, code) {
+    super(`BingX rejected the API credentials: ${msg}`, { type: "auth", code, msg, statusCode: 502 });
+    this.name = "BingxAuthError";
+  }
+}
+
+class BingxRateLimitError extends BingxError {
+  constructor(msg, code, retryAfterMs = null) {
+    super(`BingX rate limit reached: ${msg}`, { type: "rateLimit", code, msg, statusCode: 429 });
+    this.name = "BingxRateLimitError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+class BingxTimestampError extends BingxError {
+  constructor(msg, code) {
+    super(`BingX rejected the request timestamp: ${msg}`, { type: "timestamp", code, msg, statusCode: 502 });
+    this.name = "BingxTimestampError";
+  }
+}
+
+class BingxUnavailableError extends BingxError {
+  constructor(msg, code) {
+    super(`BingX is unavailable: ${msg}`, { type: "unavailable", code, msg, statusCode: 503 });
+    this.name = "BingxUnavailableError";
+  }
+}
+
+// sent is false when the connection failed before the request went out
+class BingxNetworkError extends BingxError {
+  constructor(cause) {
+    const timedOut = cause.code === "ECONNABORTED" || cause.code === "ETIMEDOUT";
+    super(`BingX request failed: ${cause.message}`, {
+      type: "network",
+      code: cause.code || null,
+      msg: cause.message,
+      statusCode: timedOut ? 504 : 502,
+    });
+    this.name = "BingxNetworkError";
+    this.sent = !NOT_SENT_CODES.includes(cause.code);
+  }
+}
+
+// Typed error for a { code, msg } body with a non-zero code, or null
+function errorFromResponse(body, { retryAfterMs } = {}) {
+  if (!body || body.code === undefined || body.code === 0) return null;
+  const msg = body.msg || `BingX error ${body.code}`;
+  switch (ERROR_CODES[body.code]) {
+    case "auth":
+      return new BingxAuthError(msg, body.code);
+    case "rateLimit":
+      return new BingxRateLimitError(msg, body.code, retryAfterMs);
+    case "timestamp":
+      return new BingxTimestampError(msg, body.code);
+    case "unavailable":
+      return new BingxUnavailableError(msg, body.code);
+    case "invalid":
+      return new BingxError(msg, { type: "invalid", code: body.code, statusCode: 400 });
+    case "notFound":
+      return new BingxError(msg, { type: "notFound", code: body.code, statusCode: 404 });
+    case "insufficientMargin":
+      return new BingxError(msg, { type: "insufficientMargin", code: body.code });
+    default:
+      return new BingxError(msg, { code: body.code });
+  }
+}
+
+// Errors that must not be returned to the caller as a plain response
+function isTransportError(error) {
+  return ["auth", "rateLimit", "timestamp", "unavailable"].includes(error.type);
+}
+
+function fromHttpError(error) {
+  if (!error.response) return new BingxNetworkError(error);
+  const { status, data, headers = {} } = error.response;
+  const retryAfter = parseFloat(headers["retry-after"]);
+  const retryAfterMs = isNaN(retryAfter) ? null : retryAfter * 1000;
+  if (status === 429 || status === 418) {
+    return new BingxRateLimitError((data && data.msg) || `HTTP ${status}`, (data && data.code) || status, retryAfterMs);
+  }
+  if (status >= 500) return new BingxUnavailableError((data && data.msg) || `HTTP ${status}`, status);
+  return (
+    errorFromResponse(data, { retryAfterMs }) ||
+    new BingxError(`BingX answered HTTP ${status}`, { code: status, statusCode: 502 })
+  );
+}
+
+// Sorted query string; the signature covers the unencoded values
+function buildQuery(params, encode = true) {
+  return Object.keys(params)
+    .filter((key) => params[key] !== undefined && params[key] !== null && params[key] !== "")
+    .sort()
+    .map((key) => `${key}=${encode ? encodeURIComponent(params[key]) : params[key]}`)
+    .join("&");
+}
+
+function sign(payload, secretKey) {
+  return crypto.createHmac("sha256", secretKey).update(payload).digest("hex");
+}
+
+function backoffDelay(attempt, { initialMs = 500, maxMs = 8000 } = {}, random = Math.random) {
+  return random() * Math.min(maxMs, initialMs * 2 ** attempt);
+}
+
+function endpointRule(method, endpoint) {
+  return ENDPOINT_RULES.find(
+    (rule) => (!rule.method || rule.method === method) && rule.path.test(endpoint)
+  );
+}
+
+function isIdempotent(method, endpoint) {
+  if (method !== "POST") return true;
+  return IDEMPOTENT_POSTS.some((path) => path.test(endpoint));
+}
+
+// FIFO queue per bucket over a sliding window of used weight
+function createRateLimiter({ limits = RATE_LIMITS, now, sleep }) {
+  const buckets = new Map();
+
+  function bucket(name) {
+    if (!buckets.has(name)) {
+      buckets.set(name, { used: [], blockedUntil: 0, tail: Promise.resolve(), pending: 0 });
+    }
+    return buckets.get(name);
+  }
+
+  async function waitForRoom(state, { limit, windowMs }, weight) {
+    for (;;) {
+      const time = now();
+      state.used = state.used.filter((entry) => time - entry.time < windowMs);
+      const used = state.used.reduce((sum, entry) => sum + entry.weight, 0);
+      if (time >= state.blockedUntil && (used + weight <= limit || state.used.length === 0)) {
+        state.used.push({ time, weight });
+        return;
+      }
+      const until = Math.max(state.blockedUntil, state.used.length ? state.used[0].time + windowMs : 0);
+      await sleep(Math.max(1, until - time));
+    }
+  }
+
+  function acquire(name, weight = 1) {
+    const state = bucket(name);
+    state.pending++;
+    const turn = state.tail.then(() => waitForRoom(state, limits[name], weight));
+    state.tail = turn.finally(() => state.pending--);
+    return turn;
+  }
+
+  // Holds the bucket after the exchange reported a rate limit
+  function pause(name, ms) {
+    const state = bucket(name);
+    state.blockedUntil = Math.max(state.blockedUntil, now() + ms);
+  }
+
+  function pending() {
+    return Object.fromEntries([...buckets].map(([name, state]) => [name, state.pending]));
+  }
+
+  return { acquire, pause, pending };
+}
+
+function createBingxClient({
+  apiKey,
+  secretKey,
+  baseUrl = DEFAULT_BASE_URL,
+  http = axios,
+  recvWindow = 5000,
+  timeoutMs = 10000,
+  maxRetries = 3,
+  backoff,
+  limits = RATE_LIMITS,
+  now = () => Date.now(),
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  random = Math.random,
+  logger = console,
+}) {
+  const limiter = createRateLimiter({ limits, now, sleep });
+  let timeOffsetMs = 0;
+  let syncTimer = null;
+
+  function timestamp() {
+    return Math.round(now() + timeOffsetMs);
+  }
+
+  async function send(method, endpoint, params, signed) {
+    let query = buildQuery(params);
+    const headers = {};
+    if (signed) {
+      if (!apiKey || !secretKey) {
+        throw new BingxError("BingX API credentials are not configured", { type: "auth", statusCode: 503 });
+      }
+      const signedParams = { ...params, timestamp: timestamp(), ...(recvWindow && { recvWindow }) };
+      query = `${buildQuery(signedParams)}&signature=${sign(buildQuery(signedParams, false), secretKey)}`;
+      headers["X-BX-APIKEY"] = apiKey;
+    }
+    try {
+      const response = await http({
+        method,
+        url: `${baseUrl}${endpoint}${query ? `?${query}` : ""}`,
+        headers,
+        timeout: timeoutMs,
+      });
+      return response.data;
+    } catch (error) {
+      throw fromHttpError(error);
+    }
+  }
+
+  function shouldRetry(error, idempotent) {
+    if (error.type === "rateLimit") return true;
+    if (error.type === "network") return idempotent || !error.sent;
+    return error.type === "unavailable" && idempotent;
+  }
+
+  // Resolves with the response body, including business errors (non-zero
+  // code); rejects with a typed error for transport, auth and limit failures
+  async function request(method, endpoint, params = {}, { signed = true, idempotent } = {}) {
+    const rule = endpointRule(method, endpoint);
+    const repeatable = idempotent !== undefined ? idempotent : isIdempotent(method, endpoint);
+    let resynced = false;
+
+    for (let attempt = 0; ; attempt++) {
+      await limiter.acquire(rule.bucket, rule.weight);
+      let error;
+      try {
+        const body = await send(method, endpoint, params, signed);
+        const failure = errorFromResponse(body);
+        if (!failure || !isTransportError(failure)) return body;
+        error = failure;
+      } catch (caught) {
+        error = caught;
+      }
+
+      // A rejected timestamp means the request was not executed: resync once
+      if (error.type === "timestamp" && signed && !resynced) {
+        resynced = true;
+        attempt--;
+        await syncTime();
+        continue;
+      }
+      const delay = error.retryAfterMs || backoffDelay(attempt, backoff, random);
+      if (error.type === "rateLimit") limiter.pause(rule.bucket, delay);
+      if (attempt >= maxRetries || !shouldRetry(error, repeatable)) throw error;
+      logger.warn(`BingX ${method} ${endpoint} failed, retrying in ${Math.round(delay)}ms`, { error: error.message });
+      await sleep(delay);
+    }
+  }
+
+  function publicRequest(endpoint, params = {}) {
+    return request("GET", endpoint, params, { signed: false });
+  }
+
+  // Offset between the server clock and ours, measured at the midpoint of
+  // the round trip
+  async function syncTime() {
+    const sentAt = now();
+    const body = await publicRequest(TIME_ENDPOINT);
+    const receivedAt = now();
+    const serverTime = Number(body && body.data && body.data.serverTime);
+    if (!serverTime) throw new BingxError("BingX returned no server time", { statusCode: 502 });
+    timeOffsetMs = serverTime - (sentAt + receivedAt) / 2;
+    return timeOffsetMs;
+  }
+
+  function startTimeSync(intervalMs = 60000) {
+    stopTimeSync();
+    const run = () =>
+      syncTime().catch((error) => logger.error("BingX time sync failed", { error: error.message }));
+    syncTimer = setInterval(run, intervalMs);
+    syncTimer.unref();
+    return run();
+  }
+
+  function stopTimeSync() {
+    clearInterval(syncTimer);
+    syncTimer = null;
+  }
+
+  function stats() {
+    return { timeOffsetMs: Math.round(timeOffsetMs), pending: limiter.pending() };
+  }
+
+  return { request, publicRequest, syncTime, startTimeSync, stopTimeSync, stats };
+}
+
+module.exports = {
+  RATE_LIMITS,
+  BingxError,
+  BingxAuthError,
+  BingxRateLimitError,
+  BingxTimestampError,
+  BingxUnavailableError,
+  BingxNetworkError,
+  errorFromResponse,
+  buildQuery,
+  sign,
+  createRateLimiter,
+  createBingxClient,
+};
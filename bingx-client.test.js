@@ -0,0 +1,235 @@
+// bingx-client.test.js
+
+const {
+  BingxError,
+  BingxAuthError,
+  BingxRateLimitError,
+  BingxNetworkError,
+  errorFromResponse,
+  buildQuery,
+  sign,
+  createRateLimiter,
+  createBingxClient,
+} = require("./bingx-client");
+
+function httpError(status, data, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data, headers };
+  return error;
+}
+
+function networkError(code) {
+  const error = new Error(`connect ${code}`);
+  error.code = code;
+  return error;
+}
+
+// Fake axios answering from a queue of responses (objects) or errors
+function createHttp(answers) {
+  const calls = [];
+  const http = async (config) => {
+    const url = new URL(config.url);
+    calls.push({ ...config, path: url.pathname, query: Object.fromEntries(url.searchParams) });
+    const answer = answers.shift();
+    if (typeof answer === "function") return { data: answer(config) };
+    if (answer instanceof Error) throw answer;
+    return { data: answer };
+  };
+  http.calls = calls;
+  return http;
+}
+
+describe("BingX client", () => {
+  let clock;
+  let sleeps;
+  let logger;
+
+  function createClient(answers, options = {}) {
+    const http = createHttp(answers);
+    const client = createBingxClient({
+      apiKey: "key",
+      secretKey: "secret",
+      baseUrl: "https://bingx.test",
+      http,
+      now: () => clock,
+      sleep: async (ms) => {
+        sleeps.push(ms);
+        clock += ms;
+      },
+      random: () => 1,
+      logger,
+      ...options,
+    });
+    return { client, http };
+  }
+
+  beforeEach(() => {
+    clock = 1_000_000;
+    sleeps = [];
+    logger = { error: jest.fn(), warn: jest.fn(), info: jest.fn() };
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("signs the sorted query with timestamp and recvWindow", async () => {
+    const { client, http } = createClient([{ code: 0, data: {} }]);
+    await client.request("POST", "/openApi/swap/v2/trade/order", {
+      symbol: "BTC-USDT",
+      side: "BUY",
+      quantity: 0.01,
+      price: undefined,
+    });
+
+    const [call] = http.calls;
+    expect(call.headers["X-BX-APIKEY"]).toBe("key");
+    expect(call.timeout).toBe(10000);
+    const { signature, ...params } = call.query;
+    expect(params).toEqual({
+      quantity: "0.01",
+      recvWindow: "5000",
+      side: "BUY",
+      symbol: "BTC-USDT",
+      timestamp: String(clock),
+    });
+    expect(signature).toBe(sign(buildQuery(params, false), "secret"));
+  });
+
+  test("public requests are not signed", async () => {
+    const { client, http } = createClient([{ code: 0, data: { price: "1" } }]);
+    await client.publicRequest("/openApi/swap/v2/quote/price", { symbol: "BTC-USDT" });
+    expect(http.calls[0].query).toEqual({ symbol: "BTC-USDT" });
+    expect(http.calls[0].headers).toEqual({});
+  });
+
+  test("business errors are returned as the response body", async () => {
+    const body = { code: 101204, msg: "Insufficient margin" };
+    const { client } = createClient([body]);
+    await expect(client.request("POST", "/openApi/swap/v2/trade/order", {})).resolves.toEqual(body);
+  });
+
+  test("retries idempotent calls on server errors with backoff", async () => {
+    const { client, http } = createClient([
+      httpError(503, "busy"),
+      networkError("ECONNRESET"),
+      { code: 0, data: { balance: {} } },
+    ]);
+    await expect(client.request("GET", "/openApi/swap/v2/user/balance")).resolves.toEqual({
+      code: 0,
+      data: { balance: {} },
+    });
+    expect(http.calls).toHaveLength(3);
+    expect(sleeps).toEqual([500, 1000]);
+    expect(logger.warn).toHaveBeenCalledWith("BingX GET /openApi/swap/v2/user/balance failed, retrying in 500ms", {
+      error: expect.any(String),
+    });
+  });
+
+  test("does not repeat orders that may have reached the exchange", async () => {
+    const { client, http } = createClient([networkError("ECONNRESET")]);
+    const error = await client.request("POST", "/openApi/swap/v2/trade/order", {}).catch((e) => e);
+    expect(error).toBeInstanceOf(BingxNetworkError);
+    expect(error.statusCode).toBe(502);
+    expect(http.calls).toHaveLength(1);
+  });
+
+  test("repeats orders whose connection never opened", async () => {
+    const { client, http } = createClient([networkError("ECONNREFUSED"), { code: 0, data: {} }]);
+    await client.request("POST", "/openApi/swap/v2/trade/order", {});
+    expect(http.calls).toHaveLength(2);
+  });
+
+  test("rate limits are retried after Retry-After and reported when they persist", async () => {
+    const { client, http } = createClient([
+      httpError(429, { code: 100410, msg: "too many requests" }, { "retry-after": "2" }),
+      { code: 0, data: {} },
+    ]);
+    await client.request("POST", "/openApi/swap/v2/trade/order", {});
+    expect(http.calls).toHaveLength(2);
+    expect(sleeps[0]).toBe(2000);
+
+    const limited = createClient(
+      Array.from({ length: 4 }, () => ({ code: 100410, msg: "too many requests" })),
+      { maxRetries: 3 }
+    );
+    const error = await limited.client.request("GET", "/openApi/swap/v2/user/balance").catch((e) => e);
+    expect(error).toBeInstanceOf(BingxRateLimitError);
+    expect(error.statusCode).toBe(429);
+    expect(limited.http.calls).toHaveLength(4);
+  });
+
+  test("auth errors are thrown without retrying", async () => {
+    const { client, http } = createClient([{ code: 100001, msg: "Signature verification failed" }]);
+    const error = await client.request("GET", "/openApi/swap/v2/user/balance").catch((e) => e);
+    expect(error).toBeInstanceOf(BingxAuthError);
+    expect(error.details).toEqual({ code: 100001, msg: "Signature verification failed" });
+    expect(http.calls).toHaveLength(1);
+  });
+
+  test("a rejected timestamp resyncs the clock and retries once", async () => {
+    const { client, http } = createClient([
+      { code: 100421, msg: "timestamp mismatch" },
+      () => ({ code: 0, data: { serverTime: clock + 3000 } }),
+      { code: 0, data: {} },
+    ]);
+    await client.request("POST", "/openApi/swap/v2/trade/order", { symbol: "BTC-USDT" });
+
+    expect(http.calls.map((call) => call.path)).toEqual([
+      "/openApi/swap/v2/trade/order",
+      "/openApi/swap/v2/time",
+      "/openApi/swap/v2/trade/order",
+    ]);
+    expect(client.stats().timeOffsetMs).toBe(3000);
+    expect(http.calls[2].query.timestamp).toBe(String(clock + 3000));
+  });
+
+  test("syncTime measures the offset at the middle of the round trip", async () => {
+    const { client } = createClient([
+      () => {
+        clock += 200;
+        return { code: 0, data: { serverTime: clock - 100 - 500 } };
+      },
+    ]);
+    await expect(client.syncTime()).resolves.toBe(-500);
+  });
+
+  test("errorFromResponse maps codes to status codes", () => {
+    expect(errorFromResponse({ code: 0, data: {} })).toBeNull();
+    expect(errorFromResponse({ code: 80014, msg: "bad param" }).statusCode).toBe(400);
+    expect(errorFromResponse({ code: 80016, msg: "no order" }).statusCode).toBe(404);
+    const unknown = errorFromResponse({ code: 99999, msg: "odd" });
+    expect(unknown).toBeInstanceOf(BingxError);
+    expect(unknown.statusCode).toBe(422);
+    expect(unknown.message).toBe("odd");
+  });
+});
+
+describe("Rate limiter", () => {
+  test("queues requests until the window has room", async () => {
+    let clock = 0;
+    const sleeps = [];
+    const limiter = createRateLimiter({
+      limits: { order: { limit: 2, windowMs: 1000 } },
+      now: () => clock,
+      sleep: async (ms) => {
+        sleeps.push(ms);
+        clock += ms;
+      },
+    });
+
+    const order = [];
+    await Promise.all(
+      [1, 2, 3].map((n) => limiter.acquire("order").then(() => order.push({ n, clock })))
+    );
+    expect(order).toEqual([
+      { n: 1, clock: 0 },
+      { n: 2, clock: 0 },
+      { n: 3, clock: 1000 },
+    ]);
+    expect(sleeps).toEqual([1000]);
+
+    limiter.pause("order", 5000);
+    await limiter.acquire("order");
+    expect(clock).toBe(6000);
+    expect(limiter.pending()).toEqual({ order: 0 });
+  });
+});
@@ -0,0 +1,150 @@
+// bingx-mock-server.js
+//
+// Local stand-in for the BingX REST API, for tests that run the real client
+// (signing, retries, error mapping) without network access. Account and
+// trade endpoints must carry the API key header, a valid HMAC signature and
+// a fresh timestamp, like on BingX, and are answered by a paper exchange.
+// Market data (prices, klines, contracts, funding) comes from what the test
+// sets on the mock. Every request is recorded with whether it was signed.
+
+const http = require("http");
+const { buildQuery, sign } = require("./bingx-client");
+const { createPaperExchange } = require("./paper-exchange");
+
+const PUBLIC_ENDPOINTS = /\/quote\/|\/time$/;
+const SIGNATURE_PARAMS = ["timestamp", "recvWindow", "signature"];
+
+// Error codes BingX answers for rejected credentials and timestamps
+const AUTH_ERRORS = {
+  apiKey: { code: 100413, msg: "Incorrect apiKey" },
+  signature: { code: 100001, msg: "Signature verification failed" },
+  timestamp: { code: 100421, msg: "Null timestamp or timestamp mismatch" },
+};
+
+function ok(data) {
+  return { code: 0, msg: "", data };
+}
+
+function fail(code, msg) {
+  return { code, msg, data: {} };
+}
+
+function createBingxMockServer({
+  apiKey = "mock-api-key",
+  secretKey = "mock-secret-key",
+  recvWindowMs = 5000,
+  startingBalance = 10000,
+  leverage = 10,
+  now = () => Date.now(),
+} = {}) {
+  const prices = new Map();
+  const candles = new Map();
+  const fundingRates = new Map();
+  let contracts = [];
+  const requests = [];
+  let server = null;
+  let url = null;
+
+  const marketData = {
+    "/openApi/swap/v2/quote/price": ({ symbol }) =>
+      prices.has(symbol)
+        ? ok({ symbol, price: String(prices.get(symbol)), time: now() })
+        : fail(80014, `Unknown symbol ${symbol}`),
+    "/openApi/swap/v2/quote/klines": ({ symbol, limit = 500 }) =>
+      ok((candles.get(symbol) || []).slice(-Number(limit))),
+    "/openApi/swap/v2/quote/contracts": () => ok(contracts),
+    "/openApi/swap/v2/quote/premiumIndex": ({ symbol }) =>
+      ok({
+        symbol,
+        markPrice: String(prices.get(symbol) || 0),
+        lastFundingRate: String(fundingRates.get(symbol) || 0),
+        nextFundingTime: now() + 8 * 60 * 60 * 1000,
+      }),
+    "/openApi/swap/v2/quote/depth": () => ok({ bids: [], asks: [] }),
+  };
+
+  const exchange = createPaperExchange({
+    startingBalance,
+    leverage,
+    now,
+    fetchMarketData: async (endpoint, params) =>
+      marketData[endpoint] ? marketData[endpoint](params) : fail(100400, `Mock has no data for ${endpoint}`),
+  });
+
+  // Checks credentials the way BingX does; returns the failure or null
+  function authFailure(headers, params) {
+    if (headers["x-bx-apikey"] !== apiKey) return AUTH_ERRORS.apiKey;
+    const { signature, ...signed } = params;
+    if (!signature || signature !== sign(buildQuery(signed, false), secretKey)) return AUTH_ERRORS.signature;
+    const window = Number(params.recvWindow) || recvWindowMs;
+    if (!params.timestamp || Math.abs(now() - Number(params.timestamp)) > window) return AUTH_ERRORS.timestamp;
+    return null;
+  }
+
+  async function handle(req) {
+    const { pathname, searchParams } = new URL(req.url, "http://localhost");
+    const params = Object.fromEntries(searchParams);
+    const signed = params.signature !== undefined;
+    requests.push({ method: req.method, endpoint: pathname, params, signed });
+
+    if (signed || !PUBLIC_ENDPOINTS.test(pathname)) {
+      const failure = authFailure(req.headers, params);
+      if (failure) return fail(failure.code, failure.msg);
+    }
+    const exchangeParams = Object.fromEntries(
+      Object.entries(params).filter(([key]) => !SIGNATURE_PARAMS.includes(key))
+    );
+    return exchange.handleRequest(req.method, pathname, exchangeParams);
+  }
+
+  function start(port = 0) {
+    server = http.createServer((req, res) => {
+      handle(req)
+        .then((body) => {
+          res.writeHead(200, { "content-type": "application/json" });
+          res.end(JSON.stringify(body));
+        })
+        .catch((error) => {
+          res.writeHead(500, { "content-type": "application/json" });
+          res.end(JSON.stringify(fail(100500, error.message)));
+        });
+    });
+    return new Promise((resolve) => {
+      server.listen(port, "127.0.0.1", () => {
+        url = `http://127.0.0.1:${server.address().port}`;
+        resolve(url);
+      });
+    });
+  }
+
+  function stop() {
+    exchange.stopPriceFeed();
+    return new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+  }
+
+  // Moves the market: resting paper orders and stops trigger on the new price
+  function setPrice(symbol, price) {
+    prices.set(symbol, price);
+    exchange.updatePrice(symbol, price);
+  }
+
+  return {
+    get url() {
+      return url;
+    },
+    apiKey,
+    secretKey,
+    exchange,
+    requests,
+    start,
+    stop,
+    setPrice,
+    setCandles: (symbol, list) => candles.set(symbol, list),
+    setFundingRate: (symbol, rate) => fundingRates.set(symbol, rate),
+    setContracts: (list) => {
+      contracts = list;
+    },
+  };
+}
+
+module.exports = { createBingxMockServer };
@@ -0,0 +1,95 @@
+// bingx-mock-server.test.js
+
+const { createBingxClient, buildQuery, sign } = require("./bingx-client");
+const { createBingxMockServer } = require("./bingx-mock-server");
+
+describe("BingX mock server", () => {
+  let bingx;
+
+  function client(options = {}) {
+    return createBingxClient({
+      apiKey: bingx.apiKey,
+      secretKey: bingx.secretKey,
+      baseUrl: bingx.url,
+      maxRetries: 0,
+      ...options,
+    });
+  }
+
+  beforeEach(async () => {
+    bingx = createBingxMockServer({ startingBalance: 5000 });
+    await bingx.start();
+    bingx.setPrice("BTC-USDT", 60000);
+  });
+
+  afterEach(() => bingx.stop());
+
+  test("answers signed requests from the paper exchange", async () => {
+    const balance = await client().request("GET", "/openApi/swap/v2/user/balance");
+    expect(balance.data.balance.balance).toBe("5000");
+
+    const order = await client().request("POST", "/openApi/swap/v2/trade/order", {
+      symbol: "BTC-USDT",
+      side: "BUY",
+      type: "MARKET",
+      quantity: 0.01,
+    });
+    expect(order.data.order).toMatchObject({ status: "FILLED", avgPrice: "60000" });
+    expect(bingx.requests.map((req) => [req.method, req.endpoint, req.signed])).toEqual([
+      ["GET", "/openApi/swap/v2/user/balance", true],
+      ["POST", "/openApi/swap/v2/trade/order", true],
+    ]);
+    // Signature parameters do not reach the exchange
+    expect(bingx.requests[1].params).toMatchObject({ quantity: "0.01", timestamp: expect.any(String) });
+  });
+
+  test("rejects a wrong key, a wrong signature and a stale timestamp", async () => {
+    await expect(
+      client({ apiKey: "other" }).request("GET", "/openApi/swap/v2/user/balance")
+    ).rejects.toMatchObject({ name: "BingxAuthError", code: 100413 });
+    await expect(
+      client({ secretKey: "other" }).request("GET", "/openApi/swap/v2/user/balance")
+    ).rejects.toMatchObject({ name: "BingxAuthError", code: 100001 });
+
+    // Sent raw: the client would resync its clock and retry
+    const stale = { timestamp: Date.now() - 10000, recvWindow: 5000 };
+    const query = `${buildQuery(stale)}&signature=${sign(buildQuery(stale, false), bingx.secretKey)}`;
+    const response = await fetch(`${bingx.url}/openApi/swap/v2/user/balance?${query}`, {
+      headers: { "X-BX-APIKEY": bingx.apiKey },
+    });
+    expect((await response.json()).code).toBe(100421);
+  });
+
+  test("serves market data without a signature", async () => {
+    const market = client({ apiKey: undefined, secretKey: undefined });
+    bingx.setCandles("BTC-USDT", [
+      { time: 1, open: "1", high: "2", low: "1", close: "2", volume: "5" },
+      { time: 2, open: "2", high: "3", low: "2", close: "3", volume: "5" },
+    ]);
+    bingx.setFundingRate("BTC-USDT", 0.0001);
+
+    expect((await market.publicRequest("/openApi/swap/v2/quote/price", { symbol: "BTC-USDT" })).data.price).toBe(
+      "60000"
+    );
+    expect((await market.publicRequest("/openApi/swap/v2/quote/klines", { symbol: "BTC-USDT", limit: 1 })).data).toEqual([
+      expect.objectContaining({ time: 2, close: "3" }),
+    ]);
+    expect(
+      (await market.publicRequest("/openApi/swap/v2/quote/premiumIndex", { symbol: "BTC-USDT" })).data.lastFundingRate
+    ).toBe("0.0001");
+    expect(await market.syncTime()).toEqual(expect.any(Number));
+  });
+
+  test("moving the price fills resting orders", async () => {
+    await client().request("POST", "/openApi/swap/v2/trade/order", {
+      symbol: "BTC-USDT",
+      side: "BUY",
+      type: "LIMIT",
+      quantity: 0.01,
+      price: 59000,
+    });
+    bingx.setPrice("BTC-USDT", 58900);
+    const positions = await client().request("GET", "/openApi/swap/v2/user/positions");
+    expect(positions.data).toEqual([expect.objectContaining({ positionSide: "LONG", positionAmt: "0.01" })]);
+  });
+});
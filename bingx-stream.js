@@ -0,0 +1,250 @@
+// bingx-stream.js
+//
+// WebSocket clients for BingX perpetual swap streams. Messages arrive gzip
+// compressed; the server sends "Ping" and expects "Pong". Connections
+// reconnect with exponential backoff, public subscriptions are replayed after
+// a reconnect and the user data stream renews its listenKey.
+
+const zlib = require("zlib");
+const crypto = require("crypto");
+const WebSocket = require("ws");
+
+const DEFAULT_URL = "wss://open-api-swap.bingx.com/swap-market";
+const LISTEN_KEY_KEEPALIVE_MS = 30 * 60 * 1000;
+
+function decodeMessage(raw) {
+  if (typeof raw === "string") return raw;
+  const buffer = Buffer.isBuffer(raw) ? raw : Buffer.from(raw);
+  try {
+    return zlib.gunzipSync(buffer).toString("utf8");
+  } catch (error) {
+    return buffer.toString("utf8");
+  }
+}
+
+function backoffDelay(attempt, { initialMs = 1000, maxMs = 30000 } = {}) {
+  const delay = Math.min(maxMs, initialMs * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+// A single WebSocket that keeps itself connected until close() is called
+function createStreamConnection({
+  name,
+  getUrl,
+  onOpen = () => {},
+  onMessage = () => {},
+  WebSocketImpl = WebSocket,
+  backoff,
+  logger = console,
+}) {
+  let socket = null;
+  let attempt = 0;
+  let reconnectTimer = null;
+  let closed = false;
+  let connected = false;
+
+  function scheduleReconnect() {
+    if (closed || reconnectTimer) return;
+    const delay = backoffDelay(attempt++, backoff);
+    logger.warn(`${name} stream disconnected, reconnecting in ${Math.round(delay)}ms`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+    reconnectTimer.unref();
+  }
+
+  async function connect() {
+    if (closed) return;
+    let url;
+    try {
+      url = await getUrl();
+    } catch (error) {
+      logger.error(`${name} stream could not get its URL`, { error: error.message });
+      scheduleReconnect();
+      return;
+    }
+
+    socket = new WebSocketImpl(url);
+    socket.on("open", () => {
+      attempt = 0;
+      connected = true;
+      logger.info(`${name} stream connected`);
+      onOpen();
+    });
+    socket.on("message", (raw) => {
+      const text = decodeMessage(raw);
+      if (text === "Ping") {
+        socket.send("Pong");
+        return;
+      }
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (error) {
+        return;
+      }
+      if (message.ping) {
+        socket.send(JSON.stringify({ pong: message.ping, time: message.time }));
+        return;
+      }
+      onMessage(message);
+    });
+    socket.on("close", () => {
+      connected = false;
+      scheduleReconnect();
+    });
+    socket.on("error", (error) => {
+      logger.error(`${name} stream error`, { error: error.message });
+    });
+  }
+
+  function send(payload) {
+    if (socket && connected) {
+      socket.send(JSON.stringify(payload));
+      return true;
+    }
+    return false;
+  }
+
+  // Drops the current socket; the close handler reconnects
+  function reconnect() {
+    if (socket) socket.terminate();
+  }
+
+  function close() {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    if (socket) socket.close();
+  }
+
+  return {
+    connect,
+    send,
+    reconnect,
+    close,
+    isConnected: () => connected,
+  };
+}
+
+// Public market data: "BTC-USDT@trade", "BTC-USDT@depth20@500ms",
+// "BTC-USDT@kline_1m", "BTC-USDT@ticker", ...
+function createMarketStream({ url = DEFAULT_URL, cache, WebSocketImpl, backoff, logger }) {
+  const subscriptions = new Set();
+
+  const connection = createStreamConnection({
+    name: "BingX market",
+    getUrl: () => url,
+    WebSocketImpl,
+    backoff,
+    logger,
+    onOpen: () => {
+      for (const dataType of subscriptions) {
+        sendSubscription("sub", dataType);
+      }
+    },
+    onMessage: (message) => {
+      if (message.dataType && message.data !== undefined) {
+        cache.applyMarketEvent(message.dataType, message.data);
+      }
+    },
+  });
+
+  function sendSubscription(reqType, dataType) {
+    connection.send({ id: crypto.randomUUID(), reqType, dataType });
+  }
+
+  function subscribe(dataType) {
+    if (subscriptions.has(dataType)) return;
+    subscriptions.add(dataType);
+    sendSubscription("sub", dataType);
+  }
+
+  function unsubscribe(dataType) {
+    if (!subscriptions.delete(dataType)) return;
+    sendSubscription("unsub", dataType);
+  }
+
+  return {
+    start: connection.connect,
+    stop: connection.close,
+    subscribe,
+    unsubscribe,
+    isConnected: connection.isConnected,
+    subscriptions: () => [...subscriptions],
+  };
+}
+
+// Private account stream. listenKeys live 60 minutes, so one is kept alive
+// every 30 minutes and a new one is created on every (re)connect and when the
+// server reports it expired. On each connect the cache is seeded from REST.
+function createUserDataStream({
+  url = DEFAULT_URL,
+  cache,
+  createListenKey,
+  keepAliveListenKey,
+  loadAccountSnapshot,
+  keepAliveMs = LISTEN_KEY_KEEPALIVE_MS,
+  WebSocketImpl,
+  backoff,
+  logger,
+}) {
+  let listenKey = null;
+  let keepAliveTimer = null;
+
+  const connection = createStreamConnection({
+    name: "BingX user data",
+    WebSocketImpl,
+    backoff,
+    logger,
+    getUrl: async () => {
+      cache.invalidateAccount();
+      listenKey = await createListenKey();
+      return `${url}?listenKey=${listenKey}`;
+    },
+    onOpen: async () => {
+      try {
+        cache.seedAccount(await loadAccountSnapshot());
+      } catch (error) {
+        logger.error("Failed to seed account cache", { error: error.message });
+      }
+    },
+    onMessage: (message) => {
+      if (message.e === "listenKeyExpired") {
+        connection.reconnect();
+        return;
+      }
+      cache.applyUserEvent(message);
+    },
+  });
+
+  function start() {
+    keepAliveTimer = setInterval(async () => {
+      if (!listenKey) return;
+      try {
+        await keepAliveListenKey(listenKey);
+      } catch (error) {
+        logger.error("Failed to keep the listenKey alive", { error: error.message });
+        connection.reconnect();
+      }
+    }, keepAliveMs);
+    keepAliveTimer.unref();
+    return connection.connect();
+  }
+
+  function stop() {
+    clearInterval(keepAliveTimer);
+    connection.close();
+    cache.invalidateAccount();
+  }
+
+  return { start, stop, isConnected: connection.isConnected };
+}
+
+module.exports = {
+  decodeMessage,
+  backoffDelay,
+  createStreamConnection,
+  createMarketStream,
+  createUserDataStream,
+};
@@ -0,0 +1,145 @@
+// bingx-stream.test.js
+
+const zlib = require("zlib");
+const WebSocket = require("ws");
+const { createMarketStream, createUserDataStream } = require("./bingx-stream");
+const { createMarketCache } = require("./market-cache");
+
+const backoff = { initialMs: 10, maxMs: 20 };
+const logger = { error: () => {}, warn: () => {}, info: () => {} };
+
+function send(socket, payload) {
+  const text = typeof payload === "string" ? payload : JSON.stringify(payload);
+  socket.send(zlib.gzipSync(text));
+}
+
+function waitFor(check, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const timer = setInterval(() => {
+      const value = check();
+      if (value) {
+        clearInterval(timer);
+        resolve(value);
+      } else if (Date.now() - started > timeoutMs) {
+        clearInterval(timer);
+        reject(new Error("Timed out waiting for condition"));
+      }
+    }, 5);
+  });
+}
+
+describe("BingX streams against a mock WebSocket server", () => {
+  let server;
+  let url;
+  let sockets;
+  let received;
+
+  beforeEach(async () => {
+    sockets = [];
+    received = [];
+    server = new WebSocket.Server({ port: 0 });
+    server.on("connection", (socket, request) => {
+      socket.requestUrl = request.url;
+      sockets.push(socket);
+      socket.on("message", (data) => received.push(data.toString()));
+    });
+    await new Promise((resolve) => server.on("listening", resolve));
+    url = `ws://127.0.0.1:${server.address().port}/swap-market`;
+  });
+
+  afterEach(async () => {
+    sockets.forEach((socket) => socket.terminate());
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("should subscribe, answer pings and cache market data", async () => {
+    const cache = createMarketCache();
+    const stream = createMarketStream({ url, cache, backoff, logger });
+    stream.subscribe("BTC-USDT@trade");
+    stream.subscribe("BTC-USDT@depth5@500ms");
+    await stream.start();
+
+    await waitFor(() => received.length === 2);
+    expect(received.map((r) => JSON.parse(r))).toEqual([
+      expect.objectContaining({ reqType: "sub", dataType: "BTC-USDT@trade" }),
+      expect.objectContaining({ reqType: "sub", dataType: "BTC-USDT@depth5@500ms" }),
+    ]);
+
+    send(sockets[0], "Ping");
+    await waitFor(() => received.includes("Pong"));
+
+    send(sockets[0], {
+      code: 0,
+      dataType: "BTC-USDT@trade",
+      data: [{ T: 1, s: "BTC-USDT", p: "50000.5", q: "0.1", m: false }],
+    });
+    send(sockets[0], {
+      code: 0,
+      dataType: "BTC-USDT@depth5@500ms",
+      data: { bids: [["49999", "1"]], asks: [["50001", "2"]] },
+    });
+    await waitFor(() => cache.getOrderBook("BTC-USDT"));
+    expect(cache.getPrice("BTC-USDT").price).toBe(50000.5);
+    expect(cache.getOrderBook("BTC-USDT").asks).toEqual([["50001", "2"]]);
+
+    stream.stop();
+  });
+
+  it("should reconnect with backoff and replay subscriptions", async () => {
+    const cache = createMarketCache();
+    const stream = createMarketStream({ url, cache, backoff, logger });
+    stream.subscribe("ETH-USDT@ticker");
+    await stream.start();
+    await waitFor(() => received.length === 1);
+
+    sockets[0].terminate();
+    await waitFor(() => sockets.length === 2 && received.length === 2);
+    expect(JSON.parse(received[1]).dataType).toBe("ETH-USDT@ticker");
+
+    send(sockets[1], { dataType: "ETH-USDT@ticker", data: { c: "3000", E: 2 } });
+    await waitFor(() => cache.getPrice("ETH-USDT"));
+    stream.stop();
+  });
+
+  it("should seed the account cache and apply user data events", async () => {
+    const cache = createMarketCache();
+    let keys = 0;
+    const stream = createUserDataStream({
+      url,
+      cache,
+      backoff,
+      logger,
+      createListenKey: async () => `key-${++keys}`,
+      keepAliveListenKey: async () => ({}),
+      loadAccountSnapshot: async () => ({
+        positions: [{ symbol: "BTC-USDT", positionSide: "LONG", positionAmt: "1", avgPrice: "100" }],
+        orders: [{ symbol: "BTC-USDT", orderId: "7", status: "NEW" }],
+      }),
+    });
+    await stream.start();
+    await waitFor(() => cache.getPositions());
+    expect(sockets[0].requestUrl).toBe("/swap-market?listenKey=key-1");
+
+    const events = [];
+    cache.events.on("order", (event) => events.push(event));
+    send(sockets[0], {
+      e: "ORDER_TRADE_UPDATE",
+      E: 3,
+      o: { s: "BTC-USDT", i: 7, S: "SELL", ps: "LONG", o: "STOP_MARKET", q: "1", p: "0", ap: "95", z: "1", X: "FILLED", x: "TRADE", T: 3 },
+    });
+    send(sockets[0], {
+      e: "ACCOUNT_UPDATE",
+      a: { m: "ORDER", B: [{ a: "USDT", wb: "900", cw: "900" }], P: [{ s: "BTC-USDT", pa: "0", ep: "0", up: "0", mt: "cross", ps: "LONG" }] },
+    });
+    await waitFor(() => cache.getPositions().length === 0);
+    expect(cache.getOrders()).toEqual([]);
+    expect(events[0].previous.status).toBe("NEW");
+    expect(events[0].order.status).toBe("FILLED");
+
+    send(sockets[0], { e: "listenKeyExpired" });
+    await waitFor(() => sockets.length === 2);
+    expect(sockets[1].requestUrl).toBe("/swap-market?listenKey=key-2");
+    stream.stop();
+  });
+});
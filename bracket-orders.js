@@ -0,0 +1,184 @@
+// bracket-orders.js
+//
+// Bracket orders: a market entry with a stop loss and a take profit attached
+// to the resulting position. The two exits form an OCO pair; when one of them
+// fills the other is cancelled. Fills are seen through order updates from the
+// user data stream (handleOrderUpdate) or by polling the exit orders (poll).
+// Brackets are persisted so the pairing survives a restart, along with the
+// account they were placed on so the exits are polled and cancelled there.
+
+const crypto = require("crypto");
+
+const LEGS = ["stopLoss", "takeProfit"];
+const DONE_STATUSES = ["FILLED", "CANCELED", "CANCELLED", "EXPIRED", "REJECTED"];
+
+function bracketError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function orderOf(response) {
+  return (response && response.data && response.data.order) || {};
+}
+
+function createBracketManager({
+  store,
+  placeEntry,
+  setStopLoss,
+  setTakeProfit,
+  cancelOrder,
+  fetchOrder,
+  currentAccount = () => null,
+  runWithAccount = (account, fn) => fn(),
+  now = () => Date.now(),
+  logger = console,
+}) {
+  const closing = new Set();
+  let pollTimer = null;
+
+  function save(bracket) {
+    store.update((all) => {
+      all[bracket.id] = bracket;
+    });
+    return bracket;
+  }
+
+  function list({ status } = {}) {
+    return Object.values(store.read()).filter((bracket) => !status || bracket.status === status);
+  }
+
+  function get(id) {
+    return store.read()[id] || null;
+  }
+
+  // Places the entry, then the exits for the new position. A failed exit
+  // leaves the bracket "unprotected" with the error instead of undoing the
+  // entry, so the caller can add the missing exit by hand.
+  async function place({ symbol, side, quantity, stopLoss, takeProfit }) {
+    const long = side === "BUY";
+    if (long ? !(stopLoss < takeProfit) : !(stopLoss > takeProfit)) {
+      throw bracketError(
+        400,
+        long
+          ? "A BUY bracket needs the stop loss below the take profit"
+          : "A SELL bracket needs the stop loss above the take profit"
+      );
+    }
+
+    const entry = orderOf(await placeEntry(symbol, side, quantity));
+    const target = {
+      positionSide: long ? "LONG" : "SHORT",
+      quantity: parseFloat(entry.executedQty) || parseFloat(quantity),
+    };
+    const bracket = {
+      id: crypto.randomBytes(6).toString("hex"),
+      account: currentAccount(),
+      symbol,
+      side,
+      positionSide: target.positionSide,
+      quantity: target.quantity,
+      entry: { orderId: String(entry.orderId), price: parseFloat(entry.avgPrice) || null },
+      stopLoss: { price: stopLoss, orderId: null },
+      takeProfit: { price: takeProfit, orderId: null },
+      status: "active",
+      createdAt: now(),
+    };
+
+    const errors = [];
+    for (const [leg, place] of [
+      ["stopLoss", setStopLoss],
+      ["takeProfit", setTakeProfit],
+    ]) {
+      try {
+        bracket[leg].orderId = String(orderOf(await place(symbol, bracket[leg].price, target)).orderId);
+      } catch (error) {
+        errors.push(`${leg}: ${error.message}`);
+      }
+    }
+    if (errors.length > 0) {
+      bracket.status = "unprotected";
+      bracket.error = errors.join("; ");
+    }
+    return save(bracket);
+  }
+
+  function findByExit(orderId) {
+    const id = String(orderId);
+    for (const bracket of list()) {
+      if (bracket.status !== "active" && bracket.status !== "unprotected") continue;
+      const leg = LEGS.find((name) => bracket[name].orderId === id);
+      if (leg) return { bracket, leg };
+    }
+    return null;
+  }
+
+  // One exit filled: cancel the other and close the bracket
+  async function completeBracket(bracket, filledLeg) {
+    if (closing.has(bracket.id)) return null;
+    closing.add(bracket.id);
+    try {
+      const sibling = LEGS.find((leg) => leg !== filledLeg);
+      if (bracket[sibling].orderId) {
+        await Promise.resolve(
+          runWithAccount(bracket.account, () => cancelOrder(bracket.symbol, bracket[sibling].orderId))
+        ).catch((error) =>
+          logger.error(`Failed to cancel ${sibling} of bracket ${bracket.id}`, { error: error.message })
+        );
+      }
+      return save({ ...bracket, status: "closed", closedBy: filledLeg, closedAt: now() });
+    } finally {
+      closing.delete(bracket.id);
+    }
+  }
+
+  async function handleOrderUpdate(previous, order) {
+    if (!order || order.status !== "FILLED") return null;
+    const match = findByExit(order.orderId);
+    return match ? completeBracket(match.bracket, match.leg) : null;
+  }
+
+  // Checks the exits of every open bracket. Brackets whose exits are all gone
+  // without a fill (cancelled by hand) are marked cancelled.
+  async function poll() {
+    for (const bracket of list()) {
+      if (bracket.status !== "active" && bracket.status !== "unprotected") continue;
+      try {
+        const statuses = {};
+        for (const leg of LEGS) {
+          if (!bracket[leg].orderId) continue;
+          const order = orderOf(
+            await runWithAccount(bracket.account, () => fetchOrder(bracket.symbol, bracket[leg].orderId))
+          );
+          statuses[leg] = order.status;
+        }
+        const filled = LEGS.find((leg) => statuses[leg] === "FILLED");
+        if (filled) {
+          await completeBracket(bracket, filled);
+        } else if (
+          Object.keys(statuses).length > 0 &&
+          Object.values(statuses).every((status) => DONE_STATUSES.includes(status))
+        ) {
+          save({ ...bracket, status: "cancelled", closedAt: now() });
+        }
+      } catch (error) {
+        logger.error(`Bracket ${bracket.id} poll failed`, { error: error.message });
+      }
+    }
+  }
+
+  function start(intervalMs = 15000) {
+    stop();
+    pollTimer = setInterval(poll, intervalMs);
+    pollTimer.unref();
+  }
+
+  function stop() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  return { place, list, get, handleOrderUpdate, poll, start, stop };
+}
+
+module.exports = { createBracketManager };
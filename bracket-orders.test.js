@@ -0,0 +1,148 @@
+// bracket-orders.test.js
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createBracketManager } = require("./bracket-orders");
+const { createJsonStore } = require("./json-store");
+const { createPaperExchange } = require("./paper-exchange");
+
+describe("Bracket orders", () => {
+  let dir;
+  let exchange;
+  let brackets;
+  let failTakeProfit;
+
+  // Same shape as index.js: exchange errors are thrown
+  function call(method, endpoint, params) {
+    return exchange.handleRequest(method, endpoint, params).then((result) => {
+      if (result.code !== 0) throw new Error(result.msg);
+      return result;
+    });
+  }
+
+  function exit(type) {
+    return (symbol, stopPrice, { positionSide, quantity }) =>
+      call("POST", "/openApi/swap/v2/trade/order", {
+        symbol,
+        type,
+        stopPrice,
+        positionSide,
+        quantity,
+        side: positionSide === "LONG" ? "SELL" : "BUY",
+      });
+  }
+
+  function create() {
+    return createBracketManager({
+      store: createJsonStore(path.join(dir, "brackets.json")),
+      placeEntry: (symbol, side, quantity) =>
+        call("POST", "/openApi/swap/v2/trade/order", { symbol, side, type: "MARKET", quantity }),
+      setStopLoss: exit("STOP_MARKET"),
+      setTakeProfit: (...args) => {
+        if (failTakeProfit) return Promise.reject(new Error("rejected"));
+        return exit("TAKE_PROFIT_MARKET")(...args);
+      },
+      cancelOrder: (symbol, orderId) =>
+        call("POST", "/openApi/swap/v2/trade/cancelOrder", { symbol, orderId }),
+      fetchOrder: (symbol, orderId) =>
+        call("GET", "/openApi/swap/v2/trade/order", { symbol, orderId }),
+    });
+  }
+
+  async function openOrders() {
+    return (await call("GET", "/openApi/swap/v2/trade/openOrders")).data.orders;
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "brackets-"));
+    exchange = createPaperExchange({ startingBalance: 10000, leverage: 10 });
+    exchange.updatePrice("BTC-USDT", 50000);
+    failTakeProfit = false;
+    brackets = create();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("places the entry and exits for the new position", async () => {
+    const bracket = await brackets.place({
+      symbol: "BTC-USDT",
+      side: "BUY",
+      quantity: 0.1,
+      stopLoss: 49000,
+      takeProfit: 52000,
+    });
+
+    expect(bracket).toMatchObject({ status: "active", positionSide: "LONG", quantity: 0.1 });
+    const orders = await openOrders();
+    expect(orders.map((order) => [order.type, order.side, order.positionSide])).toEqual([
+      ["STOP_MARKET", "SELL", "LONG"],
+      ["TAKE_PROFIT_MARKET", "SELL", "LONG"],
+    ]);
+  });
+
+  test("rejects exits on the wrong side of each other", async () => {
+    await expect(
+      brackets.place({
+        symbol: "BTC-USDT",
+        side: "SELL",
+        quantity: 0.1,
+        stopLoss: 49000,
+        takeProfit: 52000,
+      })
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(await openOrders()).toEqual([]);
+  });
+
+  test("cancels the take profit when the stop loss fills (stream update)", async () => {
+    const bracket = await brackets.place({
+      symbol: "BTC-USDT",
+      side: "SELL",
+      quantity: 0.1,
+      stopLoss: 51000,
+      takeProfit: 48000,
+    });
+
+    const [stop] = exchange.updatePrice("BTC-USDT", 51500);
+    expect(stop.orderId).toBe(bracket.stopLoss.orderId);
+
+    const closed = await brackets.handleOrderUpdate(null, stop);
+    expect(closed).toMatchObject({ status: "closed", closedBy: "stopLoss" });
+    expect(await openOrders()).toEqual([]);
+  });
+
+  test("polling finds the filled exit and survives a restart", async () => {
+    const bracket = await brackets.place({
+      symbol: "BTC-USDT",
+      side: "BUY",
+      quantity: 0.1,
+      stopLoss: 49000,
+      takeProfit: 52000,
+    });
+    exchange.updatePrice("BTC-USDT", 52500);
+
+    const restarted = create();
+    await restarted.poll();
+
+    expect(restarted.get(bracket.id)).toMatchObject({ status: "closed", closedBy: "takeProfit" });
+    expect(await openOrders()).toEqual([]);
+  });
+
+  test("a failed exit leaves the bracket unprotected", async () => {
+    failTakeProfit = true;
+    const bracket = await brackets.place({
+      symbol: "BTC-USDT",
+      side: "BUY",
+      quantity: 0.1,
+      stopLoss: 49000,
+      takeProfit: 52000,
+    });
+
+    expect(bracket.status).toBe("unprotected");
+    expect(bracket.error).toBe("takeProfit: rejected");
+    expect(bracket.stopLoss.orderId).not.toBeNull();
+    expect(brackets.list({ status: "unprotected" })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,397 @@
+// config.js
+//
+// Server settings, loaded and checked once at startup. Values come from,
+// lowest precedence first: the schema defaults, the profile (paper, testnet
+// or live), the config file (CONFIG_FILE, JSON or YAML, whose optional
+// "profiles" section overrides per profile), the environment and the command
+// line flags (--port 4000, --paper-trading, --config server.yaml). Every value
+// is checked against CONFIG_SCHEMA, so a bad or missing setting stops the
+// server before it starts instead of failing the first request that needs it.
+//
+// Settings marked secret are redacted by redactConfig and can be read from
+// the file named by <NAME>_FILE. Settings marked reload (risk limits and
+// strategy parameters) are picked up by reloadConfig while the server runs;
+// other changes need a restart.
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { validate } = require("./validation");
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration: ${errors.join("; ")}`);
+    this.name = "ConfigError";
+    this.details = errors;
+  }
+}
+
+const PROFILE_NAMES = ["paper", "testnet", "live"];
+
+// Defaults each profile puts over the schema defaults
+const PROFILES = {
+  paper: { PAPER_TRADING: true },
+  testnet: {
+    PAPER_TRADING: false,
+    BINGX_BASE_URL: "https://open-api-vst.bingx.com",
+    BINANCE_BASE_URL: "https://testnet.binancefuture.com",
+  },
+  live: {
+    PAPER_TRADING: false,
+    BINGX_BASE_URL: "https://open-api.bingx.com",
+    BINANCE_BASE_URL: "https://fapi.binance.com",
+  },
+};
+
+const MILLISECONDS = { type: "integer", minimum: 0 };
+const SECRET = { type: "string", secret: true };
+const RISK_LIMIT = { type: "number", minimum: 0, reload: true };
+
+// JSON Schema subset of validation.js, plus secret and reload
+const CONFIG_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    PROFILE: { type: "string", enum: PROFILE_NAMES, default: "live", description: "Settings profile" },
+    CONFIG_FILE: { type: "string", description: "JSON or YAML file with settings" },
+    CONFIG_WATCH: { type: "boolean", default: true, description: "Reload the config file when it changes" },
+    CONFIG_WATCH_MS: { ...MILLISECONDS, default: 2000, description: "How often the config file is checked" },
+    NODE_ENV: { type: "string", description: "development adds stack traces to error responses" },
+    PORT: { type: "integer", minimum: 0, maximum: 65535, default: 3000, description: "HTTP port" },
+    DATA_DIR: { type: "string", default: "data", description: "Directory of the runtime state files" },
+    BACKTEST_DATA_DIR: { type: "string", default: "data", description: "Directory of the candle files" },
+    LOG_LEVEL: {
+      type: "string",
+      enum: ["error", "warn", "info", "http", "verbose", "debug", "silly"],
+      default: "info",
+      reload: true,
+      description: "debug also logs every exchange read",
+    },
+    LOG_FILE: { type: "string", default: "combined.log" },
+    ERROR_LOG_FILE: { type: "string", default: "error.log" },
+    AUDIT_LOG_FILE: { type: "string", default: "audit.log" },
+    LOG_CONSOLE: { type: "boolean", default: true, description: "Also write the JSON logs to stdout" },
+    METRICS_PUBLIC: { type: "boolean", default: false, description: "Serve /metrics without an API key" },
+    READY_TIMEOUT_MS: { ...MILLISECONDS, default: 3000, description: "How long /readyz waits for each exchange" },
+    READY_MAX_CLOCK_SKEW_MS: {
+      ...MILLISECONDS,
+      default: 5000,
+      description: "/readyz fails when an exchange clock is further off than this",
+    },
+
+    BINGX_BASE_URL: { type: "string", pattern: "^https?://", default: "https://open-api.bingx.com" },
+    BINGX_API_KEY: { ...SECRET, description: 'API key of the "main" account' },
+    BINGX_SECRET_KEY: { ...SECRET, description: 'Secret key of the "main" account' },
+    BINGX_ACCOUNTS: { ...SECRET, description: "More accounts, as name:apiKey:secretKey,..." },
+    BINGX_ACCOUNTS_FILE: { type: "string", description: "Encrypted accounts file" },
+    BINGX_ACCOUNTS_PASSPHRASE: SECRET,
+    BINANCE_BASE_URL: { type: "string", pattern: "^https?://", default: "https://fapi.binance.com" },
+    BINANCE_API_KEY: { ...SECRET, description: 'API key of the "binance" account (Binance USDⓈ-M futures)' },
+    BINANCE_SECRET_KEY: { ...SECRET, description: 'Secret key of the "binance" account' },
+    BINGX_DEFAULT_ACCOUNT: { type: "string" },
+    BINGX_RECV_WINDOW_MS: { ...MILLISECONDS, default: 5000 },
+    BINGX_TIMEOUT_MS: { ...MILLISECONDS, default: 10000 },
+    BINGX_MAX_RETRIES: { type: "integer", minimum: 0, default: 3 },
+    BINGX_TIME_SYNC_MS: { ...MILLISECONDS, default: 60000 },
+    BINGX_CLOCK_SKEW_WARN_MS: { ...MILLISECONDS, default: 1000, description: "Warn above this clock offset" },
+    BINGX_WS_ENABLED: { type: "boolean", default: false },
+    BINGX_WS_URL: { type: "string", pattern: "^wss?://", default: "wss://open-api-swap.bingx.com/swap-market" },
+    BINGX_WS_CHANNELS: { type: "string", default: "trade,ticker,depth20@500ms,kline_1m" },
+    BINGX_WS_SYMBOLS: { type: "string", default: "" },
+
+    PAPER_TRADING: { type: "boolean", default: false, description: "Simulate orders locally" },
+    PAPER_STARTING_BALANCE: { type: "number", exclusiveMinimum: 0, default: 10000 },
+    PAPER_LEVERAGE: { type: "integer", minimum: 1, maximum: 125, default: 10 },
+    PAPER_PRICE_POLL_MS: { ...MILLISECONDS, default: 5000 },
+
+    TELEGRAM_BOT_TOKEN: SECRET,
+    TELEGRAM_USERS: { type: "string", default: "", description: "id:role,..." },
+    API_KEYS: { ...SECRET, default: "", description: "key:role[:signingSecret],..." },
+    WEBHOOK_SECRET: SECRET,
+    CONFIRM_COMMANDS: { type: "string", description: "Commands asking for confirmation" },
+    CONFIRM_TIMEOUT_MS: { ...MILLISECONDS, default: 30000 },
+
+    RISK_MAX_NOTIONAL: {
+      reload: true,
+      description: 'Number for every symbol, or a map such as {"default": 1000, "BTC-USDT": 5000}',
+    },
+    RISK_MAX_LEVERAGE: RISK_LIMIT,
+    RISK_MAX_OPEN_POSITIONS: { ...RISK_LIMIT, type: "integer" },
+    RISK_MAX_DAILY_LOSS: RISK_LIMIT,
+    RISK_MAX_ORDERS_PER_MINUTE: { ...RISK_LIMIT, type: "integer" },
+    RISK_SYMBOL_WHITELIST: { type: "string", reload: true },
+    RISK_KILL_SWITCH: { type: "boolean", default: false, reload: true },
+
+    STRATEGIES: { type: "string", default: "", description: "name:SYMBOL,SYMBOL;name2:SYMBOL" },
+    STRATEGY_PARAMS: {
+      type: "object",
+      default: {},
+      reload: true,
+      description: 'Parameters by strategy, e.g. {"simple-momentum": {"interval": "5m", "quantity": 0.02}}',
+    },
+    COPY_LEADER: { type: "string" },
+    COPY_FOLLOWERS: { type: "string", description: "account:scale,..." },
+
+    BRACKET_POLL_MS: { ...MILLISECONDS, default: 15000 },
+    ALGO_TICK_MS: { ...MILLISECONDS, default: 5000 },
+    ALERT_POLL_MS: { ...MILLISECONDS, default: 10000 },
+    ALERT_COOLDOWN_MS: { ...MILLISECONDS, default: 300000 },
+    NOTIFY_POLL_MS: { ...MILLISECONDS, default: 15000 },
+    NOTIFY_LIQUIDATION_PERCENT: { type: "number", minimum: 0, default: 5 },
+    NOTIFY_PNL_MOVE_USDT: { type: "number", minimum: 0, default: 50 },
+    PNL_SUMMARY_HOUR_UTC: { type: "integer", minimum: 0, maximum: 23, default: 0 },
+  },
+};
+
+const SETTINGS = CONFIG_SCHEMA.properties;
+const REDACTED = "********";
+
+// Configs built by loadConfig, with the options they were loaded with
+const loadOptions = new WeakMap();
+
+// Strings from the environment, flags or files to the type of the setting;
+// values that do not convert are left for validate() to report
+function coerce(schema, value) {
+  if (schema.type === "string") {
+    if (Array.isArray(value)) return value.join(",");
+    return typeof value === "number" || typeof value === "boolean" ? String(value) : value;
+  }
+  if (typeof value !== "string") return value;
+  const text = value.trim();
+  if (schema.type === "number" || schema.type === "integer") {
+    return text !== "" && !isNaN(Number(text)) ? Number(text) : value;
+  }
+  if (schema.type === "boolean") {
+    if (/^(true|yes|on|1)$/i.test(text)) return true;
+    if (/^(false|no|off|0)$/i.test(text)) return false;
+    return value;
+  }
+  if (schema.type === "object" || text.startsWith("{")) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return value;
+    }
+  }
+  return text !== "" && !isNaN(Number(text)) ? Number(text) : value;
+}
+
+// --port 4000, --port=4000, --paper-trading, --no-paper-trading; --config is
+// short for --config-file
+function parseFlags(argv) {
+  const values = {};
+  const errors = [];
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--(no-)?([a-z0-9-]+)(?:=(.*))?$/i.exec(argv[i]);
+    if (!match) {
+      errors.push(`Unexpected argument "${argv[i]}"`);
+      continue;
+    }
+    const [, negated, flag, inline] = match;
+    const name = flag === "config" ? "CONFIG_FILE" : flag.toUpperCase().replace(/-/g, "_");
+    let value = inline;
+    if (negated) {
+      value = "false";
+    } else if (value === undefined) {
+      const next = argv[i + 1];
+      value = next !== undefined && !next.startsWith("--") ? argv[++i] : "true";
+    }
+    values[name] = value;
+  }
+  return { values, errors };
+}
+
+// Known settings of one source; <NAME>_FILE is read for secrets. Unknown
+// names are errors in files and flags, but not in the environment.
+function readSource(raw, origin, { strict, readFile }) {
+  const values = {};
+  const errors = [];
+  for (const [name, value] of Object.entries(raw || {})) {
+    if (value === undefined || value === null || value === "") continue;
+    const secretName = name.endsWith("_FILE") && name.slice(0, -5);
+    if (SETTINGS[name]) {
+      values[name] = value;
+    } else if (secretName && SETTINGS[secretName] && SETTINGS[secretName].secret) {
+      try {
+        values[secretName] = readFile(String(value)).trim();
+      } catch (error) {
+        errors.push(`${name} (${origin}): cannot read ${value}: ${error.message}`);
+      }
+    } else if (strict) {
+      errors.push(`Unknown setting ${name} (${origin})`);
+    }
+  }
+  return { values, errors };
+}
+
+function parseFile(file, text) {
+  const data = /\.json$/i.test(file) ? JSON.parse(text) : yaml.safeLoad(text);
+  if (data === undefined || data === null) return {};
+  if (typeof data !== "object" || Array.isArray(data)) throw new Error("expected a map of settings");
+  return data;
+}
+
+// Rules spanning several settings, checked after the types
+function checkSettings(values) {
+  const errors = [];
+  if (!values.TELEGRAM_BOT_TOKEN) errors.push("TELEGRAM_BOT_TOKEN is required");
+  const credentials = ["BINGX_API_KEY", "BINANCE_API_KEY", "BINGX_ACCOUNTS", "BINGX_ACCOUNTS_FILE"];
+  if (!values.PAPER_TRADING && !credentials.some((key) => values[key])) {
+    errors.push(
+      `BINGX_API_KEY and BINGX_SECRET_KEY (or BINANCE_API_KEY, BINGX_ACCOUNTS, BINGX_ACCOUNTS_FILE) are required outside paper trading (profile ${values.PROFILE})`
+    );
+  }
+  if (Boolean(values.BINGX_API_KEY) !== Boolean(values.BINGX_SECRET_KEY)) {
+    errors.push("BINGX_API_KEY and BINGX_SECRET_KEY must be set together");
+  }
+  if (Boolean(values.BINANCE_API_KEY) !== Boolean(values.BINANCE_SECRET_KEY)) {
+    errors.push("BINANCE_API_KEY and BINANCE_SECRET_KEY must be set together");
+  }
+  if (values.BINGX_ACCOUNTS_FILE && !values.BINGX_ACCOUNTS_PASSPHRASE) {
+    errors.push("BINGX_ACCOUNTS_FILE needs BINGX_ACCOUNTS_PASSPHRASE");
+  }
+  const notional = values.RISK_MAX_NOTIONAL;
+  if (
+    notional !== undefined &&
+    !(typeof notional === "number" && notional >= 0) &&
+    !(typeof notional === "object" && !Array.isArray(notional) && Object.values(notional).every((v) => v >= 0))
+  ) {
+    errors.push("RISK_MAX_NOTIONAL must be a number or a map of symbols to numbers");
+  }
+  for (const [name, params] of Object.entries(values.STRATEGY_PARAMS || {})) {
+    if (params === null || typeof params !== "object" || Array.isArray(params)) {
+      errors.push(`STRATEGY_PARAMS.${name} must be an object`);
+    }
+  }
+  return errors;
+}
+
+// Loads, converts and checks the settings; throws a ConfigError listing every
+// problem. The result is frozen; reloadConfig loads it again the same way.
+function loadConfig({
+  env = process.env,
+  argv = process.argv.slice(2),
+  readFile = (file) => fs.readFileSync(file, "utf8"),
+} = {}) {
+  const flags = parseFlags(argv);
+  const fromFlags = readSource(flags.values, "command line", { strict: true, readFile });
+  const fromEnv = readSource(env, "environment", { strict: false, readFile });
+  const errors = [...flags.errors, ...fromFlags.errors, ...fromEnv.errors];
+
+  const file = fromFlags.values.CONFIG_FILE || fromEnv.values.CONFIG_FILE;
+  let fromFile = { values: {} };
+  let fileProfiles = {};
+  if (file) {
+    try {
+      const { profiles = {}, ...settings } = parseFile(file, readFile(file));
+      fromFile = readSource(settings, path.basename(file), { strict: true, readFile });
+      errors.push(...fromFile.errors);
+      fileProfiles = profiles;
+    } catch (error) {
+      errors.push(`Cannot load ${file}: ${error.message}`);
+    }
+  }
+
+  const profile =
+    fromFlags.values.PROFILE || fromEnv.values.PROFILE || fromFile.values.PROFILE || SETTINGS.PROFILE.default;
+  if (!PROFILE_NAMES.includes(profile)) {
+    throw new ConfigError([...errors, `PROFILE must be one of ${PROFILE_NAMES.join(", ")}`]);
+  }
+  let fromFileProfile = { values: {} };
+  for (const name of Object.keys(fileProfiles || {})) {
+    if (!PROFILE_NAMES.includes(name)) errors.push(`Unknown profile ${name} (${path.basename(file)})`);
+  }
+  if (fileProfiles && fileProfiles[profile]) {
+    fromFileProfile = readSource(fileProfiles[profile], `${path.basename(file)} profile ${profile}`, {
+      strict: true,
+      readFile,
+    });
+    errors.push(...fromFileProfile.errors);
+  }
+
+  const defaults = Object.fromEntries(
+    Object.entries(SETTINGS)
+      .filter(([, schema]) => schema.default !== undefined)
+      .map(([name, schema]) => [name, schema.default])
+  );
+  const merged = {
+    ...defaults,
+    ...PROFILES[profile],
+    ...fromFile.values,
+    ...fromFileProfile.values,
+    ...fromEnv.values,
+    ...fromFlags.values,
+    PROFILE: profile,
+  };
+  const values = Object.fromEntries(
+    Object.entries(merged).map(([name, value]) => [name, coerce(SETTINGS[name], value)])
+  );
+
+  errors.push(...validate(CONFIG_SCHEMA, values, "config").map((error) => error.replace(/^config\./, "")));
+  if (errors.length === 0) errors.push(...checkSettings(values));
+  if (errors.length > 0) throw new ConfigError(errors);
+
+  const config = Object.freeze(values);
+  loadOptions.set(config, { env, argv, readFile });
+  return config;
+}
+
+function isLoadedConfig(config) {
+  return loadOptions.has(config);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Loads the settings again with the options of current. Changed reload
+// settings are taken over; other changes are only reported, since the
+// server has already been built from them. Throws a ConfigError, leaving
+// current in use, when the new settings are invalid.
+function reloadConfig(current) {
+  const options = loadOptions.get(current);
+  if (!options) throw new Error("Only a config from loadConfig can be reloaded");
+  const next = loadConfig(options);
+  const changed = Object.keys(SETTINGS).filter((name) => !sameValue(current[name], next[name]));
+  const reloaded = changed.filter((name) => SETTINGS[name].reload);
+  const values = { ...current };
+  for (const name of reloaded) {
+    if (next[name] === undefined) delete values[name];
+    else values[name] = next[name];
+  }
+  const config = Object.freeze(values);
+  loadOptions.set(config, options);
+  return { config, reloaded, restartRequired: changed.filter((name) => !SETTINGS[name].reload) };
+}
+
+// Calls onChange whenever the file is modified; returns the function that
+// stops watching
+function watchConfigFile(file, onChange, intervalMs = 2000) {
+  const listener = (currentStat, previousStat) => {
+    if (currentStat.mtimeMs !== previousStat.mtimeMs) onChange();
+  };
+  fs.watchFile(file, { interval: intervalMs, persistent: false }, listener);
+  return () => fs.unwatchFile(file, listener);
+}
+
+// Copy of config with the secrets hidden, for logs and GET /config
+function redactConfig(config) {
+  return Object.fromEntries(
+    Object.entries(config).map(([name, value]) => [
+      name,
+      SETTINGS[name] && SETTINGS[name].secret && value ? REDACTED : value,
+    ])
+  );
+}
+
+module.exports = {
+  ConfigError,
+  CONFIG_SCHEMA,
+  PROFILES,
+  parseFlags,
+  loadConfig,
+  isLoadedConfig,
+  reloadConfig,
+  watchConfigFile,
+  redactConfig,
+};
@@ -0,0 +1,208 @@
+// config.test.js
+
+const {
+  ConfigError,
+  parseFlags,
+  loadConfig,
+  isLoadedConfig,
+  reloadConfig,
+  redactConfig,
+} = require("./config");
+
+const LIVE = { TELEGRAM_BOT_TOKEN: "123:abc", BINGX_API_KEY: "key", BINGX_SECRET_KEY: "secret" };
+
+// readFile over an in-memory map of files
+function files(contents) {
+  return (file) => {
+    if (!(file in contents)) throw new Error(`ENOENT: no such file ${file}`);
+    return contents[file];
+  };
+}
+
+function configError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(ConfigError);
+    return error.details;
+  }
+  throw new Error("Expected a ConfigError");
+}
+
+describe("loadConfig", () => {
+  test("converts environment strings and fills in the defaults", () => {
+    const config = loadConfig({
+      env: { ...LIVE, PORT: "4000", BINGX_WS_ENABLED: "true", RISK_MAX_NOTIONAL: '{"default": 1000}', HOME: "/root" },
+      argv: [],
+    });
+    expect(config).toMatchObject({
+      PROFILE: "live",
+      PORT: 4000,
+      BINGX_WS_ENABLED: true,
+      PAPER_TRADING: false,
+      RISK_MAX_NOTIONAL: { default: 1000 },
+      BINGX_BASE_URL: "https://open-api.bingx.com",
+      BINGX_CLOCK_SKEW_WARN_MS: 1000,
+      LOG_FILE: "combined.log",
+      STRATEGY_PARAMS: {},
+    });
+    expect(config.HOME).toBeUndefined();
+    expect(Object.isFrozen(config)).toBe(true);
+    expect(isLoadedConfig(config)).toBe(true);
+    expect(isLoadedConfig({ ...config })).toBe(false);
+  });
+
+  test("profiles set their own defaults", () => {
+    const paper = loadConfig({ env: { TELEGRAM_BOT_TOKEN: "t", PROFILE: "paper" }, argv: [] });
+    expect(paper.PAPER_TRADING).toBe(true);
+    const testnet = loadConfig({ env: LIVE, argv: ["--profile", "testnet"] });
+    expect(testnet).toMatchObject({
+      PAPER_TRADING: false,
+      BINGX_BASE_URL: "https://open-api-vst.bingx.com",
+      BINANCE_BASE_URL: "https://testnet.binancefuture.com",
+    });
+  });
+
+  test("file, environment and flags override each other in that order", () => {
+    const readFile = files({
+      "server.yaml": [
+        "PORT: 4000",
+        "BINGX_MAX_RETRIES: 1",
+        "PNL_SUMMARY_HOUR_UTC: 6",
+        "RISK_SYMBOL_WHITELIST: [BTC-USDT, ETH-USDT]",
+        "STRATEGY_PARAMS:",
+        "  simple-momentum: { interval: 5m, quantity: 0.02 }",
+        "profiles:",
+        "  paper:",
+        "    PORT: 5000",
+      ].join("\n"),
+    });
+    const config = loadConfig({
+      env: { ...LIVE, CONFIG_FILE: "server.yaml", BINGX_MAX_RETRIES: "2", PNL_SUMMARY_HOUR_UTC: "7" },
+      argv: ["--pnl-summary-hour-utc=8", "--no-config-watch"],
+      readFile,
+    });
+    expect(config).toMatchObject({
+      PORT: 4000,
+      BINGX_MAX_RETRIES: 2,
+      PNL_SUMMARY_HOUR_UTC: 8,
+      CONFIG_WATCH: false,
+      RISK_SYMBOL_WHITELIST: "BTC-USDT,ETH-USDT",
+      STRATEGY_PARAMS: { "simple-momentum": { interval: "5m", quantity: 0.02 } },
+    });
+
+    const paper = loadConfig({
+      env: { TELEGRAM_BOT_TOKEN: "t" },
+      argv: ["--config", "server.yaml", "--profile=paper"],
+      readFile,
+    });
+    expect(paper).toMatchObject({ PORT: 5000, PAPER_TRADING: true });
+  });
+
+  test("JSON files are read too", () => {
+    const config = loadConfig({
+      env: LIVE,
+      argv: ["--config", "server.json"],
+      readFile: files({ "server.json": '{"RISK_MAX_LEVERAGE": 5, "RISK_KILL_SWITCH": true}' }),
+    });
+    expect(config).toMatchObject({ RISK_MAX_LEVERAGE: 5, RISK_KILL_SWITCH: true });
+  });
+
+  test("reports every problem at once", () => {
+    const details = configError(() =>
+      loadConfig({
+        env: { ...LIVE, PORT: "http", PAPER_LEVERAGE: "500", LOG_LEVEL: "loud" },
+        argv: ["extra", "--config", "server.yaml", "--unknown-flag"],
+        readFile: files({ "server.yaml": "RISK_MAX_LEVRAGE: 3\nprofiles:\n  staging: {}" }),
+      })
+    );
+    expect(details).toEqual(
+      expect.arrayContaining([
+        'Unexpected argument "extra"',
+        "Unknown setting UNKNOWN_FLAG (command line)",
+        "Unknown setting RISK_MAX_LEVRAGE (server.yaml)",
+        "Unknown profile staging (server.yaml)",
+        "PORT must be an integer",
+        "PAPER_LEVERAGE must be <= 125",
+        "LOG_LEVEL must be one of error, warn, info, http, verbose, debug, silly",
+      ])
+    );
+    expect(configError(() => loadConfig({ env: { ...LIVE, PROFILE: "prod" }, argv: [] }))).toEqual([
+      "PROFILE must be one of paper, testnet, live",
+    ]);
+    const [missing] = configError(() =>
+      loadConfig({ env: LIVE, argv: ["--config", "missing.yaml"], readFile: files({}) })
+    );
+    expect(missing).toMatch(/^Cannot load missing\.yaml: ENOENT/);
+  });
+
+  test("requires the bot token and, outside paper trading, exchange credentials", () => {
+    expect(configError(() => loadConfig({ env: {}, argv: [] }))).toEqual([
+      "TELEGRAM_BOT_TOKEN is required",
+      "BINGX_API_KEY and BINGX_SECRET_KEY (or BINANCE_API_KEY, BINGX_ACCOUNTS, BINGX_ACCOUNTS_FILE) are required outside paper trading (profile live)",
+    ]);
+    expect(
+      configError(() =>
+        loadConfig({ env: { TELEGRAM_BOT_TOKEN: "t", BINGX_API_KEY: "key", BINGX_ACCOUNTS_FILE: "a.enc" }, argv: [] })
+      )
+    ).toEqual([
+      "BINGX_API_KEY and BINGX_SECRET_KEY must be set together",
+      "BINGX_ACCOUNTS_FILE needs BINGX_ACCOUNTS_PASSPHRASE",
+    ]);
+    expect(
+      configError(() => loadConfig({ env: { TELEGRAM_BOT_TOKEN: "t", BINANCE_API_KEY: "key" }, argv: [] }))
+    ).toEqual(["BINANCE_API_KEY and BINANCE_SECRET_KEY must be set together"]);
+    expect(
+      configError(() => loadConfig({ env: { ...LIVE, RISK_MAX_NOTIONAL: "lots", STRATEGY_PARAMS: "[1]" }, argv: [] }))
+    ).toEqual(["STRATEGY_PARAMS must be an object"]);
+    expect(configError(() => loadConfig({ env: { ...LIVE, RISK_MAX_NOTIONAL: "lots" }, argv: [] }))).toEqual([
+      "RISK_MAX_NOTIONAL must be a number or a map of symbols to numbers",
+    ]);
+  });
+});
+
+describe("secrets", () => {
+  test("are read from <NAME>_FILE and redacted", () => {
+    const config = loadConfig({
+      env: { TELEGRAM_BOT_TOKEN_FILE: "/run/secrets/token", PAPER_TRADING: "true", API_KEYS: "" },
+      argv: [],
+      readFile: files({ "/run/secrets/token": "123:abc\n" }),
+    });
+    expect(config.TELEGRAM_BOT_TOKEN).toBe("123:abc");
+    expect(redactConfig(config)).toMatchObject({ TELEGRAM_BOT_TOKEN: "********", API_KEYS: "", PORT: 3000 });
+
+    const [unreadable] = configError(() =>
+      loadConfig({ env: { BINGX_SECRET_KEY_FILE: "/nope", ...LIVE }, argv: [], readFile: files({}) })
+    );
+    expect(unreadable).toMatch(/^BINGX_SECRET_KEY_FILE \(environment\): cannot read \/nope/);
+  });
+});
+
+describe("reloadConfig", () => {
+  test("takes over the reload settings and reports the others", () => {
+    const contents = { "server.yaml": "RISK_MAX_LEVERAGE: 10\nRISK_MAX_DAILY_LOSS: 100\nPORT: 4000" };
+    const options = { env: { ...LIVE, CONFIG_FILE: "server.yaml" }, argv: [], readFile: files(contents) };
+    const current = loadConfig(options);
+
+    contents["server.yaml"] = "RISK_MAX_LEVERAGE: 5\nPORT: 5000\nSTRATEGY_PARAMS: { simple-momentum: { quantity: 1 } }";
+    const { config, reloaded, restartRequired } = reloadConfig(current);
+    expect(reloaded).toEqual(["RISK_MAX_LEVERAGE", "RISK_MAX_DAILY_LOSS", "STRATEGY_PARAMS"]);
+    expect(restartRequired).toEqual(["PORT"]);
+    expect(config).toMatchObject({ PORT: 4000, RISK_MAX_LEVERAGE: 5 });
+    expect(config.RISK_MAX_DAILY_LOSS).toBeUndefined();
+    expect(isLoadedConfig(config)).toBe(true);
+
+    contents["server.yaml"] = "RISK_MAX_LEVERAGE: -1";
+    expect(() => reloadConfig(config)).toThrow(ConfigError);
+    expect(() => reloadConfig({ ...config })).toThrow("Only a config from loadConfig can be reloaded");
+  });
+});
+
+describe("parseFlags", () => {
+  test("reads --name value, --name=value and boolean flags", () => {
+    expect(parseFlags(["--port", "4000", "--paper-trading", "--no-bingx-ws-enabled", "--config=a.yaml"])).toEqual({
+      values: { PORT: "4000", PAPER_TRADING: "true", BINGX_WS_ENABLED: "false", CONFIG_FILE: "a.yaml" },
+      errors: [],
+    });
+  });
+});
@@ -0,0 +1,120 @@
+// confirmations.js
+//
+// Two-step confirmation for risky bot commands. The command first answers
+// with a preview and Confirm/Cancel inline buttons; it only executes when the
+// same user presses Confirm before the timeout. Commands that are not
+// configured for confirmation execute right away. A confirmed command runs
+// in the async context of the original command (account selector, journal
+// source), not in that of the button press.
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const { Markup } = require("telegraf");
+
+function loadConfirmCommands(value = process.env.CONFIRM_COMMANDS) {
+  const list = value === undefined ? "market,limit,bracket,risk,algo,closeall,cancelall" : value;
+  return new Set(
+    list
+      .split(",")
+      .map((command) => command.trim().toLowerCase())
+      .filter(Boolean)
+  );
+}
+
+function createConfirmationManager({
+  commands = loadConfirmCommands(),
+  timeoutMs = 30000,
+  formatError = (error) => `Error: ${error.message}`,
+  now = () => Date.now(),
+}) {
+  const pending = new Map();
+
+  async function replyWith(ctx, execute) {
+    const text = await execute(ctx);
+    return text === undefined ? undefined : ctx.reply(text);
+  }
+
+  function requiresConfirmation(command) {
+    return commands.has(command);
+  }
+
+  // preview() builds the text shown before confirming; execute(ctx) performs
+  // the command and either returns the reply text or replies on ctx itself.
+  async function run(ctx, command, { preview, execute }) {
+    try {
+      if (!requiresConfirmation(command)) {
+        return await replyWith(ctx, execute);
+      }
+
+      const id = crypto.randomBytes(6).toString("hex");
+      const entry = {
+        id,
+        command,
+        userId: ctx.from ? String(ctx.from.id) : null,
+        execute,
+        runInContext: AsyncLocalStorage.snapshot(),
+        expiresAt: now() + timeoutMs,
+      };
+      entry.timer = setTimeout(() => pending.delete(id), timeoutMs);
+      entry.timer.unref();
+      pending.set(id, entry);
+
+      const seconds = Math.round(timeoutMs / 1000);
+      return await ctx.reply(
+        `${await preview()}\n\nConfirm within ${seconds}s to execute /${command}.`,
+        Markup.inlineKeyboard([
+          Markup.button.callback("✅ Confirm", `confirm:${id}`),
+          Markup.button.callback("❌ Cancel", `cancel:${id}`),
+        ])
+      );
+    } catch (error) {
+      return ctx.reply(formatError(error));
+    }
+  }
+
+  // Handles the "confirm:<id>" and "cancel:<id>" button presses
+  async function handleAction(ctx) {
+    const [action, id] = String(ctx.callbackQuery && ctx.callbackQuery.data).split(":");
+    const entry = pending.get(id);
+    const userId = ctx.from ? String(ctx.from.id) : null;
+
+    if (!entry || entry.expiresAt < now()) {
+      pending.delete(id);
+      await ctx.answerCbQuery("This confirmation has expired");
+      return ctx.editMessageReplyMarkup(undefined).catch(() => null);
+    }
+    if (entry.userId !== userId) {
+      return ctx.answerCbQuery("Only the user who sent the command can confirm it");
+    }
+
+    pending.delete(id);
+    clearTimeout(entry.timer);
+    await ctx.editMessageReplyMarkup(undefined).catch(() => null);
+
+    if (action !== "confirm") {
+      await ctx.answerCbQuery("Cancelled");
+      return ctx.reply(`/${entry.command} cancelled`);
+    }
+
+    await ctx.answerCbQuery("Executing...");
+    try {
+      return await entry.runInContext(() => replyWith(ctx, entry.execute));
+    } catch (error) {
+      return ctx.reply(formatError(error));
+    }
+  }
+
+  function register(bot) {
+    bot.action(/^(confirm|cancel):[0-9a-f]+$/, handleAction);
+  }
+
+  return {
+    requiresConfirmation,
+    run,
+    handleAction,
+    register,
+    pendingCount: () => pending.size,
+  };
+}
+
+module.exports = { loadConfirmCommands, createConfirmationManager };
@@ -0,0 +1,168 @@
+// confirmations.test.js
+
+const { AsyncLocalStorage } = require("async_hooks");
+const { loadConfirmCommands, createConfirmationManager } = require("./confirmations");
+
+function createContext(userId, data) {
+  const ctx = {
+    from: { id: userId },
+    replies: [],
+    answers: [],
+    markupCleared: 0,
+    reply: async (text, extra) => {
+      ctx.replies.push({ text, extra });
+      return { text, extra };
+    },
+    answerCbQuery: async (text) => ctx.answers.push(text),
+    editMessageReplyMarkup: async () => {
+      ctx.markupCleared++;
+    },
+  };
+  if (data) ctx.callbackQuery = { data };
+  return ctx;
+}
+
+function callbackData(reply, index) {
+  return reply.extra.reply_markup.inline_keyboard[0][index].callback_data;
+}
+
+describe("Confirmations", () => {
+  let clock;
+  let executed;
+  let manager;
+
+  const handlers = {
+    preview: async () => "Order preview:\nSymbol: BTC-USDT",
+    execute: async () => {
+      executed++;
+      return "Market order placed";
+    },
+  };
+
+  beforeEach(() => {
+    clock = 1000;
+    executed = 0;
+    manager = createConfirmationManager({
+      commands: loadConfirmCommands("market,closeall"),
+      timeoutMs: 30000,
+      now: () => clock,
+    });
+  });
+
+  test("loadConfirmCommands defaults to the risky commands", () => {
+    expect([...loadConfirmCommands(undefined)]).toEqual([
+      "market",
+      "limit",
+      "bracket",
+      "risk",
+      "algo",
+      "closeall",
+      "cancelall",
+    ]);
+    expect([...loadConfirmCommands("")]).toEqual([]);
+  });
+
+  test("commands without confirmation execute right away", async () => {
+    const ctx = createContext(1);
+    await manager.run(ctx, "limit", handlers);
+
+    expect(executed).toBe(1);
+    expect(ctx.replies[0].text).toBe("Market order placed");
+    expect(manager.pendingCount()).toBe(0);
+  });
+
+  test("shows a preview with buttons and executes on confirm", async () => {
+    const ctx = createContext(1);
+    await manager.run(ctx, "market", handlers);
+
+    expect(executed).toBe(0);
+    expect(ctx.replies[0].text).toContain("Symbol: BTC-USDT");
+    expect(ctx.replies[0].text).toContain("Confirm within 30s");
+    expect(callbackData(ctx.replies[0], 0)).toMatch(/^confirm:[0-9a-f]+$/);
+
+    const press = createContext(1, callbackData(ctx.replies[0], 0));
+    await manager.handleAction(press);
+
+    expect(executed).toBe(1);
+    expect(press.replies[0].text).toBe("Market order placed");
+    expect(press.markupCleared).toBe(1);
+    expect(manager.pendingCount()).toBe(0);
+
+    // A second press finds nothing to execute
+    const again = createContext(1, callbackData(ctx.replies[0], 0));
+    await manager.handleAction(again);
+    expect(executed).toBe(1);
+    expect(again.answers).toEqual(["This confirmation has expired"]);
+  });
+
+  test("cancel discards the pending command", async () => {
+    const ctx = createContext(1);
+    await manager.run(ctx, "closeall", handlers);
+
+    const press = createContext(1, callbackData(ctx.replies[0], 1));
+    await manager.handleAction(press);
+
+    expect(executed).toBe(0);
+    expect(press.replies[0].text).toBe("/closeall cancelled");
+  });
+
+  test("only the requesting user can confirm", async () => {
+    const ctx = createContext(1);
+    await manager.run(ctx, "market", handlers);
+
+    const other = createContext(2, callbackData(ctx.replies[0], 0));
+    await manager.handleAction(other);
+
+    expect(executed).toBe(0);
+    expect(other.answers[0]).toMatch(/Only the user/);
+    expect(manager.pendingCount()).toBe(1);
+  });
+
+  test("confirmations expire after the timeout", async () => {
+    const ctx = createContext(1);
+    await manager.run(ctx, "market", handlers);
+
+    clock += 30001;
+    const press = createContext(1, callbackData(ctx.replies[0], 0));
+    await manager.handleAction(press);
+
+    expect(executed).toBe(0);
+    expect(press.answers).toEqual(["This confirmation has expired"]);
+  });
+
+  test("confirmed commands run in the async context of the command", async () => {
+    const account = new AsyncLocalStorage();
+    const ctx = createContext(1);
+    await account.run("hedge", () =>
+      manager.run(ctx, "market", {
+        preview: handlers.preview,
+        execute: async () => `Placed on ${account.getStore()}`,
+      })
+    );
+
+    const press = createContext(1, callbackData(ctx.replies[0], 0));
+    await account.run("main", () => manager.handleAction(press));
+    expect(press.replies[0].text).toBe("Placed on hedge");
+  });
+
+  test("errors from preview or execute are replied", async () => {
+    const ctx = createContext(1);
+    await manager.run(ctx, "market", {
+      preview: async () => {
+        throw new Error("no price");
+      },
+      execute: handlers.execute,
+    });
+    expect(ctx.replies[0].text).toBe("Error: no price");
+
+    await manager.run(ctx, "market", {
+      preview: handlers.preview,
+      execute: async () => {
+        throw new Error("rejected");
+      },
+    });
+    const press = createContext(1, callbackData(ctx.replies[1], 0));
+    await manager.handleAction(press);
+    expect(press.replies[0].text).toBe("Error: rejected");
+  });
+});
@@ -0,0 +1,121 @@
+// copy-trading.js
+//
+// Mirrors the leader account's trading onto follower accounts. Every order
+// the leader places is repeated on each follower with the quantity scaled by
+// the follower's factor; cancels and position closes follow too. Leader order
+// ids are mapped to the follower order ids (persisted) so a later cancel
+// reaches the right follower order.
+
+const ORDER_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const CANCEL_ENDPOINT = "/openApi/swap/v2/trade/cancelOrder";
+
+// COPY_LEADER="main" COPY_FOLLOWERS="hedge:0.5,alt:2" (scale defaults to 1)
+function loadCopyTradingConfig(env = process.env) {
+  if (!env.COPY_LEADER) return null;
+  const followers = String(env.COPY_FOLLOWERS || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [account, scale = "1"] = entry.split(":");
+      const parsed = parseFloat(scale);
+      if (!(parsed > 0)) throw new Error(`Invalid copy trading scale "${scale}" for ${account}`);
+      return { account, scale: parsed };
+    });
+  if (followers.some((follower) => follower.account === env.COPY_LEADER)) {
+    throw new Error("The copy trading leader cannot follow itself");
+  }
+  return { leader: env.COPY_LEADER, followers };
+}
+
+function scaleQuantity(quantity, scale) {
+  return parseFloat((parseFloat(quantity) * scale).toFixed(8));
+}
+
+function orderIdOf(response) {
+  const data = (response && response.data) || {};
+  const order = data.order || data;
+  return order.orderId !== undefined ? String(order.orderId) : null;
+}
+
+// send(account, method, endpoint, params, { leaderOrderId }) places one
+// follower request and resolves with the exchange response
+function createCopyTrader({ leader, followers, store, send, now = () => Date.now(), logger = console }) {
+  function remember(leaderOrderId, symbol, orders) {
+    store.update((all) => {
+      for (const [id, entry] of Object.entries(all)) {
+        if (now() - entry.time > ORDER_TTL_MS) delete all[id];
+      }
+      all[leaderOrderId] = { symbol, orders, time: now() };
+    });
+  }
+
+  async function mirror(build, leaderOrderId) {
+    return Promise.all(
+      followers.map(async (follower) => {
+        const request = build(follower);
+        if (!request) return { account: follower.account, status: "skipped" };
+        const [method, endpoint, params] = request;
+        try {
+          const response = await send(follower.account, method, endpoint, params, { leaderOrderId });
+          if (response && response.code !== undefined && response.code !== 0) {
+            throw new Error(response.msg || `BingX error ${response.code}`);
+          }
+          return { account: follower.account, status: "ok", orderId: orderIdOf(response) };
+        } catch (error) {
+          logger.error(`Copy trade to ${follower.account} failed`, { error: error.message });
+          return { account: follower.account, status: "error", error: error.message };
+        }
+      })
+    );
+  }
+
+  // Called after every successful request; resolves with the follower
+  // results, or null when the request is not mirrored
+  async function handleRequest(account, method, endpoint, params = {}, response) {
+    if (account !== leader || !response || response.code !== 0) return null;
+
+    if (method === "POST" && /\/trade\/order$/.test(endpoint)) {
+      const leaderOrderId = orderIdOf(response);
+      const results = await mirror((follower) => {
+        const quantity = scaleQuantity(params.quantity, follower.scale);
+        return quantity > 0 ? ["POST", endpoint, { ...params, quantity }] : null;
+      }, leaderOrderId);
+      if (leaderOrderId) {
+        remember(
+          leaderOrderId,
+          params.symbol,
+          Object.fromEntries(
+            results.filter((result) => result.orderId).map((result) => [result.account, result.orderId])
+          )
+        );
+      }
+      return results;
+    }
+
+    if (/\/trade\/cancelOrder$/.test(endpoint) || (method === "DELETE" && /\/trade\/order$/.test(endpoint))) {
+      const mapped = store.read()[String(params.orderId)];
+      if (!mapped) return null;
+      return mirror(
+        (follower) =>
+          mapped.orders[follower.account]
+            ? ["POST", CANCEL_ENDPOINT, { symbol: mapped.symbol, orderId: mapped.orders[follower.account] }]
+            : null,
+        String(params.orderId)
+      );
+    }
+
+    if (method === "POST" && /\/trade\/closePosition$/.test(endpoint)) {
+      return mirror(() => ["POST", endpoint, params], null);
+    }
+    return null;
+  }
+
+  function config() {
+    return { leader, followers };
+  }
+
+  return { handleRequest, config };
+}
+
+module.exports = { loadCopyTradingConfig, scaleQuantity, createCopyTrader };
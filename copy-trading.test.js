@@ -0,0 +1,138 @@
+// copy-trading.test.js
+
+const { loadCopyTradingConfig, scaleQuantity, createCopyTrader } = require("./copy-trading");
+
+function createMemoryStore() {
+  let data = {};
+  return {
+    read: () => data,
+    update: (fn) => {
+      fn(data);
+      data = { ...data };
+    },
+  };
+}
+
+describe("Copy trading", () => {
+  let sent;
+  let nextOrderId;
+  let trader;
+  let logger;
+
+  beforeEach(() => {
+    sent = [];
+    logger = { error: jest.fn(), warn: jest.fn(), info: jest.fn() };
+    nextOrderId = 100;
+    trader = createCopyTrader({
+      leader: "main",
+      followers: [
+        { account: "hedge", scale: 0.5 },
+        { account: "alt", scale: 2 },
+      ],
+      store: createMemoryStore(),
+      send: async (account, method, endpoint, params, context) => {
+        sent.push({ account, method, endpoint, params, context });
+        if (account === "alt" && params.orderId === "bad") throw new Error("rejected");
+        return { code: 0, data: { order: { orderId: nextOrderId++ } } };
+      },
+      now: () => 0,
+      logger,
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("loads the leader and scaled followers from the environment", () => {
+    expect(loadCopyTradingConfig({})).toBeNull();
+    expect(loadCopyTradingConfig({ COPY_LEADER: "main", COPY_FOLLOWERS: "hedge:0.5,alt" })).toEqual({
+      leader: "main",
+      followers: [
+        { account: "hedge", scale: 0.5 },
+        { account: "alt", scale: 1 },
+      ],
+    });
+    expect(() => loadCopyTradingConfig({ COPY_LEADER: "main", COPY_FOLLOWERS: "main" })).toThrow(
+      /itself/
+    );
+    expect(() => loadCopyTradingConfig({ COPY_LEADER: "main", COPY_FOLLOWERS: "a:0" })).toThrow(
+      /Invalid copy trading scale/
+    );
+  });
+
+  test("scaleQuantity avoids float noise", () => {
+    expect(scaleQuantity("0.03", 0.1)).toBe(0.003);
+  });
+
+  test("mirrors leader orders with scaled quantities", async () => {
+    const results = await trader.handleRequest(
+      "main",
+      "POST",
+      "/openApi/swap/v2/trade/order",
+      { symbol: "BTC-USDT", side: "BUY", type: "MARKET", quantity: 0.02 },
+      { code: 0, data: { order: { orderId: 7 } } }
+    );
+
+    expect(sent.map(({ account, params }) => [account, params.quantity])).toEqual([
+      ["hedge", 0.01],
+      ["alt", 0.04],
+    ]);
+    expect(sent[0].context).toEqual({ leaderOrderId: "7" });
+    expect(results).toEqual([
+      { account: "hedge", status: "ok", orderId: "100" },
+      { account: "alt", status: "ok", orderId: "101" },
+    ]);
+  });
+
+  test("cancels the follower orders of a cancelled leader order", async () => {
+    await trader.handleRequest(
+      "main",
+      "POST",
+      "/openApi/swap/v2/trade/order",
+      { symbol: "BTC-USDT", side: "BUY", type: "LIMIT", quantity: 1, price: 50000 },
+      { code: 0, data: { order: { orderId: 7 } } }
+    );
+    sent = [];
+
+    await trader.handleRequest(
+      "main",
+      "POST",
+      "/openApi/swap/v2/trade/cancelOrder",
+      { symbol: "BTC-USDT", orderId: 7 },
+      { code: 0, data: {} }
+    );
+    expect(sent.map(({ account, endpoint, params }) => [account, endpoint, params])).toEqual([
+      ["hedge", "/openApi/swap/v2/trade/cancelOrder", { symbol: "BTC-USDT", orderId: "100" }],
+      ["alt", "/openApi/swap/v2/trade/cancelOrder", { symbol: "BTC-USDT", orderId: "101" }],
+    ]);
+
+    // Unknown leader orders are not mirrored
+    expect(
+      await trader.handleRequest("main", "POST", "/openApi/swap/v2/trade/cancelOrder", { orderId: 9 }, { code: 0 })
+    ).toBeNull();
+  });
+
+  test("mirrors position closes and reports follower failures", async () => {
+    const results = await trader.handleRequest(
+      "main",
+      "POST",
+      "/openApi/swap/v2/trade/closePosition",
+      { symbol: "BTC-USDT", positionSide: "LONG", orderId: "bad" },
+      { code: 0, data: { orderId: 8 } }
+    );
+    expect(sent.map((call) => call.account)).toEqual(["hedge", "alt"]);
+    expect(results[1]).toEqual({ account: "alt", status: "error", error: "rejected" });
+    expect(logger.error).toHaveBeenCalledWith("Copy trade to alt failed", { error: "rejected" });
+  });
+
+  test("ignores followers, reads and failed leader requests", async () => {
+    const order = { symbol: "BTC-USDT", quantity: 1 };
+    expect(
+      await trader.handleRequest("hedge", "POST", "/openApi/swap/v2/trade/order", order, { code: 0, data: {} })
+    ).toBeNull();
+    expect(await trader.handleRequest("main", "GET", "/openApi/swap/v2/user/balance", {}, { code: 0 })).toBeNull();
+    expect(
+      await trader.handleRequest("main", "POST", "/openApi/swap/v2/trade/order", order, { code: 101204, msg: "margin" })
+    ).toBeNull();
+    expect(sent).toHaveLength(0);
+  });
+});
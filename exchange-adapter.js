@@ -0,0 +1,49 @@
+// exchange-adapter.js
+//
+// The exchanges an account can trade on. Each exchange has an adapter over
+// the request function of the account (makeRequest in app.js) with the
+// same methods and the same answers, in the BingX shapes the rest of the
+// server was written against: a { code, msg, data } envelope and BASE-QUOTE
+// symbols (either spelling is accepted in arguments).
+//
+//   getBalance()                      data.balance: { asset, balance, equity,
+//                                     availableMargin, unrealizedProfit, ... }
+//   getPositions({ symbol })          data: [{ symbol, positionSide, positionAmt,
+//                                     avgPrice, unrealizedProfit, ... }]
+//   getOpenOrders({ symbol })         data: [order]
+//   getOrder(symbol, orderId)         data.order
+//   placeOrder(order)                 data.order; order takes the BingX fields
+//   cancelOrder(symbol, orderId)      data.order
+//   closePosition(symbol, side)       data: the closing order
+//   getPrice(symbol)                  data: { symbol, price, time }
+//   getKlines({ symbol, interval, limit, startTime, endTime })
+//                                     data: normalized candles (klines.js)
+//   getServerTime()                   data: { serverTime }
+//
+// Features beyond these (margin, income history, TP/SL, the user data
+// stream, ...) are still requested by BingX path; on other exchanges those
+// requests fail with a 501.
+
+const { createBingxAdapter } = require("./bingx-adapter");
+const { createBinanceAdapter } = require("./binance-adapter");
+
+const EXCHANGES = {
+  bingx: { label: "BingX", create: createBingxAdapter },
+  binance: { label: "Binance", create: createBinanceAdapter },
+};
+
+const EXCHANGE_NAMES = Object.keys(EXCHANGES);
+
+function exchangeLabel(name) {
+  return (EXCHANGES[name] || EXCHANGES.bingx).label;
+}
+
+function createExchangeAdapter(name, { request }) {
+  const exchange = EXCHANGES[name];
+  if (!exchange) {
+    throw new Error(`Unknown exchange "${name}". Exchanges: ${EXCHANGE_NAMES.join(", ")}`);
+  }
+  return exchange.create({ request });
+}
+
+module.exports = { EXCHANGES, EXCHANGE_NAMES, exchangeLabel, createExchangeAdapter };
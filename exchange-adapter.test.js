@@ -0,0 +1,51 @@
+// exchange-adapter.test.js
+
+const { exchangeLabel, createExchangeAdapter } = require("./exchange-adapter");
+const { createPaperExchange } = require("./paper-exchange");
+
+describe("Exchange adapters", () => {
+  test("picks the adapter by exchange name", () => {
+    const request = async () => ({ code: 0, data: {} });
+    expect(createExchangeAdapter("bingx", { request }).name).toBe("bingx");
+    expect(createExchangeAdapter("binance", { request }).name).toBe("binance");
+    expect(() => createExchangeAdapter("kraken", { request })).toThrow(/Unknown exchange "kraken"/);
+    expect(exchangeLabel("binance")).toBe("Binance");
+  });
+
+  describe("BingX", () => {
+    let paper;
+    let adapter;
+
+    beforeEach(() => {
+      paper = createPaperExchange({ startingBalance: 10000, leverage: 10 });
+      paper.updatePrice("BTC-USDT", 50000);
+      adapter = createExchangeAdapter("bingx", { request: paper.handleRequest });
+    });
+
+    test("trades with BTCUSDT symbols and answers in BingX shapes", async () => {
+      expect((await adapter.getBalance()).data.balance.balance).toBe("10000");
+
+      const entry = await adapter.placeOrder({ symbol: "BTCUSDT", side: "BUY", type: "MARKET", quantity: 0.1 });
+      expect(entry.data.order).toMatchObject({ symbol: "BTC-USDT", status: "FILLED" });
+      const limit = await adapter.placeOrder({
+        symbol: "BTC-USDT",
+        side: "BUY",
+        type: "LIMIT",
+        quantity: 0.1,
+        price: 45000,
+      });
+      const { orderId } = limit.data.order;
+
+      expect((await adapter.getPositions({ symbol: "BTCUSDT" })).data).toEqual([
+        expect.objectContaining({ symbol: "BTC-USDT", positionSide: "LONG" }),
+      ]);
+      expect((await adapter.getOpenOrders()).data).toEqual([expect.objectContaining({ orderId })]);
+      expect((await adapter.getOrder("BTC-USDT", orderId)).data.order.status).toBe("NEW");
+
+      await adapter.cancelOrder("BTCUSDT", orderId);
+      expect((await adapter.getOpenOrders({ symbol: "BTC-USDT" })).data).toEqual([]);
+      await adapter.closePosition("BTC-USDT", "LONG");
+      expect((await adapter.getPositions()).data).toEqual([]);
+    });
+  });
+});
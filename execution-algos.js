@@ -0,0 +1,521 @@
+// execution-algos.js
+//
+// Execution algorithms that work a large parent order as smaller child
+// orders instead of one market order: a scaled ladder of limit orders across
+// a price range, an iceberg that shows one slice at a time and refills it as
+// it fills, and TWAP/VWAP that send market slices over a duration (VWAP
+// weights each slice by the average volume of its hour of the day). One
+// timer ticks every running algo: it refreshes the child orders, then places
+// whatever is due. Algos are persisted with their children and their
+// account, so a restart picks them up where they stopped.
+
+const crypto = require("crypto");
+const { floorToStep } = require("./position-sizing");
+
+const ALGO_TYPES = ["scaled", "iceberg", "twap", "vwap"];
+const DISTRIBUTIONS = ["flat", "increasing", "decreasing"];
+const DONE_STATUSES = ["FILLED", "CANCELED", "CANCELLED", "EXPIRED", "REJECTED"];
+const ACTIVE_STATUSES = ["running", "paused"];
+// Ladder orders and time slices per algo
+const MAX_CHILDREN = 100;
+const MIN_SLICE_INTERVAL_MS = 1000;
+const EPSILON = 1e-9;
+
+function algoError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function orderOf(response) {
+  return (response && response.data && response.data.order) || {};
+}
+
+function round(value, decimals = 8) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+function decimalsOf(step) {
+  const text = String(step);
+  return text.includes(".") ? text.split(".")[1].length : 0;
+}
+
+function roundToStep(value, step) {
+  return step ? parseFloat((Math.round(value / step) * step).toFixed(decimalsOf(step))) : round(value);
+}
+
+function positive(value, name) {
+  const parsed = parseFloat(value);
+  if (!(parsed > 0)) throw algoError(400, `${name} must be a positive number`);
+  return parsed;
+}
+
+function count(value, name, fallback) {
+  const parsed = value === undefined ? fallback : Number(value);
+  if (!Number.isInteger(parsed) || parsed < 2 || parsed > MAX_CHILDREN) {
+    throw algoError(400, `${name} must be an integer from 2 to ${MAX_CHILDREN}`);
+  }
+  return parsed;
+}
+
+// Splits total in proportion to weights, each part floored to the quantity
+// step; the rounding remainder goes to the last part
+function splitQuantity(total, weights, step) {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  const floor = (value) => (step ? floorToStep(value, step) : round(value));
+  const parts = weights.map((weight) => floor((total * weight) / sum));
+  const assigned = parts.slice(0, -1).reduce((a, b) => a + b, 0);
+  parts[parts.length - 1] = floor(total - assigned);
+  return parts;
+}
+
+// Evenly spaced prices from priceFrom to priceTo, both included
+function ladderPrices(priceFrom, priceTo, orders, priceStep) {
+  return Array.from({ length: orders }, (_, i) =>
+    roundToStep(priceFrom + ((priceTo - priceFrom) * i) / (orders - 1), priceStep)
+  );
+}
+
+// Average volume per UTC hour of the day
+function volumeProfile(candles) {
+  const totals = new Array(24).fill(0);
+  const counts = new Array(24).fill(0);
+  for (const candle of candles) {
+    const hour = new Date(candle.time).getUTCHours();
+    totals[hour] += candle.volume;
+    counts[hour]++;
+  }
+  return totals.map((total, hour) => (counts[hour] ? total / counts[hour] : 0));
+}
+
+function sliceWeights(times, profile) {
+  const weights = profile ? times.map((time) => profile[new Date(time).getUTCHours()]) : [];
+  return weights.length && weights.some((weight) => weight > 0) ? weights : times.map(() => 1);
+}
+
+// One line summary, e.g. for notifications
+function formatAlgo(algo) {
+  const fill = algo.avgPrice ? ` @ ${algo.avgPrice}` : "";
+  const progress = round((algo.executedQty / algo.quantity) * 100, 2);
+  return `Algo ${algo.id} (${algo.type}) ${algo.side} ${algo.quantity} ${algo.symbol}: ${algo.status}, filled ${algo.executedQty} (${progress}%)${fill}${algo.error ? ` - ${algo.error}` : ""}`;
+}
+
+function createAlgoEngine({
+  store,
+  placeLimitOrder,
+  placeMarketOrder,
+  cancelOrder,
+  fetchOrder,
+  // (symbol) -> { quantityStep, priceStep, minQuantity } or null
+  getContractRules = async () => null,
+  // (symbol, interval, limit) -> [{ time, volume }], for VWAP
+  fetchCandles = null,
+  currentAccount = () => null,
+  // Wraps every exchange call of an algo, e.g. to run it in its account
+  runInContext = (algo, fn) => fn(),
+  // Called when an algo stops on its own (completed, or paused by an error)
+  onStatusChange = () => {},
+  now = () => Date.now(),
+  logger = console,
+}) {
+  const queues = new Map();
+  let tickTimer = null;
+  let ticking = false;
+
+  function save(algo) {
+    algo.updatedAt = now();
+    store.update((all) => {
+      all[algo.id] = algo;
+    });
+    return describe(algo);
+  }
+
+  // Copies, so changes only land through save
+  function load(id) {
+    const algo = store.read()[id];
+    if (!algo) throw algoError(404, `Unknown algo: ${id}`);
+    return JSON.parse(JSON.stringify(algo));
+  }
+
+  function describe(algo) {
+    return {
+      ...algo,
+      remainingQty: round(Math.max(algo.quantity - algo.executedQty, 0)),
+      progress: round((algo.executedQty / algo.quantity) * 100, 2),
+    };
+  }
+
+  function list({ status, account } = {}) {
+    return Object.values(store.read())
+      .filter((algo) => (!status || algo.status === status) && (!account || algo.account === account))
+      .map(describe);
+  }
+
+  function get(id) {
+    return describe(load(id));
+  }
+
+  // Operations on one algo run one after the other, so a tick cannot
+  // overwrite a pause or a cancel that came in meanwhile
+  function exclusive(id, fn) {
+    const previous = queues.get(id) || Promise.resolve();
+    const result = previous.then(fn);
+    const tail = result.catch(() => {});
+    queues.set(id, tail);
+    tail.then(() => queues.get(id) === tail && queues.delete(id));
+    return result;
+  }
+
+  async function rulesFor(symbol) {
+    try {
+      return (await getContractRules(symbol)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  async function vwapProfile(symbol) {
+    if (!fetchCandles) return null;
+    try {
+      // One week of hourly candles
+      return volumeProfile(await fetchCandles(symbol, "1h", 168));
+    } catch (error) {
+      logger.error(`VWAP volume profile for ${symbol} failed, using equal slices`, { error: error.message });
+      return null;
+    }
+  }
+
+  // Turns a request into the stored plan: ladder levels for scaled, time
+  // slices for TWAP/VWAP, nothing up front for iceberg
+  async function buildAlgo(spec) {
+    const type = String(spec.type || "").toLowerCase();
+    if (!ALGO_TYPES.includes(type)) {
+      throw algoError(400, `Algo type must be one of ${ALGO_TYPES.join(", ")}`);
+    }
+    const side = String(spec.side || "").toUpperCase();
+    if (!["BUY", "SELL"].includes(side)) throw algoError(400, "Side must be BUY or SELL");
+    if (!spec.symbol) throw algoError(400, "symbol is required");
+    const quantity = positive(spec.quantity, "quantity");
+    const rules = await rulesFor(spec.symbol);
+    const algo = {
+      id: crypto.randomBytes(6).toString("hex"),
+      type,
+      account: currentAccount(),
+      symbol: spec.symbol,
+      side,
+      quantity,
+      params: {},
+      levels: null,
+      slices: null,
+      quantityStep: rules.quantityStep || null,
+      status: "running",
+      executedQty: 0,
+      avgPrice: null,
+      children: [],
+      error: null,
+      createdAt: now(),
+    };
+
+    if (type === "scaled") {
+      const priceFrom = positive(spec.priceFrom, "priceFrom");
+      const priceTo = positive(spec.priceTo, "priceTo");
+      if (priceFrom === priceTo) throw algoError(400, "priceFrom and priceTo must differ");
+      const orders = count(spec.orders, "orders", 5);
+      const distribution = spec.distribution || "flat";
+      if (!DISTRIBUTIONS.includes(distribution)) {
+        throw algoError(400, `distribution must be one of ${DISTRIBUTIONS.join(", ")}`);
+      }
+      // increasing puts more size on the prices closer to priceTo
+      const weights = Array.from({ length: orders }, (_, i) =>
+        distribution === "flat" ? 1 : distribution === "increasing" ? i + 1 : orders - i
+      );
+      const prices = ladderPrices(priceFrom, priceTo, orders, rules.priceStep);
+      const quantities = splitQuantity(quantity, weights, algo.quantityStep);
+      algo.params = { priceFrom, priceTo, orders, distribution };
+      algo.levels = prices.map((price, i) => ({ price, quantity: quantities[i], placed: false }));
+    } else if (type === "iceberg") {
+      const price = positive(spec.price, "price");
+      const visibleQuantity = positive(spec.visibleQuantity, "visibleQuantity");
+      if (visibleQuantity >= quantity) {
+        throw algoError(400, "visibleQuantity must be smaller than quantity");
+      }
+      algo.params = { price, visibleQuantity };
+    } else {
+      const durationMinutes = positive(spec.durationMinutes, "durationMinutes");
+      const durationMs = durationMinutes * 60 * 1000;
+      // One slice a minute by default
+      const slices = count(
+        spec.slices,
+        "slices",
+        Math.min(MAX_CHILDREN, Math.max(2, Math.round(durationMinutes)))
+      );
+      const intervalMs = durationMs / slices;
+      if (intervalMs < MIN_SLICE_INTERVAL_MS) {
+        throw algoError(400, "Slices must be at least a second apart");
+      }
+      const times = Array.from({ length: slices }, (_, i) => algo.createdAt + i * intervalMs);
+      const weights = type === "vwap" ? sliceWeights(times, await vwapProfile(spec.symbol)) : times.map(() => 1);
+      const quantities = splitQuantity(quantity, weights, algo.quantityStep);
+      algo.params = { durationMinutes, slices, intervalMs };
+      algo.slices = times.map((at, i) => ({ at, quantity: quantities[i], placed: false }));
+    }
+
+    // VWAP slices in hours without volume are empty on purpose
+    const quantities = (algo.levels || algo.slices || [{ quantity: algo.params.visibleQuantity }])
+      .map((child) => child.quantity)
+      .filter((value) => type !== "vwap" || value > 0);
+    const smallest = Math.min(...quantities);
+    if (smallest <= 0 || smallest < (rules.minQuantity || 0)) {
+      throw algoError(
+        422,
+        `Child orders of ${smallest} are below the minimum quantity ${rules.minQuantity || algo.quantityStep} for ${spec.symbol}; use fewer orders or slices`
+      );
+    }
+    return algo;
+  }
+
+  function openChildren(algo) {
+    return algo.children.filter((child) => !DONE_STATUSES.includes(child.status));
+  }
+
+  function updateTotals(algo) {
+    let executed = 0;
+    let cost = 0;
+    for (const child of algo.children) {
+      executed += child.executedQty;
+      cost += child.executedQty * (child.avgPrice || 0);
+    }
+    algo.executedQty = round(executed);
+    algo.avgPrice = executed > 0 && cost > 0 ? round(cost / executed) : null;
+  }
+
+  function applyOrder(child, order) {
+    if (order.status) child.status = order.status;
+    if (order.executedQty !== undefined) child.executedQty = parseFloat(order.executedQty) || 0;
+    if (parseFloat(order.avgPrice)) child.avgPrice = parseFloat(order.avgPrice);
+  }
+
+  async function refreshChildren(algo) {
+    for (const child of openChildren(algo)) {
+      try {
+        applyOrder(child, orderOf(await fetchOrder(algo.symbol, child.orderId)));
+      } catch (error) {
+        logger.error(`Algo ${algo.id}: refreshing order ${child.orderId} failed`, { error: error.message });
+      }
+    }
+    updateTotals(algo);
+  }
+
+  async function placeChild(algo, quantity, price, extra = {}) {
+    const response =
+      price === null
+        ? await placeMarketOrder(algo.symbol, algo.side, quantity)
+        : await placeLimitOrder(algo.symbol, algo.side, quantity, price);
+    const order = orderOf(response);
+    const child = {
+      orderId: String(order.orderId),
+      price,
+      quantity,
+      status: "NEW",
+      executedQty: 0,
+      avgPrice: null,
+      time: now(),
+      ...extra,
+    };
+    applyOrder(child, order);
+    algo.children.push(child);
+    return child;
+  }
+
+  async function cancelChildren(algo) {
+    for (const child of openChildren(algo)) {
+      try {
+        await cancelOrder(algo.symbol, child.orderId);
+        child.status = "CANCELED";
+        child.cancelledByAlgo = true;
+      } catch (error) {
+        logger.error(`Algo ${algo.id}: cancelling order ${child.orderId} failed`, { error: error.message });
+      }
+    }
+    // Partial fills before the cancel count too
+    await refreshChildren(algo);
+  }
+
+  function floorQuantity(algo, value) {
+    return algo.quantityStep ? floorToStep(value, algo.quantityStep) : round(value);
+  }
+
+  // What a ladder level still has to fill
+  function levelRemaining(algo, level) {
+    const filled = algo.children
+      .filter((child) => child.level === level)
+      .reduce((total, child) => total + child.executedQty, 0);
+    return floorQuantity(algo, algo.levels[level].quantity - filled);
+  }
+
+  // Places whatever is due and reports whether the algo is done
+  async function advance(algo) {
+    if (algo.type === "scaled") {
+      for (const [level, entry] of algo.levels.entries()) {
+        if (entry.placed) continue;
+        const quantity = levelRemaining(algo, level);
+        if (quantity > 0) await placeChild(algo, quantity, entry.price, { level });
+        entry.placed = true;
+      }
+      return openChildren(algo).length === 0;
+    }
+
+    if (algo.type === "iceberg") {
+      if (openChildren(algo).length > 0) return false;
+      const last = algo.children[algo.children.length - 1];
+      const unexpected = last && last.status !== "FILLED" && !last.cancelledByAlgo && !last.acknowledged;
+      if (unexpected && algo.executedQty < algo.quantity - EPSILON) {
+        throw new Error(`Slice ${last.orderId} ended ${last.status} outside the algo`);
+      }
+      const remaining = algo.quantity - algo.executedQty;
+      const quantity = floorQuantity(algo, Math.min(algo.params.visibleQuantity, remaining));
+      if (!(quantity > 0)) return true;
+      await placeChild(algo, quantity, algo.params.price);
+      return false;
+    }
+
+    // TWAP/VWAP: at most one slice per tick, so a restart catches up on
+    // missed slices gradually instead of all at once
+    const next = algo.slices.find((slice) => !slice.placed);
+    if (next && now() >= next.at) {
+      if (next.quantity > 0) {
+        await placeChild(algo, next.quantity, null, { slice: algo.slices.indexOf(next) });
+      }
+      next.placed = true;
+    }
+    return algo.slices.every((slice) => slice.placed) && openChildren(algo).length === 0;
+  }
+
+  // One step of a running algo; placement errors (risk rejections, exchange
+  // errors) pause it with the error so it can be resumed
+  async function step(algo) {
+    const previous = algo.status;
+    await runInContext(algo, async () => {
+      await refreshChildren(algo);
+      try {
+        if (await advance(algo)) {
+          algo.status = "completed";
+          algo.completedAt = now();
+        }
+      } catch (error) {
+        algo.status = "paused";
+        algo.pausedAt = now();
+        algo.error = error.message;
+      }
+      updateTotals(algo);
+    });
+    const result = save(algo);
+    if (algo.status !== previous) onStatusChange(result);
+    return result;
+  }
+
+  async function create(spec) {
+    const algo = await buildAlgo(spec);
+    save(algo);
+    return exclusive(algo.id, () => step(algo));
+  }
+
+  function requireStatus(algo, statuses, action) {
+    if (!statuses.includes(algo.status)) {
+      throw algoError(409, `Cannot ${action} algo ${algo.id}: it is ${algo.status}`);
+    }
+  }
+
+  function pause(id) {
+    return exclusive(id, async () => {
+      const algo = load(id);
+      requireStatus(algo, ["running"], "pause");
+      await runInContext(algo, () => cancelChildren(algo));
+      algo.status = "paused";
+      algo.pausedAt = now();
+      return save(algo);
+    });
+  }
+
+  function resume(id) {
+    return exclusive(id, async () => {
+      const algo = load(id);
+      requireStatus(algo, ["paused"], "resume");
+      if (algo.levels) {
+        // Re-place what is left of every level without a working order
+        const open = new Set(openChildren(algo).map((child) => child.level));
+        algo.levels.forEach((entry, level) => {
+          if (!open.has(level) && levelRemaining(algo, level) > 0) entry.placed = false;
+        });
+      }
+      if (algo.slices) {
+        // Keep the remaining schedule, shifted by the time spent paused
+        const pausedFor = now() - (algo.pausedAt || now());
+        algo.slices.forEach((slice) => {
+          if (!slice.placed) slice.at += pausedFor;
+        });
+      }
+      if (algo.type === "iceberg") {
+        // Resuming accepts a slice that was cancelled outside the algo
+        const last = algo.children[algo.children.length - 1];
+        if (last) last.acknowledged = true;
+      }
+      algo.status = "running";
+      algo.error = null;
+      delete algo.pausedAt;
+      return step(algo);
+    });
+  }
+
+  function cancel(id) {
+    return exclusive(id, async () => {
+      const algo = load(id);
+      requireStatus(algo, ACTIVE_STATUSES, "cancel");
+      await runInContext(algo, () => cancelChildren(algo));
+      algo.status = "cancelled";
+      algo.completedAt = now();
+      return save(algo);
+    });
+  }
+
+  async function tick() {
+    if (ticking) return;
+    ticking = true;
+    try {
+      for (const { id } of list({ status: "running" })) {
+        try {
+          await exclusive(id, () => {
+            const algo = load(id);
+            return algo.status === "running" ? step(algo) : null;
+          });
+        } catch (error) {
+          logger.error(`Algo ${id} tick failed`, { error: error.message });
+        }
+      }
+    } finally {
+      ticking = false;
+    }
+  }
+
+  function start(intervalMs = 5000) {
+    stop();
+    tickTimer = setInterval(tick, intervalMs);
+    tickTimer.unref();
+  }
+
+  function stop() {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+
+  return { create, list, get, pause, resume, cancel, tick, start, stop };
+}
+
+module.exports = {
+  ALGO_TYPES,
+  splitQuantity,
+  ladderPrices,
+  volumeProfile,
+  formatAlgo,
+  createAlgoEngine,
+};
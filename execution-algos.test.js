@@ -0,0 +1,259 @@
+// execution-algos.test.js
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  splitQuantity,
+  ladderPrices,
+  volumeProfile,
+  formatAlgo,
+  createAlgoEngine,
+} = require("./execution-algos");
+const { createJsonStore } = require("./json-store");
+const { createPaperExchange } = require("./paper-exchange");
+
+describe("Execution algos", () => {
+  let dir;
+  let exchange;
+  let clock;
+  let engine;
+  let statusChanges;
+  let logger;
+
+  // Same shape as index.js: exchange errors are thrown
+  function call(method, endpoint, params) {
+    return exchange.handleRequest(method, endpoint, params).then((result) => {
+      if (result.code !== 0) throw new Error(result.msg);
+      return result;
+    });
+  }
+
+  function create(options = {}) {
+    return createAlgoEngine({
+      store: createJsonStore(path.join(dir, "algos.json")),
+      placeLimitOrder: (symbol, side, quantity, price) =>
+        call("POST", "/openApi/swap/v2/trade/order", { symbol, side, type: "LIMIT", quantity, price }),
+      placeMarketOrder: (symbol, side, quantity) =>
+        call("POST", "/openApi/swap/v2/trade/order", { symbol, side, type: "MARKET", quantity }),
+      cancelOrder: (symbol, orderId) =>
+        call("POST", "/openApi/swap/v2/trade/cancelOrder", { symbol, orderId }),
+      fetchOrder: (symbol, orderId) => call("GET", "/openApi/swap/v2/trade/order", { symbol, orderId }),
+      getContractRules: async () => ({ quantityStep: 0.001, priceStep: 0.1, minQuantity: 0.001 }),
+      onStatusChange: (algo) => statusChanges.push([algo.id, algo.status]),
+      now: () => clock,
+      logger,
+      ...options,
+    });
+  }
+
+  async function openOrders() {
+    return (await call("GET", "/openApi/swap/v2/trade/openOrders")).data.orders;
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "algos-"));
+    clock = Date.UTC(2024, 0, 1, 12);
+    exchange = createPaperExchange({ startingBalance: 100000, leverage: 10, now: () => clock });
+    exchange.updatePrice("BTC-USDT", 50000);
+    statusChanges = [];
+    logger = { error: jest.fn(), warn: jest.fn(), info: jest.fn() };
+    engine = create();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("splits quantities on the step and spaces ladder prices", () => {
+    expect(splitQuantity(1, [1, 1, 1], 0.001)).toEqual([0.333, 0.333, 0.334]);
+    expect(splitQuantity(0.6, [1, 2, 3], 0.01)).toEqual([0.1, 0.2, 0.3]);
+    expect(ladderPrices(50000, 49000, 3, 0.1)).toEqual([50000, 49500, 49000]);
+    expect(ladderPrices(1, 2, 4, 0.01)).toEqual([1, 1.33, 1.67, 2]);
+
+    const profile = volumeProfile([
+      { time: Date.UTC(2024, 0, 1, 3), volume: 10 },
+      { time: Date.UTC(2024, 0, 2, 3), volume: 30 },
+    ]);
+    expect(profile[3]).toBe(20);
+    expect(profile[4]).toBe(0);
+  });
+
+  test("a scaled ladder places every level and completes as they fill", async () => {
+    const algo = await engine.create({
+      type: "scaled",
+      symbol: "BTC-USDT",
+      side: "BUY",
+      quantity: 0.4,
+      priceFrom: 49900,
+      priceTo: 49600,
+      orders: 4,
+    });
+    expect(algo.levels.map((level) => [level.price, level.quantity])).toEqual([
+      [49900, 0.1],
+      [49800, 0.1],
+      [49700, 0.1],
+      [49600, 0.1],
+    ]);
+    expect(await openOrders()).toHaveLength(4);
+
+    exchange.updatePrice("BTC-USDT", 49750);
+    await engine.tick();
+    expect(engine.get(algo.id)).toMatchObject({ status: "running", executedQty: 0.2, progress: 50, avgPrice: 49850 });
+
+    exchange.updatePrice("BTC-USDT", 49500);
+    await engine.tick();
+    expect(engine.get(algo.id)).toMatchObject({ status: "completed", executedQty: 0.4, remainingQty: 0 });
+    expect(statusChanges).toEqual([[algo.id, "completed"]]);
+    expect(formatAlgo(engine.get(algo.id))).toBe(
+      `Algo ${algo.id} (scaled) BUY 0.4 BTC-USDT: completed, filled 0.4 (100%) @ 49750`
+    );
+  });
+
+  test("pausing cancels the working orders and resuming re-places what is left", async () => {
+    const algo = await engine.create({
+      type: "scaled",
+      symbol: "BTC-USDT",
+      side: "SELL",
+      quantity: 0.3,
+      priceFrom: 50100,
+      priceTo: 50300,
+      orders: 3,
+    });
+    exchange.updatePrice("BTC-USDT", 50150);
+
+    const paused = await engine.pause(algo.id);
+    expect(paused).toMatchObject({ status: "paused", executedQty: 0.1 });
+    expect(await openOrders()).toHaveLength(0);
+    await expect(engine.pause(algo.id)).rejects.toMatchObject({ statusCode: 409 });
+
+    const resumed = await engine.resume(algo.id);
+    expect(resumed.status).toBe("running");
+    expect((await openOrders()).map((order) => order.price).sort()).toEqual(["50200", "50300"]);
+
+    const cancelled = await engine.cancel(algo.id);
+    expect(cancelled).toMatchObject({ status: "cancelled", executedQty: 0.1, progress: 33.33 });
+    expect(await openOrders()).toHaveLength(0);
+  });
+
+  test("an iceberg shows one slice at a time and refills it", async () => {
+    const algo = await engine.create({
+      type: "iceberg",
+      symbol: "BTC-USDT",
+      side: "BUY",
+      quantity: 0.25,
+      price: 49900,
+      visibleQuantity: 0.1,
+    });
+    let orders = await openOrders();
+    expect(orders.map((order) => order.origQty)).toEqual(["0.1"]);
+
+    exchange.updatePrice("BTC-USDT", 49900);
+    await engine.tick();
+    orders = await openOrders();
+    expect(orders).toHaveLength(0);
+    // The refill is placed at the crossed price and fills straight away
+    expect(engine.get(algo.id).executedQty).toBe(0.2);
+
+    exchange.updatePrice("BTC-USDT", 50000);
+    await engine.tick();
+    expect((await openOrders()).map((order) => order.origQty)).toEqual(["0.05"]);
+    exchange.updatePrice("BTC-USDT", 49800);
+    await engine.tick();
+    expect(engine.get(algo.id)).toMatchObject({ status: "completed", executedQty: 0.25 });
+  });
+
+  test("an iceberg slice cancelled outside the algo pauses it", async () => {
+    const algo = await engine.create({
+      type: "iceberg",
+      symbol: "BTC-USDT",
+      side: "BUY",
+      quantity: 0.3,
+      price: 49900,
+      visibleQuantity: 0.1,
+    });
+    const [order] = await openOrders();
+    await call("POST", "/openApi/swap/v2/trade/cancelOrder", { symbol: "BTC-USDT", orderId: order.orderId });
+
+    await engine.tick();
+    expect(engine.get(algo.id)).toMatchObject({ status: "paused", error: expect.stringMatching(/outside the algo/) });
+    expect(statusChanges).toEqual([[algo.id, "paused"]]);
+
+    await engine.resume(algo.id);
+    expect(await openOrders()).toHaveLength(1);
+  });
+
+  test("TWAP sends one slice per interval and survives a restart", async () => {
+    const algo = await engine.create({
+      type: "twap",
+      symbol: "BTC-USDT",
+      side: "BUY",
+      quantity: 0.3,
+      durationMinutes: 3,
+    });
+    expect(algo).toMatchObject({ executedQty: 0.1, params: { slices: 3, intervalMs: 60000 } });
+
+    clock += 30000;
+    await engine.tick();
+    expect(engine.get(algo.id).executedQty).toBe(0.1);
+
+    // A new engine on the same file carries on
+    engine = create();
+    clock += 30000;
+    await engine.tick();
+    expect(engine.get(algo.id).executedQty).toBe(0.2);
+
+    // Missed slices are caught up one tick at a time
+    clock += 10 * 60000;
+    await engine.tick();
+    expect(engine.get(algo.id)).toMatchObject({ status: "completed", executedQty: 0.3 });
+  });
+
+  test("a pause shifts the remaining TWAP schedule", async () => {
+    const algo = await engine.create({
+      type: "twap",
+      symbol: "BTC-USDT",
+      side: "SELL",
+      quantity: 0.2,
+      durationMinutes: 2,
+    });
+    await engine.pause(algo.id);
+    clock += 5 * 60000;
+    await engine.resume(algo.id);
+    expect(engine.get(algo.id).executedQty).toBe(0.1);
+    expect(engine.get(algo.id).slices[1].at).toBe(clock + 60000);
+  });
+
+  test("VWAP weights slices by the hourly volume profile", async () => {
+    engine = create({
+      fetchCandles: async () => [
+        { time: Date.UTC(2023, 11, 31, 12), volume: 300 },
+        { time: Date.UTC(2023, 11, 31, 13), volume: 100 },
+      ],
+    });
+    const algo = await engine.create({
+      type: "vwap",
+      symbol: "BTC-USDT",
+      side: "BUY",
+      quantity: 0.4,
+      durationMinutes: 120,
+      slices: 2,
+    });
+    expect(algo.slices.map((slice) => slice.quantity)).toEqual([0.3, 0.1]);
+  });
+
+  test("rejects invalid requests and children below the minimum quantity", async () => {
+    await expect(engine.create({ type: "sniper", symbol: "BTC-USDT", side: "BUY", quantity: 1 })).rejects.toThrow(
+      /Algo type must be one of/
+    );
+    await expect(
+      engine.create({ type: "iceberg", symbol: "BTC-USDT", side: "BUY", quantity: 1, price: 1, visibleQuantity: 2 })
+    ).rejects.toThrow(/smaller than quantity/);
+    await expect(
+      engine.create({ type: "twap", symbol: "BTC-USDT", side: "BUY", quantity: 0.002, durationMinutes: 10 })
+    ).rejects.toMatchObject({ statusCode: 422 });
+    expect(engine.list()).toHaveLength(0);
+    expect(() => engine.get("nope")).toThrow(/Unknown algo/);
+  });
+});
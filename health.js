@@ -0,0 +1,73 @@
+// health.js
+//
+// Readiness for GET /readyz. The server is ready when every exchange it
+// trades on answers its time endpoint within timeoutMs, with a clock within
+// maxClockSkewMs of ours; signed requests are rejected beyond the receive
+// window. Results are kept for cacheMs, so probes hitting the route do not
+// add to the exchange rate limits.
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${ms}ms`)), ms);
+    timer.unref();
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// targets() lists { name, exchange, fetchServerTime }; fetchServerTime
+// resolves with the exchange clock in milliseconds
+function createReadinessCheck({
+  targets,
+  maxClockSkewMs = 5000,
+  timeoutMs = 3000,
+  cacheMs = 5000,
+  now = () => Date.now(),
+}) {
+  let cached = null;
+  let pending = null;
+
+  async function probe({ name, exchange, fetchServerTime }) {
+    const sentAt = now();
+    try {
+      const serverTime = Number(await withTimeout(Promise.resolve().then(fetchServerTime), timeoutMs));
+      if (!serverTime) throw new Error("No server time in the answer");
+      const receivedAt = now();
+      // Measured at the midpoint of the round trip, like the clients' time sync
+      const clockSkewMs = Math.round(serverTime - (sentAt + receivedAt) / 2);
+      const skewed = Math.abs(clockSkewMs) > maxClockSkewMs;
+      return {
+        name,
+        exchange,
+        ready: !skewed,
+        reachable: true,
+        latencyMs: receivedAt - sentAt,
+        clockSkewMs,
+        ...(skewed && { error: `Clock is ${clockSkewMs}ms off (at most ${maxClockSkewMs}ms)` }),
+      };
+    } catch (error) {
+      return { name, exchange, ready: false, reachable: false, latencyMs: now() - sentAt, error: error.message };
+    }
+  }
+
+  // { ready, checks: [{ name, exchange, ready, reachable, latencyMs, clockSkewMs, error }] }
+  function check() {
+    if (cached && now() - cached.time < cacheMs) return Promise.resolve(cached.result);
+    if (!pending) {
+      pending = Promise.all(targets().map(probe))
+        .then((checks) => {
+          const result = { ready: checks.every((entry) => entry.ready), checks };
+          cached = { time: now(), result };
+          return result;
+        })
+        .finally(() => {
+          pending = null;
+        });
+    }
+    return pending;
+  }
+
+  return { check };
+}
+
+module.exports = { createReadinessCheck };
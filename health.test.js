@@ -0,0 +1,66 @@
+// health.test.js
+
+const { createReadinessCheck } = require("./health");
+
+describe("createReadinessCheck", () => {
+  let time;
+  const now = () => time;
+
+  beforeEach(() => {
+    time = 1000000;
+  });
+
+  test("is ready when the exchange answers with a clock in sync", async () => {
+    const check = createReadinessCheck({
+      now,
+      targets: () => [
+        {
+          name: "main",
+          exchange: "bingx",
+          fetchServerTime: async () => {
+            time += 100;
+            return 1000050 + 1200;
+          },
+        },
+      ],
+    });
+    expect(await check.check()).toEqual({
+      ready: true,
+      checks: [{ name: "main", exchange: "bingx", ready: true, reachable: true, latencyMs: 100, clockSkewMs: 1200 }],
+    });
+  });
+
+  test("is not ready when a clock is off or an exchange does not answer", async () => {
+    const check = createReadinessCheck({
+      now,
+      maxClockSkewMs: 1000,
+      timeoutMs: 20,
+      targets: () => [
+        { name: "skewed", exchange: "bingx", fetchServerTime: () => time - 5000 },
+        { name: "down", exchange: "binance", fetchServerTime: () => Promise.reject(new Error("connect ECONNREFUSED")) },
+        { name: "slow", exchange: "bingx", fetchServerTime: () => new Promise(() => {}) },
+      ],
+    });
+    const { ready, checks } = await check.check();
+    expect(ready).toBe(false);
+    expect(checks).toEqual([
+      expect.objectContaining({ name: "skewed", reachable: true, ready: false, clockSkewMs: -5000 }),
+      expect.objectContaining({ name: "down", reachable: false, error: "connect ECONNREFUSED" }),
+      expect.objectContaining({ name: "slow", reachable: false, error: "No answer within 20ms" }),
+    ]);
+    expect(checks[0].error).toBe("Clock is -5000ms off (at most 1000ms)");
+  });
+
+  test("keeps results for cacheMs and shares a check in progress", async () => {
+    const fetchServerTime = jest.fn(async () => time);
+    const check = createReadinessCheck({ now, cacheMs: 5000, targets: () => [{ name: "main", fetchServerTime }] });
+    await Promise.all([check.check(), check.check()]);
+    expect(fetchServerTime).toHaveBeenCalledTimes(1);
+    time += 4000;
+    await check.check();
+    expect(fetchServerTime).toHaveBeenCalledTimes(1);
+    time += 2000;
+    await check.check();
+    expect(fetchServerTime).toHaveBeenCalledTimes(2);
+  });
+});
@@ -1,146 +1,396 @@
 // index.test.js
+//
+// End to end tests of the server built by createApp: REST routes through
+// supertest and bot commands through the Telegram simulator, both reaching
+// the BingX mock server over HTTP with signed requests. Nothing touches the
+// network.
 
-const { expect } = require('chai');
-const request = require('supertest');
-const TelegramBotMock = require('./telegram-bot-mock'); 
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const { createApp } = require("./app");
+const { createBingxMockServer } = require("./bingx-mock-server");
+const { createTelegramSimulator } = require("./telegram-simulator");
 
+const ADMIN = { userId: 1 };
+const VIEWER = { userId: 2 };
 
-describe('Marcelo Trading Server', () => {
-  describe('GET /balance', () => {
-    it('should return account balance', async () => {
-      const res = await request('http://localhost:3000').get('/balance');
-      expect(res.status).to.equal(200);
-      expect(res.body).to.have.property('status');
-      expect(res.body).to.have.property('statusCode');
-      expect(res.body).to.have.property('message');
-      expect(res.body.message).to.include('Account Balance:');
-    });
-  });
+describe("Marcelo Trading Server", () => {
+  let dir;
+  let bingx;
+  let telegram;
+  let server;
 
-  describe('GET /positions', () => {
-    it('should return open positions', async () => {
-      const res = await request('http://localhost:3000').get('/positions');
-      expect(res.status).to.equal(200);
-      expect(res.body).to.be.an('array');
-    });
+  function config(overrides = {}) {
+    return {
+      BINGX_BASE_URL: bingx.url,
+      BINGX_API_KEY: bingx.apiKey,
+      BINGX_SECRET_KEY: bingx.secretKey,
+      BINGX_MAX_RETRIES: "0",
+      TELEGRAM_BOT_TOKEN: "1000:TEST",
+      API_KEYS: "viewer-key:viewer,trader-key:trader,trader-2-key:trader,admin-key:admin",
+      TELEGRAM_USERS: "1:admin,2:viewer",
+      CONFIRM_COMMANDS: "market,limit",
+      WEBHOOK_SECRET: "hook",
+      DATA_DIR: dir,
+      LOG_CONSOLE: "false",
+      ...overrides,
+    };
+  }
+
+  const api = {
+    get: (url, key = "viewer-key") => request(server.app).get(url).set("X-API-Key", key),
+    post: (url, body, key = "trader-key") => request(server.app).post(url).set("X-API-Key", key).send(body),
+    delete: (url, key = "trader-key") => request(server.app).delete(url).set("X-API-Key", key),
+  };
+
+  function signedRequests(endpoint) {
+    return bingx.requests.filter(
+      (req) => (endpoint instanceof RegExp ? endpoint.test(req.endpoint) : req.endpoint === endpoint) && req.signed
+    );
+  }
+
+  // Copy trading mirrors orders in the background
+  async function waitFor(condition, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+      if (Date.now() > deadline) throw new Error("Condition not met in time");
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  }
+
+  async function openOrders() {
+    return (await bingx.exchange.handleRequest("GET", "/openApi/swap/v2/trade/openOrders")).data.orders;
+  }
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "server-"));
+    bingx = createBingxMockServer();
+    telegram = createTelegramSimulator();
+    await Promise.all([bingx.start(), telegram.start()]);
+    bingx.setPrice("BTC-USDT", 50000);
+    server = createApp({ bot: telegram.createBot(), config: config() });
   });
 
-  describe('GET /price/:symbol', () => {
-    it('should return price for a given symbol', async () => {
-      const res = await request('http://localhost:3000').get('/price/BTCUSDT');
-      expect(res.status).to.equal(200);
-      expect(res.body).to.have.property('price');
-    });
+  afterEach(async () => {
+    await server.stop();
+    await Promise.all([bingx.stop(), telegram.stop()]);
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
   });
 
-  describe('Telegram Bot commands', () => {
-    let mockBot;
+  describe("REST API", () => {
+    test("needs an API key with the role of the route", async () => {
+      expect((await request(server.app).get("/balance")).status).toBe(401);
+      expect((await api.post("/orders", { symbol: "BTC-USDT", side: "BUY", quantity: 1 }, "viewer-key")).status).toBe(
+        403
+      );
+      expect((await request(server.app).get("/openapi.json")).status).toBe(200);
+      expect(bingx.requests).toHaveLength(0);
+    });
 
-    beforeEach(() => {
-      mockBot = new TelegramBotMock();
+    test("GET /balance returns the account balance from a signed request", async () => {
+      const res = await api.get("/balance");
+      expect(res.status).toBe(200);
+      expect(res.body.data.balance).toMatchObject({ asset: "USDT", equity: "10000" });
+      expect(signedRequests("/openApi/swap/v2/user/balance")).toHaveLength(1);
     });
 
-    afterEach(() => {
-      mockBot.clearMessages();
+    test("rejected credentials surface as a BingX auth error", async () => {
+      server = createApp({ bot: telegram.createBot(), config: config({ BINGX_SECRET_KEY: "wrong" }) });
+      const res = await api.get("/balance");
+      expect(res.status).toBe(502);
+      expect(res.body).toMatchObject({ status: "error", details: { code: 100001 } });
     });
 
-    it('should handle /balance command', async () => {
-      const balance = { amount: 10000 };
-      mockBot.handleCommand('/balance', balance);
+    test("GET /price/:symbol returns the last price", async () => {
+      const res = await api.get("/price/BTC-USDT");
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ symbol: "BTC-USDT", price: "50000" });
+    });
 
-      const result = await mockBot.getMockedResponse();
-      expect(result).to.deep.equal({
-        text: JSON.stringify(balance),
-        parseMode: 'Markdown'
+    test("places, lists and cancels a limit order", async () => {
+      const placed = await api.post("/orders", {
+        symbol: "BTC-USDT",
+        side: "BUY",
+        type: "LIMIT",
+        quantity: 0.01,
+        price: 49000,
       });
+      expect(placed.status).toBe(200);
+      const { orderId } = placed.body.data.order;
+
+      const orders = await api.get("/orders");
+      expect(orders.body.data.map((order) => order.orderId)).toEqual([orderId]);
+
+      const cancelled = await api.delete(`/orders/BTC-USDT/${orderId}`);
+      expect(cancelled.status).toBe(200);
+      expect(await openOrders()).toHaveLength(0);
     });
 
-    it('should handle /positions command', async () => {
-      const positions = [{ symbol: 'BTCUSDT', quantity: 1 }];
-      mockBot.handleCommand('/positions', positions);
+    test("a market order opens a position that can be closed", async () => {
+      await api.post("/orders", { symbol: "BTC-USDT", side: "BUY", quantity: 0.1 });
+      bingx.setPrice("BTC-USDT", 51000);
 
-      const result = await mockBot.getMockedResponse();
-      expect(result).to.deep.equal({
-        text: JSON.stringify(positions),
-        parseMode: 'Markdown'
-      });
+      const positions = await api.get("/positions");
+      expect(positions.body.data).toEqual([
+        expect.objectContaining({ symbol: "BTC-USDT", positionSide: "LONG", positionAmt: "0.1", unrealizedProfit: "100" }),
+      ]);
+
+      const closed = await api.post("/positions/BTC-USDT/close", { positionSide: "LONG" });
+      expect(closed.status).toBe(200);
+      expect((await api.get("/positions")).body.data).toEqual([]);
     });
 
-    it('should handle /close command', async () => {
-      const [symbol, positionSide] = ['BTCUSDT', 'LONG'];
-      mockBot.handleCommand(`/close ${symbol} ${positionSide}`);
+    test("stop losses say BOTH and reduceOnly in one-way mode", async () => {
+      expect((await api.post("/position-mode", { hedgeMode: false }, "admin-key")).status).toBe(200);
+      await api.post("/orders", { symbol: "BTC-USDT", side: "SELL", quantity: 0.1 });
+      const res = await api.post("/orders/BTC-USDT/stop-loss", { stopPrice: 52000 });
+      expect(res.status).toBe(200);
+      expect(res.body.data.order).toMatchObject({ side: "BUY", positionSide: "BOTH", type: "STOP_MARKET" });
+      expect(signedRequests(/\/trade\/order$/)[1].params).toMatchObject({ positionSide: "BOTH", reduceOnly: "true" });
 
-      const result = await mockBot.getMockedResponse();
-      expect(result).to.deep.equal({
-        text: 'Position closed:',
-        parseMode: 'Markdown'
-      });
+      // The mode is read once per account, not for every exit
+      expect((await api.post("/orders/BTC-USDT/take-profit", { stopPrice: 48000 })).status).toBe(200);
+      const modeReads = signedRequests("/openApi/swap/v1/positionSide/dual").filter((req) => req.method === "GET");
+      expect(modeReads).toHaveLength(1);
     });
 
-    it('should handle /cancel command', async () => {
-      const [symbol, orderId] = ['BTCUSDT', '12345'];
-      mockBot.handleCommand(`/cancel ${symbol} ${orderId}`);
+    test("symbols may be written BTCUSDT", async () => {
+      expect((await api.get("/price/btcusdt")).body.data).toMatchObject({ symbol: "BTC-USDT", price: "50000" });
+      const placed = await api.post("/orders", { symbol: "BTCUSDT", side: "BUY", quantity: 0.1 });
+      expect(placed.status).toBe(200);
+      expect((await api.get("/positions")).body.data).toEqual([expect.objectContaining({ symbol: "BTC-USDT" })]);
+      expect((await api.post("/positions/BTCUSDT/close", { positionSide: "LONG" })).status).toBe(200);
+      expect(signedRequests(/\/trade\/order$/)[0].params).toMatchObject({ symbol: "BTC-USDT" });
+    });
 
-      const result = await mockBot.getMockedResponse();
-      expect(result).to.deep.equal({
-        text: 'Order canceled:',
-        parseMode: 'Markdown'
-      });
+    test("invalid bodies are rejected before reaching the exchange", async () => {
+      const res = await api.post("/orders", { symbol: "btc", side: "HOLD", quantity: -1 });
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual(
+        expect.arrayContaining(["body.symbol must match ^[A-Z0-9]+-[A-Z0-9]+$", "body.side must be one of BUY, SELL"])
+      );
+      expect(signedRequests(/\/trade\/order$/)).toHaveLength(0);
     });
 
-    it('should handle /closeall command', async () => {
-      const symbol = 'BTCUSDT';
-      mockBot.handleCommand(`/closeall ${symbol}`);
+    test("the kill switch blocks new orders", async () => {
+      expect((await api.post("/risk/kill-switch", { enabled: true }, "trader-key")).status).toBe(403);
+      expect((await api.post("/risk/kill-switch", { enabled: true }, "admin-key")).status).toBe(200);
+      const res = await api.post("/orders", { symbol: "BTC-USDT", side: "BUY", quantity: 0.1 });
+      expect(res.status).toBe(403);
+      expect(res.body.rule).toBe("killSwitch");
+    });
+
+    test("orders are journaled with the API key that sent them", async () => {
+      await api.post("/orders", { symbol: "BTC-USDT", side: "BUY", quantity: 0.1 });
+      const journal = await api.get("/journal?action=order");
+      expect(journal.body).toEqual([
+        expect.objectContaining({ symbol: "BTC-USDT", source: expect.objectContaining({ type: "rest" }) }),
+      ]);
+    });
 
-      const result = await mockBot.getMockedResponse();
-      expect(result).to.deep.equal({
-        text: 'All positions closed:',
-        parseMode: 'Markdown'
+    test("copy trading mirrors a stop loss with the kill switch on", async () => {
+      // The follower trades on the same mock account as the leader
+      server = createApp({
+        bot: telegram.createBot(),
+        config: config({
+          BINGX_ACCOUNTS: `copy:${bingx.apiKey}:${bingx.secretKey}`,
+          COPY_LEADER: "main",
+          COPY_FOLLOWERS: "copy",
+        }),
       });
+      await api.post("/orders", { symbol: "BTC-USDT", side: "BUY", quantity: 0.1 });
+      await waitFor(() => signedRequests(/\/trade\/order$/).length === 2);
+
+      await api.post("/risk/kill-switch", { enabled: true }, "admin-key");
+      expect((await api.post("/orders/BTC-USDT/stop-loss", { stopPrice: 45000 })).status).toBe(200);
+      await waitFor(() => signedRequests(/\/trade\/order$/).length === 4);
+      const stops = (await openOrders()).filter((order) => order.type === "STOP_MARKET");
+      expect(stops).toHaveLength(2);
+      expect((await api.get("/journal?action=rejected")).body).toEqual([]);
     });
 
-    it('should handle /cancelall command', async () => {
-      const symbol = 'BTCUSDT';
-      mockBot.handleCommand(`/cancelall ${symbol}`);
+    test("webhook signals need the shared secret", async () => {
+      const signal = { symbol: "BTC-USDT", action: "buy", size: 0.1 };
+      expect((await request(server.app).post("/webhook/signal").send(signal)).status).toBe(401);
+      const res = await request(server.app).post("/webhook/signal").set("X-Webhook-Secret", "hook").send(signal);
+      expect(res.body.status).toBe("executed");
+      expect(signedRequests(/\/trade\/order$/)).toHaveLength(1);
+    });
 
-      const result = await mockBot.getMockedResponse();
-      expect(result).to.deep.equal({
-        text: 'All orders canceled:',
-        parseMode: 'Markdown'
-      });
+    test("alerts are created, listed and removed", async () => {
+      const alert = { chatId: 1, symbol: "BTC-USDT", metric: "price", op: "above", value: 70000 };
+      expect((await api.post("/alerts", alert, "viewer-key")).status).toBe(403);
+      const unknownChat = await api.post("/alerts", { ...alert, chatId: 99 });
+      expect(unknownChat.status).toBe(403);
+      expect(unknownChat.body.message).toBe("chatId 99 is not a TELEGRAM_USERS chat");
+      const created = await api.post("/alerts", alert);
+      expect(created.status).toBe(200);
+      expect((await api.delete(`/alerts/${created.body.id}`, "viewer-key")).status).toBe(403);
+      expect((await api.get("/alerts?chatId=1", "trader-key")).body).toHaveLength(1);
+      expect((await api.delete(`/alerts/${created.body.id}`)).status).toBe(200);
+      expect((await api.get("/alerts", "trader-key")).body).toEqual([]);
     });
 
-    it('should handle /trailingstop command', async () => {
-      const [symbol, activationPrice, callbackRate] = ['BTCUSDT', '50000', '0.01'];
-      mockBot.handleCommand(`/trailingstop ${symbol} ${activationPrice} ${callbackRate}`);
+    test("alerts are scoped to the API key that created them below admin", async () => {
+      const alert = { chatId: 1, symbol: "BTC-USDT", metric: "price", op: "above", value: 1 };
+      const created = await api.post("/alerts", alert);
+      expect((await api.get("/alerts")).body).toEqual([]);
+      // Both trader keys mask to "tra***ey" but own their alerts apart
+      expect((await api.get("/alerts", "trader-2-key")).body).toEqual([]);
+      expect((await api.delete(`/alerts/${created.body.id}`, "trader-2-key")).status).toBe(404);
+      expect((await api.get("/alerts", "trader-key")).body).toHaveLength(1);
+      expect((await api.get("/alerts?chatId=1", "admin-key")).body).toHaveLength(1);
+      expect((await api.delete(`/alerts/${created.body.id}`, "admin-key")).status).toBe(200);
+    });
 
-      const result = await mockBot.getMockedResponse();
-      expect(result).to.deep.equal({
-        text: 'Trailing stop set:',
-        parseMode: 'Markdown'
-      });
+    test("GET /config shows the settings with the secrets redacted", async () => {
+      expect((await api.get("/config")).status).toBe(403);
+      const res = await api.get("/config", "admin-key");
+      expect(res.body).toMatchObject({ PROFILE: "live", BINGX_SECRET_KEY: "********", BINGX_MAX_RETRIES: 0 });
     });
 
-    it('should handle /sl command', async () => {
-      const [symbol, stopPrice] = ['BTCUSDT', '49000'];
-      mockBot.handleCommand(`/sl ${symbol} ${stopPrice}`);
+    test("requests carry an ID into the errors and the journal", async () => {
+      const res = await request(server.app).get("/balance").set("X-Request-Id", "trace-1");
+      expect(res.headers["x-request-id"]).toBe("trace-1");
+      expect(res.body).toMatchObject({ status: "error", requestId: "trace-1" });
+
+      const placed = await api.post("/orders", { symbol: "BTC-USDT", side: "BUY", quantity: 0.1 });
+      const [entry] = (await api.get("/journal?action=order")).body;
+      expect(entry.requestId).toBe(placed.headers["x-request-id"]);
+    });
 
-      const result = await mockBot.getMockedResponse();
-      expect(result).to.deep.equal({
-        text: 'Stop loss set:',
-        parseMode: 'Markdown'
+    test("GET /healthz and /readyz answer without a key", async () => {
+      expect((await request(server.app).get("/healthz")).body).toMatchObject({ status: "ok" });
+      const ready = await request(server.app).get("/readyz");
+      expect(ready.status).toBe(200);
+      expect(ready.body).toEqual({
+        status: "ready",
+        checks: [expect.objectContaining({ name: "main", exchange: "bingx", reachable: true, ready: true })],
       });
+
+      await bingx.stop();
+      server = createApp({ bot: telegram.createBot(), config: config() });
+      const down = await request(server.app).get("/readyz");
+      expect(down.status).toBe(503);
+      expect(down.body.checks[0]).toMatchObject({ reachable: false, ready: false });
+      await bingx.start();
+    });
+
+    test("GET /metrics counts requests, commands and orders", async () => {
+      expect((await request(server.app).get("/metrics")).status).toBe(401);
+      await api.post("/orders", { symbol: "BTC-USDT", side: "BUY", quantity: 0.1 });
+      await telegram.sendMessage("/balance", ADMIN);
+      const res = await api.get("/metrics");
+      expect(res.headers["content-type"]).toMatch(/^text\/plain.*version=0\.0\.4/);
+      expect(res.text).toContain(
+        'orders_placed_total{exchange="bingx",account="main",source="rest",type="MARKET"} 1'
+      );
+      expect(res.text).toContain('bot_commands_total{command="balance"} 1');
+      expect(res.text).toContain(
+        'http_request_duration_seconds_count{method="POST",route="/orders",status="200"} 1'
+      );
+      expect(res.text).toMatch(/exchange_request_duration_seconds_count\{exchange="bingx",method="POST",[^}]*\} 1/);
     });
 
-    it('should handle /tp command', async () => {
-      const [symbol, stopPrice] = ['BTCUSDT', '51000'];
-      mockBot.handleCommand(`/tp ${symbol} ${stopPrice}`);
+    test("risk limits reload from the config file", async () => {
+      const file = path.join(dir, "server.yaml");
+      fs.writeFileSync(file, "RISK_MAX_NOTIONAL: 100000\nPORT: 4000");
+      server = createApp({ bot: telegram.createBot(), config: config({ CONFIG_FILE: file }) });
+      expect((await api.post("/orders", { symbol: "BTC-USDT", side: "BUY", quantity: 0.1 })).status).toBe(200);
 
-      const result = await mockBot.getMockedResponse();
-      expect(result).to.deep.equal({
-        text: 'Take profit set:',
-        parseMode: 'Markdown'
-      });
+      fs.writeFileSync(file, "RISK_MAX_NOTIONAL: 1000\nPORT: 5000");
+      expect(server.reloadSettings()).toMatchObject({ reloaded: ["RISK_MAX_NOTIONAL"], restartRequired: ["PORT"] });
+      const res = await api.post("/orders", { symbol: "BTC-USDT", side: "BUY", quantity: 0.1 });
+      expect(res.status).toBe(403);
+      expect(res.body.rule).toBe("maxNotional");
+    });
+  });
+
+  describe("Telegram bot", () => {
+    test("/balance replies with the formatted balance", async () => {
+      const [reply] = await telegram.sendMessage("/balance", ADMIN);
+      expect(reply).toMatchObject({ method: "sendMessage", chat_id: 1, parse_mode: "HTML" });
+      expect(reply.text).toContain("Equity: <b>10000.00</b>");
+    });
+
+    test("/limit asks for confirmation and places the order once confirmed", async () => {
+      const [preview] = await telegram.sendMessage("/limit BTC-USDT BUY 0.01 48000", ADMIN);
+      expect(preview.text).toContain("Estimated notional: 480.00 USDT");
+      expect(await openOrders()).toHaveLength(0);
+
+      const calls = await telegram.pressButton(telegram.buttons(preview)["✅ Confirm"], ADMIN);
+      expect(calls.map((call) => call.method)).toContain("answerCallbackQuery");
+      expect(calls.find((call) => call.method === "sendMessage").text).toContain("Limit order placed");
+      expect(await openOrders()).toEqual([expect.objectContaining({ symbol: "BTC-USDT", price: "48000" })]);
+    });
+
+    test("commands accept BTCUSDT symbols", async () => {
+      const [preview] = await telegram.sendMessage("/limit btcusdt BUY 0.01 48000", ADMIN);
+      expect(preview.text).toContain("BTC-USDT");
+      await telegram.pressButton(telegram.buttons(preview)["✅ Confirm"], ADMIN);
+      expect(await openOrders()).toEqual([expect.objectContaining({ symbol: "BTC-USDT", price: "48000" })]);
+    });
+
+    test("a cancelled confirmation places nothing", async () => {
+      const [preview] = await telegram.sendMessage("/market BTC-USDT BUY 0.01", ADMIN);
+      await telegram.pressButton(telegram.buttons(preview)["❌ Cancel"], ADMIN);
+      expect(signedRequests(/\/trade\/order$/)).toHaveLength(0);
+    });
+
+    test("commands are refused without the role and for unknown users", async () => {
+      const [denied] = await telegram.sendMessage("/market BTC-USDT BUY 1", VIEWER);
+      expect(denied.text).toBe("Not allowed: /market needs the trader role (you are viewer)");
+      const [unknown] = await telegram.sendMessage("/balance", { userId: 99 });
+      expect(unknown.text).toBe("Not authorized to use this bot");
+      expect(bingx.requests).toHaveLength(0);
+    });
+
+    test("/positions shows the position opened through the API", async () => {
+      await api.post("/orders", { symbol: "BTC-USDT", side: "SELL", quantity: 0.2 });
+      const [reply] = await telegram.sendMessage("/positions", VIEWER);
+      expect(reply.text).toContain("<b>BTC-USDT</b> SHORT");
+      expect(reply.text).toContain("Size 0.2");
+    });
+
+    test("/alert adds and lists the alerts of the chat", async () => {
+      const [added] = await telegram.sendMessage("/alert add BTC-USDT price above 70000", ADMIN);
+      expect(added.text).toContain("BTC-USDT price above 70000");
+      const [list] = await telegram.sendMessage("/alert list", ADMIN);
+      expect(list.text).toContain("Alerts (1)");
+      const [other] = await telegram.sendMessage("/alert list", VIEWER);
+      expect(other.text).toContain("No alerts");
+    });
+
+    test("/alert add and remove need the trader role like the REST routes", async () => {
+      const [added] = await telegram.sendMessage("/alert add BTC-USDT price above 70000", VIEWER);
+      expect(added.text).toBe("Not allowed: /alert add needs the trader role (you are viewer)");
+      const [removed] = await telegram.sendMessage("/alert remove ab12cd34", VIEWER);
+      expect(removed.text).toBe("Not allowed: /alert remove needs the trader role (you are viewer)");
+      const [list] = await telegram.sendMessage("/alert list", VIEWER);
+      expect(list.text).toContain("No alerts");
+      expect((await api.get("/alerts", "admin-key")).body).toEqual([]);
+    });
+
+    test("/limits and /strategies reply through the templates and honour /raw", async () => {
+      const [limits] = await telegram.sendMessage("/limits", VIEWER);
+      expect(limits.text).toContain("🛡 Risk limits");
+      expect(limits.text).toContain("Kill switch: OFF");
+      const [strategies] = await telegram.sendMessage("/strategies", VIEWER);
+      expect(strategies.text).toContain("Params: ");
+      expect(strategies.text).not.toMatch(/"interval":/);
+
+      await telegram.sendMessage("/raw", VIEWER);
+      const [raw] = await telegram.sendMessage("/limits", VIEWER);
+      expect(raw.text).toMatch(/^<pre>\{/);
+    });
+
+    test("/help lists the commands", async () => {
+      const [reply] = await telegram.sendMessage("/help", VIEWER);
+      expect(reply.text).toContain("/balance");
+      expect(reply.text).toContain("/alert");
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,266 @@
+// indicators.js
+//
+// Technical indicators computed from normalized candles (see klines.js).
+// Every indicator is a pure step function over its own state, so an
+// indicator set can be advanced one candle at a time as new klines arrive,
+// and the still-forming candle can be replaced without recomputing history.
+
+const { intervalToMs } = require("./klines");
+
+const INDICATOR_NAMES = ["sma", "ema", "rsi", "macd", "bollinger", "atr", "vwap"];
+
+function round(value, decimals = 8) {
+  if (value === null || value === undefined || isNaN(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function pushWindow(window, value, period) {
+  const next = window.length >= period ? window.slice(1) : window.slice();
+  next.push(value);
+  return next;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// EMA seeded with the SMA of its first `period` values
+function emaStep(state = { seed: [], value: null }, input, period) {
+  if (state.value === null) {
+    const seed = [...state.seed, input];
+    return seed.length === period ? { seed: [], value: mean(seed) } : { seed, value: null };
+  }
+  const k = 2 / (period + 1);
+  return { seed: [], value: input * k + state.value * (1 - k) };
+}
+
+// Wilder smoothing, seeded with the average of its first `period` values
+function wilderStep(state = { seed: [], value: null }, input, period) {
+  if (state.value === null) {
+    const seed = [...state.seed, input];
+    return seed.length === period ? { seed: [], value: mean(seed) } : { seed, value: null };
+  }
+  return { seed: [], value: (state.value * (period - 1) + input) / period };
+}
+
+const INDICATORS = {
+  sma: ({ period = 20 } = {}) => ({
+    step: (state = { window: [] }, candle) => ({
+      window: pushWindow(state.window, candle.close, period),
+    }),
+    value: (state) => (state.window.length === period ? round(mean(state.window)) : null),
+  }),
+
+  ema: ({ period = 20 } = {}) => ({
+    step: (state, candle) => emaStep(state, candle.close, period),
+    value: (state) => round(state.value),
+  }),
+
+  rsi: ({ period = 14 } = {}) => ({
+    step: (state = { previousClose: null }, candle) => {
+      if (state.previousClose === null) {
+        return { previousClose: candle.close };
+      }
+      const change = candle.close - state.previousClose;
+      return {
+        previousClose: candle.close,
+        gain: wilderStep(state.gain, Math.max(change, 0), period),
+        loss: wilderStep(state.loss, Math.max(-change, 0), period),
+      };
+    },
+    value: (state) => {
+      if (!state.gain || state.gain.value === null) return null;
+      if (state.loss.value === 0) return 100;
+      return round(100 - 100 / (1 + state.gain.value / state.loss.value), 4);
+    },
+  }),
+
+  macd: ({ fast = 12, slow = 26, signal = 9 } = {}) => ({
+    step: (state = {}, candle) => {
+      const fastEma = emaStep(state.fastEma, candle.close, fast);
+      const slowEma = emaStep(state.slowEma, candle.close, slow);
+      const macd =
+        fastEma.value !== null && slowEma.value !== null ? fastEma.value - slowEma.value : null;
+      const signalEma = macd === null ? state.signalEma : emaStep(state.signalEma, macd, signal);
+      return { fastEma, slowEma, macd, signalEma };
+    },
+    value: (state) => {
+      if (state.macd === null) return null;
+      const signalValue = state.signalEma ? state.signalEma.value : null;
+      return {
+        macd: round(state.macd),
+        signal: round(signalValue),
+        histogram: signalValue === null ? null : round(state.macd - signalValue),
+      };
+    },
+  }),
+
+  bollinger: ({ period = 20, stdDev = 2 } = {}) => ({
+    step: (state = { window: [] }, candle) => ({
+      window: pushWindow(state.window, candle.close, period),
+    }),
+    value: (state) => {
+      if (state.window.length < period) return null;
+      const middle = mean(state.window);
+      const deviation = Math.sqrt(mean(state.window.map((close) => (close - middle) ** 2)));
+      return {
+        upper: round(middle + stdDev * deviation),
+        middle: round(middle),
+        lower: round(middle - stdDev * deviation),
+      };
+    },
+  }),
+
+  atr: ({ period = 14 } = {}) => ({
+    step: (state = { previousClose: null }, candle) => {
+      const trueRange =
+        state.previousClose === null
+          ? candle.high - candle.low
+          : Math.max(
+              candle.high - candle.low,
+              Math.abs(candle.high - state.previousClose),
+              Math.abs(candle.low - state.previousClose)
+            );
+      return {
+        previousClose: candle.close,
+        average: wilderStep(state.average, trueRange, period),
+      };
+    },
+    value: (state) => round(state.average.value),
+  }),
+
+  // Session VWAP, reset at every UTC day unless session is "none"
+  vwap: ({ session = "day" } = {}) => ({
+    step: (state = { day: null, priceVolume: 0, volume: 0 }, candle) => {
+      const day = session === "day" ? Math.floor(candle.time / 86400000) : 0;
+      const base = day === state.day ? state : { day, priceVolume: 0, volume: 0 };
+      const typical = (candle.high + candle.low + candle.close) / 3;
+      return {
+        day,
+        priceVolume: base.priceVolume + typical * candle.volume,
+        volume: base.volume + candle.volume,
+      };
+    },
+    value: (state) => (state.volume > 0 ? round(state.priceVolume / state.volume) : null),
+  }),
+};
+
+function parseNames(names) {
+  const list = Array.isArray(names) ? names : String(names || "").split(",");
+  const parsed = list.map((name) => name.trim().toLowerCase()).filter(Boolean);
+  const unknown = parsed.filter((name) => !INDICATORS[name]);
+  if (unknown.length > 0) {
+    const error = new Error(
+      `Unknown indicator(s): ${unknown.join(", ")}. Available: ${INDICATOR_NAMES.join(", ")}`
+    );
+    error.statusCode = 400;
+    throw error;
+  }
+  return parsed.length > 0 ? parsed : INDICATOR_NAMES;
+}
+
+// A set of indicators advanced one candle at a time. A candle with the same
+// time as the last one replaces it (the forming candle was updated); older
+// candles are ignored.
+function createIndicatorSet(names = INDICATOR_NAMES, options = {}) {
+  const indicators = parseNames(names).map((name) => [name, INDICATORS[name](options[name])]);
+  let states = {};
+  let previousStates = {};
+  let lastTime = null;
+
+  function values() {
+    return indicators.reduce((result, [name, indicator]) => {
+      result[name] = states[name] === undefined ? null : indicator.value(states[name]);
+      return result;
+    }, {});
+  }
+
+  function update(candle) {
+    if (lastTime !== null && candle.time < lastTime) {
+      return values();
+    }
+    if (candle.time !== lastTime) {
+      previousStates = states;
+    }
+    states = indicators.reduce((next, [name, indicator]) => {
+      next[name] = indicator.step(previousStates[name], candle);
+      return next;
+    }, {});
+    lastTime = candle.time;
+    return values();
+  }
+
+  return {
+    names: indicators.map(([name]) => name),
+    update,
+    values,
+    get lastTime() {
+      return lastTime;
+    },
+  };
+}
+
+// Latest indicator values over a full candle history
+function computeIndicators(candles, names, options) {
+  const set = createIndicatorSet(names, options);
+  candles.forEach((candle) => set.update(candle));
+  return set.values();
+}
+
+// Keeps candles and indicator sets per symbol and interval. The first call
+// loads `lookback` candles; later calls only fetch the candles opened since
+// the last one seen and advance the indicators incrementally.
+function createIndicatorService({ fetchCandles, lookback = 200 }) {
+  const feeds = new Map();
+
+  function candlesToFetch(feed, interval) {
+    const intervalMs = intervalToMs(interval);
+    if (feed.candles.length === 0 || !intervalMs) return lookback;
+    const missed = Math.floor((Date.now() - feed.set.lastTime) / intervalMs) + 1;
+    return Math.min(lookback, Math.max(2, missed));
+  }
+
+  async function get(symbol, interval = "1m", names = INDICATOR_NAMES, options = {}) {
+    const parsedNames = parseNames(names);
+    const key = `${symbol}:${interval}:${parsedNames.join(",")}:${JSON.stringify(options)}`;
+    let feed = feeds.get(key);
+
+    if (!feed) {
+      feed = { set: createIndicatorSet(parsedNames, options), candles: [] };
+      feeds.set(key, feed);
+    }
+
+    const fresh = await fetchCandles(symbol, interval, candlesToFetch(feed, interval));
+    for (const candle of fresh) {
+      if (feed.set.lastTime !== null && candle.time < feed.set.lastTime) continue;
+      feed.set.update(candle);
+      const last = feed.candles[feed.candles.length - 1];
+      if (last && last.time === candle.time) {
+        feed.candles[feed.candles.length - 1] = candle;
+      } else {
+        feed.candles.push(candle);
+      }
+    }
+    feed.candles = feed.candles.slice(-lookback);
+
+    const latest = feed.candles[feed.candles.length - 1];
+    return {
+      symbol,
+      interval,
+      time: latest ? latest.time : null,
+      price: latest ? latest.close : null,
+      candles: feed.candles,
+      indicators: feed.set.values(),
+    };
+  }
+
+  return { get };
+}
+
+module.exports = {
+  INDICATOR_NAMES,
+  createIndicatorSet,
+  computeIndicators,
+  createIndicatorService,
+};
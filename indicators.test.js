@@ -0,0 +1,95 @@
+// indicators.test.js
+
+const {
+  createIndicatorSet,
+  computeIndicators,
+  createIndicatorService,
+} = require("./indicators");
+
+function candle(time, close, { high = close + 1, low = close - 1, volume = 1 } = {}) {
+  return { time, open: close, high, low, close, volume };
+}
+
+const closes = [44, 44.3, 44.1, 44.2, 44.5, 43.9, 44.6, 45, 45.3, 45.1, 45.6, 46, 46.2, 46.1, 46.4, 46.3];
+const candles = closes.map((close, index) => candle(index * 60000, close));
+
+describe("Indicators", () => {
+  it("should compute SMA and EMA", () => {
+    const values = computeIndicators(candles.slice(0, 4), ["sma", "ema"], {
+      sma: { period: 3 },
+      ema: { period: 3 },
+    });
+    expect(values.sma).toBeCloseTo((44.3 + 44.1 + 44.2) / 3, 8);
+    // EMA seeded with SMA(44, 44.3, 44.1) then one step with k = 0.5
+    expect(values.ema).toBeCloseTo(44.2 * 0.5 + ((44 + 44.3 + 44.1) / 3) * 0.5, 8);
+  });
+
+  it("should return null until enough candles arrived", () => {
+    const values = computeIndicators(candles.slice(0, 3), ["sma", "rsi", "macd", "bollinger"]);
+    expect(values).toEqual({ sma: null, rsi: null, macd: null, bollinger: null });
+  });
+
+  it("should compute RSI, Bollinger Bands and ATR", () => {
+    const rising = [1, 2, 3, 4, 5, 6].map((close, index) => candle(index, close));
+    expect(computeIndicators(rising, ["rsi"], { rsi: { period: 5 } }).rsi).toBe(100);
+
+    const flat = [5, 5, 5].map((close, index) => candle(index, close));
+    const values = computeIndicators(flat, ["bollinger", "atr"], {
+      bollinger: { period: 3 },
+      atr: { period: 3 },
+    });
+    expect(values.bollinger).toEqual({ upper: 5, middle: 5, lower: 5 });
+    expect(values.atr).toBe(2);
+  });
+
+  it("should compute MACD with a signal line", () => {
+    const values = computeIndicators(candles, ["macd"], {
+      macd: { fast: 3, slow: 6, signal: 3 },
+    });
+    expect(values.macd.macd).toBeGreaterThan(0);
+    expect(values.macd.histogram).toBeCloseTo(values.macd.macd - values.macd.signal, 6);
+  });
+
+  it("should compute a volume weighted average price", () => {
+    const values = computeIndicators(
+      [candle(0, 10, { high: 10, low: 10, volume: 1 }), candle(60000, 20, { high: 20, low: 20, volume: 3 })],
+      ["vwap"]
+    );
+    expect(values.vwap).toBe(17.5);
+  });
+
+  it("should replace the forming candle instead of double counting it", () => {
+    const set = createIndicatorSet(["sma", "rsi", "atr"], { sma: { period: 5 }, rsi: { period: 5 } });
+    candles.slice(0, -1).forEach((c) => set.update(c));
+    set.update({ ...candles[candles.length - 1], close: 10, low: 9 });
+    const incremental = set.update(candles[candles.length - 1]);
+
+    expect(incremental).toEqual(
+      computeIndicators(candles, ["sma", "rsi", "atr"], { sma: { period: 5 }, rsi: { period: 5 } })
+    );
+  });
+
+  it("should reject unknown indicator names", () => {
+    expect(() => createIndicatorSet("rsi,foo")).toThrow("Unknown indicator(s): foo");
+  });
+
+  it("should only fetch new candles after the first load", async () => {
+    const limits = [];
+    const now = Date.now();
+    const service = createIndicatorService({
+      lookback: 50,
+      fetchCandles: async (symbol, interval, limit) => {
+        limits.push(limit);
+        return limits.length === 1
+          ? candles.map((c, index) => ({ ...c, time: now - (candles.length - index) * 60000 }))
+          : [candle(now, 47)];
+      },
+    });
+
+    await service.get("BTC-USDT", "1m", "sma");
+    const result = await service.get("BTC-USDT", "1m", "sma");
+    expect(limits).toEqual([50, 2]);
+    expect(result.price).toBe(47);
+    expect(result.candles).toHaveLength(candles.length + 1);
+  });
+});
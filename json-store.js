@@ -0,0 +1,83 @@
+// json-store.js
+//
+// Small persistent stores kept as files under DATA_DIR (default "data").
+// createJsonStore holds one JSON document written atomically through a
+// temporary file; createJsonLinesLog appends one JSON record per line.
+// Unreadable stores are reported to logger (console unless the app passes
+// its own) and start over from the default value.
+
+const fs = require("fs");
+const path = require("path");
+
+function dataPath(fileName, dataDir = process.env.DATA_DIR) {
+  return path.resolve(dataDir || "data", fileName);
+}
+
+function createJsonStore(filePath, defaultValue = {}, { logger = console } = {}) {
+  let cache;
+
+  function read() {
+    if (cache === undefined) {
+      try {
+        cache = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          logger.error(`Failed to read ${filePath}`, { error: error.message });
+        }
+        cache = JSON.parse(JSON.stringify(defaultValue));
+      }
+    }
+    return cache;
+  }
+
+  function write(value) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(value, null, 2));
+    fs.renameSync(tempPath, filePath);
+    cache = value;
+    return value;
+  }
+
+  // Applies fn to the current value (mutating or returning a new one) and saves
+  function update(fn) {
+    const current = read();
+    const next = fn(current);
+    return write(next === undefined ? current : next);
+  }
+
+  return { read, write, update, filePath };
+}
+
+function createJsonLinesLog(filePath) {
+  function append(record) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, JSON.stringify(record) + "\n");
+    return record;
+  }
+
+  function readAll() {
+    let text;
+    try {
+      text = fs.readFileSync(filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+    return text
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  return { append, readAll, filePath };
+}
+
+module.exports = { dataPath, createJsonStore, createJsonLinesLog };
@@ -0,0 +1,90 @@
+// klines.js
+//
+// Helpers for kline (candlestick) data. BingX returns klines either as
+// arrays ([time, open, high, low, close, volume]) or as objects
+// ({ time, open, high, low, close, volume }); everything else in the server
+// works on the normalized object form with numeric fields.
+
+const fs = require("fs");
+const path = require("path");
+
+function normalizeCandle(raw) {
+  if (Array.isArray(raw)) {
+    return {
+      time: Number(raw[0]),
+      open: parseFloat(raw[1]),
+      high: parseFloat(raw[2]),
+      low: parseFloat(raw[3]),
+      close: parseFloat(raw[4]),
+      volume: parseFloat(raw[5] || 0),
+    };
+  }
+  return {
+    time: Number(raw.time ?? raw.openTime ?? raw.timestamp),
+    open: parseFloat(raw.open),
+    high: parseFloat(raw.high),
+    low: parseFloat(raw.low),
+    close: parseFloat(raw.close),
+    volume: parseFloat(raw.volume || 0),
+  };
+}
+
+// Accepts a raw kline array or a full `{ code, data }` BingX response and
+// returns candles sorted from oldest to newest.
+function normalizeKlines(input) {
+  const rows = Array.isArray(input) ? input : (input && input.data) || [];
+  return rows
+    .map(normalizeCandle)
+    .filter((candle) => !isNaN(candle.time) && !isNaN(candle.close))
+    .sort((a, b) => a.time - b.time);
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+  if (lines.length === 0) return [];
+
+  const first = lines[0].split(",").map((cell) => cell.trim().toLowerCase());
+  const hasHeader = isNaN(parseFloat(first[0]));
+  const columns = hasHeader
+    ? first
+    : ["time", "open", "high", "low", "close", "volume"];
+
+  return lines.slice(hasHeader ? 1 : 0).map((line) => {
+    const cells = line.split(",").map((cell) => cell.trim());
+    return columns.reduce((row, column, index) => {
+      row[column] = cells[index];
+      return row;
+    }, {});
+  });
+}
+
+// Loads klines from a local CSV or JSON file. JSON files may hold the raw
+// response saved from /openApi/swap/v2/quote/klines.
+function loadKlinesFile(filePath) {
+  const text = fs.readFileSync(filePath, "utf8");
+  if (path.extname(filePath).toLowerCase() === ".csv") {
+    return normalizeKlines(parseCsv(text));
+  }
+  return normalizeKlines(JSON.parse(text));
+}
+
+// Interval strings as used by BingX ("1m", "4h", "1d", ...) in milliseconds.
+function intervalToMs(interval) {
+  const match = /^(\d+)([mhdwM])$/.exec(String(interval));
+  if (!match) return null;
+  const units = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000,
+    M: 30 * 24 * 60 * 60 * 1000,
+  };
+  return parseInt(match[1], 10) * units[match[2]];
+}
+
+module.exports = {
+  normalizeCandle,
+  normalizeKlines,
+  loadKlinesFile,
+  intervalToMs,
+};
@@ -0,0 +1,117 @@
+// logging.js
+//
+// Structured logging. Log entries are JSON lines with a timestamp and the
+// request they belong to: an HTTP request or a Telegram update runs inside
+// runWithRequest, and the request ID then follows the async calls down to
+// the exchange requests, like the trade journal source. Secrets never reach
+// the logs: values under secret-looking keys and secrets embedded in text
+// (query string signatures, bot tokens in URLs) are redacted.
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const winston = require("winston");
+
+const REDACTED = "[REDACTED]";
+
+const SECRET_KEY = /secret|signature|passphrase|password|token|api[-_]?key|listenkey|authorization/i;
+
+const SECRET_TEXT = [
+  // signature=..., timestamp stays readable
+  [/(signature|secretKey|apiKey|listenKey|passphrase)=[^&\s"]+/gi, `$1=${REDACTED}`],
+  // Telegram bot tokens in API URLs
+  [/\bbot\d+:[A-Za-z0-9_-]+/g, `bot${REDACTED}`],
+];
+
+// Incoming request IDs are kept when they look like one
+const REQUEST_ID = /^[A-Za-z0-9._:-]{1,64}$/;
+
+function newRequestId() {
+  return crypto.randomBytes(8).toString("hex");
+}
+
+function redactText(text) {
+  return SECRET_TEXT.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+// Already masked values ("abc***yz", see access-control.js) stay readable
+function isMasked(value) {
+  return typeof value === "string" && value.includes("***");
+}
+
+// Copy of value with secret-looking keys and embedded secrets redacted
+function redact(value, key = "", depth = 0) {
+  if (key && SECRET_KEY.test(key) && value !== undefined && value !== null && value !== "" && !isMasked(value)) {
+    return REDACTED;
+  }
+  if (typeof value === "string") return redactText(value);
+  if (value instanceof Error) return redactText(value.stack || value.message);
+  if (!value || typeof value !== "object" || depth > 6) return value;
+  if (Array.isArray(value)) return value.map((item) => redact(item, "", depth + 1));
+  return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, name, depth + 1)]));
+}
+
+// Fields of the request being handled: { requestId, channel, ... }
+function createRequestContext() {
+  const storage = new AsyncLocalStorage();
+
+  function runWithRequest(fields, fn) {
+    const requestId = fields.requestId && REQUEST_ID.test(fields.requestId) ? fields.requestId : newRequestId();
+    return storage.run({ ...fields, requestId }, fn);
+  }
+
+  function current() {
+    return storage.getStore() || null;
+  }
+
+  function requestId() {
+    const store = storage.getStore();
+    return store ? store.requestId : null;
+  }
+
+  return { runWithRequest, current, requestId };
+}
+
+// Adds the request ID to entries logged inside runWithRequest
+const withRequest = winston.format((info, { context }) => {
+  const requestId = context && context.requestId();
+  if (requestId && info.requestId === undefined) info.requestId = requestId;
+  return info;
+});
+
+// Redacts the entry in place; winston keeps its level and message symbols
+const redacted = winston.format((info) => {
+  for (const key of Object.keys(info)) {
+    info[key] = redact(info[key], key === "message" ? "" : key);
+  }
+  return info;
+});
+
+// files: [{ filename, level }]; console adds a stdout transport; transports
+// are any other winston transports
+function createLogger({
+  level = "info",
+  service,
+  context = null,
+  files = [],
+  console: toConsole = false,
+  transports: extra = [],
+}) {
+  const transports = [...files.map((file) => new winston.transports.File(file)), ...extra];
+  if (toConsole) transports.push(new winston.transports.Console());
+  return winston.createLogger({
+    level,
+    format: winston.format.combine(
+      winston.format.timestamp(),
+      winston.format.errors({ stack: true }),
+      withRequest({ context }),
+      redacted(),
+      winston.format.json()
+    ),
+    defaultMeta: { service },
+    transports,
+    // Nothing to write to (tests): keep winston from warning about it
+    silent: transports.length === 0,
+  });
+}
+
+module.exports = { REDACTED, newRequestId, redact, createRequestContext, createLogger };
@@ -0,0 +1,94 @@
+// logging.test.js
+
+const { Writable } = require("stream");
+const winston = require("winston");
+const { REDACTED, redact, createRequestContext, createLogger } = require("./logging");
+
+// Logger writing its JSON lines to entries
+function memoryLogger(options = {}) {
+  const entries = [];
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      entries.push(JSON.parse(chunk.toString()));
+      callback();
+    },
+  });
+  const logger = createLogger({ service: "test", transports: [new winston.transports.Stream({ stream })], ...options });
+  return { logger, entries };
+}
+
+describe("redact", () => {
+  test("hides values under secret-looking keys", () => {
+    expect(
+      redact({
+        apiKey: "abc",
+        secretKey: "def",
+        nested: { signature: "f00", listenKey: "lk", symbol: "BTC-USDT" },
+        headers: { authorization: "Bearer x", "x-api-key": "k" },
+        empty: { password: "" },
+      })
+    ).toEqual({
+      apiKey: REDACTED,
+      secretKey: REDACTED,
+      nested: { signature: REDACTED, listenKey: REDACTED, symbol: "BTC-USDT" },
+      headers: { authorization: REDACTED, "x-api-key": REDACTED },
+      empty: { password: "" },
+    });
+  });
+
+  test("hides secrets inside text and keeps masked values", () => {
+    expect(redact("GET /openApi/swap/v2/user/balance?timestamp=1&signature=abcdef")).toBe(
+      `GET /openApi/swap/v2/user/balance?timestamp=1&signature=${REDACTED}`
+    );
+    expect(redact("https://api.telegram.org/bot123:AAH-secret_token/getMe")).toBe(
+      `https://api.telegram.org/bot${REDACTED}/getMe`
+    );
+    expect(redact({ apiKey: "vie***ey" })).toEqual({ apiKey: "vie***ey" });
+    expect(redact([{ token: "t" }, 1, null])).toEqual([{ token: REDACTED }, 1, null]);
+  });
+});
+
+describe("createRequestContext", () => {
+  test("keeps valid request IDs and makes up the others", async () => {
+    const context = createRequestContext();
+    expect(context.requestId()).toBeNull();
+    await context.runWithRequest({ requestId: "abc-123", channel: "http" }, async () => {
+      await Promise.resolve();
+      expect(context.current()).toEqual({ requestId: "abc-123", channel: "http" });
+    });
+    context.runWithRequest({ requestId: "not valid\n" }, () => {
+      expect(context.requestId()).toMatch(/^[0-9a-f]{16}$/);
+    });
+  });
+});
+
+describe("createLogger", () => {
+  test("writes JSON entries with the request ID and the secrets redacted", async () => {
+    const context = createRequestContext();
+    const { logger, entries } = memoryLogger({ context });
+    logger.info("outside");
+    await context.runWithRequest({ requestId: "req-1" }, async () => {
+      await Promise.resolve();
+      logger.warn("exchange request", { endpoint: "/openApi/swap/v2/trade/order", params: { secretKey: "s" } });
+    });
+    expect(entries).toEqual([
+      expect.objectContaining({ level: "info", message: "outside", service: "test" }),
+      expect.objectContaining({
+        level: "warn",
+        message: "exchange request",
+        requestId: "req-1",
+        params: { secretKey: REDACTED },
+      }),
+    ]);
+    expect(entries[0].requestId).toBeUndefined();
+    expect(entries[0].timestamp).toEqual(expect.any(String));
+  });
+
+  test("drops entries below the level, which can change later", () => {
+    const { logger, entries } = memoryLogger({ level: "info" });
+    logger.debug("hidden");
+    logger.level = "debug";
+    logger.debug("shown");
+    expect(entries.map((entry) => entry.message)).toEqual(["shown"]);
+  });
+});
@@ -0,0 +1,188 @@
+// market-cache.js
+//
+// In-memory view of the market and the account built from BingX WebSocket
+// streams: last prices, order books, positions and order states. Routes,
+// commands and strategies read from it instead of polling REST when the
+// data is fresh. Changes are emitted as events ("price", "orderBook",
+// "kline", "position", "order", "balance").
+
+const EventEmitter = require("events");
+
+const FINAL_ORDER_STATES = ["FILLED", "CANCELED", "CANCELLED", "EXPIRED", "REJECTED"];
+
+function createMarketCache({ now = () => Date.now() } = {}) {
+  const events = new EventEmitter();
+  const prices = new Map();
+  const orderBooks = new Map();
+  const klines = new Map();
+  const positions = new Map();
+  const orders = new Map();
+  const balances = new Map();
+  let accountSeeded = false;
+
+  function setPrice(symbol, price, time = now()) {
+    const parsed = parseFloat(price);
+    if (!symbol || isNaN(parsed)) return;
+    prices.set(symbol, { symbol, price: parsed, time, receivedAt: now() });
+    events.emit("price", { symbol, price: parsed, time });
+  }
+
+  // Last price for a symbol, or null when missing or older than maxAgeMs
+  function getPrice(symbol, maxAgeMs = 10000) {
+    const entry = prices.get(symbol);
+    if (!entry || now() - entry.receivedAt > maxAgeMs) return null;
+    return entry;
+  }
+
+  function getOrderBook(symbol) {
+    return orderBooks.get(symbol) || null;
+  }
+
+  function getKline(symbol, interval) {
+    return klines.get(`${symbol}@${interval}`) || null;
+  }
+
+  // Applies a public stream message ({ dataType, data }) to the cache
+  function applyMarketEvent(dataType, data) {
+    const [symbol, channel = ""] = String(dataType).split("@");
+    if (!data) return;
+
+    if (channel === "trade") {
+      const trades = Array.isArray(data) ? data : [data];
+      const last = trades[trades.length - 1];
+      if (last) setPrice(symbol, last.p, last.T);
+    } else if (channel === "ticker" || channel === "lastPrice") {
+      setPrice(symbol, data.c ?? data.p, data.E ?? data.T);
+    } else if (channel.startsWith("depth")) {
+      const book = { symbol, bids: data.bids || [], asks: data.asks || [], time: now() };
+      orderBooks.set(symbol, book);
+      events.emit("orderBook", book);
+    } else if (channel.startsWith("kline_")) {
+      const interval = channel.slice("kline_".length);
+      const rows = Array.isArray(data) ? data : [data];
+      for (const row of rows) {
+        const candle = {
+          time: Number(row.T ?? row.t),
+          open: parseFloat(row.o),
+          high: parseFloat(row.h),
+          low: parseFloat(row.l),
+          close: parseFloat(row.c),
+          volume: parseFloat(row.v),
+        };
+        klines.set(`${symbol}@${interval}`, candle);
+        events.emit("kline", { symbol, interval, candle });
+        setPrice(symbol, candle.close);
+      }
+    }
+  }
+
+  function positionKey(symbol, positionSide) {
+    return `${symbol}:${positionSide}`;
+  }
+
+  // Seeds positions and orders from REST responses so stream updates have a
+  // complete picture to apply to.
+  function seedAccount({ positions: positionList = [], orders: orderList = [] }) {
+    positions.clear();
+    orders.clear();
+    for (const position of positionList) {
+      positions.set(positionKey(position.symbol, position.positionSide), { ...position });
+    }
+    for (const order of orderList) {
+      orders.set(String(order.orderId), { ...order });
+    }
+    accountSeeded = true;
+  }
+
+  function invalidateAccount() {
+    accountSeeded = false;
+  }
+
+  // Applies a user data stream event (ACCOUNT_UPDATE, ORDER_TRADE_UPDATE)
+  function applyUserEvent(event) {
+    if (!event || !event.e) return;
+
+    if (event.e === "ACCOUNT_UPDATE" && event.a) {
+      for (const balance of event.a.B || []) {
+        const entry = { asset: balance.a, walletBalance: balance.wb, crossWalletBalance: balance.cw };
+        balances.set(balance.a, entry);
+        events.emit("balance", entry);
+      }
+      for (const update of event.a.P || []) {
+        const key = positionKey(update.s, update.ps);
+        const previous = positions.get(key) || null;
+        const position = {
+          symbol: update.s,
+          positionSide: update.ps,
+          ...previous,
+          positionAmt: String(update.pa),
+          avgPrice: String(update.ep),
+          unrealizedProfit: String(update.up),
+          isolated: update.mt === "isolated",
+        };
+        if (parseFloat(update.pa) === 0) {
+          positions.delete(key);
+        } else {
+          positions.set(key, position);
+        }
+        events.emit("position", { previous, position });
+      }
+    }
+
+    if (event.e === "ORDER_TRADE_UPDATE" && event.o) {
+      const o = event.o;
+      const orderId = String(o.i);
+      const previous = orders.get(orderId) || null;
+      const order = {
+        ...previous,
+        symbol: o.s,
+        orderId,
+        clientOrderId: o.c,
+        side: o.S,
+        positionSide: o.ps,
+        type: o.o,
+        origQty: String(o.q),
+        price: String(o.p),
+        avgPrice: String(o.ap),
+        stopPrice: String(o.sp || ""),
+        executedQty: String(o.z),
+        status: o.X,
+        executionType: o.x,
+        realisedProfit: o.rp,
+        updateTime: o.T || event.E,
+      };
+      if (FINAL_ORDER_STATES.includes(order.status)) {
+        orders.delete(orderId);
+      } else {
+        orders.set(orderId, order);
+      }
+      events.emit("order", { previous, order });
+    }
+  }
+
+  // Positions in the REST shape, or null when the cache has no seeded view
+  function getPositions() {
+    return accountSeeded ? [...positions.values()] : null;
+  }
+
+  function getOrders() {
+    return accountSeeded ? [...orders.values()] : null;
+  }
+
+  return {
+    events,
+    setPrice,
+    getPrice,
+    getOrderBook,
+    getKline,
+    applyMarketEvent,
+    seedAccount,
+    invalidateAccount,
+    applyUserEvent,
+    getPositions,
+    getOrders,
+    getBalances: () => [...balances.values()],
+  };
+}
+
+module.exports = { createMarketCache };
@@ -0,0 +1,152 @@
+// metrics.js
+//
+// Counters, gauges and histograms rendered in the Prometheus text format
+// (version 0.0.4) for GET /metrics. Series are keyed by their label values;
+// keep labels to small fixed sets (routes, endpoints, commands, codes), never
+// IDs or prices.
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Seconds, from 5ms to 10s
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+function createMetricsRegistry({ now = () => Date.now() } = {}) {
+  const metrics = new Map();
+
+  function register(name, help, type, labelNames) {
+    if (!METRIC_NAME.test(name)) throw new Error(`Invalid metric name "${name}"`);
+    if (metrics.has(name)) throw new Error(`Metric ${name} is registered twice`);
+    const metric = { name, help, type, labelNames, series: new Map() };
+    metrics.set(name, metric);
+    return metric;
+  }
+
+  // Series of metric for labels, created with init on first use; labels
+  // outside labelNames are an error, missing ones are empty
+  function seriesFor(metric, labels, init) {
+    const unknown = Object.keys(labels).filter((name) => !metric.labelNames.includes(name));
+    if (unknown.length > 0) throw new Error(`Unknown labels for ${metric.name}: ${unknown.join(", ")}`);
+    const values = Object.fromEntries(metric.labelNames.map((name) => [name, labels[name] ?? ""]));
+    const key = JSON.stringify(metric.labelNames.map((name) => values[name]));
+    if (!metric.series.has(key)) metric.series.set(key, { labels: values, ...init() });
+    return metric.series.get(key);
+  }
+
+  function counter({ name, help, labelNames = [] }) {
+    const metric = register(name, help, "counter", labelNames);
+    return {
+      inc(labels = {}, value = 1) {
+        if (value < 0) throw new Error(`Counter ${name} cannot decrease`);
+        seriesFor(metric, labels, () => ({ value: 0 })).value += value;
+      },
+    };
+  }
+
+  // collect(), when given, is called on every render and returns the value
+  // or [{ labels, value }]
+  function gauge({ name, help, labelNames = [], collect = null }) {
+    const metric = register(name, help, "gauge", labelNames);
+    metric.collect = collect;
+    return {
+      set(labels = {}, value) {
+        seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+      },
+    };
+  }
+
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const metric = register(name, help, "histogram", labelNames);
+    metric.buckets = [...buckets].sort((a, b) => a - b);
+    const init = () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 });
+
+    function observe(labels = {}, value) {
+      const series = seriesFor(metric, labels, init);
+      metric.buckets.forEach((bound, index) => {
+        if (value <= bound) series.counts[index] += 1;
+      });
+      series.sum += value;
+      series.count += 1;
+    }
+
+    // Returns end(moreLabels), which observes the seconds elapsed
+    function startTimer(labels = {}) {
+      const startedAt = now();
+      return (moreLabels = {}) => observe({ ...labels, ...moreLabels }, (now() - startedAt) / 1000);
+    }
+
+    return { observe, startTimer };
+  }
+
+  function renderMetric(metric) {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+    if (metric.collect) {
+      const collected = metric.collect();
+      const rows = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+      rows.forEach(({ labels, value }) => metric.series.set(JSON.stringify(labels), { labels, value }));
+    }
+    for (const series of metric.series.values()) {
+      if (metric.type !== "histogram") {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, index) => {
+        const labels = formatLabels({ ...series.labels, le: formatValue(bound) });
+        lines.push(`${metric.name}_bucket${labels} ${series.counts[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: "+Inf" })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines.join("\n");
+  }
+
+  function render() {
+    return [...metrics.values()].map(renderMetric).join("\n") + "\n";
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+// Start time, uptime and memory of this process
+function registerProcessMetrics(registry, { startedAt = Date.now(), now = () => Date.now() } = {}) {
+  registry.gauge({
+    name: "process_start_time_seconds",
+    help: "Start time of the process since the epoch in seconds",
+    collect: () => Math.round(startedAt / 1000),
+  });
+  registry.gauge({
+    name: "process_uptime_seconds",
+    help: "Seconds since the process started",
+    collect: () => Math.round((now() - startedAt) / 1000),
+  });
+  registry.gauge({
+    name: "process_resident_memory_bytes",
+    help: "Resident memory size in bytes",
+    collect: () => process.memoryUsage().rss,
+  });
+  registry.gauge({
+    name: "nodejs_heap_used_bytes",
+    help: "V8 heap in use in bytes",
+    collect: () => process.memoryUsage().heapUsed,
+  });
+}
+
+module.exports = { CONTENT_TYPE, DEFAULT_BUCKETS, createMetricsRegistry, registerProcessMetrics };
@@ -0,0 +1,76 @@
+// metrics.test.js
+
+const { createMetricsRegistry, registerProcessMetrics } = require("./metrics");
+
+describe("createMetricsRegistry", () => {
+  test("renders counters and gauges by label values", () => {
+    const registry = createMetricsRegistry();
+    const errors = registry.counter({ name: "errors_total", help: "Errors", labelNames: ["code"] });
+    errors.inc({ code: 100001 });
+    errors.inc({ code: 100001 }, 2);
+    errors.inc({ code: 'say "hi"\n' });
+    registry.gauge({ name: "queue_size", help: "Queue size" }).set({}, 4);
+
+    expect(registry.render()).toBe(
+      [
+        "# HELP errors_total Errors",
+        "# TYPE errors_total counter",
+        'errors_total{code="100001"} 3',
+        'errors_total{code="say \\"hi\\"\\n"} 1',
+        "# HELP queue_size Queue size",
+        "# TYPE queue_size gauge",
+        "queue_size 4",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("renders histograms with cumulative buckets", () => {
+    let time = 0;
+    const registry = createMetricsRegistry({ now: () => time });
+    const latency = registry.histogram({
+      name: "latency_seconds",
+      help: "Latency",
+      labelNames: ["route"],
+      buckets: [1, 0.1],
+    });
+    latency.observe({ route: "/a" }, 0.05);
+    const end = latency.startTimer({ route: "/a" });
+    time = 500;
+    end();
+
+    expect(registry.render().split("\n")).toEqual(
+      expect.arrayContaining([
+        "# TYPE latency_seconds histogram",
+        'latency_seconds_bucket{route="/a",le="0.1"} 1',
+        'latency_seconds_bucket{route="/a",le="1"} 2',
+        'latency_seconds_bucket{route="/a",le="+Inf"} 2',
+        'latency_seconds_sum{route="/a"} 0.55',
+        'latency_seconds_count{route="/a"} 2',
+      ])
+    );
+  });
+
+  test("rejects unknown labels, negative increments and duplicate names", () => {
+    const registry = createMetricsRegistry();
+    const orders = registry.counter({ name: "orders_total", help: "Orders", labelNames: ["side"] });
+    expect(() => orders.inc({ symbol: "BTC-USDT" })).toThrow("Unknown labels for orders_total: symbol");
+    expect(() => orders.inc({}, -1)).toThrow("Counter orders_total cannot decrease");
+    expect(() => registry.gauge({ name: "orders_total", help: "Again" })).toThrow("registered twice");
+    expect(() => registry.counter({ name: "orders-total", help: "Bad" })).toThrow('Invalid metric name "orders-total"');
+  });
+});
+
+describe("registerProcessMetrics", () => {
+  test("collects uptime on every render", () => {
+    let time = 10000;
+    const registry = createMetricsRegistry();
+    registerProcessMetrics(registry, { startedAt: 10000, now: () => time });
+    expect(registry.render()).toContain("process_uptime_seconds 0\n");
+    time = 70000;
+    const text = registry.render();
+    expect(text).toContain("process_uptime_seconds 60\n");
+    expect(text).toContain("process_start_time_seconds 10\n");
+    expect(text).toMatch(/process_resident_memory_bytes \d+/);
+  });
+});
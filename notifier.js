@@ -0,0 +1,253 @@
+// notifier.js
+//
+// Pushes Telegram messages to subscribed chats when orders fill, stops
+// trigger, positions get close to liquidation or unrealized PnL moves a lot.
+// Order updates come from the user data stream (handleOrderUpdate) or from
+// polling pending orders (poll); positions are always polled because the
+// stream does not carry mark and liquidation prices. Orders that fill between
+// two polls (market orders) never show up as pending, so when polling, a
+// position that opens, changes or closes without a reported order is
+// reported as a fill too. Other modules push their
+// own events (e.g. the daily PnL "summary", finished or stalled "algos")
+// through notify.
+
+const NOTIFICATION_EVENTS = ["fills", "partials", "triggers", "liquidation", "pnl", "summary", "algos"];
+
+const TRIGGER_TYPES = {
+  STOP_MARKET: "Stop loss",
+  STOP: "Stop loss",
+  TAKE_PROFIT_MARKET: "Take profit",
+  TAKE_PROFIT: "Take profit",
+  TRAILING_STOP_MARKET: "Trailing stop",
+};
+
+function createNotifier({
+  store,
+  send,
+  fetchOpenOrders,
+  fetchOrder,
+  fetchPositions,
+  liquidationPercent = 5,
+  pnlMoveUsdt = 50,
+  cooldownMs = 15 * 60 * 1000,
+  now = () => Date.now(),
+  logger = console,
+}) {
+  let knownOrders = null;
+  // Position amounts of the last poll, to spot fills while polling orders
+  let knownPositions = null;
+  const pnlBaselines = new Map();
+  const liquidationAlerts = new Map();
+  let pollTimer = null;
+
+  function subscriptions() {
+    return store.read();
+  }
+
+  function subscribe(chatId, events = NOTIFICATION_EVENTS) {
+    const unknown = events.filter((event) => !NOTIFICATION_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown event(s): ${unknown.join(", ")}. Available: ${NOTIFICATION_EVENTS.join(", ")}`
+      );
+    }
+    store.update((all) => {
+      const current = all[chatId] ? all[chatId].events : [];
+      all[chatId] = {
+        events: [...new Set([...current, ...events])],
+        subscribedAt: all[chatId] ? all[chatId].subscribedAt : now(),
+      };
+    });
+    return subscriptions()[chatId];
+  }
+
+  // Removes the given events, or the whole subscription when none are given
+  function unsubscribe(chatId, events = []) {
+    store.update((all) => {
+      if (!all[chatId]) return;
+      const remaining = all[chatId].events.filter((event) => !events.includes(event));
+      if (events.length === 0 || remaining.length === 0) {
+        delete all[chatId];
+      } else {
+        all[chatId].events = remaining;
+      }
+    });
+    return subscriptions()[chatId] || null;
+  }
+
+  async function notify(event, text) {
+    const chats = Object.entries(subscriptions()).filter(([, subscription]) =>
+      subscription.events.includes(event)
+    );
+    await Promise.all(
+      chats.map(([chatId]) =>
+        Promise.resolve(send(chatId, text)).catch((error) =>
+          logger.error(`Failed to notify chat ${chatId}`, { error: error.message })
+        )
+      )
+    );
+    return chats.length;
+  }
+
+  function describeOrder(order) {
+    const price = parseFloat(order.avgPrice) || parseFloat(order.price) || parseFloat(order.stopPrice);
+    const position = order.positionSide ? ` ${order.positionSide}` : "";
+    return `${order.symbol}${position} ${order.side} ${order.executedQty || order.origQty} @ ${price || "market"}`;
+  }
+
+  // Compares two states of one order and sends the matching notification
+  async function handleOrderUpdate(previous, order) {
+    if (!order) return null;
+    const executed = parseFloat(order.executedQty) || 0;
+    const previouslyExecuted = previous ? parseFloat(previous.executedQty) || 0 : 0;
+
+    if (order.status === "FILLED" && (!previous || previous.status !== "FILLED")) {
+      const trigger = TRIGGER_TYPES[order.type];
+      if (trigger) {
+        return notify("triggers", `⚠️ ${trigger} triggered: ${describeOrder(order)}`);
+      }
+      return notify("fills", `✅ Order filled: ${describeOrder(order)}`);
+    }
+    if (order.status === "PARTIALLY_FILLED" && executed > previouslyExecuted) {
+      return notify(
+        "partials",
+        `◐ Partial fill: ${describeOrder(order)} (${executed} of ${order.origQty})`
+      );
+    }
+    return null;
+  }
+
+  const positionKey = (item) => `${item.symbol}:${item.positionSide}`;
+
+  // Returns the positions (symbol:positionSide) of the orders reported as
+  // filled or partially filled
+  async function checkOrders() {
+    const orders = await fetchOpenOrders();
+    const current = new Map(orders.map((order) => [String(order.orderId), order]));
+    const reported = new Set();
+
+    if (knownOrders) {
+      for (const [orderId, previous] of knownOrders) {
+        let order = current.get(orderId);
+        if (!order) {
+          // Gone from the pending list: filled or cancelled
+          order = await fetchOrder(previous.symbol, orderId).catch(() => null);
+        }
+        if ((await handleOrderUpdate(previous, order)) !== null) {
+          reported.add(positionKey(order));
+        }
+      }
+    }
+    knownOrders = current;
+    return reported;
+  }
+
+  // Position changes not explained by a reported order: fills of orders that
+  // were never pending
+  async function checkPositionFills(amounts, reportedOrders) {
+    if (!knownPositions) return;
+    for (const key of new Set([...knownPositions.keys(), ...amounts.keys()])) {
+      const previous = knownPositions.get(key) || { amount: 0 };
+      const current = amounts.get(key) || { amount: 0 };
+      if (previous.amount === current.amount || reportedOrders.has(key)) continue;
+
+      const label = key.replace(":", " ");
+      const [from, to] = [Math.abs(previous.amount), Math.abs(current.amount)];
+      let text;
+      if (!previous.amount) {
+        text = `✅ Position opened: ${label} ${to} @ ${current.avgPrice || "market"}`;
+      } else if (!current.amount) {
+        text = `✅ Position closed: ${label} ${from}`;
+      } else {
+        text = `✅ Position ${to > from ? "increased" : "reduced"}: ${label} ${from} → ${to}`;
+      }
+      await notify("fills", text);
+    }
+  }
+
+  // reportedOrders is the result of checkOrders, or null when order updates
+  // come from the stream (which reports every fill itself)
+  async function checkPositions(reportedOrders = null) {
+    const positions = await fetchPositions();
+    const seen = new Set();
+    const amounts = new Map();
+
+    for (const position of positions) {
+      const amount = parseFloat(position.positionAmt);
+      if (!amount) continue;
+      const key = positionKey(position);
+      seen.add(key);
+      amounts.set(key, { amount, avgPrice: parseFloat(position.avgPrice) || null });
+
+      const mark = parseFloat(position.markPrice);
+      const liquidation = parseFloat(position.liquidationPrice);
+      if (mark > 0 && liquidation > 0) {
+        const distance = (Math.abs(mark - liquidation) / mark) * 100;
+        const lastAlert = liquidationAlerts.get(key) || 0;
+        if (distance <= liquidationPercent && now() - lastAlert >= cooldownMs) {
+          liquidationAlerts.set(key, now());
+          await notify(
+            "liquidation",
+            `🚨 Liquidation risk: ${position.symbol} ${position.positionSide} mark ${mark} is ${distance.toFixed(2)}% from liquidation at ${liquidation}`
+          );
+        }
+      }
+
+      const pnl = parseFloat(position.unrealizedProfit) || 0;
+      if (!pnlBaselines.has(key)) {
+        pnlBaselines.set(key, pnl);
+      } else if (Math.abs(pnl - pnlBaselines.get(key)) >= pnlMoveUsdt) {
+        const change = pnl - pnlBaselines.get(key);
+        pnlBaselines.set(key, pnl);
+        await notify(
+          "pnl",
+          `${change > 0 ? "📈" : "📉"} ${position.symbol} ${position.positionSide} unrealized PnL moved ${change > 0 ? "+" : ""}${change.toFixed(2)} USDT to ${pnl.toFixed(2)} USDT`
+        );
+      }
+    }
+
+    for (const key of [...pnlBaselines.keys()]) {
+      if (!seen.has(key)) {
+        pnlBaselines.delete(key);
+        liquidationAlerts.delete(key);
+      }
+    }
+
+    if (reportedOrders) await checkPositionFills(amounts, reportedOrders);
+    knownPositions = reportedOrders ? amounts : null;
+  }
+
+  // One polling cycle. Order polling is skipped when a stream delivers them.
+  async function poll({ orders = true } = {}) {
+    if (Object.keys(subscriptions()).length === 0) return;
+    try {
+      await checkPositions(orders ? await checkOrders() : null);
+    } catch (error) {
+      logger.error("Notification poll failed", { error: error.message });
+    }
+  }
+
+  function start(intervalMs = 15000, options = {}) {
+    stop();
+    pollTimer = setInterval(() => poll(options), intervalMs);
+    pollTimer.unref();
+  }
+
+  function stop() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  return {
+    subscribe,
+    unsubscribe,
+    subscriptions,
+    notify,
+    handleOrderUpdate,
+    poll,
+    start,
+    stop,
+  };
+}
+
+module.exports = { NOTIFICATION_EVENTS, createNotifier };
@@ -0,0 +1,120 @@
+// notifier.test.js
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createNotifier } = require("./notifier");
+const { createJsonStore } = require("./json-store");
+
+describe("Notifier", () => {
+  let dir;
+  let sent;
+  let openOrders;
+  let orderDetails;
+  let positions;
+  let notifier;
+
+  function create() {
+    return createNotifier({
+      store: createJsonStore(path.join(dir, "subscriptions.json")),
+      send: async (chatId, text) => sent.push([chatId, text]),
+      fetchOpenOrders: async () => openOrders,
+      fetchOrder: async (symbol, orderId) => orderDetails[orderId],
+      fetchPositions: async () => positions,
+      liquidationPercent: 5,
+      pnlMoveUsdt: 50,
+    });
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "notifier-"));
+    sent = [];
+    openOrders = [];
+    orderDetails = {};
+    positions = [];
+    notifier = create();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should persist subscriptions and per-event filters", () => {
+    notifier.subscribe("42", ["fills", "triggers"]);
+    notifier.unsubscribe("42", ["fills"]);
+    expect(create().subscriptions()).toEqual({
+      42: { events: ["triggers"], subscribedAt: expect.any(Number) },
+    });
+
+    notifier.unsubscribe("42");
+    expect(create().subscriptions()).toEqual({});
+    expect(() => notifier.subscribe("42", ["everything"])).toThrow("Unknown event(s)");
+  });
+
+  it("should report triggered stops found by polling", async () => {
+    notifier.subscribe("1", ["triggers"]);
+    notifier.subscribe("2", ["fills"]);
+    const stop = { symbol: "BTC-USDT", orderId: "9", side: "SELL", positionSide: "LONG", type: "STOP_MARKET", origQty: "1", executedQty: "0", stopPrice: "49000", status: "NEW" };
+    openOrders = [stop];
+    await notifier.poll();
+
+    openOrders = [];
+    orderDetails["9"] = { ...stop, status: "FILLED", executedQty: "1", avgPrice: "48990" };
+    await notifier.poll();
+
+    expect(sent).toEqual([["1", "⚠️ Stop loss triggered: BTC-USDT LONG SELL 1 @ 48990"]]);
+  });
+
+  it("should report market fills found by polling positions once", async () => {
+    notifier.subscribe("1", ["fills"]);
+    const exit = { symbol: "BTC-USDT", orderId: "9", side: "SELL", positionSide: "LONG", type: "LIMIT", origQty: "1", executedQty: "0", price: "51000", status: "NEW" };
+    openOrders = [exit];
+    await notifier.poll();
+
+    positions = [{ symbol: "BTC-USDT", positionSide: "LONG", positionAmt: "1", avgPrice: "50000" }];
+    await notifier.poll();
+    positions = [{ symbol: "BTC-USDT", positionSide: "LONG", positionAmt: "1.5", avgPrice: "50100" }];
+    await notifier.poll();
+
+    // The limit order closing it is reported once, as an order fill
+    openOrders = [];
+    orderDetails["9"] = { ...exit, status: "FILLED", executedQty: "1.5", avgPrice: "51000" };
+    positions = [];
+    await notifier.poll();
+
+    expect(sent.map(([, text]) => text)).toEqual([
+      "✅ Position opened: BTC-USDT LONG 1 @ 50000",
+      "✅ Position increased: BTC-USDT LONG 1 → 1.5",
+      "✅ Order filled: BTC-USDT LONG SELL 1.5 @ 51000",
+    ]);
+
+    positions = [{ symbol: "BTC-USDT", positionSide: "SHORT", positionAmt: "2", avgPrice: "51000" }];
+    await notifier.poll({ orders: false });
+    expect(sent).toHaveLength(3);
+  });
+
+  it("should report fills and partial fills from stream updates", async () => {
+    notifier.subscribe("1");
+    const order = { symbol: "ETH-USDT", orderId: "3", side: "BUY", type: "LIMIT", origQty: "2", price: "3000", executedQty: "0", status: "NEW" };
+    await notifier.handleOrderUpdate(order, { ...order, status: "PARTIALLY_FILLED", executedQty: "1" });
+    await notifier.handleOrderUpdate(order, { ...order, status: "FILLED", executedQty: "2", avgPrice: "3000" });
+
+    expect(sent.map(([, text]) => text)).toEqual([
+      "◐ Partial fill: ETH-USDT BUY 1 @ 3000 (1 of 2)",
+      "✅ Order filled: ETH-USDT BUY 2 @ 3000",
+    ]);
+  });
+
+  it("should warn about liquidation risk once per cooldown and large PnL moves", async () => {
+    notifier.subscribe("1", ["liquidation", "pnl"]);
+    positions = [{ symbol: "BTC-USDT", positionSide: "LONG", positionAmt: "1", markPrice: "100", liquidationPrice: "97", unrealizedProfit: "0" }];
+    await notifier.poll();
+    await notifier.poll();
+    expect(sent).toHaveLength(1);
+    expect(sent[0][1]).toContain("Liquidation risk");
+
+    positions[0].unrealizedProfit = "-60";
+    await notifier.poll();
+    expect(sent[1][1]).toContain("unrealized PnL moved -60.00 USDT");
+  });
+});
@@ -0,0 +1,491 @@
+// openapi.js
+//
+// OpenAPI 3.1 description of the REST API, served at GET /openapi.json.
+// Request bodies reuse the validation schemas so the document and the
+// checks cannot drift apart.
+
+const { SCHEMAS } = require("./validation");
+
+const json = (schema) => ({ "application/json": { schema } });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+function body(name) {
+  return { required: true, content: json(ref(name)) };
+}
+
+function ok(description = "BingX API response") {
+  return {
+    200: { description, content: json(ref("ExchangeResponse")) },
+    400: { $ref: "#/components/responses/Error" },
+    401: { $ref: "#/components/responses/Error" },
+    403: { $ref: "#/components/responses/Error" },
+    500: { $ref: "#/components/responses/Error" },
+  };
+}
+
+function pathParam(name, schema, description) {
+  return { name, in: "path", required: true, schema, description };
+}
+
+const symbolParam = pathParam("symbol", SCHEMAS.SymbolParams.properties.symbol);
+const strategyParam = pathParam("name", { type: "string" }, "Strategy name");
+const accountParam = pathParam("account", { type: "string" }, "Account name");
+
+const PATHS = {
+  "/balance": {
+    get: { summary: "Account balance", tags: ["Account"], responses: ok() },
+  },
+  "/positions": {
+    get: { summary: "Open positions", tags: ["Positions"], responses: ok() },
+  },
+  "/positions/{symbol}/close": {
+    post: {
+      summary: "Close one side of a position",
+      tags: ["Positions"],
+      parameters: [symbolParam],
+      requestBody: body("ClosePositionRequest"),
+      responses: ok(),
+    },
+  },
+  "/positions/{symbol}/margin": {
+    post: {
+      summary: "Add margin to an isolated position, or remove it with a negative amount",
+      tags: ["Positions"],
+      parameters: [symbolParam],
+      requestBody: body("PositionMarginRequest"),
+      responses: ok(),
+    },
+  },
+  "/settings/{symbol}": {
+    get: {
+      summary: "Leverage, margin mode and position mode for a symbol",
+      tags: ["Positions"],
+      parameters: [symbolParam],
+      responses: ok("{ symbol, longLeverage, shortLeverage, maxLongLeverage, maxShortLeverage, marginType, hedgeMode }"),
+    },
+  },
+  "/settings/{symbol}/leverage": {
+    post: {
+      summary: "Set the leverage of a symbol",
+      tags: ["Positions"],
+      parameters: [symbolParam],
+      requestBody: body("LeverageRequest"),
+      responses: ok("One BingX response per side changed"),
+    },
+  },
+  "/settings/{symbol}/margin-type": {
+    post: {
+      summary: "Switch a symbol between isolated and cross margin",
+      description: "BingX refuses the switch while the symbol has open positions or orders.",
+      tags: ["Positions"],
+      parameters: [symbolParam],
+      requestBody: body("MarginTypeRequest"),
+      responses: ok(),
+    },
+  },
+  "/position-mode": {
+    get: { summary: "Whether the account is in hedge or one-way mode", tags: ["Positions"], responses: ok() },
+    post: {
+      summary: "Switch the account between hedge and one-way mode",
+      description: "BingX refuses the switch while the account has open positions or orders.",
+      tags: ["Positions"],
+      requestBody: body("PositionModeRequest"),
+      responses: ok(),
+    },
+  },
+  "/positions/close-all": {
+    post: {
+      summary: "Close all positions, optionally for one symbol",
+      tags: ["Positions"],
+      requestBody: { ...body("SymbolFilterRequest"), required: false },
+      responses: ok("One BingX response per closed position"),
+    },
+  },
+  "/orders": {
+    get: { summary: "Pending orders", tags: ["Orders"], responses: ok() },
+    post: {
+      summary: "Place a market or limit order",
+      tags: ["Orders"],
+      requestBody: body("OrderRequest"),
+      responses: ok(),
+    },
+  },
+  "/orders/risk": {
+    post: {
+      summary: "Market order sized from a risk percentage, with its stop loss",
+      description:
+        "quantity = equity * riskPercent / |last price - stopPrice|, rounded down to the contract quantity step and checked against its minimum quantity and notional.",
+      tags: ["Orders"],
+      requestBody: body("RiskOrderRequest"),
+      responses: ok("Sizing plan, entry response and stop loss response (null with an error if it failed)"),
+    },
+  },
+  "/sizing": {
+    post: {
+      summary: "Preview the size of a risk based order without placing it",
+      tags: ["Orders"],
+      requestBody: body("RiskOrderRequest"),
+      responses: ok("Sizing plan"),
+    },
+  },
+  "/algos": {
+    get: {
+      summary: "Execution algos, optionally filtered by status",
+      tags: ["Algos"],
+      parameters: [
+        {
+          name: "status",
+          in: "query",
+          schema: { type: "string", enum: ["running", "paused", "completed", "cancelled"] },
+        },
+      ],
+      responses: ok("Algos with their progress"),
+    },
+    post: {
+      summary: "Start a scaled, iceberg, TWAP or VWAP execution",
+      description:
+        "scaled needs priceFrom, priceTo and orders; iceberg needs price and visibleQuantity; twap and vwap need durationMinutes. Algos run on a timer and survive restarts.",
+      tags: ["Algos"],
+      requestBody: body("AlgoRequest"),
+      responses: ok("The algo after its first step"),
+    },
+  },
+  "/algos/{id}": {
+    get: {
+      summary: "One algo with its child orders",
+      tags: ["Algos"],
+      parameters: [pathParam("id", { type: "string" })],
+      responses: ok("Algo"),
+    },
+  },
+  "/algos/{id}/{action}": {
+    post: {
+      summary: "Pause, resume or cancel an algo",
+      description: "Pausing and cancelling cancel the working child orders; resuming places what is left.",
+      tags: ["Algos"],
+      parameters: [
+        pathParam("id", { type: "string" }),
+        pathParam("action", { type: "string", enum: ["pause", "resume", "cancel"] }),
+      ],
+      responses: ok("Algo"),
+    },
+  },
+  "/alerts": {
+    get: {
+      summary: "Alerts, optionally for one chat",
+      description: "Below admin, an API key only lists the alerts it created.",
+      tags: ["Alerts"],
+      parameters: [
+        { name: "chatId", in: "query", schema: { type: "string" } },
+        { name: "status", in: "query", schema: { type: "string", enum: ["active", "triggered"] } },
+      ],
+      responses: ok("Alerts with their last checked value"),
+    },
+    post: {
+      summary: "Create a price, change, funding, PnL or indicator alert",
+      description:
+        "The alert is checked every ALERT_POLL_MS and fires a Telegram message to chatId, which must be a TELEGRAM_USERS chat. Needs trader. One-shot alerts fire once; repeating alerts fire again after the condition has cleared.",
+      tags: ["Alerts"],
+      requestBody: body("AlertRequest"),
+      responses: ok("Alert"),
+    },
+  },
+  "/alerts/{id}": {
+    delete: {
+      summary: "Remove an alert",
+      description: "Needs trader. Below admin, an API key can only remove the alerts it created; others answer 404.",
+      tags: ["Alerts"],
+      parameters: [pathParam("id", { type: "string" })],
+      responses: ok("The removed alert"),
+    },
+  },
+  "/orders/cancel-all": {
+    post: {
+      summary: "Cancel all pending orders, optionally for one symbol",
+      tags: ["Orders"],
+      requestBody: { ...body("SymbolFilterRequest"), required: false },
+      responses: ok("One BingX response per cancelled order"),
+    },
+  },
+  "/orders/{symbol}/{orderId}": {
+    delete: {
+      summary: "Cancel an order",
+      tags: ["Orders"],
+      parameters: [symbolParam, pathParam("orderId", { type: "string" })],
+      responses: ok(),
+    },
+  },
+  "/orders/{symbol}/stop-loss": {
+    post: {
+      summary: "Set a stop loss for the open position",
+      tags: ["Orders"],
+      parameters: [symbolParam],
+      requestBody: body("StopPriceRequest"),
+      responses: ok(),
+    },
+  },
+  "/orders/{symbol}/take-profit": {
+    post: {
+      summary: "Set a take profit for the open position",
+      tags: ["Orders"],
+      parameters: [symbolParam],
+      requestBody: body("StopPriceRequest"),
+      responses: ok(),
+    },
+  },
+  "/orders/{symbol}/trailing-stop": {
+    post: {
+      summary: "Set a trailing stop for the open position",
+      tags: ["Orders"],
+      parameters: [symbolParam],
+      requestBody: body("TrailingStopRequest"),
+      responses: ok(),
+    },
+  },
+  "/brackets": {
+    get: {
+      summary: "Bracket orders",
+      tags: ["Orders"],
+      parameters: [
+        {
+          name: "status",
+          in: "query",
+          schema: { type: "string", enum: ["active", "unprotected", "closed", "cancelled"] },
+        },
+      ],
+      responses: ok("Brackets with their entry and exit orders"),
+    },
+    post: {
+      summary: "Market entry with an attached stop loss and take profit",
+      description: "When one exit fills the other one is cancelled (OCO).",
+      tags: ["Orders"],
+      requestBody: body("BracketRequest"),
+      responses: ok("The new bracket"),
+    },
+  },
+  "/accounts": {
+    get: {
+      summary: "Configured accounts and copy trading setup",
+      tags: ["Accounts"],
+      responses: ok("Account names, the exchange of each, the default account and the copy trading leader/followers"),
+    },
+  },
+  "/accounts/balances": {
+    get: {
+      summary: "Balances of every account with totals",
+      tags: ["Accounts"],
+      responses: ok("Per account balances (or errors) and summed totals"),
+    },
+  },
+  "/accounts/positions": {
+    get: {
+      summary: "Open positions of every account",
+      tags: ["Accounts"],
+      responses: ok("Positions tagged with their account, plus accounts that failed"),
+    },
+  },
+  "/accounts/{account}/positions": {
+    get: {
+      summary: "Open positions of one account",
+      description:
+        "Every route can be prefixed with /accounts/{account} to run against that account, e.g. POST /accounts/hedge/orders.",
+      tags: ["Accounts"],
+      parameters: [accountParam],
+      responses: ok(),
+    },
+  },
+  "/journal": {
+    get: {
+      summary: "Trade journal, newest first",
+      description:
+        "Order requests, exchange responses, fills, cancels, closes and risk rejections, tagged with their source.",
+      tags: ["Journal"],
+      parameters: [
+        { name: "symbol", in: "query", schema: { type: "string" } },
+        { name: "days", in: "query", schema: { type: "number" } },
+        { name: "since", in: "query", schema: { type: "integer" }, description: "Epoch ms" },
+        { name: "until", in: "query", schema: { type: "integer" }, description: "Epoch ms" },
+        {
+          name: "source",
+          in: "query",
+          schema: { type: "string", enum: ["bot", "rest", "strategy", "webhook", "copy", "algo", "system"] },
+        },
+        {
+          name: "action",
+          in: "query",
+          schema: { type: "string", enum: ["order", "cancel", "close", "settings", "margin", "fill", "rejected"] },
+        },
+        { name: "account", in: "query", schema: { type: "string" } },
+        { name: "limit", in: "query", schema: { type: "integer" } },
+        { name: "format", in: "query", schema: { type: "string", enum: ["json", "csv"] } },
+      ],
+      responses: ok("Journal entries (JSON array or CSV)"),
+    },
+  },
+  "/reports/pnl": {
+    get: {
+      summary: "PnL, fees, funding, win/loss, average R and drawdown",
+      description:
+        "Totals plus breakdowns per symbol, per strategy and per UTC day. An explicit start/end range must have start before end and span at most 90 days.",
+      tags: ["Reports"],
+      parameters: [
+        {
+          name: "period",
+          in: "query",
+          schema: { type: "string", enum: ["day", "week", "month"], default: "day" },
+        },
+        { name: "start", in: "query", schema: { type: "integer" }, description: "Epoch ms" },
+        { name: "end", in: "query", schema: { type: "integer" }, description: "Epoch ms" },
+      ],
+      responses: ok("PnL report"),
+    },
+  },
+  "/price/{symbol}": {
+    get: { summary: "Last price", tags: ["Market"], parameters: [symbolParam], responses: ok() },
+  },
+  "/indicators/{symbol}": {
+    get: {
+      summary: "Latest indicator values",
+      tags: ["Market"],
+      parameters: [
+        symbolParam,
+        { name: "interval", in: "query", schema: { type: "string", default: "1m" } },
+        { name: "names", in: "query", schema: { type: "string" }, description: "Comma separated" },
+      ],
+      responses: ok("Indicator values"),
+    },
+  },
+  "/trade/{symbol}": {
+    post: {
+      summary: "Run the momentum strategy once",
+      tags: ["Strategies"],
+      parameters: [symbolParam],
+      responses: ok("Decision and order result"),
+    },
+  },
+  "/backtest": {
+    post: {
+      summary: "Replay historical klines through a strategy",
+      tags: ["Strategies"],
+      requestBody: { content: json({ type: "object" }) },
+      responses: ok("Backtest report"),
+    },
+  },
+  "/strategies": {
+    get: { summary: "Registered strategies and runners", tags: ["Strategies"], responses: ok() },
+  },
+  "/strategies/{name}/start": {
+    post: { summary: "Start a strategy", tags: ["Strategies"], parameters: [strategyParam], responses: ok() },
+  },
+  "/strategies/{name}/stop": {
+    post: { summary: "Stop a strategy", tags: ["Strategies"], parameters: [strategyParam], responses: ok() },
+  },
+  "/strategies/{name}/params": {
+    put: { summary: "Update strategy params", tags: ["Strategies"], parameters: [strategyParam], responses: ok() },
+  },
+  "/webhook/signal": {
+    post: {
+      summary: "Execute an alert from an external charting tool",
+      description:
+        "Authenticated by the shared WEBHOOK_SECRET (payload secret or X-Webhook-Secret header) instead of an API key. Alerts with an id are executed once: a repeat within 24 hours answers duplicate, unless the first attempt failed before any step executed. Alerts without an id are never deduplicated.",
+      tags: ["Webhooks"],
+      security: [],
+      requestBody: body("WebhookSignal"),
+      responses: ok("Signal ID, status (executed or duplicate) and step results"),
+    },
+  },
+  "/risk": {
+    get: { summary: "Risk limits and usage", tags: ["Risk"], responses: ok("Risk status") },
+  },
+  "/risk/kill-switch": {
+    post: {
+      summary: "Enable or disable the kill switch",
+      tags: ["Risk"],
+      requestBody: {
+        content: json({ type: "object", properties: { enabled: { type: "boolean" } } }),
+      },
+      responses: ok("Risk status"),
+    },
+  },
+  "/config": {
+    get: {
+      summary: "Settings in use, secrets redacted (admin)",
+      tags: ["Config"],
+      responses: ok("Settings by name"),
+    },
+  },
+  "/healthz": {
+    get: {
+      summary: "Liveness: the process is up",
+      tags: ["Monitoring"],
+      security: [],
+      responses: { 200: { description: "status and uptimeSeconds", content: json({ type: "object" }) } },
+    },
+  },
+  "/readyz": {
+    get: {
+      summary: "Readiness: exchanges reachable and clocks in sync",
+      description: "Answers 503 when an exchange does not answer or its clock is off by more than READY_MAX_CLOCK_SKEW_MS.",
+      tags: ["Monitoring"],
+      security: [],
+      responses: {
+        200: { description: "status and the checks by exchange", content: json({ type: "object" }) },
+        503: { description: "status and the checks by exchange", content: json({ type: "object" }) },
+      },
+    },
+  },
+  "/metrics": {
+    get: {
+      summary: "Metrics in the Prometheus text format",
+      description: "Needs a viewer key unless METRICS_PUBLIC is set.",
+      tags: ["Monitoring"],
+      responses: { 200: { description: "Prometheus text format 0.0.4", content: { "text/plain": {} } } },
+    },
+  },
+};
+
+function buildOpenApiDocument({ version = "1.0.0" } = {}) {
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "BingX trading server",
+      version,
+      description:
+        "REST API mirroring the Telegram bot commands. Requests carry X-API-Key; keys with a secret also send X-Timestamp and X-Signature (HMAC-SHA256 of timestamp + method + path + body). Prefix any route with /accounts/{account} to run it against another account.",
+    },
+    security: [{ apiKey: [] }],
+    paths: PATHS,
+    components: {
+      securitySchemes: {
+        apiKey: { type: "apiKey", in: "header", name: "X-API-Key" },
+      },
+      schemas: {
+        ...SCHEMAS,
+        ExchangeResponse: {
+          type: "object",
+          properties: {
+            code: { type: "integer" },
+            msg: { type: "string" },
+            data: {},
+          },
+        },
+        ErrorResponse: {
+          type: "object",
+          required: ["status", "statusCode", "message"],
+          properties: {
+            status: { type: "string", enum: ["error"] },
+            statusCode: { type: "integer" },
+            message: { type: "string" },
+            rule: { type: "string", description: "Risk rule that rejected the order" },
+            details: {},
+          },
+        },
+      },
+      responses: {
+        Error: { description: "Error", content: json(ref("ErrorResponse")) },
+      },
+    },
+  };
+}
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,806 @@
+// paper-exchange.js
+//
+// Simulated BingX perpetual swap exchange used for paper trading. It answers
+// the same endpoints makeRequest calls and returns BingX-shaped responses
+// ({ code, msg, data }), so the rest of the server does not know the
+// difference. Positions are kept in hedge mode (LONG/SHORT) unless the
+// account switches to one-way mode, where orders and positions say BOTH and
+// an order against the open position reduces it; leverage and the margin
+// mode are per symbol, like on BingX.
+
+const DEFAULT_FEES = { maker: 0.0002, taker: 0.0005 };
+
+const CONDITIONAL_TYPES = [
+  "STOP_MARKET",
+  "TAKE_PROFIT_MARKET",
+  "TRAILING_STOP_MARKET",
+];
+
+const MAX_LEVERAGE = 125;
+const MARGIN_TYPES = ["ISOLATED", "CROSSED"];
+
+const ERROR_CODES = {
+  invalidParameter: 80014,
+  insufficientMargin: 101204,
+  noPosition: 101205,
+  orderNotFound: 80018,
+  unsupported: 100400,
+};
+
+function round(value, decimals = 8) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function ok(data) {
+  return { code: 0, msg: "", data };
+}
+
+function fail(code, msg) {
+  return { code, msg, data: {} };
+}
+
+function createPaperExchange({
+  startingBalance = 10000,
+  leverage = 10,
+  fees = DEFAULT_FEES,
+  fetchMarketData = null,
+  onFill = () => {},
+  now = () => Date.now(),
+  logger = console,
+} = {}) {
+  const state = {
+    balance: startingBalance,
+    realisedProfit: 0,
+    positions: new Map(),
+    orders: new Map(),
+    history: new Map(),
+    prices: new Map(),
+    settings: new Map(),
+    fills: [],
+    nextId: 1,
+    hedgeMode: true,
+  };
+  let feedTimer = null;
+
+  function nextId() {
+    return String(now()) + String(state.nextId++).padStart(4, "0");
+  }
+
+  function positionKey(symbol, positionSide) {
+    return `${symbol}:${positionSide}`;
+  }
+
+  // One-way mode keeps the book by LONG/SHORT like hedge mode, with at most
+  // one side open per symbol, and reports that side as BOTH
+  function reportedSide(positionSide) {
+    return state.hedgeMode ? positionSide : "BOTH";
+  }
+
+  function openPosition(symbol) {
+    return [...state.positions.values()].find((position) => position.symbol === symbol) || null;
+  }
+
+  // The position positionSide refers to; BOTH (or none) in one-way mode is
+  // the open position of the symbol
+  function findPosition(symbol, positionSide) {
+    if (!state.hedgeMode && (!positionSide || positionSide === "BOTH")) return openPosition(symbol);
+    return state.positions.get(positionKey(symbol, positionSide)) || null;
+  }
+
+  // { longLeverage, shortLeverage, marginType } of a symbol; new symbols
+  // start at the exchange-wide leverage in cross margin
+  function settingsFor(symbol) {
+    if (!state.settings.has(symbol)) {
+      state.settings.set(symbol, {
+        longLeverage: leverage,
+        shortLeverage: leverage,
+        marginType: "CROSSED",
+      });
+    }
+    return state.settings.get(symbol);
+  }
+
+  function leverageFor(symbol, positionSide) {
+    const settings = settingsFor(symbol);
+    return positionSide === "LONG" ? settings.longLeverage : settings.shortLeverage;
+  }
+
+  function direction(positionSide) {
+    return positionSide === "LONG" ? 1 : -1;
+  }
+
+  function isOpening(side, positionSide) {
+    return (positionSide === "LONG") === (side === "BUY");
+  }
+
+  function unrealizedProfit(position) {
+    const mark = state.prices.get(position.symbol) || position.avgPrice;
+    return (mark - position.avgPrice) * position.amount * direction(position.positionSide);
+  }
+
+  // Initial margin plus whatever was added to an isolated position
+  function positionMargin(position) {
+    return (position.avgPrice * position.amount) / position.leverage + position.extraMargin;
+  }
+
+  function usedMargin() {
+    let total = 0;
+    for (const position of state.positions.values()) {
+      total += positionMargin(position);
+    }
+    return total;
+  }
+
+  function frozenMargin() {
+    let total = 0;
+    for (const order of state.orders.values()) {
+      if (order.type === "LIMIT" && isOpening(order.side, order.positionSide)) {
+        total += (order.price * order.quantity) / leverageFor(order.symbol, order.positionSide);
+      }
+    }
+    return total;
+  }
+
+  function totalUnrealized() {
+    let total = 0;
+    for (const position of state.positions.values()) {
+      total += unrealizedProfit(position);
+    }
+    return total;
+  }
+
+  function availableMargin() {
+    return state.balance + totalUnrealized() - usedMargin() - frozenMargin();
+  }
+
+  function formatPosition(position) {
+    const margin = positionMargin(position);
+    const liquidationOffset = margin / position.amount;
+    return {
+      symbol: position.symbol,
+      positionId: position.positionId,
+      positionSide: reportedSide(position.positionSide),
+      isolated: settingsFor(position.symbol).marginType === "ISOLATED",
+      // Signed in one-way mode, like BingX
+      positionAmt: String(
+        round(state.hedgeMode ? position.amount : position.amount * direction(position.positionSide))
+      ),
+      availableAmt: String(round(position.amount)),
+      unrealizedProfit: String(round(unrealizedProfit(position), 4)),
+      realisedProfit: String(round(position.realisedProfit, 4)),
+      initialMargin: String(round(margin, 4)),
+      avgPrice: String(round(position.avgPrice)),
+      markPrice: String(state.prices.get(position.symbol) || position.avgPrice),
+      leverage: position.leverage,
+      liquidationPrice: round(
+        position.avgPrice - direction(position.positionSide) * liquidationOffset,
+        4
+      ),
+    };
+  }
+
+  function formatOrder(order) {
+    return {
+      symbol: order.symbol,
+      orderId: order.orderId,
+      side: order.side,
+      positionSide: reportedSide(order.positionSide),
+      type: order.type,
+      origQty: String(order.quantity),
+      price: String(order.price || 0),
+      executedQty: String(order.executedQty),
+      avgPrice: String(order.avgPrice),
+      stopPrice: String(order.stopPrice || ""),
+      activationPrice: String(order.activationPrice || ""),
+      priceRate: String(order.callbackRate || ""),
+      status: order.status,
+      time: order.time,
+      updateTime: order.updateTime,
+    };
+  }
+
+  function getBalance() {
+    const unrealized = totalUnrealized();
+    return ok({
+      balance: {
+        userId: "paper",
+        asset: "USDT",
+        balance: String(round(state.balance, 4)),
+        equity: String(round(state.balance + unrealized, 4)),
+        unrealizedProfit: String(round(unrealized, 4)),
+        realisedProfit: String(round(state.realisedProfit, 4)),
+        availableMargin: String(round(availableMargin(), 4)),
+        usedMargin: String(round(usedMargin(), 4)),
+        freezedMargin: String(round(frozenMargin(), 4)),
+      },
+    });
+  }
+
+  function getPositions(params = {}) {
+    const positions = [...state.positions.values()]
+      .filter((position) => !params.symbol || position.symbol === params.symbol)
+      .map(formatPosition);
+    return ok(positions);
+  }
+
+  function getOpenOrders(params = {}) {
+    return [...state.orders.values()]
+      .filter((order) => !params.symbol || order.symbol === params.symbol)
+      .map(formatOrder);
+  }
+
+  // Applies a fill to the position book and the wallet balance.
+  function fill(order, price, isMaker) {
+    const key = positionKey(order.symbol, order.positionSide);
+    const opening = isOpening(order.side, order.positionSide);
+    let position = state.positions.get(key);
+    let quantity = order.quantity;
+    let realised = 0;
+
+    if (!opening) {
+      if (!position) {
+        return fail(ERROR_CODES.noPosition, "No position to close");
+      }
+      quantity = Math.min(quantity, position.amount);
+    }
+
+    const notional = quantity * price;
+    const fee = notional * (isMaker ? fees.maker : fees.taker);
+
+    if (opening) {
+      const positionLeverage = leverageFor(order.symbol, order.positionSide);
+      if (!isMaker && availableMargin() < notional / positionLeverage + fee) {
+        return fail(ERROR_CODES.insufficientMargin, "Insufficient margin");
+      }
+      if (!position) {
+        position = {
+          symbol: order.symbol,
+          positionId: nextId(),
+          positionSide: order.positionSide,
+          amount: 0,
+          avgPrice: 0,
+          leverage: positionLeverage,
+          extraMargin: 0,
+          realisedProfit: 0,
+        };
+        state.positions.set(key, position);
+      }
+      const amount = position.amount + quantity;
+      position.avgPrice = (position.avgPrice * position.amount + price * quantity) / amount;
+      position.amount = amount;
+    } else {
+      realised = (price - position.avgPrice) * quantity * direction(position.positionSide);
+      position.amount = round(position.amount - quantity);
+      position.realisedProfit += realised - fee;
+      state.realisedProfit += realised;
+      state.balance += realised;
+      if (position.amount <= 0) {
+        state.positions.delete(key);
+        cancelProtectiveOrders(order.symbol, order.positionSide);
+      }
+    }
+
+    state.balance -= fee;
+    order.status = "FILLED";
+    order.executedQty = quantity;
+    order.avgPrice = price;
+    order.updateTime = now();
+    state.orders.delete(order.orderId);
+    const fillRecord = {
+      orderId: order.orderId,
+      symbol: order.symbol,
+      side: order.side,
+      positionSide: reportedSide(order.positionSide),
+      type: order.type,
+      quantity,
+      price,
+      fee: round(fee, 8),
+      realisedProfit: round(realised, 8),
+      time: order.updateTime,
+    };
+    state.fills.push(fillRecord);
+    onFill(fillRecord);
+    return ok({ order: formatOrder(order) });
+  }
+
+  // Stops and take profits without an explicit quantity close the whole
+  // position, so they have no meaning once the position is gone.
+  function cancelProtectiveOrders(symbol, positionSide) {
+    for (const order of state.orders.values()) {
+      if (
+        order.symbol === symbol &&
+        order.positionSide === positionSide &&
+        CONDITIONAL_TYPES.includes(order.type) &&
+        order.closePosition
+      ) {
+        order.status = "CANCELLED";
+        order.updateTime = now();
+        state.orders.delete(order.orderId);
+      }
+    }
+  }
+
+  async function currentPrice(symbol) {
+    if (!state.prices.has(symbol) && fetchMarketData) {
+      await fetchMarketData("/openApi/swap/v2/quote/price", { symbol })
+        .then((response) => recordPrice(response))
+        .catch(() => null);
+    }
+    return state.prices.get(symbol);
+  }
+
+  function recordPrice(response) {
+    const data = response && response.data;
+    if (data && data.symbol && data.price) {
+      state.prices.set(data.symbol, parseFloat(data.price));
+    }
+    return response;
+  }
+
+  async function placeOrder(params) {
+    const symbol = params.symbol;
+    const type = String(params.type || params.orderType || "").toUpperCase();
+    let side = String(params.side || "").toUpperCase();
+    let positionSide = String(params.positionSide || "").toUpperCase();
+    let quantity = parseFloat(params.quantity);
+    let closePosition = false;
+
+    if (!symbol) {
+      return fail(ERROR_CODES.invalidParameter, "symbol is required");
+    }
+    if (!["MARKET", "LIMIT", ...CONDITIONAL_TYPES].includes(type)) {
+      return fail(ERROR_CODES.invalidParameter, `Unsupported order type: ${type}`);
+    }
+
+    if (!state.hedgeMode && positionSide && positionSide !== "BOTH") {
+      return fail(ERROR_CODES.invalidParameter, "positionSide must be BOTH in one-way mode");
+    }
+    if (!state.hedgeMode && side) {
+      // Orders against the open position reduce it (up to its size), anything
+      // else opens one
+      const position = openPosition(symbol);
+      const closing = position && side === (position.positionSide === "LONG" ? "SELL" : "BUY");
+      if (!closing && (String(params.reduceOnly) === "true" || CONDITIONAL_TYPES.includes(type))) {
+        return fail(ERROR_CODES.noPosition, "No position to reduce");
+      }
+      positionSide = closing ? position.positionSide : side === "BUY" ? "LONG" : "SHORT";
+    }
+
+    if (CONDITIONAL_TYPES.includes(type) && !side) {
+      // setStopLoss, setTakeProfit and setTrailingStop only send a symbol and
+      // a trigger, so protect the single open position on that symbol.
+      const open = [...state.positions.values()].filter((p) => p.symbol === symbol);
+      if (open.length !== 1) {
+        return fail(
+          ERROR_CODES.noPosition,
+          open.length ? "Ambiguous position, specify side and positionSide" : "No position to close"
+        );
+      }
+      positionSide = open[0].positionSide;
+      side = positionSide === "LONG" ? "SELL" : "BUY";
+    }
+
+    if (!["BUY", "SELL"].includes(side)) {
+      return fail(ERROR_CODES.invalidParameter, "side must be BUY or SELL");
+    }
+    if (!["LONG", "SHORT"].includes(positionSide)) {
+      positionSide = side === "BUY" ? "LONG" : "SHORT";
+    }
+
+    if (isNaN(quantity) || quantity <= 0) {
+      const position = state.positions.get(positionKey(symbol, positionSide));
+      if (!CONDITIONAL_TYPES.includes(type) || !position) {
+        return fail(ERROR_CODES.invalidParameter, "quantity must be a positive number");
+      }
+      quantity = position.amount;
+      closePosition = true;
+    }
+
+    const order = {
+      symbol,
+      orderId: nextId(),
+      side,
+      positionSide,
+      type,
+      quantity,
+      price: parseFloat(params.price) || 0,
+      stopPrice: parseFloat(params.stopPrice) || 0,
+      activationPrice: parseFloat(params.activationPrice) || 0,
+      callbackRate: parseFloat(params.callbackRate || params.priceRate) || 0,
+      closePosition,
+      executedQty: 0,
+      avgPrice: 0,
+      status: "NEW",
+      time: now(),
+      updateTime: now(),
+    };
+
+    if (type === "LIMIT" && !order.price) {
+      return fail(ERROR_CODES.invalidParameter, "price is required for LIMIT orders");
+    }
+    if (["STOP_MARKET", "TAKE_PROFIT_MARKET"].includes(type) && !order.stopPrice) {
+      return fail(ERROR_CODES.invalidParameter, "stopPrice is required");
+    }
+    if (type === "TRAILING_STOP_MARKET" && !order.callbackRate) {
+      return fail(ERROR_CODES.invalidParameter, "callbackRate is required");
+    }
+
+    state.history.set(order.orderId, order);
+    const price = await currentPrice(symbol);
+    if (type === "MARKET") {
+      if (!price) {
+        return fail(ERROR_CODES.invalidParameter, `No price available for ${symbol}`);
+      }
+      return fill(order, price, false);
+    }
+    if (type === "LIMIT" && price && isMarketable(order, price)) {
+      return fill(order, price, false);
+    }
+    if (type === "LIMIT" && isOpening(side, positionSide)) {
+      const required = (order.price * quantity) / leverageFor(symbol, positionSide);
+      if (availableMargin() < required) {
+        return fail(ERROR_CODES.insufficientMargin, "Insufficient margin");
+      }
+    }
+
+    state.orders.set(order.orderId, order);
+    return ok({ order: formatOrder(order) });
+  }
+
+  function isMarketable(order, price) {
+    return order.side === "BUY" ? price <= order.price : price >= order.price;
+  }
+
+  // Returns true when a resting order should execute at the given price.
+  function shouldTrigger(order, price) {
+    const buying = order.side === "BUY";
+    switch (order.type) {
+      case "LIMIT":
+        return isMarketable(order, price);
+      case "STOP_MARKET":
+        return buying ? price >= order.stopPrice : price <= order.stopPrice;
+      case "TAKE_PROFIT_MARKET":
+        return buying ? price <= order.stopPrice : price >= order.stopPrice;
+      case "TRAILING_STOP_MARKET": {
+        if (!order.activated) {
+          const activated =
+            !order.activationPrice ||
+            (buying ? price <= order.activationPrice : price >= order.activationPrice);
+          if (!activated) return false;
+          order.activated = true;
+          order.extreme = price;
+        }
+        order.extreme = buying ? Math.min(order.extreme, price) : Math.max(order.extreme, price);
+        return buying
+          ? price >= order.extreme * (1 + order.callbackRate)
+          : price <= order.extreme * (1 - order.callbackRate);
+      }
+      default:
+        return false;
+    }
+  }
+
+  // Feeds a new market price into the engine, filling resting limit orders
+  // and triggering conditional orders. Returns the orders that executed.
+  function updatePrice(symbol, price) {
+    const parsedPrice = parseFloat(price);
+    if (!symbol || isNaN(parsedPrice) || parsedPrice <= 0) return [];
+    state.prices.set(symbol, parsedPrice);
+
+    const executed = [];
+    for (const order of [...state.orders.values()]) {
+      if (order.symbol !== symbol || !state.orders.has(order.orderId)) continue;
+      if (!shouldTrigger(order, parsedPrice)) continue;
+
+      const isLimit = order.type === "LIMIT";
+      const result = fill(order, isLimit ? order.price : parsedPrice, isLimit);
+      if (result.code !== 0) {
+        order.status = "CANCELLED";
+        order.updateTime = now();
+        state.orders.delete(order.orderId);
+      }
+      executed.push({ ...formatOrder(order), code: result.code, msg: result.msg });
+    }
+    return executed;
+  }
+
+  function cancelOrder(params) {
+    const order = state.orders.get(String(params.orderId));
+    if (!order || (params.symbol && order.symbol !== params.symbol)) {
+      return fail(ERROR_CODES.orderNotFound, "Order does not exist");
+    }
+    order.status = "CANCELLED";
+    order.updateTime = now();
+    state.orders.delete(order.orderId);
+    return ok({ order: formatOrder(order) });
+  }
+
+  function getOrder(params) {
+    const order = state.history.get(String(params.orderId));
+    if (!order || (params.symbol && order.symbol !== params.symbol)) {
+      return fail(ERROR_CODES.orderNotFound, "Order does not exist");
+    }
+    return ok({ order: formatOrder(order) });
+  }
+
+  function cancelAllOrders(params) {
+    const cancelled = getOpenOrders(params).map((order) =>
+      cancelOrder({ orderId: order.orderId }).data.order
+    );
+    return ok({ success: cancelled, failed: null });
+  }
+
+  async function closePosition(params) {
+    let position = null;
+    if (params.positionId) {
+      position = [...state.positions.values()].find(
+        (p) => p.positionId === String(params.positionId)
+      );
+    } else {
+      position = findPosition(params.symbol, String(params.positionSide || "").toUpperCase());
+    }
+    if (!position) {
+      return fail(ERROR_CODES.noPosition, "No position to close");
+    }
+    const price = await currentPrice(position.symbol);
+    const order = {
+      symbol: position.symbol,
+      orderId: nextId(),
+      side: position.positionSide === "LONG" ? "SELL" : "BUY",
+      positionSide: position.positionSide,
+      type: "MARKET",
+      quantity: position.amount,
+      executedQty: 0,
+      avgPrice: 0,
+      status: "NEW",
+      time: now(),
+      updateTime: now(),
+    };
+    state.history.set(order.orderId, order);
+    const result = fill(order, price || position.avgPrice, false);
+    if (result.code !== 0) return result;
+    return ok({
+      orderId: order.orderId,
+      positionId: position.positionId,
+      symbol: order.symbol,
+      side: order.side,
+      type: order.type,
+      origQty: String(order.executedQty),
+    });
+  }
+
+  function getLeverage(params) {
+    const settings = settingsFor(params.symbol);
+    return ok({
+      longLeverage: settings.longLeverage,
+      shortLeverage: settings.shortLeverage,
+      maxLongLeverage: MAX_LEVERAGE,
+      maxShortLeverage: MAX_LEVERAGE,
+    });
+  }
+
+  // side BOTH (one-way mode on BingX) sets both sides. Open positions take
+  // the new leverage, so raising their margin must fit the available margin.
+  function setLeverage(params) {
+    const value = Number(params.leverage);
+    const side = String(params.side || "").toUpperCase();
+    if (!Number.isInteger(value) || value < 1 || value > MAX_LEVERAGE) {
+      return fail(ERROR_CODES.invalidParameter, `leverage must be an integer from 1 to ${MAX_LEVERAGE}`);
+    }
+    if (!["LONG", "SHORT", "BOTH"].includes(side)) {
+      return fail(ERROR_CODES.invalidParameter, "side must be LONG, SHORT or BOTH");
+    }
+    const settings = settingsFor(params.symbol);
+    const previous = { ...settings };
+    const sides = side === "BOTH" ? ["LONG", "SHORT"] : [side];
+    const apply = (values) => {
+      Object.assign(settings, values);
+      for (const positionSide of ["LONG", "SHORT"]) {
+        const position = state.positions.get(positionKey(params.symbol, positionSide));
+        if (position) position.leverage = leverageFor(params.symbol, positionSide);
+      }
+    };
+    apply(
+      Object.fromEntries(
+        sides.map((s) => [s === "LONG" ? "longLeverage" : "shortLeverage", value])
+      )
+    );
+    if (availableMargin() < 0) {
+      apply(previous);
+      return fail(ERROR_CODES.insufficientMargin, `Insufficient margin for ${value}x leverage`);
+    }
+    return ok({ symbol: params.symbol, side, leverage: value });
+  }
+
+  function getMarginType(params) {
+    return ok({ symbol: params.symbol, marginType: settingsFor(params.symbol).marginType });
+  }
+
+  function setMarginType(params) {
+    const marginType = String(params.marginType || "").toUpperCase();
+    if (!MARGIN_TYPES.includes(marginType)) {
+      return fail(ERROR_CODES.invalidParameter, "marginType must be ISOLATED or CROSSED");
+    }
+    const busy =
+      [...state.positions.values()].some((p) => p.symbol === params.symbol) ||
+      getOpenOrders({ symbol: params.symbol }).length > 0;
+    if (busy) {
+      return fail(
+        ERROR_CODES.invalidParameter,
+        "The margin mode cannot be changed with open positions or orders"
+      );
+    }
+    settingsFor(params.symbol).marginType = marginType;
+    return ok({ symbol: params.symbol, marginType });
+  }
+
+  // Like on BingX, the mode only changes without positions or open orders
+  function setPositionMode(params) {
+    const hedgeMode = String(params.dualSidePosition) === "true";
+    if (hedgeMode !== state.hedgeMode && (state.positions.size > 0 || state.orders.size > 0)) {
+      return fail(
+        ERROR_CODES.invalidParameter,
+        "The position mode cannot be changed with open positions or orders"
+      );
+    }
+    state.hedgeMode = hedgeMode;
+    return ok({ dualSidePosition: String(hedgeMode) });
+  }
+
+  // type 1 adds margin to an isolated position, type 2 takes back margin
+  // added earlier
+  function adjustPositionMargin(params) {
+    const amount = parseFloat(params.amount);
+    const type = Number(params.type);
+    const position = findPosition(params.symbol, String(params.positionSide || "").toUpperCase());
+    if (!(amount > 0) || ![1, 2].includes(type)) {
+      return fail(ERROR_CODES.invalidParameter, "amount must be positive and type 1 or 2");
+    }
+    if (!position) {
+      return fail(ERROR_CODES.noPosition, "No position to adjust");
+    }
+    if (settingsFor(position.symbol).marginType !== "ISOLATED") {
+      return fail(ERROR_CODES.invalidParameter, "Margin can only be adjusted on isolated positions");
+    }
+    if (type === 1 && availableMargin() < amount) {
+      return fail(ERROR_CODES.insufficientMargin, "Insufficient margin");
+    }
+    if (type === 2 && amount > position.extraMargin + 1e-9) {
+      return fail(
+        ERROR_CODES.invalidParameter,
+        `At most ${round(position.extraMargin, 4)} USDT of added margin can be removed`
+      );
+    }
+    position.extraMargin = round(position.extraMargin + (type === 1 ? amount : -amount));
+    return ok({ symbol: position.symbol, positionSide: reportedSide(position.positionSide), amount, type });
+  }
+
+  function inRange(time, start, end) {
+    return (!start || time >= Number(start)) && (!end || time <= Number(end));
+  }
+
+  // Income history: realized PnL per closing fill and the fee of every fill.
+  // The simulation has no funding.
+  function getIncome(params = {}) {
+    const records = [];
+    for (const fill of state.fills) {
+      if (params.symbol && fill.symbol !== params.symbol) continue;
+      if (!inRange(fill.time, params.startTime, params.endTime)) continue;
+      const base = { symbol: fill.symbol, asset: "USDT", time: fill.time, tradeId: fill.orderId };
+      if (fill.realisedProfit) {
+        records.push({ ...base, incomeType: "REALIZED_PNL", income: String(fill.realisedProfit) });
+      }
+      records.push({ ...base, incomeType: "TRADING_FEE", income: String(-fill.fee) });
+    }
+    return ok(
+      records
+        .filter((record) => !params.incomeType || record.incomeType === params.incomeType)
+        .slice(-(parseInt(params.limit, 10) || 1000))
+    );
+  }
+
+  function getFillHistory(params = {}) {
+    const fills = state.fills
+      .filter((fill) => !params.symbol || fill.symbol === params.symbol)
+      .filter((fill) => inRange(fill.time, params.startTs, params.endTs))
+      .map((fill) => ({
+        orderId: fill.orderId,
+        symbol: fill.symbol,
+        side: fill.side,
+        positionSide: fill.positionSide,
+        volume: String(fill.quantity),
+        price: String(fill.price),
+        amount: String(round(fill.quantity * fill.price)),
+        commission: String(-fill.fee),
+        realisedPNL: String(fill.realisedProfit),
+        currency: "USDT",
+        filledTm: new Date(fill.time).toISOString(),
+      }));
+    return ok({ fill_orders: fills });
+  }
+
+  async function proxyMarketData(endpoint, params) {
+    if (!fetchMarketData) {
+      return fail(ERROR_CODES.unsupported, `No market data source for ${endpoint}`);
+    }
+    return recordPrice(await fetchMarketData(endpoint, params));
+  }
+
+  const routes = {
+    "GET /openApi/swap/v2/time": () => ok({ serverTime: now() }),
+    "GET /openApi/swap/v2/user/balance": getBalance,
+    "GET /openApi/swap/v2/user/positions": getPositions,
+    "GET /openApi/contract/v1/allPosition": getPositions,
+    "GET /openApi/swap/v2/trade/openOrders": (params) => ok({ orders: getOpenOrders(params) }),
+    "GET /openApi/contract/v1/allOrders": (params) => ok(getOpenOrders(params)),
+    "GET /openApi/swap/v2/trade/order": getOrder,
+    "GET /openApi/swap/v2/user/income": getIncome,
+    "GET /openApi/swap/v2/trade/allFillOrders": getFillHistory,
+    "POST /openApi/swap/v2/trade/order": placeOrder,
+    "POST /openApi/contract/v1/trade/order": placeOrder,
+    "POST /openApi/swap/v2/trade/cancelOrder": cancelOrder,
+    "DELETE /openApi/swap/v2/trade/order": cancelOrder,
+    "DELETE /openApi/swap/v2/trade/allOpenOrders": cancelAllOrders,
+    "POST /openApi/swap/v2/trade/closePosition": closePosition,
+    "POST /openApi/swap/v1/trade/closePosition": closePosition,
+    "GET /openApi/swap/v2/trade/leverage": getLeverage,
+    "POST /openApi/swap/v2/trade/leverage": setLeverage,
+    "GET /openApi/swap/v2/trade/marginType": getMarginType,
+    "POST /openApi/swap/v2/trade/marginType": setMarginType,
+    "GET /openApi/swap/v1/positionSide/dual": () => ok({ dualSidePosition: String(state.hedgeMode) }),
+    "POST /openApi/swap/v1/positionSide/dual": setPositionMode,
+    "POST /openApi/swap/v2/trade/positionMargin": adjustPositionMargin,
+  };
+
+  // Entry point used by makeRequest in paper trading mode.
+  async function handleRequest(method, endpoint, params = {}) {
+    const handler = routes[`${method.toUpperCase()} ${endpoint}`];
+    if (handler) {
+      return handler(params);
+    }
+    if (method.toUpperCase() === "GET" && endpoint.startsWith("/openApi/swap/v2/quote/")) {
+      return proxyMarketData(endpoint, params);
+    }
+    return fail(ERROR_CODES.unsupported, `Paper exchange does not support ${method} ${endpoint}`);
+  }
+
+  // Polls the price of every symbol with a position or a resting order.
+  function startPriceFeed(intervalMs = 5000) {
+    stopPriceFeed();
+    feedTimer = setInterval(async () => {
+      const symbols = new Set([
+        ...[...state.positions.values()].map((p) => p.symbol),
+        ...[...state.orders.values()].map((o) => o.symbol),
+      ]);
+      for (const symbol of symbols) {
+        try {
+          const response = await fetchMarketData("/openApi/swap/v2/quote/price", { symbol });
+          if (response && response.data && response.data.price) {
+            updatePrice(symbol, response.data.price);
+          }
+        } catch (error) {
+          logger.error(`Paper price feed failed for ${symbol}`, { error: error.message });
+        }
+      }
+    }, intervalMs);
+    feedTimer.unref();
+  }
+
+  function stopPriceFeed() {
+    if (feedTimer) {
+      clearInterval(feedTimer);
+      feedTimer = null;
+    }
+  }
+
+  return {
+    handleRequest,
+    updatePrice,
+    startPriceFeed,
+    stopPriceFeed,
+    getFills: () => [...state.fills],
+  };
+}
+
+module.exports = { createPaperExchange };
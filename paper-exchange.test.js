@@ -0,0 +1,270 @@
+// paper-exchange.test.js
+
+const { createPaperExchange } = require("./paper-exchange");
+
+describe("Paper exchange", () => {
+  let exchange;
+
+  beforeEach(() => {
+    exchange = createPaperExchange({ startingBalance: 10000, leverage: 10 });
+    exchange.updatePrice("BTC-USDT", 50000);
+  });
+
+  it("should return a BingX-shaped balance", async () => {
+    const res = await exchange.handleRequest("GET", "/openApi/swap/v2/user/balance");
+    expect(res.code).toBe(0);
+    expect(res.data.balance.asset).toBe("USDT");
+    expect(res.data.balance.balance).toBe("10000");
+  });
+
+  it("should fill market orders and open a position", async () => {
+    const res = await exchange.handleRequest("POST", "/openApi/contract/v1/trade/order", {
+      symbol: "BTC-USDT",
+      side: "BUY",
+      orderType: "MARKET",
+      quantity: 0.1,
+    });
+    expect(res.code).toBe(0);
+    expect(res.data.order.status).toBe("FILLED");
+
+    const positions = await exchange.handleRequest("GET", "/openApi/contract/v1/allPosition");
+    expect(positions.data).toHaveLength(1);
+    expect(positions.data[0]).toMatchObject({
+      symbol: "BTC-USDT",
+      positionSide: "LONG",
+      positionAmt: "0.1",
+    });
+  });
+
+  it("should rest limit orders until the price crosses", async () => {
+    await exchange.handleRequest("POST", "/openApi/swap/v2/trade/order", {
+      symbol: "BTC-USDT",
+      side: "BUY",
+      type: "LIMIT",
+      quantity: 0.1,
+      price: 49000,
+    });
+    let orders = await exchange.handleRequest("GET", "/openApi/contract/v1/allOrders");
+    expect(orders.data).toHaveLength(1);
+
+    const executed = exchange.updatePrice("BTC-USDT", 48900);
+    expect(executed).toHaveLength(1);
+    expect(executed[0].avgPrice).toBe("49000");
+
+    orders = await exchange.handleRequest("GET", "/openApi/swap/v2/trade/openOrders");
+    expect(orders.data.orders).toHaveLength(0);
+  });
+
+  it("should trigger a stop loss attached to the open position", async () => {
+    await exchange.handleRequest("POST", "/openApi/contract/v1/trade/order", {
+      symbol: "BTC-USDT",
+      side: "BUY",
+      orderType: "MARKET",
+      quantity: 0.1,
+    });
+    const stop = await exchange.handleRequest("POST", "/openApi/swap/v2/trade/order", {
+      symbol: "BTC-USDT",
+      type: "STOP_MARKET",
+      stopPrice: 49000,
+    });
+    expect(stop.data.order).toMatchObject({ side: "SELL", positionSide: "LONG" });
+
+    expect(exchange.updatePrice("BTC-USDT", 49500)).toHaveLength(0);
+    expect(exchange.updatePrice("BTC-USDT", 48950)).toHaveLength(1);
+
+    const positions = await exchange.handleRequest("GET", "/openApi/swap/v2/user/positions");
+    expect(positions.data).toHaveLength(0);
+    const balance = await exchange.handleRequest("GET", "/openApi/swap/v2/user/balance");
+    expect(parseFloat(balance.data.balance.realisedProfit)).toBeCloseTo(-105, 4);
+  });
+
+  it("should trail the high before triggering a trailing stop", async () => {
+    await exchange.handleRequest("POST", "/openApi/contract/v1/trade/order", {
+      symbol: "BTC-USDT",
+      side: "BUY",
+      orderType: "MARKET",
+      quantity: 0.1,
+    });
+    await exchange.handleRequest("POST", "/openApi/swap/v2/trade/order", {
+      symbol: "BTC-USDT",
+      type: "TRAILING_STOP_MARKET",
+      activationPrice: 51000,
+      callbackRate: 0.01,
+    });
+
+    expect(exchange.updatePrice("BTC-USDT", 50400)).toHaveLength(0);
+    expect(exchange.updatePrice("BTC-USDT", 52000)).toHaveLength(0);
+    expect(exchange.updatePrice("BTC-USDT", 51600)).toHaveLength(0);
+    const executed = exchange.updatePrice("BTC-USDT", 51400);
+    expect(executed).toHaveLength(1);
+    expect(executed[0].type).toBe("TRAILING_STOP_MARKET");
+  });
+
+  it("should close positions and cancel orders", async () => {
+    await exchange.handleRequest("POST", "/openApi/contract/v1/trade/order", {
+      symbol: "BTC-USDT",
+      side: "SELL",
+      orderType: "MARKET",
+      quantity: 0.2,
+    });
+    const placed = await exchange.handleRequest("POST", "/openApi/swap/v2/trade/order", {
+      symbol: "BTC-USDT",
+      side: "SELL",
+      type: "LIMIT",
+      quantity: 0.1,
+      price: 55000,
+    });
+
+    const cancelled = await exchange.handleRequest("POST", "/openApi/swap/v2/trade/cancelOrder", {
+      symbol: "BTC-USDT",
+      orderId: placed.data.order.orderId,
+    });
+    expect(cancelled.data.order.status).toBe("CANCELLED");
+
+    const closed = await exchange.handleRequest("POST", "/openApi/swap/v2/trade/closePosition", {
+      symbol: "BTC-USDT",
+      positionSide: "SHORT",
+    });
+    expect(closed.code).toBe(0);
+    expect(closed.data.side).toBe("BUY");
+  });
+
+  it("should reject orders that exceed the available margin", async () => {
+    const res = await exchange.handleRequest("POST", "/openApi/contract/v1/trade/order", {
+      symbol: "BTC-USDT",
+      side: "BUY",
+      orderType: "MARKET",
+      quantity: 5,
+    });
+    expect(res.code).toBe(101204);
+  });
+
+  it("should report income and fill history", async () => {
+    const order = { symbol: "BTC-USDT", type: "MARKET" };
+    await exchange.handleRequest("POST", "/openApi/swap/v2/trade/order", {
+      ...order,
+      side: "BUY",
+      quantity: 0.1,
+    });
+    exchange.updatePrice("BTC-USDT", 51000);
+    await exchange.handleRequest("POST", "/openApi/swap/v2/trade/order", {
+      ...order,
+      side: "SELL",
+      positionSide: "LONG",
+      quantity: 0.1,
+    });
+
+    const income = await exchange.handleRequest("GET", "/openApi/swap/v2/user/income");
+    expect(income.data.map((record) => [record.incomeType, record.income])).toEqual([
+      ["TRADING_FEE", "-2.5"],
+      ["REALIZED_PNL", "100"],
+      ["TRADING_FEE", "-2.55"],
+    ]);
+
+    const fills = await exchange.handleRequest("GET", "/openApi/swap/v2/trade/allFillOrders", {
+      symbol: "BTC-USDT",
+    });
+    expect(fills.data.fill_orders).toHaveLength(2);
+    expect(fills.data.fill_orders[1]).toMatchObject({ side: "SELL", price: "51000", realisedPNL: "100" });
+  });
+
+  it("should keep leverage and margin mode per symbol", async () => {
+    const set = await exchange.handleRequest("POST", "/openApi/swap/v2/trade/leverage", {
+      symbol: "BTC-USDT",
+      side: "LONG",
+      leverage: 20,
+    });
+    expect(set.code).toBe(0);
+    const leverage = await exchange.handleRequest("GET", "/openApi/swap/v2/trade/leverage", {
+      symbol: "BTC-USDT",
+    });
+    expect(leverage.data).toMatchObject({ longLeverage: 20, shortLeverage: 10 });
+
+    await exchange.handleRequest("POST", "/openApi/swap/v2/trade/marginType", {
+      symbol: "BTC-USDT",
+      marginType: "ISOLATED",
+    });
+    await exchange.handleRequest("POST", "/openApi/contract/v1/trade/order", {
+      symbol: "BTC-USDT",
+      side: "BUY",
+      orderType: "MARKET",
+      quantity: 0.1,
+    });
+    const positions = await exchange.handleRequest("GET", "/openApi/swap/v2/user/positions");
+    expect(positions.data[0]).toMatchObject({ leverage: 20, isolated: true, initialMargin: "250" });
+
+    const locked = await exchange.handleRequest("POST", "/openApi/swap/v2/trade/marginType", {
+      symbol: "BTC-USDT",
+      marginType: "CROSSED",
+    });
+    expect(locked.code).not.toBe(0);
+    const invalid = await exchange.handleRequest("POST", "/openApi/swap/v2/trade/leverage", {
+      symbol: "BTC-USDT",
+      side: "LONG",
+      leverage: 500,
+    });
+    expect(invalid.code).not.toBe(0);
+  });
+
+  it("should add and remove margin on isolated positions", async () => {
+    await exchange.handleRequest("POST", "/openApi/swap/v2/trade/marginType", {
+      symbol: "BTC-USDT",
+      marginType: "ISOLATED",
+    });
+    await exchange.handleRequest("POST", "/openApi/contract/v1/trade/order", {
+      symbol: "BTC-USDT",
+      side: "BUY",
+      orderType: "MARKET",
+      quantity: 0.1,
+    });
+    const margin = (params) =>
+      exchange.handleRequest("POST", "/openApi/swap/v2/trade/positionMargin", {
+        symbol: "BTC-USDT",
+        positionSide: "LONG",
+        ...params,
+      });
+
+    expect((await margin({ amount: 250, type: 1 })).code).toBe(0);
+    let positions = await exchange.handleRequest("GET", "/openApi/swap/v2/user/positions");
+    // 500 initial + 250 added: liquidation moves from 45000 to 42500
+    expect(positions.data[0]).toMatchObject({ initialMargin: "750", liquidationPrice: 42500 });
+
+    expect((await margin({ amount: 300, type: 2 })).code).not.toBe(0);
+    expect((await margin({ amount: 250, type: 2 })).code).toBe(0);
+    positions = await exchange.handleRequest("GET", "/openApi/swap/v2/user/positions");
+    expect(positions.data[0].initialMargin).toBe("500");
+  });
+
+  it("should switch to one-way mode and protect the position with BOTH stops", async () => {
+    const order = (params) => exchange.handleRequest("POST", "/openApi/swap/v2/trade/order", params);
+    const setMode = (dualSidePosition) =>
+      exchange.handleRequest("POST", "/openApi/swap/v1/positionSide/dual", { dualSidePosition });
+
+    await order({ symbol: "BTC-USDT", side: "BUY", type: "MARKET", quantity: 0.1 });
+    expect((await setMode("false")).msg).toBe(
+      "The position mode cannot be changed with open positions or orders"
+    );
+    await exchange.handleRequest("POST", "/openApi/swap/v2/trade/closePosition", {
+      symbol: "BTC-USDT",
+      positionSide: "LONG",
+    });
+    expect(await setMode("false")).toMatchObject({ code: 0, data: { dualSidePosition: "false" } });
+    const mode = await exchange.handleRequest("GET", "/openApi/swap/v1/positionSide/dual");
+    expect(mode.data.dualSidePosition).toBe("false");
+
+    await order({ symbol: "BTC-USDT", side: "SELL", type: "MARKET", quantity: 0.2 });
+    const positions = await exchange.handleRequest("GET", "/openApi/swap/v2/user/positions");
+    expect(positions.data).toEqual([expect.objectContaining({ positionSide: "BOTH", positionAmt: "-0.2" })]);
+
+    const stopLoss = { symbol: "BTC-USDT", side: "BUY", type: "STOP_MARKET", stopPrice: 51000, quantity: 0.2 };
+    const sided = await order({ ...stopLoss, positionSide: "SHORT" });
+    expect(sided.msg).toBe("positionSide must be BOTH in one-way mode");
+    const wrongWay = await order({ ...stopLoss, side: "SELL", stopPrice: 49000, reduceOnly: "true" });
+    expect(wrongWay.msg).toBe("No position to reduce");
+
+    const stop = await order({ ...stopLoss, positionSide: "BOTH", reduceOnly: "true" });
+    expect(stop.data.order).toMatchObject({ side: "BUY", positionSide: "BOTH", status: "NEW" });
+    expect(exchange.updatePrice("BTC-USDT", 51100)).toHaveLength(1);
+    expect((await exchange.handleRequest("GET", "/openApi/swap/v2/user/positions")).data).toEqual([]);
+  });
+});
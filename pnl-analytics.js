@@ -0,0 +1,357 @@
+// pnl-analytics.js
+//
+// Performance reports built from the exchange income history (realized PnL,
+// trading fees, funding), the fill history, open positions and the account
+// balance. Totals are broken down per symbol, per strategy (the trade journal
+// source of each order) and per UTC day. R-multiples come from closed
+// bracket orders, the only trades with a known initial risk.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIODS = { day: 1, week: 7, month: 30 };
+// BingX serves income and fill history in windows of at most 7 days
+const FETCH_WINDOW_MS = 7 * DAY_MS;
+// Longest explicit start/end range: each 7 days costs two exchange requests
+const MAX_RANGE_MS = 90 * DAY_MS;
+// Income records per request; a full page means older records are left
+const INCOME_PAGE_LIMIT = 1000;
+
+const INCOME_TYPES = {
+  REALIZED_PNL: "realizedPnl",
+  TRADING_FEE: "fees",
+  FUNDING_FEE: "funding",
+};
+
+function toNumber(value) {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? 0 : parsed;
+}
+
+function round(value, decimals = 4) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+function requestError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function dayKey(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+// [{ symbol, kind: realizedPnl|fees|funding, amount, time }]; fees are
+// returned as a positive cost, funding keeps its sign (negative = paid)
+function normalizeIncome(records = []) {
+  return records
+    .filter((record) => INCOME_TYPES[record.incomeType])
+    .map((record) => {
+      const kind = INCOME_TYPES[record.incomeType];
+      const amount = toNumber(record.income);
+      return {
+        symbol: record.symbol,
+        kind,
+        amount: kind === "fees" ? -amount : amount,
+        time: Number(record.time),
+      };
+    })
+    .sort((a, b) => a.time - b.time);
+}
+
+function normalizeFills(data) {
+  const fills = Array.isArray(data) ? data : (data && data.fill_orders) || [];
+  return fills.map((fill) => ({
+    orderId: String(fill.orderId),
+    symbol: fill.symbol,
+    side: fill.side,
+    positionSide: fill.positionSide,
+    quantity: toNumber(fill.volume ?? fill.quantity),
+    price: toNumber(fill.price),
+    fee: Math.abs(toNumber(fill.commission ?? fill.fee)),
+    realizedPnl: toNumber(fill.realisedPNL ?? fill.realizedPnl ?? fill.realisedProfit),
+    time: fill.filledTm ? Date.parse(fill.filledTm) : Number(fill.filledTime ?? fill.time),
+  }));
+}
+
+function emptyStats() {
+  return {
+    realizedPnl: 0,
+    fees: 0,
+    funding: 0,
+    netPnl: 0,
+    unrealizedPnl: 0,
+    trades: 0,
+    wins: 0,
+    losses: 0,
+  };
+}
+
+function finalizeStats(stats) {
+  const decided = stats.wins + stats.losses;
+  return {
+    ...stats,
+    realizedPnl: round(stats.realizedPnl),
+    fees: round(stats.fees),
+    funding: round(stats.funding),
+    netPnl: round(stats.realizedPnl - stats.fees + stats.funding),
+    unrealizedPnl: round(stats.unrealizedPnl),
+    winRate: decided ? round((stats.wins / decided) * 100, 2) : null,
+    winLossRatio: stats.losses ? round(stats.wins / stats.losses, 2) : null,
+  };
+}
+
+function group(map, key) {
+  if (!map.has(key)) map.set(key, emptyStats());
+  return map.get(key);
+}
+
+function finalizeGroups(map) {
+  return Object.fromEntries([...map].map(([key, stats]) => [key, finalizeStats(stats)]));
+}
+
+// R = exit move / initial risk, with the exit at the trigger price of the
+// leg that closed the bracket
+function rMultiple(bracket) {
+  const entry = bracket.entry && bracket.entry.price;
+  const exit = bracket[bracket.closedBy] && bracket[bracket.closedBy].price;
+  const risk = Math.abs(entry - bracket.stopLoss.price);
+  if (!entry || !exit || !risk) return null;
+  const direction = bracket.positionSide === "SHORT" ? -1 : 1;
+  return ((exit - entry) * direction) / risk;
+}
+
+// Pure report from already fetched data. sources maps orderId to the label
+// of whoever placed the order (strategy name, "bot", "rest", ...).
+function buildPnlReport({
+  income = [],
+  fills = [],
+  positions = [],
+  balance = {},
+  sources = new Map(),
+  brackets = [],
+  start,
+  end,
+}) {
+  const totals = emptyStats();
+  const bySymbol = new Map();
+  const byStrategy = new Map();
+  const byDay = new Map();
+
+  for (const record of income) {
+    for (const stats of [totals, group(bySymbol, record.symbol), group(byDay, dayKey(record.time))]) {
+      stats[record.kind] += record.amount;
+    }
+  }
+
+  for (const fill of fills) {
+    const strategy = group(byStrategy, sources.get(fill.orderId) || "unknown");
+    strategy.fees += fill.fee;
+    strategy.realizedPnl += fill.realizedPnl;
+    if (!fill.realizedPnl) continue;
+
+    // A fill with realized PnL closes (part of) a trade
+    const outcome = fill.realizedPnl > 0 ? "wins" : "losses";
+    for (const stats of [totals, strategy, group(bySymbol, fill.symbol), group(byDay, dayKey(fill.time))]) {
+      stats.trades += 1;
+      stats[outcome] += 1;
+    }
+  }
+
+  for (const position of positions) {
+    const unrealized = toNumber(position.unrealizedProfit);
+    if (!toNumber(position.positionAmt)) continue;
+    totals.unrealizedPnl += unrealized;
+    group(bySymbol, position.symbol).unrealizedPnl += unrealized;
+  }
+
+  // Equity curve of the wallet balance, walked back from its current value
+  const netIncome = income.reduce(
+    (sum, record) => sum + (record.kind === "fees" ? -record.amount : record.amount),
+    0
+  );
+  let equity = toNumber(balance.balance) - netIncome;
+  const equityCurve = [{ time: start, equity: round(equity) }];
+  let peak = equity;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+  for (const record of income) {
+    equity += record.kind === "fees" ? -record.amount : record.amount;
+    equityCurve.push({ time: record.time, equity: round(equity) });
+    peak = Math.max(peak, equity);
+    if (peak - equity > maxDrawdown) {
+      maxDrawdown = peak - equity;
+      maxDrawdownPercent = peak > 0 ? ((peak - equity) / peak) * 100 : 0;
+    }
+  }
+
+  const rMultiples = brackets
+    .filter((bracket) => bracket.status === "closed" && bracket.closedAt >= start && bracket.closedAt <= end)
+    .map(rMultiple)
+    .filter((value) => value !== null);
+
+  return {
+    start,
+    end,
+    totals: {
+      ...finalizeStats(totals),
+      equity: round(toNumber(balance.equity)),
+      averageR: rMultiples.length
+        ? round(rMultiples.reduce((sum, value) => sum + value, 0) / rMultiples.length, 2)
+        : null,
+      rTrades: rMultiples.length,
+      maxDrawdown: round(maxDrawdown),
+      maxDrawdownPercent: round(maxDrawdownPercent, 2),
+    },
+    bySymbol: finalizeGroups(bySymbol),
+    byStrategy: finalizeGroups(byStrategy),
+    byDay: finalizeGroups(byDay),
+    equityCurve,
+  };
+}
+
+function signed(value) {
+  return `${value > 0 ? "+" : ""}${value.toFixed(2)}`;
+}
+
+function formatPnlReport(report, label = "") {
+  const { totals } = report;
+  const lines = [
+    `📊 PnL ${label ? `${label} ` : ""}(${dayKey(report.start)} → ${dayKey(report.end)})`,
+    `Net: ${signed(totals.netPnl)} USDT (realized ${signed(totals.realizedPnl)}, fees -${totals.fees.toFixed(2)}, funding ${signed(totals.funding)})`,
+    `Unrealized: ${signed(totals.unrealizedPnl)} USDT, equity ${totals.equity.toFixed(2)} USDT`,
+    `Trades: ${totals.trades} (${totals.wins}W/${totals.losses}L${totals.winRate !== null ? `, win rate ${totals.winRate}%` : ""}${totals.winLossRatio !== null ? `, W/L ${totals.winLossRatio}` : ""})${totals.averageR !== null ? `, avg R ${totals.averageR}` : ""}`,
+    `Max drawdown: ${totals.maxDrawdown.toFixed(2)} USDT (${totals.maxDrawdownPercent}%)`,
+  ];
+  const section = (title, groups) => {
+    const entries = Object.entries(groups);
+    if (entries.length === 0) return;
+    lines.push(title);
+    for (const [key, stats] of entries) {
+      lines.push(`  ${key}: ${signed(stats.netPnl)} (${stats.trades} trades)`);
+    }
+  };
+  section("By symbol:", report.bySymbol);
+  section("By strategy:", report.byStrategy);
+  if (Object.keys(report.byDay).length > 1) section("By day:", report.byDay);
+  return lines.join("\n");
+}
+
+// Milliseconds until the next hourUtc:00
+function msUntilHour(now, hourUtc) {
+  const next = new Date(now);
+  next.setUTCHours(hourUtc, 0, 0, 0);
+  if (next.getTime() <= now) next.setTime(next.getTime() + DAY_MS);
+  return next.getTime() - now;
+}
+
+function createPnlReporter({
+  fetchIncome,
+  fetchFills,
+  fetchPositions,
+  fetchBalance,
+  getOrderSources = () => new Map(),
+  getBrackets = () => [],
+  now = () => Date.now(),
+  logger = console,
+}) {
+  let summaryTimer = null;
+
+  // A page holds the newest records of [start, end]: keep paging back from
+  // the oldest record until a page comes back short. Records sharing the
+  // oldest time may continue on the next page, so they are fetched there.
+  async function fetchIncomePages(start, end) {
+    const records = [];
+    let until = end;
+    for (;;) {
+      const page = await fetchIncome(start, until, INCOME_PAGE_LIMIT);
+      if (page.length < INCOME_PAGE_LIMIT) return [...page, ...records];
+      const oldest = Math.min(...page.map((record) => Number(record.time)));
+      const newer = page.filter((record) => Number(record.time) > oldest);
+      if (newer.length === 0 || oldest <= start) {
+        records.unshift(...page);
+        until = oldest - 1;
+      } else {
+        records.unshift(...newer);
+        until = oldest;
+      }
+      if (until < start) return records;
+    }
+  }
+
+  async function fetchWindows(fetch, start, end) {
+    const results = [];
+    for (let from = start; from < end; from += FETCH_WINDOW_MS) {
+      results.push(...(await fetch(from, Math.min(end, from + FETCH_WINDOW_MS))));
+    }
+    return results;
+  }
+
+  // period: day, week or month back from now, or an explicit start/end
+  async function report({ period = "day", start, end } = {}) {
+    if (!start && !PERIODS[period]) {
+      throw requestError(`Unknown period: ${period}. Use ${Object.keys(PERIODS).join(", ")}`);
+    }
+    const to = end ? Number(end) : now();
+    const from = start ? Number(start) : to - PERIODS[period] * DAY_MS;
+    if (!Number.isFinite(from) || !Number.isFinite(to)) {
+      throw requestError("start and end must be timestamps in milliseconds");
+    }
+    if (from >= to) {
+      throw requestError("start must be before end");
+    }
+    if (to - from > MAX_RANGE_MS) {
+      throw requestError(`The report range is at most ${MAX_RANGE_MS / DAY_MS} days`);
+    }
+
+    const [income, fills, positions, balance] = await Promise.all([
+      fetchWindows(fetchIncomePages, from, to),
+      fetchWindows(fetchFills, from, to),
+      fetchPositions(),
+      fetchBalance(),
+    ]);
+    return buildPnlReport({
+      income: normalizeIncome(income),
+      fills: normalizeFills(fills),
+      positions,
+      balance,
+      sources: getOrderSources(from),
+      brackets: getBrackets(),
+      start: from,
+      end: to,
+    });
+  }
+
+  // Sends the last 24 hours every day at hourUtc
+  function startDailySummary(send, hourUtc = 0) {
+    stopDailySummary();
+    const run = async () => {
+      try {
+        await send(formatPnlReport(await report({ period: "day" }), "daily summary"));
+      } catch (error) {
+        logger.error("Daily PnL summary failed", { error: error.message });
+      }
+      summaryTimer = setTimeout(run, msUntilHour(now(), hourUtc));
+      summaryTimer.unref();
+    };
+    summaryTimer = setTimeout(run, msUntilHour(now(), hourUtc));
+    summaryTimer.unref();
+  }
+
+  function stopDailySummary() {
+    clearTimeout(summaryTimer);
+    summaryTimer = null;
+  }
+
+  return { report, startDailySummary, stopDailySummary };
+}
+
+module.exports = {
+  PERIODS,
+  normalizeIncome,
+  normalizeFills,
+  buildPnlReport,
+  formatPnlReport,
+  msUntilHour,
+  createPnlReporter,
+};
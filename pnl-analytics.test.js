@@ -0,0 +1,183 @@
+// pnl-analytics.test.js
+
+const {
+  normalizeIncome,
+  normalizeFills,
+  buildPnlReport,
+  formatPnlReport,
+  msUntilHour,
+  createPnlReporter,
+} = require("./pnl-analytics");
+
+const DAY = Date.parse("2024-05-10T00:00:00Z");
+const HOUR = 60 * 60 * 1000;
+
+const incomeRecords = [
+  { symbol: "BTC-USDT", incomeType: "TRADING_FEE", income: "-2", time: DAY + HOUR },
+  { symbol: "BTC-USDT", incomeType: "REALIZED_PNL", income: "100", time: DAY + 2 * HOUR },
+  { symbol: "ETH-USDT", incomeType: "REALIZED_PNL", income: "-40", time: DAY + 3 * HOUR },
+  { symbol: "ETH-USDT", incomeType: "FUNDING_FEE", income: "-1", time: DAY + 4 * HOUR },
+  { symbol: "ETH-USDT", incomeType: "TRANSFER", income: "500", time: DAY + 5 * HOUR },
+];
+
+const fillRecords = [
+  ["1", "BTC-USDT", "0.1", "50000", "-1", "0", "2024-05-10T00:30:00Z"],
+  ["2", "BTC-USDT", "0.1", "51000", "-1", "100", "2024-05-10T02:00:00Z"],
+  ["3", "ETH-USDT", "1", "2960", "0", "-40", "2024-05-10T03:00:00Z"],
+].map(([orderId, symbol, volume, price, commission, realisedPNL, filledTm]) => ({
+  orderId,
+  symbol,
+  volume,
+  price,
+  commission,
+  realisedPNL,
+  filledTm,
+}));
+
+describe("PnL analytics", () => {
+  test("normalizes income and fills", () => {
+    const income = normalizeIncome(incomeRecords);
+    expect(income).toHaveLength(4);
+    expect(income[0]).toEqual({ symbol: "BTC-USDT", kind: "fees", amount: 2, time: DAY + HOUR });
+
+    const [fill] = normalizeFills({ fill_orders: fillRecords });
+    expect(fill).toMatchObject({ orderId: "1", quantity: 0.1, fee: 1, realizedPnl: 0 });
+    expect(fill.time).toBe(DAY + HOUR / 2);
+  });
+
+  test("builds totals, breakdowns, drawdown and R-multiples", () => {
+    const report = buildPnlReport({
+      income: normalizeIncome(incomeRecords),
+      fills: normalizeFills(fillRecords),
+      positions: [
+        { symbol: "BTC-USDT", positionAmt: "0.2", unrealizedProfit: "15" },
+        { symbol: "SOL-USDT", positionAmt: "0", unrealizedProfit: "3" },
+      ],
+      balance: { balance: "1057", equity: "1072" },
+      sources: new Map([
+        ["1", "simple-momentum"],
+        ["2", "simple-momentum"],
+        ["3", "bot"],
+      ]),
+      brackets: [
+        {
+          status: "closed",
+          closedAt: DAY + 2 * HOUR,
+          closedBy: "takeProfit",
+          positionSide: "LONG",
+          entry: { price: 100 },
+          stopLoss: { price: 95 },
+          takeProfit: { price: 110 },
+        },
+        {
+          status: "closed",
+          closedAt: DAY + 3 * HOUR,
+          closedBy: "stopLoss",
+          positionSide: "SHORT",
+          entry: { price: 100 },
+          stopLoss: { price: 105 },
+          takeProfit: { price: 90 },
+        },
+      ],
+      start: DAY,
+      end: DAY + 6 * HOUR,
+    });
+
+    expect(report.totals).toMatchObject({
+      realizedPnl: 60,
+      fees: 2,
+      funding: -1,
+      netPnl: 57,
+      unrealizedPnl: 15,
+      equity: 1072,
+      trades: 2,
+      wins: 1,
+      losses: 1,
+      winRate: 50,
+      winLossRatio: 1,
+      averageR: 0.5,
+      rTrades: 2,
+      maxDrawdown: 41,
+      maxDrawdownPercent: 3.73,
+    });
+    expect(report.bySymbol["BTC-USDT"]).toMatchObject({ netPnl: 98, unrealizedPnl: 15, trades: 1 });
+    expect(report.bySymbol["ETH-USDT"]).toMatchObject({ netPnl: -41, losses: 1 });
+    expect(report.byStrategy["simple-momentum"]).toMatchObject({ realizedPnl: 100, fees: 2, netPnl: 98 });
+    expect(report.byStrategy.bot).toMatchObject({ netPnl: -40, trades: 1 });
+    expect(report.byDay["2024-05-10"].netPnl).toBe(57);
+    expect(report.equityCurve[0]).toEqual({ time: DAY, equity: 1000 });
+    expect(report.equityCurve[report.equityCurve.length - 1].equity).toBe(1057);
+
+    const text = formatPnlReport(report, "day");
+    expect(text).toContain("Net: +57.00 USDT");
+    expect(text).toContain("simple-momentum: +98.00 (1 trades)");
+  });
+
+  test("reporter fetches in 7 day windows", async () => {
+    const windows = [];
+    const reporter = createPnlReporter({
+      fetchIncome: async (start, end) => {
+        windows.push([start, end]);
+        return [];
+      },
+      fetchFills: async () => [],
+      fetchPositions: async () => [],
+      fetchBalance: async () => ({ balance: "100", equity: "100" }),
+      now: () => DAY,
+    });
+
+    const report = await reporter.report({ period: "month" });
+    expect(windows).toHaveLength(5);
+    expect(windows[0][0]).toBe(DAY - 30 * 24 * HOUR);
+    expect(windows[4][1]).toBe(DAY);
+    expect(report.totals.trades).toBe(0);
+
+    await expect(reporter.report({ period: "year" })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test("reporter rejects bad and oversized ranges before fetching", async () => {
+    const fetchIncome = jest.fn(async () => []);
+    const reporter = createPnlReporter({
+      fetchIncome,
+      fetchFills: async () => [],
+      fetchPositions: async () => [],
+      fetchBalance: async () => ({ balance: "100", equity: "100" }),
+      now: () => DAY,
+    });
+
+    await expect(reporter.report({ start: "abc" })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(reporter.report({ start: String(DAY), end: String(DAY) })).rejects.toThrow("start must be before end");
+    await expect(reporter.report({ start: "0", end: String(DAY) })).rejects.toThrow("at most 90 days");
+    expect(fetchIncome).not.toHaveBeenCalled();
+  });
+
+  test("reporter pages through full income windows", async () => {
+    // 2500 fees, one per second, the newest 1000 of the range per request
+    const records = Array.from({ length: 2500 }, (_, i) => ({
+      symbol: "BTC-USDT",
+      incomeType: "TRADING_FEE",
+      income: "-1",
+      time: DAY - HOUR + i * 1000,
+    }));
+    const pages = [];
+    const reporter = createPnlReporter({
+      fetchIncome: async (start, end, limit) => {
+        pages.push(end);
+        return records.filter((record) => record.time >= start && record.time <= end).slice(-limit);
+      },
+      fetchFills: async () => [],
+      fetchPositions: async () => [],
+      fetchBalance: async () => ({ balance: "100", equity: "100" }),
+      now: () => DAY + HOUR,
+    });
+
+    const report = await reporter.report({ period: "day" });
+    expect(pages).toHaveLength(3);
+    expect(report.totals.fees).toBe(2500);
+  });
+
+  test("msUntilHour finds the next occurrence", () => {
+    expect(msUntilHour(DAY + HOUR, 8)).toBe(7 * HOUR);
+    expect(msUntilHour(DAY + 9 * HOUR, 8)).toBe(23 * HOUR);
+  });
+});
@@ -0,0 +1,152 @@
+// position-sizing.js
+//
+// Sizes an entry from the share of the account equity to risk and the
+// distance to the stop: quantity = equity * risk% / |entry - stop|. The
+// quantity is rounded down to the contract's quantity step, so the risk taken
+// never exceeds the one asked for, and must reach the contract's minimum
+// quantity and minimum notional (BingX contract info, cached per hour).
+
+const CONTRACTS_TTL_MS = 60 * 60 * 1000;
+
+function sizingError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function decimalsOf(step) {
+  const text = String(step);
+  return text.includes(".") ? text.split(".")[1].length : 0;
+}
+
+// Rounds down to a multiple of step; the epsilon absorbs float noise such as
+// 0.3 / 0.1 = 2.9999999999999996
+function floorToStep(value, step) {
+  const steps = Math.floor(value / step + 1e-9);
+  return parseFloat((steps * step).toFixed(decimalsOf(step)));
+}
+
+function stepOf(precision, fallback) {
+  const decimals = parseInt(precision, 10);
+  return isNaN(decimals) ? fallback : parseFloat((10 ** -decimals).toFixed(decimals));
+}
+
+// Quantity and price steps, minimum quantity and minimum notional of one
+// BingX contract
+function contractRules(contract) {
+  return {
+    symbol: contract.symbol,
+    quantityStep: stepOf(contract.quantityPrecision, 0.0001),
+    priceStep: stepOf(contract.pricePrecision, null),
+    minQuantity: parseFloat(contract.tradeMinQuantity) || 0,
+    minNotional: parseFloat(contract.tradeMinUSDT) || 0,
+  };
+}
+
+function calculatePositionSize({ equity, riskPercent, side, entryPrice, stopPrice, rules }) {
+  if (!(riskPercent > 0 && riskPercent <= 100)) {
+    throw sizingError(400, "Risk must be a percentage between 0 and 100");
+  }
+  if (!(equity > 0)) {
+    throw sizingError(422, "Account equity must be positive to size a position");
+  }
+  if (side === "BUY" ? !(stopPrice < entryPrice) : !(stopPrice > entryPrice)) {
+    throw sizingError(
+      400,
+      side === "BUY"
+        ? `A BUY needs the stop below the entry price (${entryPrice})`
+        : `A SELL needs the stop above the entry price (${entryPrice})`
+    );
+  }
+
+  const riskAmount = (equity * riskPercent) / 100;
+  const stopDistance = Math.abs(entryPrice - stopPrice);
+  const rawQuantity = riskAmount / stopDistance;
+  const quantity = floorToStep(rawQuantity, rules.quantityStep);
+  const notional = quantity * entryPrice;
+
+  if (quantity <= 0 || quantity < rules.minQuantity) {
+    throw sizingError(
+      422,
+      `Risking ${riskAmount.toFixed(2)} USDT with the stop ${stopDistance} away gives ${rawQuantity.toPrecision(4)}, below the minimum quantity ${Math.max(rules.minQuantity, rules.quantityStep)} for ${rules.symbol}`
+    );
+  }
+  if (notional < rules.minNotional) {
+    throw sizingError(
+      422,
+      `The position would be worth ${notional.toFixed(2)} USDT, below the minimum of ${rules.minNotional} USDT for ${rules.symbol}`
+    );
+  }
+
+  return {
+    symbol: rules.symbol,
+    side,
+    equity,
+    riskPercent,
+    riskAmount: parseFloat(riskAmount.toFixed(4)),
+    entryPrice,
+    stopPrice,
+    stopDistance,
+    stopDistancePercent: parseFloat(((stopDistance / entryPrice) * 100).toFixed(4)),
+    quantity,
+    notional: parseFloat(notional.toFixed(4)),
+    // Risk actually taken after rounding the quantity down
+    actualRisk: parseFloat((quantity * stopDistance).toFixed(4)),
+  };
+}
+
+// Preview shown before a sized order is confirmed
+function formatSizingPlan(plan) {
+  return [
+    "Risk sized order preview:",
+    `Symbol: ${plan.symbol}`,
+    `Side: ${plan.side} at market (last ${plan.entryPrice})`,
+    `Stop: ${plan.stopPrice} (${plan.stopDistancePercent}% away)`,
+    `Risk: ${plan.riskPercent}% of ${plan.equity.toFixed(2)} USDT = ${plan.riskAmount.toFixed(2)} USDT`,
+    `Quantity: ${plan.quantity} (risk after rounding ${plan.actualRisk.toFixed(2)} USDT)`,
+    `Notional: ${plan.notional.toFixed(2)} USDT`,
+  ].join("\n");
+}
+
+function createPositionSizer({ fetchContracts, getEquity, getPrice, now = () => Date.now() }) {
+  let contracts = null;
+  let fetchedAt = 0;
+
+  async function getContractRules(symbol) {
+    if (!contracts || now() - fetchedAt > CONTRACTS_TTL_MS) {
+      const list = await fetchContracts();
+      contracts = new Map(list.map((contract) => [contract.symbol, contractRules(contract)]));
+      fetchedAt = now();
+    }
+    const rules = contracts.get(symbol);
+    if (!rules) throw sizingError(404, `Unknown contract: ${symbol}`);
+    return rules;
+  }
+
+  // entryPrice defaults to the last price (market entries)
+  async function size({ symbol, side, riskPercent, stopPrice, entryPrice }) {
+    const [rules, equity, price] = await Promise.all([
+      getContractRules(symbol),
+      getEquity(),
+      entryPrice ? entryPrice : getPrice(symbol),
+    ]);
+    return calculatePositionSize({
+      equity,
+      riskPercent: parseFloat(riskPercent),
+      side,
+      entryPrice: parseFloat(price),
+      stopPrice: parseFloat(stopPrice),
+      rules,
+    });
+  }
+
+  return { getContractRules, size };
+}
+
+module.exports = {
+  floorToStep,
+  contractRules,
+  calculatePositionSize,
+  formatSizingPlan,
+  createPositionSizer,
+};
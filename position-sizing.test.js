@@ -0,0 +1,102 @@
+// position-sizing.test.js
+
+const {
+  floorToStep,
+  contractRules,
+  calculatePositionSize,
+  formatSizingPlan,
+  createPositionSizer,
+} = require("./position-sizing");
+
+const BTC = {
+  symbol: "BTC-USDT",
+  quantityPrecision: 4,
+  pricePrecision: 1,
+  tradeMinQuantity: "0.0001",
+  tradeMinUSDT: "2",
+};
+
+describe("Position sizing", () => {
+  test("floorToStep rounds down without float noise", () => {
+    expect(floorToStep(0.3, 0.1)).toBe(0.3);
+    expect(floorToStep(0.12349, 0.0001)).toBe(0.1234);
+    expect(floorToStep(17.9, 1)).toBe(17);
+  });
+
+  test("contractRules reads step, minimum quantity and notional", () => {
+    expect(contractRules(BTC)).toEqual({
+      symbol: "BTC-USDT",
+      quantityStep: 0.0001,
+      priceStep: 0.1,
+      minQuantity: 0.0001,
+      minNotional: 2,
+    });
+    expect(contractRules({ symbol: "DOGE-USDT", quantityPrecision: 0 }).quantityStep).toBe(1);
+  });
+
+  test("sizes so the stop loses the risk percentage, rounded down", () => {
+    const plan = calculatePositionSize({
+      equity: 10000,
+      riskPercent: 1,
+      side: "BUY",
+      entryPrice: 60000,
+      stopPrice: 58800,
+      rules: contractRules(BTC),
+    });
+    // 100 USDT / 1200 = 0.08333...
+    expect(plan).toMatchObject({
+      riskAmount: 100,
+      stopDistance: 1200,
+      stopDistancePercent: 2,
+      quantity: 0.0833,
+      notional: 4998,
+      actualRisk: 99.96,
+    });
+  });
+
+  test("the stop must be on the losing side of the entry", () => {
+    const base = { equity: 10000, riskPercent: 1, entryPrice: 60000, rules: contractRules(BTC) };
+    expect(() => calculatePositionSize({ ...base, side: "BUY", stopPrice: 61000 })).toThrow(
+      /BUY needs the stop below/
+    );
+    expect(() => calculatePositionSize({ ...base, side: "SELL", stopPrice: 59000 })).toThrow(
+      /SELL needs the stop above/
+    );
+    expect(() => calculatePositionSize({ ...base, side: "SELL", stopPrice: 61000, riskPercent: 150 })).toThrow(
+      /between 0 and 100/
+    );
+  });
+
+  test("rejects sizes below the contract minimums", () => {
+    const rules = { symbol: "BTC-USDT", quantityStep: 0.001, minQuantity: 0.001, minNotional: 100 };
+    const tooSmall = () =>
+      calculatePositionSize({ equity: 100, riskPercent: 0.5, side: "BUY", entryPrice: 60000, stopPrice: 50000, rules });
+    expect(tooSmall).toThrow(/below the minimum quantity 0.001/);
+
+    const lowNotional = () =>
+      calculatePositionSize({ equity: 1000, riskPercent: 1, side: "BUY", entryPrice: 60, stopPrice: 50, rules });
+    expect(lowNotional).toThrow(/worth 60.00 USDT, below the minimum of 100 USDT/);
+  });
+
+  test("the sizer uses equity, last price and cached contract rules", async () => {
+    let fetches = 0;
+    const sizer = createPositionSizer({
+      fetchContracts: async () => {
+        fetches++;
+        return [BTC];
+      },
+      getEquity: async () => 5000,
+      getPrice: async () => "50000",
+    });
+
+    const plan = await sizer.size({ symbol: "BTC-USDT", side: "SELL", riskPercent: "2", stopPrice: "51000" });
+    expect(plan.quantity).toBe(0.1);
+    expect(formatSizingPlan(plan)).toContain("Risk: 2% of 5000.00 USDT = 100.00 USDT");
+
+    await sizer.size({ symbol: "BTC-USDT", side: "BUY", riskPercent: 1, stopPrice: 49000 });
+    expect(fetches).toBe(1);
+    await expect(
+      sizer.size({ symbol: "XYZ-USDT", side: "BUY", riskPercent: 1, stopPrice: 1 })
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
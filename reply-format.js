@@ -0,0 +1,498 @@
+// reply-format.js
+//
+// Human-readable Telegram replies. Templates turn BingX responses into HTML
+// blocks; the renderer sends them with parse_mode HTML, splits long lists
+// into pages with Prev/Next buttons and, for chats that switched /raw on,
+// sends the plain JSON instead.
+
+const crypto = require("crypto");
+const { Markup } = require("telegraf");
+const { describeCondition } = require("./alerts");
+
+// Telegram rejects messages over 4096 characters
+const MAX_MESSAGE_LENGTH = 4000;
+const PAGE_TTL_MS = 60 * 60 * 1000;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function number(value, decimals = 2) {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? "-" : parsed.toFixed(decimals);
+}
+
+// Prices keep the precision the exchange sent
+function price(value) {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) || parsed === 0 ? "-" : String(parsed);
+}
+
+function signed(value) {
+  const parsed = parseFloat(value) || 0;
+  return `${parsed > 0 ? "+" : ""}${parsed.toFixed(2)}`;
+}
+
+function pnlIcon(value) {
+  const parsed = parseFloat(value) || 0;
+  return parsed > 0 ? "🟢" : parsed < 0 ? "🔴" : "⚪";
+}
+
+function dataOf(response) {
+  return response && response.data !== undefined ? response.data : response;
+}
+
+function balanceTemplate(response) {
+  const balance = (dataOf(response) || {}).balance || {};
+  return {
+    title: `💰 Balance (${escapeHtml(balance.asset || "USDT")})`,
+    items: [
+      [
+        `Equity: <b>${number(balance.equity)}</b>`,
+        `Wallet: ${number(balance.balance)}`,
+        `Available margin: ${number(balance.availableMargin)}`,
+        `Used margin: ${number(balance.usedMargin)}`,
+        `Frozen margin: ${number(balance.freezedMargin)}`,
+        `Unrealized PnL: ${pnlIcon(balance.unrealizedProfit)} ${signed(balance.unrealizedProfit)}`,
+        `Realized PnL: ${signed(balance.realisedProfit)}`,
+      ].join("\n"),
+    ],
+    raw: response,
+  };
+}
+
+function marginMode(isolated) {
+  return isolated === true || isolated === "true" ? "isolated" : "cross";
+}
+
+function positionMode(hedgeMode) {
+  return hedgeMode ? "hedge mode" : "one-way mode";
+}
+
+// hedgeMode (the account position mode) is added to the title when known
+function positionsTemplate(response, { hedgeMode } = {}) {
+  const positions = (dataOf(response) || []).filter((pos) => parseFloat(pos.positionAmt));
+  const mode = hedgeMode === undefined || hedgeMode === null ? "" : ` · ${positionMode(hedgeMode)}`;
+  return {
+    title: `📈 Open positions (${positions.length})${mode}`,
+    empty: "No open positions",
+    items: positions.map((pos) =>
+      [
+        `<b>${escapeHtml(pos.symbol)}</b> ${escapeHtml(pos.positionSide)}${pos.leverage ? ` ×${escapeHtml(pos.leverage)}` : ""}${pos.isolated !== undefined ? ` ${marginMode(pos.isolated)}` : ""}`,
+        `Size ${Math.abs(parseFloat(pos.positionAmt))} · Entry ${price(pos.avgPrice)} · Mark ${price(pos.markPrice)}${pos.initialMargin !== undefined ? ` · Margin ${number(pos.initialMargin)}` : ""}`,
+        `PnL ${pnlIcon(pos.unrealizedProfit)} <b>${signed(pos.unrealizedProfit)}</b> · Liq ${price(pos.liquidationPrice)}`,
+      ].join("\n")
+    ),
+    raw: response,
+  };
+}
+
+// Result of getPositionSettings
+function positionSettingsTemplate(settings, title = "Position settings") {
+  const max = settings.maxLongLeverage ? ` (max ×${escapeHtml(settings.maxLongLeverage)})` : "";
+  return {
+    title: `⚙️ ${escapeHtml(title)}: ${escapeHtml(settings.symbol)}`,
+    items: [
+      [
+        `Leverage: LONG ×${escapeHtml(settings.longLeverage)} · SHORT ×${escapeHtml(settings.shortLeverage)}${max}`,
+        `Margin mode: ${settings.marginType === "ISOLATED" ? "isolated" : "cross"}`,
+        `Position mode: ${positionMode(settings.hedgeMode)}`,
+      ].join("\n"),
+    ],
+    raw: settings,
+  };
+}
+
+function orderLine(order) {
+  const trigger = parseFloat(order.stopPrice) ? ` trigger ${price(order.stopPrice)}` : "";
+  const limit = parseFloat(order.price) ? ` @ ${price(order.price)}` : "";
+  return `<code>#${escapeHtml(order.orderId)}</code> <b>${escapeHtml(order.symbol)}</b> ${escapeHtml(order.side)} ${escapeHtml(order.type)} ${escapeHtml(order.origQty ?? order.quantity ?? "")}${limit}${trigger}${order.positionSide ? ` (${escapeHtml(order.positionSide)})` : ""}`;
+}
+
+function ordersTemplate(response) {
+  const data = dataOf(response) || [];
+  const orders = Array.isArray(data) ? data : data.orders || [];
+  return {
+    title: `📋 Pending orders (${orders.length})`,
+    empty: "No pending orders",
+    items: orders.map(orderLine),
+    raw: response,
+  };
+}
+
+function isFailure(response) {
+  return response && response.code !== undefined && response.code !== 0;
+}
+
+// Confirmation for one placed/cancelled/closed order
+function orderResultTemplate(title, response) {
+  if (isFailure(response)) {
+    return {
+      title: `❌ ${escapeHtml(title)} failed`,
+      items: [`${escapeHtml(response.msg)} (code ${escapeHtml(response.code)})`],
+      raw: response,
+    };
+  }
+  const data = dataOf(response) || {};
+  const order = data.order || data;
+  const lines = [orderLine(order)];
+  if (order.status) {
+    const fill = parseFloat(order.avgPrice)
+      ? ` · filled ${escapeHtml(order.executedQty)} @ ${price(order.avgPrice)}`
+      : "";
+    lines.push(`Status ${escapeHtml(order.status)}${fill}`);
+  }
+  return { title: `✅ ${escapeHtml(title)}`, items: [lines.join("\n")], raw: response };
+}
+
+// Summary of closeall/cancelall, one line per affected order
+function bulkResultTemplate(title, responses) {
+  const failed = responses.filter(isFailure).length;
+  return {
+    title: `${failed ? "⚠️" : "✅"} ${escapeHtml(title)}: ${responses.length - failed} ok${failed ? `, ${failed} failed` : ""}`,
+    empty: "Nothing to do",
+    items: responses.map((response) =>
+      isFailure(response)
+        ? `❌ ${escapeHtml(response.msg)} (code ${escapeHtml(response.code)})`
+        : orderLine((dataOf(response) || {}).order || dataOf(response) || {})
+    ),
+    raw: responses,
+  };
+}
+
+function bracketTemplate(bracket) {
+  const leg = (name, label) =>
+    `${label} ${price(bracket[name].price)}${bracket[name].orderId ? ` <code>#${escapeHtml(bracket[name].orderId)}</code>` : " (not placed)"}`;
+  const lines = [
+    `<b>${escapeHtml(bracket.symbol)}</b> ${escapeHtml(bracket.side)} ${bracket.quantity} (${escapeHtml(bracket.positionSide)})`,
+    `Entry <code>#${escapeHtml(bracket.entry.orderId)}</code> @ ${price(bracket.entry.price)}`,
+    leg("stopLoss", "Stop loss"),
+    leg("takeProfit", "Take profit"),
+  ];
+  if (bracket.error) lines.push(`⚠️ Exit orders incomplete: ${escapeHtml(bracket.error)}`);
+  return {
+    title: `${bracket.error ? "⚠️" : "✅"} Bracket ${escapeHtml(bracket.id)} placed`,
+    items: [lines.join("\n")],
+    raw: bracket,
+  };
+}
+
+const ALGO_ICONS = { running: "▶️", paused: "⏸", completed: "✅", cancelled: "⏹" };
+const DONE_ORDER_STATUSES = ["FILLED", "CANCELED", "CANCELLED", "EXPIRED", "REJECTED"];
+
+function algoLine(algo) {
+  const progress = `${number(algo.progress, 1)}%`;
+  return [
+    `${ALGO_ICONS[algo.status] || ""} <code>${escapeHtml(algo.id)}</code> ${escapeHtml(algo.type.toUpperCase())} <b>${escapeHtml(algo.symbol)}</b> ${escapeHtml(algo.side)} ${algo.quantity}`,
+    `${escapeHtml(algo.status)} · filled ${algo.executedQty} (${progress})${algo.avgPrice ? ` @ ${price(algo.avgPrice)}` : ""}`,
+    ...(algo.error ? [`⚠️ ${escapeHtml(algo.error)}`] : []),
+  ].join("\n");
+}
+
+// One algo with its plan (ladder levels or slice count) and working orders
+function algoTemplate(algo, title = "Algo") {
+  const lines = [algoLine(algo)];
+  if (algo.levels) {
+    lines.push(`Ladder: ${algo.levels.map((level) => `${level.quantity} @ ${price(level.price)}`).join(", ")}`);
+  }
+  if (algo.slices) {
+    const placed = algo.slices.filter((slice) => slice.placed).length;
+    lines.push(`Slices: ${placed}/${algo.slices.length} sent over ${algo.params.durationMinutes} min`);
+  }
+  if (algo.type === "iceberg") {
+    lines.push(`Shows ${algo.params.visibleQuantity} @ ${price(algo.params.price)}`);
+  }
+  const working = algo.children.filter((child) => !DONE_ORDER_STATUSES.includes(child.status));
+  if (working.length) {
+    lines.push(`Working: ${working.map((child) => `<code>#${escapeHtml(child.orderId)}</code>`).join(" ")}`);
+  }
+  return { title: `⚙️ ${escapeHtml(title)} ${escapeHtml(algo.id)}`, items: [lines.join("\n")], raw: algo };
+}
+
+function algosTemplate(algos) {
+  return {
+    title: `⚙️ Algos (${algos.length})`,
+    empty: "No algos",
+    items: algos.map(algoLine),
+    raw: algos,
+  };
+}
+
+function alertLine(alert) {
+  const icon = alert.status === "active" ? "🔔" : "🔕";
+  const checked = alert.lastValue === null ? "not checked yet" : `now ${alert.lastValue}`;
+  return [
+    `${icon} <code>${escapeHtml(alert.id)}</code> ${escapeHtml(describeCondition(alert.condition))}`,
+    `${alert.repeat ? "repeating" : "one-shot"} · ${escapeHtml(alert.status)} · ${checked}${alert.triggerCount ? ` · fired ${alert.triggerCount}×` : ""}`,
+  ].join("\n");
+}
+
+function alertTemplate(alert, title = "Alert") {
+  return { title: `🔔 ${escapeHtml(title)} ${escapeHtml(alert.id)}`, items: [alertLine(alert)], raw: alert };
+}
+
+function alertsTemplate(alerts) {
+  return {
+    title: `🔔 Alerts (${alerts.length})`,
+    empty: "No alerts",
+    items: alerts.map(alertLine),
+    raw: alerts,
+  };
+}
+
+// Risk sized entry (placeRiskSizedOrder) with its attached stop
+function riskOrderTemplate({ plan, entry, stopLoss, error }) {
+  const order = (dataOf(entry) || {}).order || {};
+  const stop = (dataOf(stopLoss) || {}).order || {};
+  const lines = [
+    orderLine(order),
+    `Filled ${escapeHtml(order.executedQty || plan.quantity)} @ ${price(order.avgPrice)} · notional ≈ ${number(plan.notional)}`,
+    `Risk ${plan.riskPercent}% = ${number(plan.actualRisk)} USDT at the stop`,
+    stopLoss
+      ? `Stop loss ${price(plan.stopPrice)} <code>#${escapeHtml(stop.orderId)}</code>`
+      : `⚠️ Stop loss ${price(plan.stopPrice)} not placed: ${escapeHtml(error)}`,
+  ];
+  return {
+    title: `${stopLoss ? "✅" : "⚠️"} Risk sized ${escapeHtml(plan.side)} ${escapeHtml(plan.symbol)}`,
+    items: [lines.join("\n")],
+    raw: { plan, entry, stopLoss, error },
+  };
+}
+
+// summarizeBalances() of every account, totals first
+function balanceSummaryTemplate(summary) {
+  const { totals } = summary;
+  return {
+    title: `🏦 Accounts (${summary.accounts.length})`,
+    items: [
+      `<b>Total</b>\nEquity <b>${number(totals.equity)}</b> · Available ${number(totals.availableMargin)} · PnL ${pnlIcon(totals.unrealizedProfit)} ${signed(totals.unrealizedProfit)}`,
+      ...summary.accounts.map((row) =>
+        row.error
+          ? `<b>${escapeHtml(row.account)}</b>\n❌ ${escapeHtml(row.error)}`
+          : `<b>${escapeHtml(row.account)}</b>\nEquity ${number(row.equity)} · Available ${number(row.availableMargin)} · PnL ${pnlIcon(row.unrealizedProfit)} ${signed(row.unrealizedProfit)}`
+      ),
+    ],
+    raw: summary,
+  };
+}
+
+// One template applied to forEachAccount results, items tagged by account
+function acrossAccountsTemplate(title, results, template) {
+  return {
+    title: `${escapeHtml(title)} · all accounts`,
+    empty: "Nothing in any account",
+    items: results.flatMap(({ account, result, error }) =>
+      error
+        ? [`🏦 ${escapeHtml(account)} ❌ ${escapeHtml(error)}`]
+        : template(result).items.map((item) => `🏦 ${escapeHtml(account)} · ${item}`)
+    ),
+    raw: results,
+  };
+}
+
+// Risk limits with the order rate and daily baseline (riskManager.getStatus)
+function riskLimitsTemplate(status) {
+  const limit = (value, suffix = "") => (value ? `${escapeHtml(value)}${suffix}` : "none");
+  const notional = Object.entries(status.maxNotional || {})
+    .filter(([, value]) => value)
+    .map(([symbol, value]) => `${escapeHtml(symbol)} ${escapeHtml(value)}`);
+  const rate = status.maxOrdersPerMinute ? `/${status.maxOrdersPerMinute}` : "";
+  const dayStart = status.dayStartEquity === null ? "" : ` · day start equity ${number(status.dayStartEquity)}`;
+  const whitelist = status.symbolWhitelist || [];
+  return {
+    title: "🛡 Risk limits",
+    items: [
+      [
+        `Kill switch: ${status.killSwitch ? "ON · new entries are blocked" : "OFF"}`,
+        `Max notional: ${notional.length ? `${notional.join(", ")} USDT` : "none"}`,
+        `Max leverage: ${limit(status.maxLeverage, "×")}`,
+        `Max open positions: ${limit(status.maxOpenPositions)}`,
+        `Max daily loss: ${limit(status.maxDailyLoss, " USDT")}${dayStart}`,
+        `Orders last minute: ${status.ordersLastMinute}${rate}`,
+        `Symbols: ${whitelist.length ? escapeHtml(whitelist.join(", ")) : "all"}`,
+      ].join("\n"),
+    ],
+    raw: status,
+  };
+}
+
+function paramsLine(params = {}, separator = " · ") {
+  return Object.entries(params)
+    .map(([key, value]) => {
+      const text = value && typeof value === "object" ? JSON.stringify(value) : value;
+      return `${escapeHtml(key)}=${escapeHtml(text)}`;
+    })
+    .join(separator);
+}
+
+// Strategies of strategyScheduler.list() with their params and instances
+function strategiesTemplate(strategies) {
+  return {
+    title: `🤖 Strategies (${strategies.length})`,
+    empty: "No strategies",
+    items: strategies.map((strategy) => {
+      const running = strategy.instances.map((instance) => escapeHtml(instance.symbol)).join(", ");
+      return [
+        `<b>${escapeHtml(strategy.name)}</b> · ${escapeHtml(strategy.description)}`,
+        `Params: ${paramsLine(strategy.params) || "none"}`,
+        `Running on: ${running || "none"}`,
+      ].join("\n");
+    }),
+    raw: strategies,
+  };
+}
+
+function strategyParamsTemplate(name, params) {
+  return {
+    title: `🤖 Strategy ${escapeHtml(name)} params`,
+    empty: "No params",
+    items: Object.keys(params).length ? [paramsLine(params, "\n")] : [],
+    raw: { name, params },
+  };
+}
+
+// Splits text into chunks under the Telegram limit, at line breaks when possible
+function splitText(text, maxLength = MAX_MESSAGE_LENGTH) {
+  const chunks = [];
+  let rest = text;
+  while (rest.length > maxLength) {
+    const cut = rest.lastIndexOf("\n", maxLength);
+    const at = cut > 0 ? cut : maxLength;
+    chunks.push(rest.slice(0, at));
+    rest = rest.slice(at).replace(/^\n/, "");
+  }
+  chunks.push(rest);
+  return chunks;
+}
+
+// Groups items into pages of at most pageSize items and maxLength characters
+function paginate(items, { pageSize = 10, maxLength = MAX_MESSAGE_LENGTH } = {}) {
+  const pages = [];
+  let page = [];
+  let length = 0;
+  for (const item of items) {
+    const size = item.length + 2;
+    if (page.length > 0 && (page.length >= pageSize || length + size > maxLength)) {
+      pages.push(page);
+      page = [];
+      length = 0;
+    }
+    page.push(item);
+    length += size;
+  }
+  if (page.length > 0) pages.push(page);
+  return pages;
+}
+
+function createReplyRenderer({ store, pageSize = 10, now = () => Date.now() }) {
+  const paged = new Map();
+
+  function isRaw(chatId) {
+    return Boolean(store.read()[chatId]);
+  }
+
+  function toggleRaw(chatId) {
+    const enabled = !isRaw(chatId);
+    store.update((all) => {
+      if (enabled) all[chatId] = true;
+      else delete all[chatId];
+    });
+    return enabled;
+  }
+
+  function pageText(entry, index) {
+    const footer = entry.pages.length > 1 ? `\n\n<i>Page ${index + 1}/${entry.pages.length}</i>` : "";
+    return `<b>${entry.title}</b>\n\n${entry.pages[index].join("\n\n")}${footer}`;
+  }
+
+  function pageKeyboard(entry, index) {
+    if (entry.pages.length < 2) return undefined;
+    const buttons = [];
+    if (index > 0) buttons.push(Markup.button.callback("◀ Prev", `page:${entry.id}:${index - 1}`));
+    if (index < entry.pages.length - 1) {
+      buttons.push(Markup.button.callback("Next ▶", `page:${entry.id}:${index + 1}`));
+    }
+    return Markup.inlineKeyboard(buttons);
+  }
+
+  function prune() {
+    for (const [id, entry] of paged) {
+      if (now() - entry.createdAt > PAGE_TTL_MS) paged.delete(id);
+    }
+  }
+
+  // Sends a template ({ title, items, empty, raw }) to the chat of ctx
+  async function send(ctx, { title, items = [], empty, raw }) {
+    const chatId = ctx.chat ? String(ctx.chat.id) : null;
+    if (chatId && isRaw(chatId)) {
+      const chunks = splitText(JSON.stringify(raw, null, 2), MAX_MESSAGE_LENGTH - 20);
+      for (const chunk of chunks) {
+        await ctx.reply(`<pre>${escapeHtml(chunk)}</pre>`, { parse_mode: "HTML" });
+      }
+      return;
+    }
+    if (items.length === 0) {
+      return ctx.reply(`<b>${title}</b>\n\n${escapeHtml(empty || "Nothing to show")}`, {
+        parse_mode: "HTML",
+      });
+    }
+
+    prune();
+    const entry = {
+      id: crypto.randomBytes(4).toString("hex"),
+      title,
+      pages: paginate(items, { pageSize }),
+      createdAt: now(),
+    };
+    if (entry.pages.length > 1) paged.set(entry.id, entry);
+    return ctx.reply(pageText(entry, 0), { parse_mode: "HTML", ...pageKeyboard(entry, 0) });
+  }
+
+  // Handles the "page:<id>:<index>" buttons by editing the message in place
+  async function handlePage(ctx) {
+    const [, id, index] = String(ctx.callbackQuery && ctx.callbackQuery.data).split(":");
+    const entry = paged.get(id);
+    const pageIndex = parseInt(index, 10);
+    if (!entry || !entry.pages[pageIndex]) {
+      return ctx.answerCbQuery("This list has expired, run the command again");
+    }
+    await ctx.answerCbQuery();
+    return ctx.editMessageText(pageText(entry, pageIndex), {
+      parse_mode: "HTML",
+      ...pageKeyboard(entry, pageIndex),
+    });
+  }
+
+  function register(bot) {
+    bot.action(/^page:[0-9a-f]+:\d+$/, handlePage);
+  }
+
+  return { isRaw, toggleRaw, send, handlePage, register };
+}
+
+module.exports = {
+  escapeHtml,
+  balanceTemplate,
+  positionsTemplate,
+  positionSettingsTemplate,
+  ordersTemplate,
+  orderResultTemplate,
+  bulkResultTemplate,
+  bracketTemplate,
+  algoTemplate,
+  algosTemplate,
+  alertTemplate,
+  alertsTemplate,
+  riskOrderTemplate,
+  balanceSummaryTemplate,
+  acrossAccountsTemplate,
+  riskLimitsTemplate,
+  strategiesTemplate,
+  strategyParamsTemplate,
+  splitText,
+  paginate,
+  createReplyRenderer,
+};
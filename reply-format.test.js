@@ -0,0 +1,365 @@
+// reply-format.test.js
+
+const {
+  escapeHtml,
+  balanceTemplate,
+  positionsTemplate,
+  positionSettingsTemplate,
+  ordersTemplate,
+  orderResultTemplate,
+  bulkResultTemplate,
+  bracketTemplate,
+  algoTemplate,
+  algosTemplate,
+  alertTemplate,
+  alertsTemplate,
+  riskLimitsTemplate,
+  strategiesTemplate,
+  strategyParamsTemplate,
+  splitText,
+  paginate,
+  createReplyRenderer,
+} = require("./reply-format");
+
+function createMemoryStore() {
+  let data = {};
+  return {
+    read: () => data,
+    update: (fn) => {
+      fn(data);
+      data = { ...data };
+    },
+  };
+}
+
+function createContext(chatId, data) {
+  const ctx = {
+    chat: { id: chatId },
+    replies: [],
+    edits: [],
+    answers: [],
+    reply: async (text, extra) => {
+      ctx.replies.push({ text, extra });
+    },
+    editMessageText: async (text, extra) => {
+      ctx.edits.push({ text, extra });
+    },
+    answerCbQuery: async (text) => ctx.answers.push(text),
+  };
+  if (data) ctx.callbackQuery = { data };
+  return ctx;
+}
+
+function buttons(extra) {
+  return extra.reply_markup.inline_keyboard[0];
+}
+
+describe("Reply templates", () => {
+  test("escapeHtml escapes markup characters", () => {
+    expect(escapeHtml("<b>&</b>")).toBe("&lt;b&gt;&amp;&lt;/b&gt;");
+    expect(escapeHtml(undefined)).toBe("");
+  });
+
+  test("balance shows equity and margins", () => {
+    const template = balanceTemplate({
+      code: 0,
+      data: {
+        balance: {
+          asset: "USDT",
+          balance: "1000",
+          equity: "1012.5",
+          availableMargin: "900",
+          usedMargin: "100",
+          unrealizedProfit: "12.5",
+        },
+      },
+    });
+    expect(template.title).toContain("USDT");
+    expect(template.items[0]).toContain("Equity: <b>1012.50</b>");
+    expect(template.items[0]).toContain("🟢 +12.50");
+  });
+
+  test("positions list entry, mark, PnL and liquidation of open positions", () => {
+    const template = positionsTemplate({
+      code: 0,
+      data: [
+        {
+          symbol: "BTC-USDT",
+          positionSide: "LONG",
+          positionAmt: "0.01",
+          avgPrice: "60000",
+          markPrice: "59000",
+          unrealizedProfit: "-10",
+          liquidationPrice: "45000.5",
+          leverage: 10,
+        },
+        { symbol: "ETH-USDT", positionSide: "SHORT", positionAmt: "0" },
+      ],
+    });
+    expect(template.title).toContain("(1)");
+    expect(template.items).toHaveLength(1);
+    expect(template.items[0]).toContain("<b>BTC-USDT</b> LONG ×10");
+    expect(template.items[0]).toContain("Entry 60000 · Mark 59000");
+    expect(template.items[0]).toContain("🔴 <b>-10.00</b> · Liq 45000.5");
+  });
+
+  test("positions show the margin mode and the account position mode", () => {
+    const template = positionsTemplate(
+      {
+        code: 0,
+        data: [
+          {
+            symbol: "BTC-USDT",
+            positionSide: "SHORT",
+            positionAmt: "0.01",
+            leverage: 20,
+            isolated: true,
+            initialMargin: "30",
+          },
+        ],
+      },
+      { hedgeMode: true }
+    );
+    expect(template.title).toContain("· hedge mode");
+    expect(template.items[0]).toContain("SHORT ×20 isolated");
+    expect(template.items[0]).toContain("Margin 30.00");
+
+    const settings = positionSettingsTemplate({
+      symbol: "ETH-USDT",
+      longLeverage: 5,
+      shortLeverage: 3,
+      maxLongLeverage: 100,
+      marginType: "CROSSED",
+      hedgeMode: false,
+    });
+    expect(settings.items[0]).toBe(
+      "Leverage: LONG ×5 · SHORT ×3 (max ×100)\nMargin mode: cross\nPosition mode: one-way mode"
+    );
+  });
+
+  test("algos show progress, plan and working orders", () => {
+    const algo = {
+      id: "a1",
+      type: "scaled",
+      symbol: "BTC-USDT",
+      side: "BUY",
+      quantity: 0.2,
+      status: "paused",
+      executedQty: 0.1,
+      progress: 50,
+      avgPrice: 49900,
+      error: "Order rejected",
+      levels: [
+        { price: 49900, quantity: 0.1 },
+        { price: 49800, quantity: 0.1 },
+      ],
+      children: [
+        { orderId: "1", status: "FILLED" },
+        { orderId: "2", status: "NEW" },
+      ],
+    };
+    const template = algoTemplate(algo, "Algo paused");
+    expect(template.title).toBe("⚙️ Algo paused a1");
+    expect(template.items[0]).toContain("filled 0.1 (50.0%) @ 49900");
+    expect(template.items[0]).toContain("⚠️ Order rejected");
+    expect(template.items[0]).toContain("Ladder: 0.1 @ 49900, 0.1 @ 49800");
+    expect(template.items[0]).toContain("Working: <code>#2</code>");
+    expect(algosTemplate([]).empty).toBe("No algos");
+  });
+
+  test("alerts show their condition and last checked value", () => {
+    const template = alertsTemplate([
+      {
+        id: "c3",
+        condition: { metric: "change", symbol: "ETH-USDT", op: "below", value: -5, windowMinutes: 60 },
+        repeat: true,
+        status: "active",
+        lastValue: -1.25,
+        triggerCount: 2,
+      },
+      {
+        id: "d4",
+        condition: { metric: "price", symbol: "BTC-USDT", op: "above", value: 70000 },
+        repeat: false,
+        status: "triggered",
+        lastValue: null,
+        triggerCount: 0,
+      },
+    ]);
+    expect(template.title).toBe("🔔 Alerts (2)");
+    expect(template.items[0]).toBe(
+      "🔔 <code>c3</code> ETH-USDT change below -5% in 60m\nrepeating · active · now -1.25 · fired 2×"
+    );
+    expect(template.items[1]).toContain("🔕 <code>d4</code> BTC-USDT price above 70000");
+    expect(template.items[1]).toContain("one-shot · triggered · not checked yet");
+    expect(alertTemplate(template.raw[0], "Alert added").title).toBe("🔔 Alert added c3");
+  });
+
+  test("risk limits and strategies are listed without JSON", () => {
+    const limits = riskLimitsTemplate({
+      maxNotional: { default: 1000, "BTC-USDT": 5000 },
+      maxLeverage: 3,
+      maxOpenPositions: null,
+      maxDailyLoss: 50,
+      maxOrdersPerMinute: 10,
+      symbolWhitelist: [],
+      killSwitch: true,
+      ordersLastMinute: 2,
+      dayStartEquity: 1000,
+    });
+    expect(limits.items[0]).toBe(
+      [
+        "Kill switch: ON · new entries are blocked",
+        "Max notional: default 1000, BTC-USDT 5000 USDT",
+        "Max leverage: 3×",
+        "Max open positions: none",
+        "Max daily loss: 50 USDT · day start equity 1000.00",
+        "Orders last minute: 2/10",
+        "Symbols: all",
+      ].join("\n")
+    );
+
+    const strategy = {
+      name: "sma-cross",
+      description: "SMA <fast> over <slow>",
+      params: { interval: "5m", fast: 9 },
+      instances: [{ symbol: "BTC-USDT" }],
+    };
+    expect(strategiesTemplate([strategy]).items[0]).toBe(
+      "<b>sma-cross</b> · SMA &lt;fast&gt; over &lt;slow&gt;\nParams: interval=5m · fast=9\nRunning on: BTC-USDT"
+    );
+    const params = strategyParamsTemplate("sma-cross", strategy.params);
+    expect(params.items).toEqual(["interval=5m\nfast=9"]);
+    expect(params.raw).toEqual({ name: "sma-cross", params: strategy.params });
+  });
+
+  test("orders accept a plain list or data.orders", () => {
+    const order = {
+      orderId: 1,
+      symbol: "BTC-USDT",
+      side: "SELL",
+      type: "STOP_MARKET",
+      origQty: "0.01",
+      stopPrice: "55000",
+      positionSide: "LONG",
+    };
+    expect(ordersTemplate({ code: 0, data: { orders: [order] } }).items[0]).toBe(
+      "<code>#1</code> <b>BTC-USDT</b> SELL STOP_MARKET 0.01 trigger 55000 (LONG)"
+    );
+    expect(ordersTemplate({ code: 0, data: [] }).items).toEqual([]);
+  });
+
+  test("order results report failures with the exchange message", () => {
+    const failed = orderResultTemplate("Market order placed", { code: 101204, msg: "Insufficient margin" });
+    expect(failed.title).toBe("❌ Market order placed failed");
+    expect(failed.items[0]).toBe("Insufficient margin (code 101204)");
+
+    const placed = orderResultTemplate("Market order placed", {
+      code: 0,
+      data: {
+        order: {
+          orderId: 7,
+          symbol: "BTC-USDT",
+          side: "BUY",
+          type: "MARKET",
+          origQty: "0.01",
+          status: "FILLED",
+          executedQty: "0.01",
+          avgPrice: "60000",
+        },
+      },
+    });
+    expect(placed.title).toBe("✅ Market order placed");
+    expect(placed.items[0]).toContain("Status FILLED · filled 0.01 @ 60000");
+  });
+
+  test("bulk results count failures", () => {
+    const template = bulkResultTemplate("Orders canceled", [
+      { code: 0, data: { orderId: 1, symbol: "BTC-USDT", side: "BUY", type: "LIMIT" } },
+      { code: 80012, msg: "busy" },
+    ]);
+    expect(template.title).toBe("⚠️ Orders canceled: 1 ok, 1 failed");
+    expect(template.items[1]).toBe("❌ busy (code 80012)");
+  });
+
+  test("brackets show both exits and warn when one is missing", () => {
+    const template = bracketTemplate({
+      id: "abc",
+      symbol: "BTC-USDT",
+      side: "BUY",
+      positionSide: "LONG",
+      quantity: 0.01,
+      entry: { orderId: "1", price: 60000 },
+      stopLoss: { price: 59000, orderId: "2" },
+      takeProfit: { price: 62000, orderId: null },
+      error: "takeProfit: rejected",
+    });
+    expect(template.title).toBe("⚠️ Bracket abc placed");
+    expect(template.items[0]).toContain("Stop loss 59000 <code>#2</code>");
+    expect(template.items[0]).toContain("Take profit 62000 (not placed)");
+  });
+});
+
+describe("Pagination", () => {
+  test("splitText cuts at line breaks under the limit", () => {
+    expect(splitText("aaaa\nbbbb\ncc", 10)).toEqual(["aaaa\nbbbb", "cc"]);
+    expect(splitText("abcdefghij", 4)).toEqual(["abcd", "efgh", "ij"]);
+  });
+
+  test("paginate limits items and characters per page", () => {
+    const items = Array.from({ length: 5 }, (_, i) => `item ${i}`);
+    expect(paginate(items, { pageSize: 2 }).map((page) => page.length)).toEqual([2, 2, 1]);
+    expect(paginate(items, { pageSize: 10, maxLength: 20 }).map((page) => page.length)).toEqual([
+      2, 2, 1,
+    ]);
+  });
+});
+
+describe("Reply renderer", () => {
+  let renderer;
+
+  beforeEach(() => {
+    renderer = createReplyRenderer({ store: createMemoryStore(), pageSize: 2 });
+  });
+
+  test("sends HTML with the empty text when there are no items", async () => {
+    const ctx = createContext(1);
+    await renderer.send(ctx, positionsTemplate({ code: 0, data: [] }));
+    expect(ctx.replies[0].text).toBe("<b>📈 Open positions (0)</b>\n\nNo open positions");
+    expect(ctx.replies[0].extra.parse_mode).toBe("HTML");
+  });
+
+  test("long lists get page buttons that edit the message", async () => {
+    const ctx = createContext(1);
+    await renderer.send(ctx, { title: "List", items: ["a", "b", "c"] });
+
+    expect(ctx.replies[0].text).toBe("<b>List</b>\n\na\n\nb\n\n<i>Page 1/2</i>");
+    const [next] = buttons(ctx.replies[0].extra);
+    expect(next.text).toBe("Next ▶");
+
+    const press = createContext(1, next.callback_data);
+    await renderer.handlePage(press);
+    expect(press.edits[0].text).toBe("<b>List</b>\n\nc\n\n<i>Page 2/2</i>");
+    expect(buttons(press.edits[0].extra)[0].text).toBe("◀ Prev");
+
+    const stale = createContext(1, "page:00000000:1");
+    await renderer.handlePage(stale);
+    expect(stale.answers[0]).toMatch(/expired/);
+  });
+
+  test("/raw switches a chat to JSON replies", async () => {
+    expect(renderer.toggleRaw("1")).toBe(true);
+    const raw = createContext(1);
+    await renderer.send(raw, orderResultTemplate("Order canceled", { code: 0, data: { orderId: 1 } }));
+    expect(raw.replies[0].text).toBe(
+      `<pre>${escapeHtml(JSON.stringify({ code: 0, data: { orderId: 1 } }, null, 2))}</pre>`
+    );
+
+    const other = createContext(2);
+    await renderer.send(other, { title: "List", items: ["a"] });
+    expect(other.replies[0].text).toBe("<b>List</b>\n\na");
+
+    expect(renderer.toggleRaw("1")).toBe(false);
+    expect(renderer.isRaw("1")).toBe(false);
+  });
+});
@@ -0,0 +1,233 @@
+// risk-manager.js
+//
+// Pre-trade checks every order passes through before it reaches the
+// exchange. Entries are checked against the configured limits; closes,
+// cancels and protective orders (stop loss, take profit, trailing stop) only
+// reduce risk and are always allowed, even with the kill switch on.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const RISK_REDUCING_INTENTS = ["close", "cancel", "protect"];
+
+// Conditional exits that only fire against an open position
+const PROTECTIVE_ORDER_TYPES = ["STOP_MARKET", "TAKE_PROFIT_MARKET", "TRAILING_STOP_MARKET", "STOP", "TAKE_PROFIT"];
+
+// Intent of raw exchange order params (orders repeated as they were sent,
+// such as copy trading): conditional and reduce-only orders protect or close
+// an existing position, anything else opens one
+function orderIntent(params) {
+  if (PROTECTIVE_ORDER_TYPES.includes(String(params.type || "").toUpperCase())) return "protect";
+  if (String(params.reduceOnly) === "true" || String(params.closePosition) === "true") return "close";
+  return "open";
+}
+
+class RiskError extends Error {
+  constructor(rule, message, details = {}) {
+    super(message);
+    this.name = "RiskError";
+    this.rule = rule;
+    this.details = details;
+    this.statusCode = 403;
+  }
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+// RISK_MAX_NOTIONAL is either one number for every symbol or a JSON map such
+// as {"default": 1000, "BTC-USDT": 5000}, as a string or already parsed.
+function parseNotionalLimits(value) {
+  if (!value) return {};
+  if (typeof value === "object") return value;
+  const trimmed = String(value).trim();
+  if (trimmed.startsWith("{")) {
+    return JSON.parse(trimmed);
+  }
+  return { default: parseNumber(trimmed) };
+}
+
+// Limits from the RISK_* settings, either raw strings (process.env) or the
+// typed values of loadConfig
+function loadRiskLimitsFromEnv(env = process.env) {
+  return {
+    maxNotional: parseNotionalLimits(env.RISK_MAX_NOTIONAL),
+    maxLeverage: parseNumber(env.RISK_MAX_LEVERAGE),
+    maxOpenPositions: parseNumber(env.RISK_MAX_OPEN_POSITIONS),
+    maxDailyLoss: parseNumber(env.RISK_MAX_DAILY_LOSS),
+    maxOrdersPerMinute: parseNumber(env.RISK_MAX_ORDERS_PER_MINUTE),
+    symbolWhitelist: (env.RISK_SYMBOL_WHITELIST || "")
+      .split(",")
+      .map((symbol) => symbol.trim())
+      .filter(Boolean),
+    killSwitch: String(env.RISK_KILL_SWITCH) === "true",
+  };
+}
+
+function createRiskManager({
+  limits = {},
+  getPositions,
+  getEquity,
+  getPrice,
+  currentAccount = () => null,
+  now = () => Date.now(),
+}) {
+  let current = { ...loadRiskLimitsFromEnv({}), ...limits };
+  // Daily-loss baseline and order-rate window of each account
+  const accountStates = new Map();
+
+  function accountState() {
+    const account = currentAccount();
+    if (!accountStates.has(account)) {
+      accountStates.set(account, { orderTimes: [], day: { start: null, equity: null } });
+    }
+    return accountStates.get(account);
+  }
+
+  function notionalLimit(symbol) {
+    const limit = current.maxNotional[symbol] ?? current.maxNotional.default;
+    return parseNumber(limit);
+  }
+
+  // Loss since the first equity reading of the current UTC day
+  function trackDailyLoss(equity) {
+    const state = accountState();
+    const dayStart = Math.floor(now() / DAY_MS) * DAY_MS;
+    if (state.day.start !== dayStart) {
+      state.day = { start: dayStart, equity };
+    }
+    return state.day.equity - equity;
+  }
+
+  function checkRate() {
+    if (!current.maxOrdersPerMinute) return;
+    const state = accountState();
+    const since = now() - MINUTE_MS;
+    state.orderTimes = state.orderTimes.filter((time) => time > since);
+    if (state.orderTimes.length >= current.maxOrdersPerMinute) {
+      throw new RiskError(
+        "maxOrderRate",
+        `Order rate limit reached: ${current.maxOrdersPerMinute} orders per minute`,
+        { limit: current.maxOrdersPerMinute, actual: state.orderTimes.length }
+      );
+    }
+  }
+
+  // Throws a RiskError naming the rule that rejected the order. Orders are
+  // { symbol, side, quantity, price, positionSide, intent } where intent is
+  // "open" (default), "close", "cancel" or "protect".
+  async function checkOrder(order) {
+    const intent = order.intent || "open";
+    if (RISK_REDUCING_INTENTS.includes(intent)) {
+      return { allowed: true, intent };
+    }
+
+    const { symbol } = order;
+    if (current.killSwitch) {
+      throw new RiskError("killSwitch", "Kill switch is on: new entries are blocked", {
+        symbol,
+      });
+    }
+    if (current.symbolWhitelist.length > 0 && !current.symbolWhitelist.includes(symbol)) {
+      throw new RiskError("symbolWhitelist", `${symbol} is not in the symbol whitelist`, {
+        symbol,
+        whitelist: current.symbolWhitelist,
+      });
+    }
+    checkRate();
+
+    const needsPositions =
+      notionalLimit(symbol) || current.maxLeverage || current.maxOpenPositions;
+    const needsEquity = current.maxLeverage || current.maxDailyLoss;
+    const positions = needsPositions ? await getPositions() : [];
+    const equity = needsEquity ? await getEquity() : null;
+
+    if (current.maxDailyLoss) {
+      const loss = trackDailyLoss(equity);
+      if (loss >= current.maxDailyLoss) {
+        throw new RiskError(
+          "maxDailyLoss",
+          `Daily loss limit reached: lost ${loss.toFixed(2)} of ${current.maxDailyLoss} USDT today`,
+          { limit: current.maxDailyLoss, actual: loss }
+        );
+      }
+    }
+
+    const quantity = Math.abs(parseFloat(order.quantity));
+    const price = parseNumber(order.price) || (needsPositions ? await getPrice(symbol) : null);
+    const orderNotional = quantity * (price || 0);
+    const exposure = (pos) => Math.abs(parseFloat(pos.positionAmt)) * parseFloat(pos.markPrice || pos.avgPrice);
+
+    const maxNotional = notionalLimit(symbol);
+    if (maxNotional) {
+      const symbolNotional = positions
+        .filter((pos) => pos.symbol === symbol)
+        .reduce((sum, pos) => sum + exposure(pos), 0);
+      if (symbolNotional + orderNotional > maxNotional) {
+        throw new RiskError(
+          "maxNotional",
+          `${symbol} notional would be ${(symbolNotional + orderNotional).toFixed(2)} USDT, above the ${maxNotional} USDT limit`,
+          { symbol, limit: maxNotional, actual: symbolNotional + orderNotional }
+        );
+      }
+    }
+
+    if (current.maxLeverage && equity > 0) {
+      const totalNotional = positions.reduce((sum, pos) => sum + exposure(pos), 0) + orderNotional;
+      const leverage = totalNotional / equity;
+      if (leverage > current.maxLeverage) {
+        throw new RiskError(
+          "maxLeverage",
+          `Account leverage would be ${leverage.toFixed(2)}x, above the ${current.maxLeverage}x limit`,
+          { limit: current.maxLeverage, actual: leverage }
+        );
+      }
+    }
+
+    if (current.maxOpenPositions) {
+      const open = positions.filter((pos) => parseFloat(pos.positionAmt) !== 0);
+      const positionSide = order.positionSide || (order.side === "BUY" ? "LONG" : "SHORT");
+      const addsToExisting = open.some(
+        (pos) => pos.symbol === symbol && [positionSide, "BOTH"].includes(pos.positionSide)
+      );
+      if (!addsToExisting && open.length >= current.maxOpenPositions) {
+        throw new RiskError(
+          "maxOpenPositions",
+          `Already ${open.length} open positions, the limit is ${current.maxOpenPositions}`,
+          { limit: current.maxOpenPositions, actual: open.length }
+        );
+      }
+    }
+
+    accountState().orderTimes.push(now());
+    return { allowed: true, intent };
+  }
+
+  function setKillSwitch(enabled) {
+    current.killSwitch = Boolean(enabled);
+    return getStatus();
+  }
+
+  function updateLimits(limits) {
+    current = { ...current, ...limits };
+    return getStatus();
+  }
+
+  // Limits with the order rate and daily baseline of the current account
+  function getStatus() {
+    const { orderTimes, day } = accountState();
+    const since = now() - MINUTE_MS;
+    return {
+      ...current,
+      ordersLastMinute: orderTimes.filter((time) => time > since).length,
+      dayStartEquity: day.equity,
+    };
+  }
+
+  return { checkOrder, setKillSwitch, updateLimits, getStatus };
+}
+
+module.exports = { RiskError, orderIntent, createRiskManager, loadRiskLimitsFromEnv };
@@ -0,0 +1,150 @@
+// risk-manager.test.js
+
+const { RiskError, orderIntent, createRiskManager, loadRiskLimitsFromEnv } = require("./risk-manager");
+
+describe("Risk manager", () => {
+  let positions;
+  let equity;
+  let time;
+  let account;
+
+  function manager(limits, { getEquity = async () => equity } = {}) {
+    return createRiskManager({
+      limits,
+      getPositions: async () => positions,
+      getEquity,
+      getPrice: async () => 100,
+      currentAccount: () => account,
+      now: () => time,
+    });
+  }
+
+  async function rejection(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error;
+    }
+    throw new Error("Expected the order to be rejected");
+  }
+
+  beforeEach(() => {
+    positions = [];
+    equity = 1000;
+    time = Date.UTC(2024, 0, 1, 12);
+    account = "main";
+  });
+
+  it("should load limits from env", () => {
+    const limits = loadRiskLimitsFromEnv({
+      RISK_MAX_NOTIONAL: '{"default": 100, "BTC-USDT": 500}',
+      RISK_MAX_LEVERAGE: "3",
+      RISK_SYMBOL_WHITELIST: "BTC-USDT, ETH-USDT",
+      RISK_KILL_SWITCH: "true",
+    });
+    expect(limits.maxNotional).toEqual({ default: 100, "BTC-USDT": 500 });
+    expect(limits.maxLeverage).toBe(3);
+    expect(limits.symbolWhitelist).toEqual(["BTC-USDT", "ETH-USDT"]);
+    expect(limits.killSwitch).toBe(true);
+  });
+
+  it("should load limits from typed config values", () => {
+    const limits = loadRiskLimitsFromEnv({
+      RISK_MAX_NOTIONAL: { default: 100 },
+      RISK_MAX_OPEN_POSITIONS: 2,
+      RISK_KILL_SWITCH: false,
+    });
+    expect(limits).toMatchObject({ maxNotional: { default: 100 }, maxOpenPositions: 2, killSwitch: false });
+  });
+
+  it("should block entries but allow closes and cancels with the kill switch on", async () => {
+    const risk = manager({ killSwitch: true });
+    const error = await rejection(risk.checkOrder({ symbol: "BTC-USDT", side: "BUY", quantity: 1 }));
+    expect(error).toBeInstanceOf(RiskError);
+    expect(error.rule).toBe("killSwitch");
+
+    await expect(risk.checkOrder({ symbol: "BTC-USDT", intent: "close" })).resolves.toMatchObject({
+      allowed: true,
+    });
+    await expect(risk.checkOrder({ symbol: "BTC-USDT", intent: "cancel" })).resolves.toMatchObject({
+      allowed: true,
+    });
+  });
+
+  it("should enforce the symbol whitelist", async () => {
+    const risk = manager({ symbolWhitelist: ["BTC-USDT"] });
+    const error = await rejection(risk.checkOrder({ symbol: "DOGE-USDT", side: "BUY", quantity: 1 }));
+    expect(error.rule).toBe("symbolWhitelist");
+  });
+
+  it("should include existing exposure in the per-symbol notional", async () => {
+    positions = [{ symbol: "BTC-USDT", positionSide: "LONG", positionAmt: "3", avgPrice: "100" }];
+    const risk = manager({ maxNotional: { default: 1000, "BTC-USDT": 400 } });
+    await expect(risk.checkOrder({ symbol: "BTC-USDT", side: "BUY", quantity: 1 })).resolves.toBeTruthy();
+
+    const error = await rejection(risk.checkOrder({ symbol: "BTC-USDT", side: "BUY", quantity: 2 }));
+    expect(error.rule).toBe("maxNotional");
+    expect(error.details).toMatchObject({ limit: 400, actual: 500 });
+  });
+
+  it("should enforce max leverage and max open positions", async () => {
+    positions = [{ symbol: "ETH-USDT", positionSide: "LONG", positionAmt: "10", avgPrice: "100" }];
+    let error = await rejection(
+      manager({ maxLeverage: 1.5 }).checkOrder({ symbol: "BTC-USDT", side: "BUY", quantity: 6, price: 100 })
+    );
+    expect(error.rule).toBe("maxLeverage");
+
+    const risk = manager({ maxOpenPositions: 1 });
+    await expect(risk.checkOrder({ symbol: "ETH-USDT", side: "BUY", quantity: 1 })).resolves.toBeTruthy();
+    error = await rejection(risk.checkOrder({ symbol: "BTC-USDT", side: "BUY", quantity: 1 }));
+    expect(error.rule).toBe("maxOpenPositions");
+  });
+
+  it("should stop entries after the daily loss limit", async () => {
+    const risk = manager({ maxDailyLoss: 50 });
+    await risk.checkOrder({ symbol: "BTC-USDT", side: "BUY", quantity: 1 });
+
+    equity = 940;
+    const error = await rejection(risk.checkOrder({ symbol: "BTC-USDT", side: "BUY", quantity: 1 }));
+    expect(error.rule).toBe("maxDailyLoss");
+
+    time += 24 * 60 * 60 * 1000;
+    await expect(risk.checkOrder({ symbol: "BTC-USDT", side: "BUY", quantity: 1 })).resolves.toBeTruthy();
+  });
+
+  it("should limit the order rate per minute", async () => {
+    const risk = manager({ maxOrdersPerMinute: 2 });
+    await risk.checkOrder({ symbol: "BTC-USDT", side: "BUY", quantity: 1 });
+    await risk.checkOrder({ symbol: "BTC-USDT", side: "BUY", quantity: 1 });
+    const error = await rejection(risk.checkOrder({ symbol: "BTC-USDT", side: "BUY", quantity: 1 }));
+    expect(error.rule).toBe("maxOrderRate");
+
+    time += 61 * 1000;
+    await expect(risk.checkOrder({ symbol: "BTC-USDT", side: "BUY", quantity: 1 })).resolves.toBeTruthy();
+  });
+
+  it("should keep the daily loss baseline and the order rate of each account apart", async () => {
+    const equities = { main: 1000, small: 200 };
+    const risk = manager({ maxDailyLoss: 50, maxOrdersPerMinute: 1 }, { getEquity: async () => equities[account] });
+    const order = { symbol: "BTC-USDT", side: "BUY", quantity: 1 };
+    await risk.checkOrder(order);
+    expect((await rejection(risk.checkOrder(order))).rule).toBe("maxOrderRate");
+
+    account = "small";
+    await expect(risk.checkOrder(order)).resolves.toBeTruthy();
+    expect(risk.getStatus()).toMatchObject({ dayStartEquity: 200, ordersLastMinute: 1 });
+
+    time += 61 * 1000;
+    equities.small = 140;
+    expect((await rejection(risk.checkOrder(order))).rule).toBe("maxDailyLoss");
+    account = "main";
+    await expect(risk.checkOrder(order)).resolves.toBeTruthy();
+  });
+
+  it("should read the intent of raw order params", () => {
+    expect(orderIntent({ symbol: "BTC-USDT", side: "BUY", type: "MARKET" })).toBe("open");
+    expect(orderIntent({ symbol: "BTC-USDT", side: "SELL", type: "STOP_MARKET", stopPrice: 90 })).toBe("protect");
+    expect(orderIntent({ symbol: "BTC-USDT", side: "SELL", type: "TRAILING_STOP_MARKET" })).toBe("protect");
+    expect(orderIntent({ symbol: "BTC-USDT", side: "SELL", type: "MARKET", reduceOnly: "true" })).toBe("close");
+  });
+});
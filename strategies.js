@@ -0,0 +1,81 @@
+// strategies.js
+//
+// Trading strategies share one interface so the same code runs live and in
+// the backtester:
+//
+//   {
+//     name,
+//     description,
+//     symbols,          // symbols started automatically when enabled
+//     enabled,
+//     defaultParams,    // params.interval is the kline interval and schedule
+//     decide(marketData, position, params) -> { action, quantity } | null
+//   }
+//
+// marketData is { symbol, price, candles, indicators } with candles
+// normalized by klines.js (oldest first, the last one is the current candle)
+// and indicators holding the latest values from indicators.js. position is
+// { side: "LONG" | "SHORT", quantity, entryPrice } or null when flat.
+// action is "BUY", "SELL" or "CLOSE".
+
+const simpleMomentum = {
+  name: "simple-momentum",
+  description:
+    "Buy if the price is above the previous close, sell if below, optionally skipping overbought buys and oversold sells by RSI",
+  symbols: [],
+  enabled: false,
+  defaultParams: {
+    interval: "1m",
+    quantity: 0.01,
+    rsiOverbought: null,
+    rsiOversold: null,
+  },
+  decide(marketData, position, params = this.defaultParams) {
+    const { candles, price, indicators = {} } = marketData;
+    if (!candles || candles.length < 2) return null;
+
+    const previousPrice = candles[candles.length - 2].close;
+    const rsi = indicators.rsi ?? null;
+    if (price > previousPrice) {
+      if (rsi !== null && params.rsiOverbought && rsi >= params.rsiOverbought) return null;
+      return { action: "BUY", quantity: params.quantity };
+    }
+    if (price < previousPrice) {
+      if (rsi !== null && params.rsiOversold && rsi <= params.rsiOversold) return null;
+      return { action: "SELL", quantity: params.quantity };
+    }
+    return null;
+  },
+};
+
+const strategies = {
+  [simpleMomentum.name]: simpleMomentum,
+};
+
+function registerStrategy(strategy) {
+  if (!strategy || !strategy.name || typeof strategy.decide !== "function") {
+    throw new Error("A strategy needs a name and a decide() function");
+  }
+  strategies[strategy.name] = {
+    symbols: [],
+    enabled: false,
+    defaultParams: {},
+    ...strategy,
+  };
+  return strategies[strategy.name];
+}
+
+function getStrategy(name) {
+  return strategies[name] || null;
+}
+
+function listStrategies() {
+  return Object.values(strategies);
+}
+
+module.exports = {
+  simpleMomentum,
+  registerStrategy,
+  getStrategy,
+  listStrategies,
+};
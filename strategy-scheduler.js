@@ -0,0 +1,249 @@
+// strategy-scheduler.js
+//
+// Runs registered strategies (see strategies.js) on a timer, one instance per
+// strategy and symbol. Each tick loads candles, asks the strategy for a
+// decision and turns it into orders with the same semantics as the
+// backtester: BUY/SELL move into a LONG/SHORT position (closing the opposite
+// one first) and CLOSE flattens.
+
+const { getStrategy, listStrategies } = require("./strategies");
+const { intervalToMs } = require("./klines");
+const { computeIndicators } = require("./indicators");
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function createStrategyScheduler({
+  fetchCandles,
+  getPosition,
+  placeOrder,
+  closePosition,
+  getLastPrice = () => null,
+  lookback = 100,
+  // Wraps order execution, e.g. to tag orders with the strategy that placed them
+  runInContext = (instance, fn) => fn(),
+  logger = console,
+}) {
+  const instances = new Map();
+  const paramOverrides = new Map();
+
+  function instanceKey(name, symbol) {
+    return `${name}:${symbol}`;
+  }
+
+  function requireStrategy(name) {
+    const strategy = getStrategy(name);
+    if (!strategy) {
+      throw httpError(404, `Unknown strategy: ${name}`);
+    }
+    return strategy;
+  }
+
+  function describe(instance) {
+    return {
+      name: instance.name,
+      symbol: instance.symbol,
+      params: instance.params,
+      interval: instance.params.interval,
+      running: Boolean(instance.timer),
+      lastRun: instance.lastRun,
+      lastDecision: instance.lastDecision,
+      lastError: instance.lastError,
+    };
+  }
+
+  async function execute(instance, decision, position) {
+    const action = decision.action.toUpperCase();
+    const wanted = action === "BUY" ? "LONG" : action === "SELL" ? "SHORT" : null;
+    const results = [];
+
+    if (position && (action === "CLOSE" || (wanted && wanted !== position.side))) {
+      results.push(await closePosition(instance.symbol, position.side));
+      position = null;
+    }
+    if (wanted && !position) {
+      const quantity = decision.quantity ?? instance.params.quantity;
+      results.push(await placeOrder(instance.symbol, action, quantity));
+    }
+    return results;
+  }
+
+  // Runs one decision cycle for an instance. Overlapping ticks are skipped.
+  async function runOnce(instance) {
+    if (instance.busy) return null;
+    instance.busy = true;
+    try {
+      const strategy = requireStrategy(instance.name);
+      const candles = await fetchCandles(
+        instance.symbol,
+        instance.params.interval,
+        instance.params.lookback || lookback
+      );
+      if (candles.length === 0) return null;
+
+      const position = await getPosition(instance.symbol);
+      const marketData = {
+        symbol: instance.symbol,
+        price: getLastPrice(instance.symbol) ?? candles[candles.length - 1].close,
+        candles,
+        indicators: computeIndicators(
+          candles,
+          instance.params.indicators,
+          instance.params.indicatorOptions
+        ),
+      };
+      const decision = strategy.decide(marketData, position, instance.params);
+
+      instance.lastRun = Date.now();
+      instance.lastDecision = decision;
+      instance.lastError = null;
+      if (!decision || !decision.action) return null;
+
+      logger.info(`Strategy ${instance.name} on ${instance.symbol}: ${decision.action}`, {
+        strategy: instance.name,
+        symbol: instance.symbol,
+        action: decision.action,
+      });
+      return await runInContext(describe(instance), () => execute(instance, decision, position));
+    } catch (error) {
+      instance.lastError = error.message;
+      logger.error(`Strategy ${instance.name} on ${instance.symbol} failed`, { error: error.message });
+      return null;
+    } finally {
+      instance.busy = false;
+    }
+  }
+
+  function start(name, symbol, params = {}) {
+    const strategy = requireStrategy(name);
+    if (!symbol) {
+      throw httpError(400, "symbol is required");
+    }
+
+    const instance = {
+      name,
+      symbol,
+      params: {
+        ...strategy.defaultParams,
+        ...paramOverrides.get(name),
+        ...params,
+      },
+      timer: null,
+      busy: false,
+      lastRun: null,
+      lastDecision: null,
+      lastError: null,
+    };
+
+    const periodMs = intervalToMs(instance.params.interval);
+    if (!periodMs) {
+      throw httpError(400, `Invalid interval: ${instance.params.interval}`);
+    }
+
+    // Only replace a running instance once the new one is known to be valid
+    stop(name, symbol, { quiet: true });
+    instance.timer = setInterval(() => runOnce(instance), periodMs);
+    instance.timer.unref();
+    instances.set(instanceKey(name, symbol), instance);
+    return describe(instance);
+  }
+
+  function stop(name, symbol, { quiet = false } = {}) {
+    const instance = instances.get(instanceKey(name, symbol));
+    if (!instance) {
+      if (quiet) return null;
+      throw httpError(404, `Strategy ${name} is not running on ${symbol}`);
+    }
+    clearInterval(instance.timer);
+    instance.timer = null;
+    instances.delete(instanceKey(name, symbol));
+    return describe(instance);
+  }
+
+  // Updates params for future starts and for running instances of the
+  // strategy (only the given symbol when one is passed).
+  function setParams(name, params, symbol) {
+    const strategy = requireStrategy(name);
+    if (params.interval !== undefined && !intervalToMs(params.interval)) {
+      throw httpError(400, `Invalid interval: ${params.interval}`);
+    }
+    if (!symbol) {
+      paramOverrides.set(name, { ...paramOverrides.get(name), ...params });
+    }
+
+    const updated = [];
+    for (const instance of [...instances.values()]) {
+      if (instance.name !== name || (symbol && instance.symbol !== symbol)) continue;
+      const intervalChanged = params.interval && params.interval !== instance.params.interval;
+      Object.assign(instance.params, params);
+      if (intervalChanged) {
+        start(name, instance.symbol, instance.params);
+      }
+      updated.push(describe(instances.get(instanceKey(name, instance.symbol))));
+    }
+
+    return {
+      name,
+      params: { ...strategy.defaultParams, ...paramOverrides.get(name) },
+      instances: updated,
+    };
+  }
+
+  // Defaults of the strategy with the overrides set through setParams
+  function getParams(name) {
+    return { ...requireStrategy(name).defaultParams, ...paramOverrides.get(name) };
+  }
+
+  function list() {
+    return listStrategies().map((strategy) => ({
+      name: strategy.name,
+      description: strategy.description,
+      symbols: strategy.symbols,
+      enabled: strategy.enabled,
+      params: getParams(strategy.name),
+      instances: [...instances.values()]
+        .filter((instance) => instance.name === strategy.name)
+        .map(describe),
+    }));
+  }
+
+  // Starts enabled strategies on their default symbols, plus the
+  // "name:SYMBOL,SYMBOL;name2:SYMBOL" list passed in (e.g. from env).
+  function startEnabled(spec = "") {
+    const started = [];
+    for (const strategy of listStrategies()) {
+      if (!strategy.enabled) continue;
+      for (const symbol of strategy.symbols) {
+        started.push(start(strategy.name, symbol));
+      }
+    }
+    for (const entry of spec.split(";").filter(Boolean)) {
+      const [name, symbols = ""] = entry.split(":");
+      for (const symbol of symbols.split(",").filter(Boolean)) {
+        started.push(start(name.trim(), symbol.trim()));
+      }
+    }
+    return started;
+  }
+
+  function stopAll() {
+    for (const instance of [...instances.values()]) {
+      stop(instance.name, instance.symbol);
+    }
+  }
+
+  function runNow(name, symbol) {
+    const instance = instances.get(instanceKey(name, symbol));
+    if (!instance) {
+      throw httpError(404, `Strategy ${name} is not running on ${symbol}`);
+    }
+    return runOnce(instance);
+  }
+
+  return { start, stop, setParams, getParams, list, startEnabled, stopAll, runNow };
+}
+
+module.exports = { createStrategyScheduler };
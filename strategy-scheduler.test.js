@@ -0,0 +1,108 @@
+// strategy-scheduler.test.js
+
+const { createStrategyScheduler } = require("./strategy-scheduler");
+const { registerStrategy } = require("./strategies");
+
+describe("Strategy scheduler", () => {
+  let position;
+  let orders;
+  let scheduler;
+  let logger;
+
+  beforeAll(() => {
+    registerStrategy({
+      name: "test-signal",
+      description: "Returns the action in params",
+      defaultParams: { interval: "1m", quantity: 2, action: null },
+      decide: (marketData, currentPosition, params) =>
+        params.action ? { action: params.action } : null,
+    });
+  });
+
+  beforeEach(() => {
+    position = null;
+    orders = [];
+    logger = { error: jest.fn(), warn: jest.fn(), info: jest.fn() };
+    scheduler = createStrategyScheduler({
+      fetchCandles: async () => [
+        { time: 0, open: 1, high: 1, low: 1, close: 1, volume: 1 },
+        { time: 60000, open: 1, high: 2, low: 1, close: 2, volume: 1 },
+      ],
+      getPosition: async () => position,
+      placeOrder: async (symbol, side, quantity) => {
+        orders.push(["order", symbol, side, quantity]);
+        return { code: 0 };
+      },
+      closePosition: async (symbol, positionSide) => {
+        orders.push(["close", symbol, positionSide]);
+        return { code: 0 };
+      },
+      logger,
+    });
+  });
+
+  afterEach(() => scheduler.stopAll());
+
+  it("should start, list and stop instances", () => {
+    const instance = scheduler.start("test-signal", "BTC-USDT");
+    expect(instance).toMatchObject({ symbol: "BTC-USDT", interval: "1m", running: true });
+
+    const listed = scheduler.list().find((s) => s.name === "test-signal");
+    expect(listed.instances).toHaveLength(1);
+
+    scheduler.stop("test-signal", "BTC-USDT");
+    expect(() => scheduler.stop("test-signal", "BTC-USDT")).toThrow("not running");
+  });
+
+  it("should open a position when flat", async () => {
+    scheduler.start("test-signal", "BTC-USDT", { action: "BUY" });
+    await scheduler.runNow("test-signal", "BTC-USDT");
+    expect(orders).toEqual([["order", "BTC-USDT", "BUY", 2]]);
+    expect(logger.info).toHaveBeenCalledWith("Strategy test-signal on BTC-USDT: BUY", {
+      strategy: "test-signal",
+      symbol: "BTC-USDT",
+      action: "BUY",
+    });
+  });
+
+  it("should reverse an opposite position and ignore a same-side signal", async () => {
+    position = { side: "LONG", quantity: 2, entryPrice: 1 };
+    scheduler.start("test-signal", "BTC-USDT", { action: "BUY" });
+    await scheduler.runNow("test-signal", "BTC-USDT");
+    expect(orders).toEqual([]);
+
+    scheduler.setParams("test-signal", { action: "SELL" }, "BTC-USDT");
+    await scheduler.runNow("test-signal", "BTC-USDT");
+    expect(orders).toEqual([
+      ["close", "BTC-USDT", "LONG"],
+      ["order", "BTC-USDT", "SELL", 2],
+    ]);
+  });
+
+  it("should apply params to future starts", () => {
+    scheduler.setParams("test-signal", { quantity: 5 });
+    expect(scheduler.start("test-signal", "ETH-USDT").params.quantity).toBe(5);
+  });
+
+  it("should reject unknown strategies and bad intervals", () => {
+    expect(() => scheduler.start("missing", "BTC-USDT")).toThrow("Unknown strategy");
+    expect(() => scheduler.start("test-signal", "BTC-USDT", { interval: "soon" })).toThrow(
+      "Invalid interval"
+    );
+  });
+
+  it("should keep a running instance and its params when an interval is rejected", () => {
+    scheduler.start("test-signal", "BTC-USDT");
+    expect(() => scheduler.setParams("test-signal", { interval: "bogus" })).toThrow("Invalid interval");
+    expect(() => scheduler.start("test-signal", "BTC-USDT", { interval: "bogus" })).toThrow("Invalid interval");
+
+    const [instance] = scheduler.list().find((s) => s.name === "test-signal").instances;
+    expect(instance).toMatchObject({ symbol: "BTC-USDT", interval: "1m", running: true });
+    expect(scheduler.getParams("test-signal").interval).toBe("1m");
+  });
+
+  it("should start instances from a spec string", () => {
+    const started = scheduler.startEnabled("test-signal:BTC-USDT,ETH-USDT");
+    expect(started.map((instance) => instance.symbol)).toEqual(["BTC-USDT", "ETH-USDT"]);
+  });
+});
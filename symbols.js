@@ -0,0 +1,49 @@
+// symbols.js
+//
+// Symbol spellings across exchanges. The server works on BASE-QUOTE symbols
+// ("BTC-USDT", as BingX writes them); Binance and most charting tools write
+// them without a separator ("BTCUSDT"). normalizeSymbol accepts either, as
+// well as "BTC/USDT" and "BTC_USDT", in any case.
+
+// Quote assets recognized at the end of compact symbols, in the order they
+// are tried: FDUSD and TUSD before USD, so BTCFDUSD is BTC-FDUSD
+const QUOTE_ASSETS = ["FDUSD", "USDT", "USDC", "BUSD", "TUSD", "USD", "BTC", "ETH", "BNB"];
+
+// { base, quote } of a separated symbol, or of a compact one ending in a
+// known quote asset; null otherwise
+function splitSymbol(symbol) {
+  if (typeof symbol !== "string") return null;
+  const text = symbol.trim().toUpperCase();
+  const separated = /^([A-Z0-9]+)[-/_]([A-Z0-9]+)$/.exec(text);
+  if (separated) return { base: separated[1], quote: separated[2] };
+  const quote = QUOTE_ASSETS.find((asset) => text.endsWith(asset) && text.length > asset.length);
+  if (!quote || !/^[A-Z0-9]+$/.test(text)) return null;
+  return { base: text.slice(0, -quote.length), quote };
+}
+
+// "BTCUSDT" -> "BTC-USDT"; anything else comes back unchanged
+function normalizeSymbol(symbol) {
+  const parts = splitSymbol(symbol);
+  return parts ? `${parts.base}-${parts.quote}` : symbol;
+}
+
+// "BTC-USDT" -> "BTCUSDT"
+function compactSymbol(symbol) {
+  return normalizeSymbol(symbol).replace("-", "");
+}
+
+// Whether a command argument is a symbol with a known quote asset (so
+// "btcusdt" is, but "LONG", "70000" or "simple-momentum" are not)
+function isSymbolLike(text) {
+  const parts = splitSymbol(text);
+  return Boolean(parts) && QUOTE_ASSETS.includes(parts.quote);
+}
+
+// Rewrites the symbol arguments of a bot command: "/limit btcusdt BUY 1 50000"
+// -> "/limit BTC-USDT BUY 1 50000"
+function normalizeCommandSymbols(text) {
+  const [command, ...args] = String(text).split(" ");
+  return [command, ...args.map((arg) => (arg && isSymbolLike(arg) ? normalizeSymbol(arg) : arg))].join(" ");
+}
+
+module.exports = { QUOTE_ASSETS, splitSymbol, normalizeSymbol, compactSymbol, normalizeCommandSymbols };
@@ -0,0 +1,37 @@
+// symbols.test.js
+
+const { splitSymbol, normalizeSymbol, compactSymbol, normalizeCommandSymbols } = require("./symbols");
+
+describe("Symbols", () => {
+  test("normalizes compact and separated spellings to BASE-QUOTE", () => {
+    expect(normalizeSymbol("BTCUSDT")).toBe("BTC-USDT");
+    expect(normalizeSymbol("ethusdc")).toBe("ETH-USDC");
+    expect(normalizeSymbol("BTCFDUSD")).toBe("BTC-FDUSD");
+    expect(normalizeSymbol("1000PEPEUSDT")).toBe("1000PEPE-USDT");
+    expect(normalizeSymbol("btc/usdt")).toBe("BTC-USDT");
+    expect(normalizeSymbol("BTC_USDT")).toBe("BTC-USDT");
+    expect(normalizeSymbol("BTC-USDT")).toBe("BTC-USDT");
+  });
+
+  test("leaves what is not a symbol alone", () => {
+    expect(splitSymbol("USDT")).toBeNull();
+    expect(splitSymbol("BTC USDT")).toBeNull();
+    expect(normalizeSymbol("")).toBe("");
+    expect(normalizeSymbol(undefined)).toBeUndefined();
+    expect(normalizeSymbol("NOQUOTE")).toBe("NOQUOTE");
+  });
+
+  test("compacts symbols for Binance", () => {
+    expect(compactSymbol("BTC-USDT")).toBe("BTCUSDT");
+    expect(compactSymbol("btcusdt")).toBe("BTCUSDT");
+  });
+
+  test("rewrites the symbol arguments of bot commands only", () => {
+    expect(normalizeCommandSymbols("/limit btcusdt BUY 1 50000")).toBe("/limit BTC-USDT BUY 1 50000");
+    expect(normalizeCommandSymbols("/strategy start simple-momentum ETHUSDT")).toBe(
+      "/strategy start simple-momentum ETH-USDT"
+    );
+    expect(normalizeCommandSymbols("/market @hedge BTC-USDT BUY 0.01")).toBe("/market @hedge BTC-USDT BUY 0.01");
+    expect(normalizeCommandSymbols("/close BTCUSDT LONG")).toBe("/close BTC-USDT LONG");
+  });
+});
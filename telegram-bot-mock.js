@@ -1,21 +0,0 @@
-// telegram-bot-mock.js
-
-class TelegramBotMock {
-  constructor() {
-    this.messages = [];
-  }
-
-  handleCommand(command, data) {
-    this.messages.push({ command, data });
-  }
-
-  getMockedResponse() {
-    return this.messages.pop();
-  }
-
-  clearMessages() {
-    this.messages = [];
-  }
-}
-
-module.exports = TelegramBotMock;
\ No newline at end of file
@@ -0,0 +1,167 @@
+// telegram-simulator.js
+//
+// Drives a Telegraf bot offline, for tests. A local HTTP server stands in
+// for the Telegram Bot API (the bot is created with it as apiRoot) and
+// records every call the bot makes; sendMessage and pressButton feed the
+// bot the updates Telegram would send for a typed message or a pressed
+// inline button and resolve with the calls the bot made in response.
+
+const http = require("http");
+const { Telegraf } = require("telegraf");
+
+const BOT_INFO = {
+  id: 1000,
+  is_bot: true,
+  first_name: "Marcelo",
+  username: "marcelo_test_bot",
+  can_join_groups: true,
+  can_read_all_group_messages: false,
+  supports_inline_queries: false,
+};
+
+// Multipart bodies (sendDocument) are reduced to their text fields
+function parseBody(contentType = "", raw) {
+  if (contentType.startsWith("application/json")) return raw ? JSON.parse(raw) : {};
+  const fields = {};
+  const pattern = /name="([^"]+)"(?:; filename="([^"]*)")?\r\n(?:[^\r\n]+\r\n)*\r\n([\s\S]*?)\r\n--/g;
+  for (const [, name, filename, value] of raw.matchAll(pattern)) {
+    fields[name] = filename !== undefined ? { filename, content: value } : value;
+  }
+  return fields;
+}
+
+function createTelegramSimulator({ token = "1000:TEST", botInfo = BOT_INFO, quietMs = 20 } = {}) {
+  const calls = [];
+  let server = null;
+  let apiRoot = null;
+  let bot = null;
+  let nextUpdateId = 1;
+  let nextMessageId = 1;
+  let lastActivity = Date.now();
+
+  // Result Telegram would send back for a call
+  function resultFor(method, payload) {
+    if (method === "getMe") return botInfo;
+    if (method.startsWith("send")) {
+      return {
+        message_id: nextMessageId++,
+        from: botInfo,
+        chat: { id: Number(payload.chat_id), type: "private" },
+        date: Math.floor(Date.now() / 1000),
+        ...(payload.text !== undefined && { text: payload.text }),
+      };
+    }
+    return true;
+  }
+
+  function handle(req, res) {
+    let raw = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      lastActivity = Date.now();
+      const method = req.url.split("/").pop();
+      const payload = parseBody(req.headers["content-type"], raw);
+      if (method !== "getMe") calls.push({ method, ...payload });
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end(JSON.stringify({ ok: true, result: resultFor(method, payload) }));
+    });
+  }
+
+  function start() {
+    server = http.createServer(handle);
+    return new Promise((resolve) => {
+      server.listen(0, "127.0.0.1", () => {
+        apiRoot = `http://127.0.0.1:${server.address().port}`;
+        resolve(apiRoot);
+      });
+    });
+  }
+
+  function stop() {
+    return new Promise((resolve) => (server ? server.close(() => resolve()) : resolve()));
+  }
+
+  // A Telegraf bot talking to the simulator instead of api.telegram.org
+  function createBot() {
+    if (!apiRoot) throw new Error("Start the simulator before creating the bot");
+    bot = new Telegraf(token, { telegram: { apiRoot } });
+    bot.botInfo = botInfo;
+    return bot;
+  }
+
+  // Resolves once the bot has made no API call for quietMs, so replies sent
+  // without being awaited by the handler are collected too
+  async function settle() {
+    do {
+      await new Promise((resolve) => setTimeout(resolve, quietMs));
+    } while (Date.now() - lastActivity < quietMs);
+  }
+
+  async function dispatch(update) {
+    const before = calls.length;
+    lastActivity = Date.now();
+    await bot.handleUpdate(update);
+    await settle();
+    return calls.slice(before);
+  }
+
+  function user(userId, username) {
+    return { id: userId, is_bot: false, first_name: username, username };
+  }
+
+  // A text message; a leading /command gets its bot_command entity
+  function sendMessage(text, { userId = 1, chatId = userId, username = `user${userId}` } = {}) {
+    const command = /^\/\S+/.exec(text);
+    return dispatch({
+      update_id: nextUpdateId++,
+      message: {
+        message_id: nextMessageId++,
+        from: user(userId, username),
+        chat: { id: chatId, type: "private" },
+        date: Math.floor(Date.now() / 1000),
+        text,
+        ...(command && { entities: [{ type: "bot_command", offset: 0, length: command[0].length }] }),
+      },
+    });
+  }
+
+  // Presses an inline button with the given callback data
+  function pressButton(data, { userId = 1, chatId = userId, username = `user${userId}`, messageId = 1 } = {}) {
+    return dispatch({
+      update_id: nextUpdateId++,
+      callback_query: {
+        id: String(nextUpdateId),
+        from: user(userId, username),
+        chat_instance: String(chatId),
+        data,
+        message: {
+          message_id: messageId,
+          from: botInfo,
+          chat: { id: chatId, type: "private" },
+          date: Math.floor(Date.now() / 1000),
+          text: "",
+        },
+      },
+    });
+  }
+
+  // Callback data of the inline buttons in a recorded call, by button text
+  function buttons(call) {
+    const keyboard = (call.reply_markup && call.reply_markup.inline_keyboard) || [];
+    return Object.fromEntries(keyboard.flat().map((button) => [button.text, button.callback_data]));
+  }
+
+  return {
+    calls,
+    start,
+    stop,
+    createBot,
+    sendMessage,
+    pressButton,
+    buttons,
+    clear: () => calls.splice(0),
+  };
+}
+
+module.exports = { BOT_INFO, createTelegramSimulator };
@@ -0,0 +1,54 @@
+// telegram-simulator.test.js
+
+const { Markup } = require("telegraf");
+const { createTelegramSimulator } = require("./telegram-simulator");
+
+describe("Telegram simulator", () => {
+  let telegram;
+  let bot;
+
+  beforeEach(async () => {
+    telegram = createTelegramSimulator();
+    await telegram.start();
+    bot = telegram.createBot();
+  });
+
+  afterEach(() => telegram.stop());
+
+  test("delivers commands and records the replies", async () => {
+    bot.command("echo", (ctx) => ctx.reply(`${ctx.from.id}: ${ctx.payload}`));
+    bot.command("later", (ctx) => {
+      // Not awaited by the handler
+      setTimeout(() => ctx.reply("done"), 5);
+    });
+
+    expect(await telegram.sendMessage("/echo hello there", { userId: 7 })).toEqual([
+      expect.objectContaining({ method: "sendMessage", chat_id: 7, text: "7: hello there" }),
+    ]);
+    expect((await telegram.sendMessage("/later")).map((call) => call.text)).toEqual(["done"]);
+    expect(await telegram.sendMessage("no command")).toEqual([]);
+    expect(telegram.calls).toHaveLength(2);
+  });
+
+  test("presses inline buttons by their callback data", async () => {
+    bot.command("ask", (ctx) =>
+      ctx.reply("Sure?", Markup.inlineKeyboard([Markup.button.callback("Yes", "answer:yes")]))
+    );
+    bot.action(/^answer:(.+)$/, async (ctx) => {
+      await ctx.answerCbQuery();
+      await ctx.reply(`You said ${ctx.match[1]}`);
+    });
+
+    const [question] = await telegram.sendMessage("/ask", { userId: 3 });
+    expect(telegram.buttons(question)).toEqual({ Yes: "answer:yes" });
+    const calls = await telegram.pressButton("answer:yes", { userId: 3 });
+    expect(calls.map((call) => call.method)).toEqual(["answerCallbackQuery", "sendMessage"]);
+    expect(calls[1]).toMatchObject({ chat_id: 3, text: "You said yes" });
+  });
+
+  test("documents keep their text fields", async () => {
+    bot.command("file", (ctx) => ctx.replyWithDocument({ source: Buffer.from("a,b\n1,2"), filename: "x.csv" }));
+    const [call] = await telegram.sendMessage("/file", { userId: 5 });
+    expect(call).toMatchObject({ method: "sendDocument", chat_id: "5", document: { filename: "x.csv" } });
+  });
+});
@@ -0,0 +1,171 @@
+// trade-journal.js
+//
+// Append-only record of every order request, exchange response, fill,
+// cancel, close and leverage/margin change, one JSON object per line. Each
+// entry is tagged with its source (bot user, REST client, strategy, webhook
+// or system), which callers set with runWithSource around the code that
+// trades; the source then follows the async calls down to makeRequest
+// without being passed around. Entries also name the account they were sent
+// to (currentAccount) and the HTTP request or bot update behind them
+// (currentRequestId, see logging.js).
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const { normalizeSymbol } = require("./symbols");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRADE_ENDPOINTS = [
+  { method: "POST", path: /\/trade\/order$/, action: "order" },
+  { method: "POST", path: /\/trade\/cancelOrder$/, action: "cancel" },
+  { method: "DELETE", path: /\/trade\/order$/, action: "cancel" },
+  { method: "DELETE", path: /\/trade\/allOpenOrders$/, action: "cancel" },
+  { method: "POST", path: /\/trade\/closePosition$/, action: "close" },
+  { method: "POST", path: /\/trade\/(leverage|marginType)$/, action: "settings" },
+  { method: "POST", path: /\/positionSide\/dual$/, action: "settings" },
+  { method: "POST", path: /\/trade\/positionMargin$/, action: "margin" },
+  // Binance USDⓈ-M
+  { method: "POST", path: /^\/fapi\/v1\/order$/, action: "order" },
+  { method: "DELETE", path: /^\/fapi\/v1\/order$/, action: "cancel" },
+];
+
+const CSV_COLUMNS = [
+  "time",
+  "account",
+  "source",
+  "sourceId",
+  "action",
+  "symbol",
+  "side",
+  "positionSide",
+  "type",
+  "quantity",
+  "price",
+  "orderId",
+  "status",
+  "fee",
+  "realisedProfit",
+  "error",
+];
+
+function toNumber(value) {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries) {
+  const rows = entries.map((entry) =>
+    CSV_COLUMNS.map((column) => {
+      if (column === "source") return csvCell(entry.source && entry.source.type);
+      if (column === "sourceId") return csvCell(entry.source && entry.source.id);
+      return csvCell(entry[column]);
+    }).join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+function createTradeJournal({
+  log,
+  currentAccount = () => null,
+  currentRequestId = () => null,
+  now = () => Date.now(),
+}) {
+  const context = new AsyncLocalStorage();
+
+  function runWithSource(source, fn) {
+    return context.run(source, fn);
+  }
+
+  function currentSource() {
+    return context.getStore() || { type: "system" };
+  }
+
+  function record(entry) {
+    const requestId = currentRequestId();
+    return log.append({
+      id: crypto.randomBytes(8).toString("hex"),
+      time: new Date(now()).toISOString(),
+      account: currentAccount(),
+      source: currentSource(),
+      ...(requestId && { requestId }),
+      ...entry,
+    });
+  }
+
+  // Journals a makeRequest call when it changes orders or positions
+  function recordRequest(method, endpoint, params = {}, { response, error } = {}) {
+    const match = TRADE_ENDPOINTS.find(
+      (rule) => rule.method === method && rule.path.test(endpoint)
+    );
+    if (!match) return null;
+
+    // Orders come back as data.order, closePosition answers with the order itself
+    const data = (response && response.data) || {};
+    const order = data.order || (data.orderId !== undefined ? data : {});
+    const failed = error || (response && response.code !== 0);
+    return record({
+      action: match.action,
+      symbol: normalizeSymbol(params.symbol || order.symbol) || null,
+      side: params.side || order.side || null,
+      positionSide: params.positionSide || order.positionSide || null,
+      type: params.type || params.orderType || order.type || null,
+      quantity: toNumber(order.executedQty) || toNumber(params.quantity),
+      price: toNumber(order.avgPrice) || toNumber(params.price) || toNumber(params.stopPrice),
+      orderId: order.orderId !== undefined ? String(order.orderId) : params.orderId || null,
+      status: failed ? "error" : order.status || "ok",
+      error: error
+        ? (error.response && error.response.data && error.response.data.msg) || error.message
+        : failed
+          ? response.msg
+          : null,
+      endpoint,
+      request: params,
+      response: response || null,
+    });
+  }
+
+  function recordFill(fill) {
+    return record({
+      action: "fill",
+      symbol: fill.symbol,
+      side: fill.side,
+      positionSide: fill.positionSide,
+      type: fill.type,
+      quantity: toNumber(fill.quantity ?? fill.executedQty),
+      price: toNumber(fill.price ?? fill.avgPrice),
+      orderId: String(fill.orderId),
+      status: fill.status || "FILLED",
+      fee: toNumber(fill.fee),
+      realisedProfit: toNumber(fill.realisedProfit),
+    });
+  }
+
+  // Newest first. days counts back from now; since/until are timestamps.
+  function query({ symbol, days, since, until, source, action, account, limit } = {}) {
+    const from = days ? now() - parseFloat(days) * DAY_MS : since ? Number(since) : null;
+    const to = until ? Number(until) : null;
+    const entries = log.readAll().filter((entry) => {
+      const time = Date.parse(entry.time);
+      return (
+        (!symbol || entry.symbol === symbol) &&
+        (!source || (entry.source && entry.source.type === source)) &&
+        (!action || entry.action === action) &&
+        (!account || entry.account === account) &&
+        (from === null || time >= from) &&
+        (to === null || time <= to)
+      );
+    });
+    entries.reverse();
+    return limit ? entries.slice(0, parseInt(limit, 10)) : entries;
+  }
+
+  return { runWithSource, currentSource, record, recordRequest, recordFill, query };
+}
+
+module.exports = { createTradeJournal, toCsv };
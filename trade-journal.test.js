@@ -0,0 +1,134 @@
+// trade-journal.test.js
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createTradeJournal, toCsv } = require("./trade-journal");
+const { createJsonLinesLog } = require("./json-store");
+
+describe("Trade journal", () => {
+  let dir;
+  let clock;
+  let journal;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "journal-"));
+    clock = Date.parse("2024-05-10T12:00:00Z");
+    journal = createTradeJournal({
+      log: createJsonLinesLog(path.join(dir, "journal.jsonl")),
+      now: () => clock,
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("journals trading requests with the response and skips reads", () => {
+    const entry = journal.recordRequest(
+      "POST",
+      "/openApi/swap/v2/trade/order",
+      { symbol: "BTC-USDT", side: "BUY", type: "MARKET", quantity: 0.1 },
+      {
+        response: {
+          code: 0,
+          data: { order: { orderId: 7, status: "FILLED", avgPrice: "50000", executedQty: "0.1" } },
+        },
+      }
+    );
+    expect(entry).toMatchObject({
+      action: "order",
+      symbol: "BTC-USDT",
+      side: "BUY",
+      quantity: 0.1,
+      price: 50000,
+      orderId: "7",
+      status: "FILLED",
+      source: { type: "system" },
+    });
+    expect(journal.recordRequest("GET", "/openApi/swap/v2/user/balance", {}, {})).toBeNull();
+    expect(journal.query()).toHaveLength(1);
+
+    const leverage = journal.recordRequest(
+      "POST",
+      "/openApi/swap/v2/trade/leverage",
+      { symbol: "BTC-USDT", side: "LONG", leverage: 20 },
+      { response: { code: 0, data: { leverage: 20 } } }
+    );
+    expect(leverage).toMatchObject({ action: "settings", symbol: "BTC-USDT", status: "ok" });
+  });
+
+  test("journals exchange rejections and thrown errors", () => {
+    journal.recordRequest(
+      "POST",
+      "/openApi/swap/v2/trade/closePosition",
+      { symbol: "BTC-USDT", positionSide: "LONG" },
+      { response: { code: 101205, msg: "No position to close", data: {} } }
+    );
+    journal.recordRequest(
+      "POST",
+      "/openApi/swap/v2/trade/cancelOrder",
+      { symbol: "BTC-USDT", orderId: "9" },
+      { error: Object.assign(new Error("timeout"), { response: { data: { msg: "busy" } } }) }
+    );
+
+    const [cancel, close] = journal.query();
+    expect(close).toMatchObject({ action: "close", status: "error", error: "No position to close" });
+    expect(cancel).toMatchObject({ action: "cancel", orderId: "9", status: "error", error: "busy" });
+  });
+
+  test("tags entries with the source set around the async call", async () => {
+    await journal.runWithSource({ type: "bot", id: "42" }, async () => {
+      await new Promise((resolve) => setImmediate(resolve));
+      journal.recordFill({ orderId: 1, symbol: "ETH-USDT", side: "SELL", quantity: 2, price: 3000 });
+    });
+    journal.recordFill({ orderId: 2, symbol: "ETH-USDT", side: "BUY", quantity: 2, price: 2900 });
+
+    expect(journal.query({ source: "bot" }).map((entry) => entry.orderId)).toEqual(["1"]);
+    expect(journal.query({ source: "system" }).map((entry) => entry.orderId)).toEqual(["2"]);
+  });
+
+  test("filters by symbol, days, action and limit, newest first", () => {
+    journal.recordFill({ orderId: 1, symbol: "BTC-USDT", side: "BUY", quantity: 1, price: 1 });
+    clock += 3 * 24 * 60 * 60 * 1000;
+    journal.recordFill({ orderId: 2, symbol: "BTC-USDT", side: "SELL", quantity: 1, price: 2 });
+    journal.recordFill({ orderId: 3, symbol: "ETH-USDT", side: "BUY", quantity: 1, price: 3 });
+    journal.record({ action: "rejected", symbol: "BTC-USDT", status: "rejected" });
+
+    const ids = (entries) => entries.map((entry) => entry.orderId || entry.action);
+    expect(ids(journal.query({ symbol: "BTC-USDT" }))).toEqual(["rejected", "2", "1"]);
+    expect(ids(journal.query({ symbol: "BTC-USDT", days: 1 }))).toEqual(["rejected", "2"]);
+    expect(ids(journal.query({ action: "fill", limit: 2 }))).toEqual(["3", "2"]);
+  });
+
+  test("tags entries with the current account", () => {
+    let account = "main";
+    journal = createTradeJournal({
+      log: createJsonLinesLog(path.join(dir, "accounts.jsonl")),
+      currentAccount: () => account,
+      now: () => clock,
+    });
+    journal.record({ action: "order", symbol: "BTC-USDT" });
+    account = "hedge";
+    journal.record({ action: "order", symbol: "ETH-USDT" });
+
+    expect(journal.query({ account: "hedge" }).map((entry) => entry.symbol)).toEqual(["ETH-USDT"]);
+    expect(toCsv(journal.query({ account: "main" })).split("\n")[1]).toMatch(/^[^,]+,main,system,/);
+  });
+
+  test("exports CSV with quoting", () => {
+    const entry = journal.record({
+      action: "rejected",
+      symbol: "BTC-USDT",
+      status: "rejected",
+      error: 'Limit "maxNotional", exceeded',
+    });
+    const [header, row] = toCsv([entry]).trim().split("\n");
+    expect(header).toBe(
+      "time,account,source,sourceId,action,symbol,side,positionSide,type,quantity,price,orderId,status,fee,realisedProfit,error"
+    );
+    expect(row).toBe(
+      '2024-05-10T12:00:00.000Z,,system,,rejected,BTC-USDT,,,,,,,rejected,,,"Limit ""maxNotional"", exceeded"'
+    );
+  });
+});
@@ -0,0 +1,274 @@
+// validation.js
+//
+// Request validation for the REST API. Schemas are a small JSON Schema
+// subset (type, required, enum, pattern, minimum/exclusiveMinimum,
+// additionalProperties) so the same objects also describe the request
+// bodies in the OpenAPI document.
+
+class ValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid request: ${errors.join("; ")}`);
+    this.name = "ValidationError";
+    this.statusCode = 400;
+    this.details = errors;
+  }
+}
+
+const SYMBOL = {
+  type: "string",
+  pattern: "^[A-Z0-9]+-[A-Z0-9]+$",
+  description: "Perpetual contract symbol; BTCUSDT is accepted and read as BTC-USDT",
+  example: "BTC-USDT",
+};
+
+const PRICE = { type: "number", exclusiveMinimum: 0 };
+
+const SCHEMAS = {
+  SymbolParams: {
+    type: "object",
+    required: ["symbol"],
+    properties: { symbol: SYMBOL },
+  },
+  OrderRequest: {
+    type: "object",
+    required: ["symbol", "side", "quantity"],
+    additionalProperties: false,
+    properties: {
+      symbol: SYMBOL,
+      side: { type: "string", enum: ["BUY", "SELL"] },
+      type: { type: "string", enum: ["MARKET", "LIMIT"], default: "MARKET" },
+      quantity: { ...PRICE, description: "Contract quantity", example: 0.01 },
+      price: { ...PRICE, description: "Limit price, required for LIMIT orders" },
+    },
+  },
+  ClosePositionRequest: {
+    type: "object",
+    required: ["positionSide"],
+    additionalProperties: false,
+    properties: {
+      positionSide: { type: "string", enum: ["LONG", "SHORT"] },
+    },
+  },
+  SymbolFilterRequest: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      symbol: { ...SYMBOL, description: "Only this symbol; all symbols when omitted" },
+    },
+  },
+  StopPriceRequest: {
+    type: "object",
+    required: ["stopPrice"],
+    additionalProperties: false,
+    properties: {
+      stopPrice: { ...PRICE, description: "Trigger price" },
+    },
+  },
+  TrailingStopRequest: {
+    type: "object",
+    required: ["activationPrice", "callbackRate"],
+    additionalProperties: false,
+    properties: {
+      activationPrice: PRICE,
+      callbackRate: {
+        type: "number",
+        exclusiveMinimum: 0,
+        maximum: 100,
+        description: "Callback rate in percent",
+      },
+    },
+  },
+  BracketRequest: {
+    type: "object",
+    required: ["symbol", "side", "quantity", "stopLoss", "takeProfit"],
+    additionalProperties: false,
+    properties: {
+      symbol: SYMBOL,
+      side: { type: "string", enum: ["BUY", "SELL"] },
+      quantity: { ...PRICE, description: "Contract quantity", example: 0.01 },
+      stopLoss: { ...PRICE, description: "Stop loss trigger price" },
+      takeProfit: { ...PRICE, description: "Take profit trigger price" },
+    },
+  },
+  RiskOrderRequest: {
+    type: "object",
+    required: ["symbol", "side", "riskPercent", "stopPrice"],
+    additionalProperties: false,
+    properties: {
+      symbol: SYMBOL,
+      side: { type: "string", enum: ["BUY", "SELL"] },
+      riskPercent: { ...PRICE, maximum: 100, description: "Share of the equity lost at the stop", example: 1 },
+      stopPrice: { ...PRICE, description: "Stop loss trigger price" },
+    },
+  },
+  LeverageRequest: {
+    type: "object",
+    required: ["leverage"],
+    additionalProperties: false,
+    properties: {
+      leverage: { type: "integer", minimum: 1, maximum: 125, example: 10 },
+      side: {
+        type: "string",
+        enum: ["LONG", "SHORT", "BOTH"],
+        description: "Both sides when omitted (LONG and SHORT in hedge mode, BOTH in one-way mode)",
+      },
+    },
+  },
+  MarginTypeRequest: {
+    type: "object",
+    required: ["marginType"],
+    additionalProperties: false,
+    properties: {
+      marginType: { type: "string", enum: ["ISOLATED", "CROSSED"] },
+    },
+  },
+  PositionModeRequest: {
+    type: "object",
+    required: ["hedgeMode"],
+    additionalProperties: false,
+    properties: {
+      hedgeMode: { type: "boolean", description: "true for hedge mode (LONG/SHORT), false for one-way" },
+    },
+  },
+  PositionMarginRequest: {
+    type: "object",
+    required: ["positionSide", "amount"],
+    additionalProperties: false,
+    properties: {
+      positionSide: { type: "string", enum: ["LONG", "SHORT", "BOTH"], description: "BOTH in one-way mode" },
+      amount: { type: "number", description: "USDT to add; negative to remove", example: 50 },
+    },
+  },
+  AlgoRequest: {
+    type: "object",
+    required: ["type", "symbol", "side", "quantity"],
+    additionalProperties: false,
+    properties: {
+      type: { type: "string", enum: ["scaled", "iceberg", "twap", "vwap"] },
+      symbol: SYMBOL,
+      side: { type: "string", enum: ["BUY", "SELL"] },
+      quantity: { ...PRICE, description: "Total quantity of the parent order" },
+      priceFrom: { ...PRICE, description: "scaled: first ladder price" },
+      priceTo: { ...PRICE, description: "scaled: last ladder price" },
+      orders: { type: "integer", minimum: 2, maximum: 100, description: "scaled: ladder orders (default 5)" },
+      distribution: {
+        type: "string",
+        enum: ["flat", "increasing", "decreasing"],
+        description: "scaled: size per level, increasing towards priceTo or decreasing",
+      },
+      price: { ...PRICE, description: "iceberg: limit price" },
+      visibleQuantity: { ...PRICE, description: "iceberg: quantity shown at a time" },
+      durationMinutes: { ...PRICE, description: "twap/vwap: time to spread the slices over" },
+      slices: { type: "integer", minimum: 2, maximum: 100, description: "twap/vwap: default one per minute" },
+    },
+  },
+  AlertRequest: {
+    type: "object",
+    required: ["chatId", "symbol", "metric", "op", "value"],
+    additionalProperties: false,
+    properties: {
+      chatId: { description: "Telegram chat the alert fires to (string or number), one of TELEGRAM_USERS" },
+      symbol: SYMBOL,
+      metric: { type: "string", enum: ["price", "change", "funding", "pnl", "indicator"] },
+      op: { type: "string", enum: ["above", "below"] },
+      value: {
+        type: "number",
+        description: "Price, percent change, funding rate in percent, PnL in USDT or indicator value",
+        example: 70000,
+      },
+      windowMinutes: { type: "number", minimum: 1, maximum: 1440, description: "change: window (default 60)" },
+      positionSide: { type: "string", enum: ["LONG", "SHORT"], description: "pnl: one side; both when omitted" },
+      indicator: { type: "string", description: "indicator: name, or name.field (e.g. rsi, macd.histogram)" },
+      interval: { type: "string", description: "indicator: candle interval (default 1h)" },
+      repeat: { type: "boolean", description: "Fire on every crossing instead of once", default: false },
+    },
+  },
+  WebhookSignal: {
+    type: "object",
+    required: ["symbol", "action"],
+    properties: {
+      secret: { type: "string", description: "Shared secret, unless sent as X-Webhook-Secret" },
+      id: { description: "Signal ID used for deduplication (string or number); alerts without one always execute" },
+      symbol: SYMBOL,
+      action: { type: "string", enum: ["buy", "sell", "close", "flat"] },
+      size: { ...PRICE, description: "Order size in sizeType units" },
+      sizeType: { type: "string", enum: ["units", "usdt", "percent"], default: "units" },
+      positionSide: { type: "string", enum: ["LONG", "SHORT"], description: "Side to close" },
+      stopLoss: PRICE,
+      takeProfit: PRICE,
+      trailing: {
+        type: "object",
+        required: ["activationPrice", "callbackRate"],
+        properties: {
+          activationPrice: PRICE,
+          callbackRate: { type: "number", exclusiveMinimum: 0, maximum: 100 },
+        },
+      },
+    },
+  },
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  object: (value) => value !== null && typeof value === "object" && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+};
+
+function checkValue(schema, value, path, errors) {
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    errors.push(`${path} must be ${/^[aeiou]/.test(schema.type) ? "an" : "a"} ${schema.type}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(", ")}`);
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path} must match ${schema.pattern}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} must be >= ${schema.minimum}`);
+  }
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    errors.push(`${path} must be > ${schema.exclusiveMinimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (schema.type === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        checkValue(properties[key], item, `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    }
+  }
+}
+
+// Returns the list of problems with value ("body.quantity must be > 0", ...)
+function validate(schema, value, path = "body") {
+  const errors = [];
+  checkValue(schema, value === undefined ? {} : value, path, errors);
+  return errors;
+}
+
+// Express middleware validating req.params and/or req.body
+function validateRequest({ params, body }) {
+  return (req, res, next) => {
+    const errors = [
+      ...(params ? validate(params, req.params, "params") : []),
+      ...(body ? validate(body, req.body, "body") : []),
+    ];
+    next(errors.length > 0 ? new ValidationError(errors) : undefined);
+  };
+}
+
+module.exports = { ValidationError, SCHEMAS, validate, validateRequest };
@@ -0,0 +1,76 @@
+// validation.test.js
+
+const express = require("express");
+const request = require("supertest");
+const { ValidationError, SCHEMAS, validate, validateRequest } = require("./validation");
+const { buildOpenApiDocument } = require("./openapi");
+
+describe("Validation", () => {
+  test("accepts a valid order", () => {
+    expect(
+      validate(SCHEMAS.OrderRequest, { symbol: "BTC-USDT", side: "BUY", quantity: 0.01 })
+    ).toEqual([]);
+  });
+
+  test("lists every problem with a request body", () => {
+    const errors = validate(SCHEMAS.OrderRequest, {
+      symbol: "btc",
+      side: "LONG",
+      quantity: 0,
+      extra: true,
+    });
+    expect(errors).toEqual([
+      "body.symbol must match ^[A-Z0-9]+-[A-Z0-9]+$",
+      "body.side must be one of BUY, SELL",
+      "body.quantity must be > 0",
+      "body.extra is not allowed",
+    ]);
+    expect(validate(SCHEMAS.StopPriceRequest, undefined)).toEqual(["body.stopPrice is required"]);
+    expect(validate(SCHEMAS.StopPriceRequest, { stopPrice: "100" })).toEqual([
+      "body.stopPrice must be a number",
+    ]);
+  });
+
+  test("middleware rejects invalid params and bodies with a 400", async () => {
+    const app = express();
+    app.use(express.json());
+    app.post(
+      "/orders/:symbol/stop-loss",
+      validateRequest({ params: SCHEMAS.SymbolParams, body: SCHEMAS.StopPriceRequest }),
+      (req, res) => res.json({ ok: true })
+    );
+    app.use((err, req, res, next) => {
+      res.status(err.statusCode).json({ message: err.message, details: err.details });
+    });
+
+    const valid = await request(app).post("/orders/BTC-USDT/stop-loss").send({ stopPrice: 95000 });
+    expect(valid.body).toEqual({ ok: true });
+
+    const invalid = await request(app).post("/orders/btc/stop-loss").send({});
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.details).toEqual([
+      "params.symbol must match ^[A-Z0-9]+-[A-Z0-9]+$",
+      "body.stopPrice is required",
+    ]);
+  });
+
+  test("ValidationError carries a 400 status", () => {
+    const error = new ValidationError(["body.price is required for LIMIT orders"]);
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe("Invalid request: body.price is required for LIMIT orders");
+  });
+
+  test("the OpenAPI document references the validation schemas", () => {
+    const document = buildOpenApiDocument();
+    expect(document.openapi).toBe("3.1.0");
+    expect(document.paths["/orders"].post.requestBody.content["application/json"].schema).toEqual({
+      $ref: "#/components/schemas/OrderRequest",
+    });
+    expect(document.components.schemas.OrderRequest).toBe(SCHEMAS.OrderRequest);
+
+    const refs = JSON.stringify(document).match(/#\/components\/schemas\/\w+/g);
+    for (const ref of refs) {
+      expect(document.components.schemas[ref.split("/").pop()]).toBeDefined();
+    }
+  });
+});
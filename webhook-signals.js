@@ -0,0 +1,208 @@
+// webhook-signals.js
+//
+// Turns alerts from external charting tools (TradingView style webhooks) into
+// orders. Alerts carry a shared secret, are deduplicated by their "id" and
+// every alert is journaled together with its outcome, including rejected and
+// duplicate ones. Alerts without an id are never deduplicated: a recurring
+// alert sends the same body every time it fires.
+
+const crypto = require("crypto");
+const { ValidationError, SCHEMAS, validate } = require("./validation");
+const { floorToStep } = require("./position-sizing");
+
+const DEDUPE_TTL_MS = 24 * 60 * 60 * 1000;
+
+function webhookError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// The deduplication key of an alert, or null without an "id"
+function signalId(signal) {
+  return signal.id !== undefined && signal.id !== null ? String(signal.id) : null;
+}
+
+function createSignalHandler({
+  secret,
+  store,
+  journal,
+  trading,
+  dedupeTtlMs = DEDUPE_TTL_MS,
+  now = () => Date.now(),
+}) {
+  // Converts size + sizeType (units, usdt, percent of equity) to contracts,
+  // rounded down to the quantity step of the contract
+  async function resolveQuantity(signal) {
+    const sizeType = signal.sizeType || "units";
+    if (sizeType === "units") return signal.size;
+
+    const [price, rules] = await Promise.all([
+      trading.getPrice(signal.symbol),
+      trading.getContractRules(signal.symbol),
+    ]);
+    if (!(price > 0)) {
+      throw webhookError(502, `No price available for ${signal.symbol}`);
+    }
+    const notional =
+      sizeType === "usdt"
+        ? signal.size
+        : ((await trading.getEquity()) * signal.size) / 100;
+    const rawQuantity = notional / price;
+    const quantity = floorToStep(rawQuantity, rules.quantityStep);
+    if (quantity <= 0 || quantity < rules.minQuantity) {
+      throw webhookError(
+        422,
+        `Size ${signal.size} ${sizeType} gives ${rawQuantity.toPrecision(4)}, below the minimum quantity ${Math.max(rules.minQuantity, rules.quantityStep)} for ${signal.symbol}`
+      );
+    }
+    return quantity;
+  }
+
+  // Steps are added to results as they execute, so a failure part way
+  // through still shows what was done
+  async function enter(signal, results) {
+    const side = signal.action === "buy" ? "BUY" : "SELL";
+    const opposite = side === "BUY" ? "SHORT" : "LONG";
+
+    const position = await trading.getPosition(signal.symbol);
+    if (position && position.side === opposite) {
+      results.push({ step: "close", result: await trading.closePosition(signal.symbol, opposite) });
+    }
+
+    const quantity = await resolveQuantity(signal);
+    const entry = await trading.placeMarketOrder(signal.symbol, side, quantity);
+    results.push({ step: "entry", quantity, result: entry });
+
+    // The exits protect the position just entered, not whatever side
+    // getPosition would find (the other leg in hedge mode, a stale cache)
+    const order = (entry && entry.data && entry.data.order) || {};
+    const target = {
+      positionSide: side === "BUY" ? "LONG" : "SHORT",
+      quantity: parseFloat(order.executedQty) || quantity,
+    };
+    if (signal.stopLoss !== undefined) {
+      results.push({
+        step: "stopLoss",
+        result: await trading.setStopLoss(signal.symbol, signal.stopLoss, target),
+      });
+    }
+    if (signal.takeProfit !== undefined) {
+      results.push({
+        step: "takeProfit",
+        result: await trading.setTakeProfit(signal.symbol, signal.takeProfit, target),
+      });
+    }
+    if (signal.trailing) {
+      const { activationPrice, callbackRate } = signal.trailing;
+      results.push({
+        step: "trailingStop",
+        result: await trading.setTrailingStop(signal.symbol, activationPrice, callbackRate, target),
+      });
+    }
+    return results;
+  }
+
+  // "close" closes the symbol's positions (one side when positionSide is
+  // given); "flat" also cancels its pending orders
+  async function exit(signal, results) {
+    if (signal.positionSide) {
+      results.push({
+        step: "close",
+        result: await trading.closePosition(signal.symbol, signal.positionSide),
+      });
+    } else {
+      results.push({ step: "close", result: await trading.closeAllPositions(signal.symbol) });
+    }
+    if (signal.action === "flat") {
+      results.push({ step: "cancel", result: await trading.cancelAllOrders(signal.symbol) });
+    }
+    return results;
+  }
+
+  function isDuplicate(id) {
+    let duplicate = false;
+    store.update((seen) => {
+      for (const [key, time] of Object.entries(seen)) {
+        if (now() - time > dedupeTtlMs) delete seen[key];
+      }
+      duplicate = seen[id] !== undefined;
+      if (!duplicate) seen[id] = now();
+    });
+    return duplicate;
+  }
+
+  function record(entry) {
+    journal.append({ time: new Date(now()).toISOString(), ...entry });
+  }
+
+  async function handle(payload, { providedSecret, source } = {}) {
+    const signal =
+      payload && typeof payload === "object" && !Array.isArray(payload)
+        ? { ...payload, action: String(payload.action || "").toLowerCase() }
+        : {};
+    const { secret: payloadSecret, ...logged } = signal;
+    const given = providedSecret || payloadSecret;
+
+    if (!secret) {
+      throw webhookError(503, "Webhook signals are disabled (WEBHOOK_SECRET is not set)");
+    }
+    if (!given || !safeEqual(given, secret)) {
+      record({ status: "rejected", reason: "invalid secret", source, signal: logged });
+      throw webhookError(401, "Invalid webhook secret");
+    }
+
+    const errors = validate(SCHEMAS.WebhookSignal, signal);
+    if (signal.action === "buy" || signal.action === "sell") {
+      if (signal.size === undefined) errors.push("body.size is required for buy and sell");
+    }
+    if (errors.length > 0) {
+      record({ status: "rejected", reason: "invalid payload", errors, source, signal: logged });
+      throw new ValidationError(errors);
+    }
+
+    const dedupeId = signalId(signal);
+    const id = dedupeId || crypto.randomBytes(8).toString("hex");
+    if (dedupeId && isDuplicate(dedupeId)) {
+      record({ id, status: "duplicate", source, signal: logged });
+      return { id, status: "duplicate" };
+    }
+
+    const results = [];
+    try {
+      if (signal.action === "buy" || signal.action === "sell") {
+        await enter(signal, results);
+      } else {
+        await exit(signal, results);
+      }
+      record({ id, status: "executed", source, signal: logged, results });
+      return { id, status: "executed", results };
+    } catch (error) {
+      if (results.length > 0) {
+        // Some steps went through: a retry would repeat them (a second
+        // entry), so the id stays marked and the missing steps are left to
+        // the journal reader
+        record({ id, status: "partial", source, signal: logged, results, error: error.message });
+        throw error;
+      }
+      // Nothing was executed: allow the alert to be retried
+      if (dedupeId) {
+        store.update((seen) => {
+          delete seen[dedupeId];
+        });
+      }
+      record({ id, status: "failed", source, signal: logged, error: error.message });
+      throw error;
+    }
+  }
+
+  return { handle };
+}
+
+module.exports = { createSignalHandler, signalId };
@@ -0,0 +1,198 @@
+// webhook-signals.test.js
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createSignalHandler, signalId } = require("./webhook-signals");
+const { createJsonStore, createJsonLinesLog } = require("./json-store");
+
+describe("Webhook signals", () => {
+  let dir;
+  let calls;
+  let position;
+  let journal;
+  let handler;
+  let failEntry;
+  let failStopLoss;
+  let rules;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-"));
+    calls = [];
+    position = null;
+    failEntry = false;
+    failStopLoss = false;
+    rules = { symbol: "BTC-USDT", quantityStep: 0.001, minQuantity: 0.001 };
+    journal = createJsonLinesLog(path.join(dir, "signals.jsonl"));
+    const record = (name) => async (...args) => {
+      calls.push([name, ...args]);
+      return { code: 0 };
+    };
+    handler = createSignalHandler({
+      secret: "s3cret",
+      store: createJsonStore(path.join(dir, "seen.json")),
+      journal,
+      trading: {
+        getPrice: async () => 50000,
+        getEquity: async () => 10000,
+        getContractRules: async () => rules,
+        getPosition: async () => position,
+        placeMarketOrder: async (...args) => {
+          if (failEntry) throw new Error("exchange down");
+          return record("placeMarketOrder")(...args);
+        },
+        closePosition: record("closePosition"),
+        closeAllPositions: record("closeAllPositions"),
+        cancelAllOrders: record("cancelAllOrders"),
+        setStopLoss: async (...args) => {
+          if (failStopLoss) throw new Error("stop rejected");
+          return record("setStopLoss")(...args);
+        },
+        setTakeProfit: record("setTakeProfit"),
+        setTrailingStop: record("setTrailingStop"),
+      },
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("rejects a wrong secret and journals it without the secret", async () => {
+    await expect(
+      handler.handle({ secret: "nope", symbol: "BTC-USDT", action: "close" })
+    ).rejects.toMatchObject({ statusCode: 401 });
+
+    const [entry] = journal.readAll();
+    expect(entry.status).toBe("rejected");
+    expect(entry.signal.secret).toBeUndefined();
+  });
+
+  test("accepts the secret from the header", async () => {
+    const result = await handler.handle(
+      { id: "1", symbol: "BTC-USDT", action: "close" },
+      { providedSecret: "s3cret" }
+    );
+    expect(result.status).toBe("executed");
+    expect(calls).toEqual([["closeAllPositions", "BTC-USDT"]]);
+  });
+
+  test("buy closes a short, enters and sets the protective orders", async () => {
+    position = { side: "SHORT", quantity: 0.1, entryPrice: 51000 };
+    const result = await handler.handle({
+      secret: "s3cret",
+      id: "sig-1",
+      symbol: "BTC-USDT",
+      action: "BUY",
+      size: 1000,
+      sizeType: "usdt",
+      stopLoss: 49000,
+      takeProfit: 55000,
+      trailing: { activationPrice: 52000, callbackRate: 1 },
+    });
+
+    expect(result.status).toBe("executed");
+    expect(calls).toEqual([
+      ["closePosition", "BTC-USDT", "SHORT"],
+      ["placeMarketOrder", "BTC-USDT", "BUY", 0.02],
+      ["setStopLoss", "BTC-USDT", 49000, { positionSide: "LONG", quantity: 0.02 }],
+      ["setTakeProfit", "BTC-USDT", 55000, { positionSide: "LONG", quantity: 0.02 }],
+      ["setTrailingStop", "BTC-USDT", 52000, 1, { positionSide: "LONG", quantity: 0.02 }],
+    ]);
+    expect(journal.readAll()[0]).toMatchObject({ id: "sig-1", status: "executed" });
+  });
+
+  test("sizes percent of equity", async () => {
+    await handler.handle({
+      secret: "s3cret",
+      id: "sig-2",
+      symbol: "BTC-USDT",
+      action: "sell",
+      size: 5,
+      sizeType: "percent",
+    });
+    expect(calls).toEqual([["placeMarketOrder", "BTC-USDT", "SELL", 0.01]]);
+  });
+
+  test("rounds notional sizes down to the contract step and rejects sizes below the minimum", async () => {
+    rules = { symbol: "BTC-USDT", quantityStep: 0.01, minQuantity: 0.05 };
+    const signal = { secret: "s3cret", symbol: "BTC-USDT", action: "buy", sizeType: "usdt" };
+    await handler.handle({ ...signal, id: "sig-step", size: 3990 });
+    expect(calls).toEqual([["placeMarketOrder", "BTC-USDT", "BUY", 0.07]]);
+
+    await expect(handler.handle({ ...signal, id: "sig-min", size: 2000 })).rejects.toMatchObject({
+      statusCode: 422,
+      message: "Size 2000 usdt gives 0.04000, below the minimum quantity 0.05 for BTC-USDT",
+    });
+    expect(calls).toHaveLength(1);
+  });
+
+  test("flat closes positions and cancels orders", async () => {
+    await handler.handle({ secret: "s3cret", id: "sig-3", symbol: "BTC-USDT", action: "flat" });
+    expect(calls).toEqual([
+      ["closeAllPositions", "BTC-USDT"],
+      ["cancelAllOrders", "BTC-USDT"],
+    ]);
+  });
+
+  test("duplicates are journaled but not executed", async () => {
+    const signal = { secret: "s3cret", id: 7, symbol: "BTC-USDT", action: "buy", size: 0.01 };
+    await handler.handle(signal);
+    const second = await handler.handle(signal);
+
+    expect(second).toEqual({ id: "7", status: "duplicate" });
+    expect(calls).toHaveLength(1);
+    expect(journal.readAll().map((entry) => entry.status)).toEqual(["executed", "duplicate"]);
+  });
+
+  test("alerts without an id are executed every time", async () => {
+    const signal = { secret: "s3cret", symbol: "BTC-USDT", action: "buy", size: 0.01 };
+    expect(signalId(signal)).toBeNull();
+    const first = await handler.handle(signal);
+    const second = await handler.handle(signal);
+
+    expect(second.status).toBe("executed");
+    expect(second.id).not.toBe(first.id);
+    expect(calls).toHaveLength(2);
+  });
+
+  test("a signal that failed after its entry filled is not entered again", async () => {
+    const signal = { secret: "s3cret", id: "sig-5", symbol: "BTC-USDT", action: "buy", size: 0.01, stopLoss: 49000 };
+    failStopLoss = true;
+    await expect(handler.handle(signal)).rejects.toThrow("stop rejected");
+
+    failStopLoss = false;
+    expect(await handler.handle(signal)).toEqual({ id: "sig-5", status: "duplicate" });
+    expect(calls).toEqual([["placeMarketOrder", "BTC-USDT", "BUY", 0.01]]);
+    const [partial] = journal.readAll();
+    expect(partial).toMatchObject({
+      status: "partial",
+      error: "stop rejected",
+      results: [expect.objectContaining({ step: "entry" })],
+    });
+  });
+
+  test("failed signals are journaled and can be retried", async () => {
+    const signal = { secret: "s3cret", id: "sig-4", symbol: "BTC-USDT", action: "buy", size: 0.01 };
+    failEntry = true;
+    await expect(handler.handle(signal)).rejects.toThrow("exchange down");
+
+    failEntry = false;
+    const retry = await handler.handle(signal);
+    expect(retry.status).toBe("executed");
+    expect(journal.readAll().map((entry) => entry.status)).toEqual(["failed", "executed"]);
+  });
+
+  test("invalid payloads answer 400", async () => {
+    await expect(
+      handler.handle({ secret: "s3cret", symbol: "BTC-USDT", action: "buy" })
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      details: ["body.size is required for buy and sell"],
+    });
+    await expect(
+      handler.handle({ secret: "s3cret", symbol: "BTC-USDT", action: "hold" })
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(calls).toEqual([]);
+  });
+});